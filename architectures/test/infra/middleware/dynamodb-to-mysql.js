@@ -104,7 +104,7 @@ async function persistMetrics(pool, metrics) {
       const lastReceivedAt = entry.lastReceivedAt || new Date().toISOString();
       // eslint-disable-next-line no-await-in-loop
       await connection.query(
-        "INSERT INTO message_metrics (source, total_count, last_received_at, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)\n         ON CONFLICT(source) DO UPDATE SET total_count = excluded.total_count, last_received_at = excluded.last_received_at, updated_at = CURRENT_TIMESTAMP",
+        "INSERT INTO message_metrics (source, total_count, last_received_at, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)\n         ON DUPLICATE KEY UPDATE total_count = VALUES(total_count), last_received_at = VALUES(last_received_at), updated_at = CURRENT_TIMESTAMP",
         [source, entry.totalCount, lastReceivedAt]
       );
     }
@@ -53,14 +53,23 @@ function normalizeBaseUrl(url) {
   return url.replace(/\/$/, "");
 }
 
-async function fetchPendingMessages(queueUrl) {
-  const result = await requestJson("GET", `${queueUrl}/messages`);
+async function fetchPendingMessages(queueUrl, receiveConfig) {
+  const query = new URLSearchParams({
+    maxMessages: String(receiveConfig.maxMessages),
+    visibilityTimeout: String(receiveConfig.visibilityTimeoutSeconds),
+    waitTimeSeconds: String(receiveConfig.waitTimeSeconds),
+  });
+  const result = await requestJson("GET", `${queueUrl}/messages?${query}`);
   if (!result || !Array.isArray(result.messages)) {
     return [];
   }
   return result.messages;
 }
 
+async function acknowledgeMessage(queueUrl, receiptHandle) {
+  await requestJson("DELETE", `${queueUrl}/messages/${encodeURIComponent(receiptHandle)}`);
+}
+
 async function sendEventLog(eventLogConfig, payload) {
   const baseUrl = normalizeBaseUrl(eventLogConfig.endpoint);
   const queueName = encodeURIComponent(eventLogConfig.queueName || "test-events");
@@ -80,9 +89,9 @@ function resolveSource(message) {
   return "unknown";
 }
 
-async function processMessages(messages, config) {
+async function processMessages(queueUrl, messages, config) {
   for (const entry of messages) {
-    const { message, receivedAt } = entry;
+    const { message, receivedAt, receiptHandle } = entry;
     const processedAt = new Date().toISOString();
     const source = resolveSource(message);
     const logPayload = {
@@ -103,9 +112,13 @@ async function processMessages(messages, config) {
         emittedAt: message && message.emittedAt ? message.emittedAt : null,
         payload: message,
       });
+      // eslint-disable-next-line no-await-in-loop
+      await acknowledgeMessage(queueUrl, receiptHandle);
       console.info(`[queue-to-store] Mensaje procesado para source='${source}'`);
     } catch (error) {
-      console.error(`[queue-to-store] Error procesando mensaje: ${error.message}`);
+      console.error(
+        `[queue-to-store] Error procesando mensaje, se reintentará tras la visibilidad: ${error.message}`
+      );
     }
   }
 }
@@ -114,6 +127,11 @@ function start(options = {}) {
   const queueBaseUrl = normalizeBaseUrl(options.queueUrl || "http://localhost:4200/queues/test");
   const pollIntervalMs = options.pollIntervalMs || 1000;
   const config = {
+    receive: {
+      maxMessages: options.maxMessages || 10,
+      visibilityTimeoutSeconds: options.visibilityTimeoutSeconds || 30,
+      waitTimeSeconds: options.waitTimeSeconds !== undefined ? options.waitTimeSeconds : 10,
+    },
     eventLog: {
       endpoint: options.eventLog && options.eventLog.endpoint ? options.eventLog.endpoint : "http://localhost:4400",
       queueName: options.eventLog && options.eventLog.queueName ? options.eventLog.queueName : "test",
@@ -127,28 +145,32 @@ function start(options = {}) {
   let stopped = false;
   let timer = null;
 
-  const scheduleNext = () => {
+  // With long polling the queue holds the request until messages arrive, so cycles run back to back
+  // and pollIntervalMs only applies as a pause between short polls or after a failed cycle.
+  const scheduleNext = (delayMs) => {
     if (stopped) {
       return;
     }
     timer = setTimeout(async () => {
+      let nextDelayMs = config.receive.waitTimeSeconds > 0 ? 0 : pollIntervalMs;
       try {
-        const messages = await fetchPendingMessages(queueBaseUrl);
-        if (messages.length > 0) {
-          await processMessages(messages, config);
+        const messages = await fetchPendingMessages(queueBaseUrl, config.receive);
+        if (messages.length > 0 && !stopped) {
+          await processMessages(queueBaseUrl, messages, config);
         }
       } catch (error) {
+        nextDelayMs = pollIntervalMs;
         console.error(`[queue-to-store] Ciclo de sondeo falló: ${error.message}`);
       } finally {
-        scheduleNext();
+        scheduleNext(nextDelayMs);
       }
-    }, pollIntervalMs);
+    }, delayMs);
     if (timer && typeof timer.unref === "function") {
       timer.unref();
     }
   };
 
-  scheduleNext();
+  scheduleNext(pollIntervalMs);
 
   return Promise.resolve({
     stop: async () => {
@@ -22,14 +22,8 @@ function resolvePath(baseDir, filePath) {
 }
 
 async function executeSqlStatements(connection, sqlScript) {
-  const statements = sqlScript
-    .split(/;\s*(?:\r?\n|$)/)
-    .map((statement) => statement.trim())
-    .filter((statement) => statement.length > 0);
-  for (const statement of statements) {
-    // eslint-disable-next-line no-await-in-loop
-    await connection.query(statement);
-  }
+  // multipleStatements: el script completo viaja en un solo COM_QUERY y se detiene en el primer error.
+  await connection.query(sqlScript);
 }
 
 async function setupMysql(manifestDir, mysqlOptions = {}) {
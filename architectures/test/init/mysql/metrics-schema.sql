@@ -2,8 +2,9 @@ CREATE DATABASE IF NOT EXISTS test_metrics;
 USE test_metrics;
 
 CREATE TABLE IF NOT EXISTS message_metrics (
-  source TEXT NOT NULL PRIMARY KEY,
-  total_count INTEGER NOT NULL DEFAULT 0,
-  last_received_at TEXT NOT NULL,
-  updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
-);
+  source VARCHAR(191) NOT NULL,
+  total_count INT UNSIGNED NOT NULL DEFAULT 0,
+  last_received_at VARCHAR(32) NOT NULL,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (source)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -273,22 +273,33 @@ async function upsertContract(connection, supplyPointId, order, recordedAt) {
   return fetchContractById(connection, createdId);
 }
 
+// Customer, supply point and contract are written in a single transaction so a failed order leaves no
+// partial rows behind.
 async function persistOrder(connection, order, recordedAt) {
   const customer = order.customer || {};
   const supplyPoint = order.supplyPoint || {};
 
   const createdAt = order.createdAt || recordedAt;
-  const customerId = await ensureCustomer(connection, customer, createdAt);
-  const supplyPointId = await ensureSupplyPoint(connection, customerId, supplyPoint, createdAt);
-  const contractRecord = await upsertContract(connection, supplyPointId, order, recordedAt);
-  const customerRecord = await fetchCustomerById(connection, customerId);
-  const supplyPointRecord = await fetchSupplyPointById(connection, supplyPointId);
-
-  return {
-    customer: customerRecord,
-    supplyPoint: supplyPointRecord,
-    contract: contractRecord,
-  };
+  await connection.beginTransaction();
+  try {
+    const customerId = await ensureCustomer(connection, customer, createdAt);
+    const supplyPointId = await ensureSupplyPoint(connection, customerId, supplyPoint, createdAt);
+    const contractRecord = await upsertContract(connection, supplyPointId, order, recordedAt);
+    const customerRecord = await fetchCustomerById(connection, customerId);
+    const supplyPointRecord = await fetchSupplyPointById(connection, supplyPointId);
+    await connection.commit();
+
+    return {
+      customer: customerRecord,
+      supplyPoint: supplyPointRecord,
+      contract: contractRecord,
+    };
+  } catch (error) {
+    await connection.rollback().catch((rollbackError) => {
+      console.error(`[event-log-to-crm] Error revirtiendo la transacción: ${rollbackError.message}`);
+    });
+    throw error;
+  }
 }
 
 async function publishCrmEvents(eventLogClient, publishQueues, persisted, recordedAt) {
@@ -374,19 +385,18 @@ async function publishCrmEvents(eventLogClient, publishQueues, persisted, record
   }
 }
 
-async function processEvents(connection, events, state, context = {}) {
+// Returns the offset to commit: the one after the last event handled. Failed orders are logged and
+// skipped so a single bad event cannot block the consumer group. The event log may return a batch out of
+// order, so events are handled by offset.
+async function processEvents(connection, events, context = {}) {
   const { eventLogClient, publishQueues } = context;
-  for (const entry of events) {
-    const recordedAt = entry.recordedAt || state.since;
+  let nextOffset = null;
+  for (const entry of [...events].sort((a, b) => a.offset - b.offset)) {
+    const recordedAt = entry.recordedAt || new Date().toISOString();
     const order = ensureOrderPayload(entry);
+    nextOffset = entry.offset + 1;
     if (!order) {
       console.warn("[event-log-to-crm] Evento ignorado por no contener un pedido válido", entry);
-      state.lastProcessedAt = new Date(recordedAt);
-      continue;
-    }
-
-    const recordedTime = new Date(recordedAt);
-    if (state.lastProcessedAt && recordedTime.getTime() <= state.lastProcessedAt.getTime()) {
       continue;
     }
 
@@ -394,15 +404,12 @@ async function processEvents(connection, events, state, context = {}) {
       // eslint-disable-next-line no-await-in-loop
       const persisted = await persistOrder(connection, order, recordedAt);
       await publishCrmEvents(eventLogClient, publishQueues, persisted, recordedAt);
-      state.lastProcessedAt = recordedTime;
       console.info(`[event-log-to-crm] Pedido ${order.orderId || "(sin id)"} almacenado en CRM`);
     } catch (error) {
       console.error(`[event-log-to-crm] Error guardando pedido: ${error.message}`);
-      if (!state.lastProcessedAt || recordedTime.getTime() > state.lastProcessedAt.getTime()) {
-        state.lastProcessedAt = recordedTime;
-      }
     }
   }
+  return nextOffset;
 }
 
 function start(options = {}) {
@@ -411,13 +418,10 @@ function start(options = {}) {
   const pollIntervalMs = options.pollIntervalMs || 4000;
   const eventLogClient = createEventLogClient(eventLogConfig);
   const publishQueues = eventLogConfig.publishQueues || {};
+  const consumerGroup = eventLogConfig.consumerGroup || "event-log-to-crm";
 
   let stopped = false;
   let timer = null;
-  const state = {
-    since: options.startSince || new Date(0).toISOString(),
-    lastProcessedAt: options.startSince ? new Date(options.startSince) : null,
-  };
 
   let connectionPromise = mysql
     .createConnection({
@@ -439,13 +443,10 @@ function start(options = {}) {
     timer = setTimeout(async () => {
       try {
         const connection = await connectionPromise;
-        const events = await eventLogClient.fetchEvents(state.since);
+        const { events } = await eventLogClient.fetchGroupEvents(eventLogClient.defaultQueue, consumerGroup);
         if (events.length > 0) {
-          await processEvents(connection, events, state, { eventLogClient, publishQueues });
-          if (state.lastProcessedAt) {
-            const nextSince = new Date(state.lastProcessedAt.getTime() + 1);
-            state.since = nextSince.toISOString();
-          }
+          const nextOffset = await processEvents(connection, events, { eventLogClient, publishQueues });
+          await eventLogClient.commitOffset(eventLogClient.defaultQueue, consumerGroup, nextOffset);
         }
       } catch (error) {
         console.error(`[event-log-to-crm] Error en ciclo de sondeo: ${error.message}`);
@@ -2,65 +2,70 @@ CREATE DATABASE IF NOT EXISTS crm;
 USE crm;
 
 CREATE TABLE IF NOT EXISTS customers (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  first_name TEXT NOT NULL,
-  last_name TEXT NOT NULL,
-  dni TEXT NOT NULL,
-  created_at TEXT NOT NULL
-);
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  first_name VARCHAR(100) NOT NULL,
+  last_name VARCHAR(150) NOT NULL,
+  dni VARCHAR(20) NOT NULL,
+  created_at VARCHAR(32) NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_customers_dni (dni)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 
 CREATE TABLE IF NOT EXISTS supply_points (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  customer_id INTEGER NOT NULL,
-  address TEXT NOT NULL,
-  cups TEXT NOT NULL,
-  created_at TEXT NOT NULL,
-  FOREIGN KEY (customer_id) REFERENCES customers(id)
-);
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  customer_id INT UNSIGNED NOT NULL,
+  address VARCHAR(255) NOT NULL,
+  cups VARCHAR(32) NOT NULL,
+  created_at VARCHAR(32) NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_supply_points_cups (cups),
+  CONSTRAINT fk_supply_points_customer FOREIGN KEY (customer_id) REFERENCES customers (id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 
 CREATE TABLE IF NOT EXISTS contracts (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  supply_point_id INTEGER NOT NULL,
-  order_id TEXT NOT NULL,
-  tariff_code TEXT NOT NULL,
-  tariff_name TEXT NOT NULL,
-  status TEXT NOT NULL,
-  recorded_at TEXT NOT NULL,
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  supply_point_id INT UNSIGNED NOT NULL,
+  order_id VARCHAR(64) NOT NULL,
+  tariff_code VARCHAR(64) NOT NULL,
+  tariff_name VARCHAR(255) NOT NULL,
+  status VARCHAR(32) NOT NULL,
+  recorded_at VARCHAR(32) NOT NULL,
   raw_payload TEXT NOT NULL,
-  FOREIGN KEY (supply_point_id) REFERENCES supply_points(id)
-);
-
-CREATE INDEX IF NOT EXISTS idx_customers_dni ON customers(dni);
-CREATE INDEX IF NOT EXISTS idx_supply_points_cups ON supply_points(cups);
-CREATE UNIQUE INDEX IF NOT EXISTS idx_contracts_order_id ON contracts(order_id);
+  PRIMARY KEY (id),
+  UNIQUE KEY idx_contracts_order_id (order_id),
+  CONSTRAINT fk_contracts_supply_point FOREIGN KEY (supply_point_id) REFERENCES supply_points (id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 
 CREATE DATABASE IF NOT EXISTS billing;
 USE billing;
 
 CREATE TABLE IF NOT EXISTS customers (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  crm_customer_id INTEGER NOT NULL UNIQUE,
-  first_name TEXT NOT NULL,
-  last_name TEXT NOT NULL,
-  dni TEXT NOT NULL,
-  crm_created_at TEXT NOT NULL,
-  last_event_at TEXT NOT NULL
-);
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  crm_customer_id INT UNSIGNED NOT NULL,
+  first_name VARCHAR(100) NOT NULL,
+  last_name VARCHAR(150) NOT NULL,
+  dni VARCHAR(20) NOT NULL,
+  crm_created_at VARCHAR(32) NOT NULL,
+  last_event_at VARCHAR(32) NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY idx_billing_customers_crm_id (crm_customer_id),
+  KEY idx_billing_customers_dni (dni)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 
 CREATE TABLE IF NOT EXISTS contracts (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  crm_contract_id INTEGER NOT NULL UNIQUE,
-  crm_customer_id INTEGER NOT NULL,
-  order_id TEXT NOT NULL,
-  tariff_code TEXT NOT NULL,
-  tariff_name TEXT NOT NULL,
-  crm_status TEXT NOT NULL,
-  crm_recorded_at TEXT NOT NULL,
-  billing_status TEXT NOT NULL DEFAULT 'pending',
-  cups TEXT,
-  last_event_at TEXT NOT NULL,
-  FOREIGN KEY (crm_customer_id) REFERENCES customers(crm_customer_id)
-);
-
-CREATE INDEX IF NOT EXISTS idx_billing_customers_dni ON customers(dni);
-CREATE INDEX IF NOT EXISTS idx_billing_contracts_customer ON contracts(crm_customer_id);
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  crm_contract_id INT UNSIGNED NOT NULL,
+  crm_customer_id INT UNSIGNED NOT NULL,
+  order_id VARCHAR(64) NOT NULL,
+  tariff_code VARCHAR(64) NOT NULL,
+  tariff_name VARCHAR(255) NOT NULL,
+  crm_status VARCHAR(32) NOT NULL,
+  crm_recorded_at VARCHAR(32) NOT NULL,
+  billing_status VARCHAR(32) NOT NULL DEFAULT 'pending',
+  cups VARCHAR(32),
+  last_event_at VARCHAR(32) NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY idx_billing_contracts_crm_id (crm_contract_id),
+  KEY idx_billing_contracts_customer (crm_customer_id),
+  CONSTRAINT fk_billing_contracts_customer FOREIGN KEY (crm_customer_id) REFERENCES customers (crm_customer_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -79,6 +79,31 @@ async function fetchQueueEvents(baseUrl, queueName, since) {
   return response.events;
 }
 
+function buildConsumerGroupUrl(baseUrl, queueName, groupName, suffix) {
+  if (!queueName || !groupName) {
+    throw new Error("Se requieren la cola y el grupo de consumo del event log");
+  }
+  const path = `/event-log/queues/${encodeURIComponent(queueName)}/consumer-groups/${encodeURIComponent(groupName)}`;
+  return new URL(`${path}${suffix}`, baseUrl);
+}
+
+async function fetchGroupEvents(baseUrl, queueName, groupName, { limit } = {}) {
+  const url = buildConsumerGroupUrl(baseUrl, queueName, groupName, "/events");
+  if (limit) {
+    url.searchParams.set("limit", String(limit));
+  }
+  const response = await requestJson("GET", url.toString());
+  if (!response || !Array.isArray(response.events)) {
+    return { events: [], nextOffset: null };
+  }
+  return { events: response.events, nextOffset: response.nextOffset };
+}
+
+async function commitGroupOffset(baseUrl, queueName, groupName, offset) {
+  const url = buildConsumerGroupUrl(baseUrl, queueName, groupName, "/offsets");
+  return requestJson("POST", url.toString(), { offset });
+}
+
 async function publishQueueEvent(baseUrl, queueName, payload) {
   if (!queueName) {
     throw new Error("Se requiere el nombre de la cola de event log");
@@ -104,6 +129,12 @@ function createEventLogClient(config = {}) {
     async fetchQueueEvents(queueName, since) {
       return fetchQueueEvents(baseUrl, queueName, since);
     },
+    async fetchGroupEvents(queueName, groupName, options) {
+      return fetchGroupEvents(baseUrl, queueName, groupName, options);
+    },
+    async commitOffset(queueName, groupName, offset) {
+      return commitGroupOffset(baseUrl, queueName, groupName, offset);
+    },
     async publishEvent(queueName, payload) {
       return publishQueueEvent(baseUrl, queueName, payload);
     },
@@ -114,6 +145,8 @@ module.exports = {
   normalizeBaseUrl,
   requestJson,
   fetchQueueEvents,
+  fetchGroupEvents,
+  commitGroupOffset,
   publishQueueEvent,
   createEventLogClient,
 };
@@ -310,57 +310,39 @@ function createIngestionLoop(pool, eventLogClient, config = {}) {
   const pollIntervalMs = config.pollIntervalMs || 4000;
   const customerQueue = config.customerQueue || "crm-clients";
   const contractQueue = config.contractQueue || "crm-contracts";
-
-  const state = {
-    customers: {
-      since: config.startSince || new Date(0).toISOString(),
-      lastProcessedAt: config.startSince ? new Date(config.startSince) : null,
-    },
-    contracts: {
-      since: config.startSince || new Date(0).toISOString(),
-      lastProcessedAt: config.startSince ? new Date(config.startSince) : null,
-    },
-  };
+  const consumerGroup = config.consumerGroup || "billing-bff";
 
   let stopped = false;
   let timer = null;
 
-  const processQueue = async (queueName, queueState, handler, queueLabel) => {
+  // Progress lives in the event log as committed offsets of the consumer group, so a restart resumes
+  // exactly after the last handled event instead of re-reading by timestamp.
+  const processQueue = async (queueName, handler, queueLabel) => {
     if (!queueName) {
       return;
     }
-    const events = await eventLogClient.fetchQueueEvents(queueName, queueState.since);
-    if (!Array.isArray(events) || events.length === 0) {
+    const { events, nextOffset } = await eventLogClient.fetchGroupEvents(queueName, consumerGroup);
+    if (events.length === 0) {
       return;
     }
 
-    for (const entry of events) {
+    // The event log may return a batch out of order; handle it by offset and commit the server's nextOffset.
+    const ordered = [...events].sort((a, b) => a.offset - b.offset);
+    for (const entry of ordered) {
       const payload = extractEventPayload(entry);
-      const recordedAt = entry.recordedAt || queueState.since;
-      const recordedTime = new Date(recordedAt);
-      if (queueState.lastProcessedAt && recordedTime <= queueState.lastProcessedAt) {
-        continue;
-      }
-
       if (!payload) {
-        queueState.lastProcessedAt = recordedTime;
         continue;
       }
 
       try {
         // eslint-disable-next-line no-await-in-loop
-        await handler(payload, recordedAt);
-        queueState.lastProcessedAt = recordedTime;
+        await handler(payload, entry.recordedAt || new Date().toISOString());
       } catch (error) {
         console.error(`[utility:billing-bff] Error procesando evento ${queueLabel}: ${error.message}`);
-        queueState.lastProcessedAt = recordedTime;
       }
     }
 
-    if (queueState.lastProcessedAt) {
-      const nextSince = new Date(queueState.lastProcessedAt.getTime() + 1);
-      queueState.since = nextSince.toISOString();
-    }
+    await eventLogClient.commitOffset(queueName, consumerGroup, nextOffset);
   };
 
   const scheduleNext = () => {
@@ -371,13 +353,11 @@ function createIngestionLoop(pool, eventLogClient, config = {}) {
       try {
         await processQueue(
           customerQueue,
-          state.customers,
           (payload, recordedAt) => upsertBillingCustomer(pool, payload, recordedAt),
           "clientes"
         );
         await processQueue(
           contractQueue,
-          state.contracts,
           (payload, recordedAt) => upsertBillingContract(pool, payload, recordedAt),
           "contratos"
         );
@@ -514,7 +494,7 @@ async function start(options = {}) {
     pollIntervalMs: options.eventLog?.pollIntervalMs || options.pollIntervalMs || 4000,
     customerQueue: options.eventLog?.customerQueue || options.customerQueue,
     contractQueue: options.eventLog?.contractQueue || options.contractQueue,
-    startSince: options.eventLog?.startSince || options.startSince,
+    consumerGroup: options.eventLog?.consumerGroup || options.consumerGroup,
   });
 
   return new Promise((resolve, reject) => {
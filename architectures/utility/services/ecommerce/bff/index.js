@@ -67,7 +67,7 @@ function readJsonBody(request) {
   });
 }
 
-function requestJson(method, targetUrl, body) {
+function requestJson(method, targetUrl, body, extraHeaders = {}) {
   const urlObject = new URL(targetUrl);
   const isHttps = urlObject.protocol === "https:";
   const payload = body !== undefined ? JSON.stringify(body) : null;
@@ -80,6 +80,7 @@ function requestJson(method, targetUrl, body) {
       ...(payload
         ? { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(payload) }
         : {}),
+      ...extraHeaders,
     },
   };
   const requestFn = isHttps ? https.request : http.request;
@@ -179,7 +180,8 @@ async function sendToEventLog(eventLogUrl, order) {
     emittedAt: order.createdAt,
     order,
   };
-  await requestJson("POST", eventLogUrl, payload);
+  // El orderId sirve de clave de idempotencia: si el envío se repite, el event log no duplica el pedido.
+  await requestJson("POST", eventLogUrl, payload, { "Idempotency-Key": order.orderId });
 }
 
 async function handleOrder(request, response, config) {
@@ -0,0 +1,26 @@
+"use strict";
+
+// Seedable randomness shared by the simulators' failure injection, so a run can be replayed with the same
+// failureSeed.
+
+// mulberry32: small seedable PRNG returning numbers in [0, 1).
+function createRandom(seed) {
+  let value = seed >>> 0;
+  return () => {
+    value = (value + 0x6d2b79f5) >>> 0;
+    let result = value;
+    result = Math.imul(result ^ (result >>> 15), result | 1);
+    result ^= result + Math.imul(result ^ (result >>> 7), result | 61);
+    return ((result ^ (result >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Without an explicit seed each run gets its own, which is reported so it can be reused.
+function resolveSeed(seed) {
+  return seed === undefined || seed === null ? Date.now() >>> 0 : Number(seed) >>> 0;
+}
+
+module.exports = {
+  createRandom,
+  resolveSeed,
+};
@@ -4,31 +4,132 @@
 // --------------------
 // HTTP API:
 //   POST   /event-log/queues/:name/events
-//          - Body: JSON libre representando el evento a almacenar.
+//          - Body: JSON libre representando el evento a almacenar, o un CloudEvent 1.0 en modo estructurado
+//            (Content-Type application/cloudevents+json) o binario (cabeceras ce-*); ver lib/cloudevents.js.
 //          - Respuestas:
 //              201 { status, queue, id, recordedAt }
-//              400 { error } cuando el payload no es JSON o no es un objeto.
-//   GET    /event-log/queues/:name/events?since=ISO-8601
-//          - Devuelve todos los eventos almacenados para la cola desde la fecha indicada (incluida).
-//          - Los eventos nunca se eliminan.
+//              200 { status: "duplicate", queue, id, recordedAt } si la clave de idempotencia (cabecera
+//                  Idempotency-Key o campo eventId) ya se registró en la cola dentro de la ventana.
+//              400 { error } cuando el payload no es JSON o no es un objeto, o el CloudEvent no es válido.
+//              415 { error } con CloudEvents en lote, data_base64 o datos que no son JSON.
+//              409 { error, queue, id } si la clave de idempotencia ya se usó con un evento distinto.
+//   GET    /event-log/queues/:name/events?since=ISO-8601[&until&type&source&where&limit&cursor]
+//          - Devuelve los eventos conservados de la cola desde la fecha indicada (incluida).
+//          - until (excluida), type y source (listas separadas por comas) y where=ruta=valor (repetible)
+//            filtran el resultado; ver lib/query.js.
+//          - Con limit se pagina: { events, nextCursor } y se repite la consulta con cursor=nextCursor hasta
+//            que sea null. Sin limit se devuelven todos los eventos.
+//   GET    /event-log/search?queue=a,b&since&until&type&source&where&limit&cursor
+//          - Busca en varias colas (todas si no se indica queue), ordenando por recordedAt. limit 100 por
+//            defecto y nextCursor opaco para la página siguiente.
+//   GET    /event-log/queues/:name/events?fromOffset=N&limit=M
+//          - Alternativa a since: devuelve hasta M eventos a partir del offset N (incluido).
+//          - Cada evento lleva un offset secuencial por cola que empieza en 0.
+//   GET    /event-log/queues/:name/consumer-groups
+//          - Lista los grupos de consumo de la cola con su offset confirmado y su lag.
+//   GET    /event-log/queues/:name/consumer-groups/:group
+//          - Estado del grupo: { queue, group, committedOffset, committedAt, latestOffset, lag }.
+//   GET    /event-log/queues/:name/consumer-groups/:group/events?limit=M
+//          - Devuelve hasta M eventos (100 por defecto) desde el offset confirmado del grupo, sin confirmarlos.
+//          - Respuesta: { queue, group, committedOffset, nextOffset, events }.
+//   POST   /event-log/queues/:name/consumer-groups/:group/offsets
+//          - Body: { offset } con el siguiente offset a leer (normalmente el nextOffset de la lectura).
+//          - Respuestas: 200 con el estado del grupo, 400 si el offset no es un entero entre 0 y latestOffset.
+//   GET    /event-log/queues/:name/stream?fromOffset=N | since=ISO-8601
+//          - Server-Sent Events con los eventos de la cola a medida que se registran (id = offset).
+//          - Reanuda desde la cabecera Last-Event-ID, fromOffset o since; sin ellos solo envía eventos nuevos.
+//   GET    /event-log/stream?since=ISO-8601
+//          - Server-Sent Events con los eventos nuevos de todas las colas (id = cola:offset).
+//   GET    /event-log/queues/:name/schemas
+//          - Lista los tipos de evento con esquema registrado en la cola y su última versión.
+//   POST   /event-log/queues/:name/schemas/:type
+//          - Body: { schema } con un JSON Schema. Registra una nueva versión para el tipo de evento.
+//          - Respuestas: 201 nueva versión, 200 si coincide con una versión existente, 400 esquema inválido,
+//            409 { error, incompatibilities } si no es compatible hacia atrás con la versión anterior.
+//   GET    /event-log/queues/:name/schemas/:type[/versions/:version]
+//          - Devuelve la última versión (o la indicada) del esquema del tipo.
+//   Los POST de eventos cuyo `type` (o `eventType`) tiene esquema en la cola se validan contra la última
+//   versión; si no la cumplen se responde 422 { error, type, version, violations: [{ path, message }] }.
+//   GET    /event-log/queues/:name/segments
+//          - Segmentos en disco de la cola: { name, closed, firstOffset, lastOffset, eventCount, bytes, ... }.
+//   GET    /event-log/queues/:name/config
+//   PUT    /event-log/queues/:name/config
+//          - Configuración { segment, retention, compaction } de la cola; PUT solo cambia las claves enviadas.
+//   POST   /event-log/queues/:name/compact
+//          - Cierra el segmento activo y compacta; 400 si la cola no tiene compaction.keyPath.
+//   Todas las lecturas de eventos (listados, búsqueda, grupos de consumo y streams) aceptan
+//   format=cloudevents para recibir cada evento como CloudEvent estructurado, con las extensiones
+//   eventlogqueue y eventlogoffset.
 //   GET    /metrics
 //          - Resumen con el total de eventos y el total por cola.
 //   GET    /microfrontends/event-log-monitor.js
 //          - Entrega el Web Component que visualiza las métricas.
 //
-// Niveles de fallo simulados (start({ failureLevel })):
+// Arranque (start({ replay })):
+//   false (por defecto): purga storageDir y empieza sin eventos.
+//   true: reconstruye eventos y offsets de los grupos de consumo desde los segmentos y offsets.log,
+//         descartando las líneas corruptas. Un {storageDir}/events.log de versiones anteriores a los
+//         segmentos se migra a ellos.
+//
+// Almacenamiento (start({ segments, retention, queues })):
+//   Cada cola escribe en segmentos {storageDir}/queues/<cola>/<YYYYMMDD-HHMM>[-N]/events.log que se cierran
+//   al superar segments.maxBytes o segments.maxAgeSeconds. La retención (maxAgeSeconds, maxBytes) elimina
+//   segmentos cerrados antiguos y la compactación (queues.<cola>.compaction.keyPath) deja en ellos solo el
+//   último evento de cada clave. Los offsets no se renumeran.
+//
+// Idempotencia (start({ idempotency: { windowSeconds } })):
+//   Las claves de idempotencia se recuerdan por cola durante windowSeconds (300 por defecto); un reintento
+//   con la misma clave y el mismo evento devuelve el registro original sin añadir otro.
+//
+// Niveles de fallo simulados (start({ failureLevel, failureSeed })):
 //   0 (por defecto): operación perfecta, sin fallos artificiales.
-//   1-3: reservado para futuras simulaciones (actualmente no se inyectan fallos).
+//   1-3: escrituras perdidas que responden 201, visibilidad retrasada, lecturas desordenadas, 500
+//        intermitentes y latencia añadida, con más probabilidad a mayor nivel (ver lib/failures.js). Solo
+//        afectan a la publicación y lectura de eventos, no a streams, esquemas, configuración ni métricas.
 
 const http = require("node:http");
 const fs = require("node:fs");
 const path = require("node:path");
 const { URL } = require("node:url");
+const { isDeepStrictEqual } = require("node:util");
+const { SchemaCompatibilityError, createSchemaRegistry } = require("./lib/schema-registry");
+const { createFailureInjector } = require("./lib/failures");
+const { CloudEventError, parseCloudEvent, toCloudEvent } = require("./lib/cloudevents");
+const {
+  ensureDirectory,
+  readJsonLines,
+  createSegment,
+  appendToSegment,
+  rewriteSegment,
+  removeSegment,
+  readStoredQueues,
+} = require("./lib/storage");
+const {
+  readPath,
+  parseEventQuery,
+  matchesQuery,
+  encodeSearchCursor,
+  decodeSearchCursor,
+  compareSearchOrder,
+} = require("./lib/query");
 
 const DEFAULT_PORT = 4400;
 const DEFAULT_STORAGE_DIR = path.join(__dirname, "data");
-const EVENTS_FILENAME = "events.log";
+const OFFSETS_FILENAME = "offsets.log";
+// Fichero único de eventos anterior a los segmentos; se migra al reproducir y se renombra con el sufijo.
+const LEGACY_EVENTS_FILENAME = "events.log";
+const LEGACY_MIGRATED_SUFFIX = ".migrated";
+const SCHEMAS_FILENAME = "schemas.log";
 const MICROFRONTEND_FILENAME = "event-log-monitor.microfrontend";
+const DEFAULT_FETCH_LIMIT = 100;
+const MAX_FETCH_LIMIT = 1000;
+const STREAM_HEARTBEAT_MS = 15000;
+const STREAM_RETRY_MS = 2000;
+const DEFAULT_SEGMENT_MAX_BYTES = 1024 * 1024;
+const DEFAULT_SEGMENT_MAX_AGE_SECONDS = 60;
+const MAINTENANCE_INTERVAL_MS = 5000;
+const DEFAULT_IDEMPOTENCY_WINDOW_SECONDS = 300;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
 
 let cachedMicrofrontendScript = null;
 
@@ -40,10 +141,6 @@ function readMicrofrontendScript() {
   return cachedMicrofrontendScript;
 }
 
-function ensureDirectory(directoryPath) {
-  fs.mkdirSync(directoryPath, { recursive: true });
-}
-
 function purgeStorage(storageDir, logPrefix = "[event-log]") {
   if (fs.existsSync(storageDir)) {
     fs.rmSync(storageDir, { recursive: true, force: true });
@@ -52,7 +149,8 @@ function purgeStorage(storageDir, logPrefix = "[event-log]") {
   console.info(`${logPrefix} Estado en disco purgado en ${storageDir}`);
 }
 
-function readRequestBody(request) {
+// Con allowEmpty un cuerpo vacío se resuelve como undefined en lugar de rechazarse.
+function readRequestBody(request, { allowEmpty = false } = {}) {
   return new Promise((resolve, reject) => {
     let body = "";
     request.on("data", (chunk) => {
@@ -63,6 +161,10 @@ function readRequestBody(request) {
       }
     });
     request.on("end", () => {
+      if (!body && allowEmpty) {
+        resolve(undefined);
+        return;
+      }
       if (!body) {
         reject(new Error("Payload vacío"));
         return;
@@ -111,74 +213,811 @@ function parseSinceParam(urlInstance) {
   return { sinceParam, sinceDate };
 }
 
-function createEventStore(storageFilePath) {
-  const eventsByQueue = new Map();
-  let totalEvents = 0;
+function parseOffsetParam(urlInstance) {
+  const offsetParam = urlInstance.searchParams.get("fromOffset");
+  const offset = Number(offsetParam);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error("El parámetro 'fromOffset' debe ser un entero mayor o igual que 0");
+  }
+  return offset;
+}
+
+function parseCursorParam(urlInstance) {
+  const cursorParam = urlInstance.searchParams.get("cursor");
+  if (cursorParam === null) {
+    return 0;
+  }
+  const cursor = Number(cursorParam);
+  if (cursorParam === "" || !Number.isInteger(cursor) || cursor < 0) {
+    throw new Error("El parámetro 'cursor' no es válido");
+  }
+  return cursor;
+}
+
+function parseLimitParam(urlInstance) {
+  const limitParam = urlInstance.searchParams.get("limit");
+  if (limitParam === null) {
+    return DEFAULT_FETCH_LIMIT;
+  }
+  const limit = Number(limitParam);
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw new Error("El parámetro 'limit' debe ser un entero positivo");
+  }
+  return Math.min(limit, MAX_FETCH_LIMIT);
+}
+
+// La cabecera Idempotency-Key tiene prioridad sobre el campo `eventId` del propio evento. En los CloudEvents la
+// clave por defecto es source + id, que la especificación define como únicos para cada evento.
+// Solo la cabecera se valida: `eventId` es un campo de negocio que ya existía, así que un número se usa como texto
+// y cualquier otro valor que no sirva de clave deja el evento sin ella, como antes de la idempotencia.
+function resolveIdempotencyKey(request, payload, cloudEvent) {
+  const header = request.headers["idempotency-key"];
+  if (header !== undefined) {
+    const key = header.trim();
+    if (!key || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      throw new Error(`La cabecera Idempotency-Key debe ser un texto de 1 a ${MAX_IDEMPOTENCY_KEY_LENGTH} caracteres`);
+    }
+    return key;
+  }
+  if (cloudEvent) {
+    return `${cloudEvent.attributes.source}#${cloudEvent.attributes.id}`;
+  }
+  const key = Number.isFinite(payload.eventId) ? String(payload.eventId) : payload.eventId;
+  if (typeof key !== "string" || !key || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return null;
+  }
+  return key;
+}
+
+// format=cloudevents devuelve cada evento como un CloudEvent estructurado en lugar de la entrada del log.
+function parseFormatParam(urlInstance) {
+  const format = urlInstance.searchParams.get("format");
+  if (format === null || format === "entries") {
+    return (entry) => entry;
+  }
+  if (format === "cloudevents") {
+    return toCloudEvent;
+  }
+  throw new Error("El parámetro 'format' debe ser 'entries' o 'cloudevents'");
+}
+
+function parsePositiveNumber(value, label, { nullable = false } = {}) {
+  if (nullable && value === null) {
+    return null;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    throw new Error(`'${label}' debe ser un número positivo${nullable ? " o null" : ""}`);
+  }
+  return parsed;
+}
+
+// Combina una configuración de cola con los cambios indicados, validándolos. Se usa tanto para los valores
+// por defecto de start() como para la configuración por cola y para PUT /config.
+function buildQueueConfig(base, overrides = {}) {
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new Error("La configuración de la cola debe ser un objeto");
+  }
+  const segment = { ...base.segment };
+  for (const key of ["maxBytes", "maxAgeSeconds"]) {
+    if (overrides.segment && overrides.segment[key] !== undefined) {
+      segment[key] = parsePositiveNumber(overrides.segment[key], `segment.${key}`);
+    }
+  }
+  const retention = { ...base.retention };
+  for (const key of ["maxBytes", "maxAgeSeconds"]) {
+    if (overrides.retention && overrides.retention[key] !== undefined) {
+      retention[key] = parsePositiveNumber(overrides.retention[key], `retention.${key}`, { nullable: true });
+    }
+  }
+  let { compaction } = base;
+  if (overrides.compaction !== undefined) {
+    const keyPath = overrides.compaction && overrides.compaction.keyPath;
+    if (overrides.compaction !== null && (typeof keyPath !== "string" || !keyPath.trim())) {
+      throw new Error("'compaction.keyPath' debe ser una ruta no vacía, por ejemplo 'order.orderId'");
+    }
+    compaction = overrides.compaction === null ? null : { keyPath: keyPath.trim() };
+  }
+  return { segment, retention, compaction };
+}
+
+// Clave de compactación: ruta con puntos dentro del payload ("order.orderId", opcionalmente con prefijo "$.").
+function extractKey(payload, keyPath) {
+  const value = readPath(payload, keyPath);
+  return value === undefined || value === null ? undefined : JSON.stringify(value);
+}
+
+// Primer índice de `events` (ordenados por offset) cuyo offset es >= offset.
+function lowerBound(events, offset) {
+  let low = 0;
+  let high = events.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (events[middle].offset < offset) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+function describeSegment(segment) {
+  return {
+    name: segment.name,
+    closed: segment.closed,
+    firstOffset: segment.firstOffset,
+    lastOffset: segment.lastOffset,
+    eventCount: segment.eventCount,
+    bytes: segment.bytes,
+    createdAt: new Date(segment.createdAt).toISOString(),
+    lastRecordedAt: segment.lastRecordedAt,
+  };
+}
+
+function createEventStore({ storageDir, offsetsFilePath, defaults, queueConfigs = {}, idempotencyWindowSeconds }) {
+  // queue -> { name, events, nextOffset, segments, config }. `events` solo contiene lo que conservan la
+  // retención y la compactación, así que los offsets pueden tener huecos.
+  const queues = new Map();
+  // queue -> Map(group -> { committedOffset, committedAt })
+  const groupsByQueue = new Map();
+  // Callbacks de las conexiones de streaming, invocados con el nombre de la cola cuando puede tener eventos
+  // visibles nuevos: al registrar uno y al vencer la visibilidad retrasada de otro.
+  const listeners = new Set();
+  const visibilityTimers = new Set();
   let sequence = 0;
+  let maintenanceTimer = null;
 
   function ensureQueue(queueName) {
-    if (!eventsByQueue.has(queueName)) {
-      eventsByQueue.set(queueName, []);
+    if (!queues.has(queueName)) {
+      queues.set(queueName, {
+        name: queueName,
+        events: [],
+        nextOffset: 0,
+        segments: [],
+        config: buildQueueConfig(defaults, queueConfigs[queueName]),
+        // idempotencyKey -> { entry, expiresAt }. Se guarda aparte de `events` para que la compactación o la
+        // retención no hagan que un reintento se registre de nuevo dentro de la ventana.
+        idempotencyKeys: new Map(),
+        // offset -> instante a partir del cual es visible, para los eventos con visibilidad retrasada.
+        hiddenUntil: new Map(),
+      });
     }
-    return eventsByQueue.get(queueName);
+    return queues.get(queueName);
   }
 
-  function persistEvent(entry) {
-    const serialized = `${JSON.stringify(entry)}\n`;
-    fs.promises.appendFile(storageFilePath, serialized).catch((error) => {
-      console.error(`[event-log] Error al persistir evento ${entry.id}: ${error.message}`);
-    });
+  function ensureGroup(queueName, groupName) {
+    if (!groupsByQueue.has(queueName)) {
+      groupsByQueue.set(queueName, new Map());
+    }
+    const groups = groupsByQueue.get(queueName);
+    if (!groups.has(groupName)) {
+      groups.set(groupName, { committedOffset: 0, committedAt: null });
+    }
+    return groups.get(groupName);
+  }
+
+  function describeGroup(queueName, groupName) {
+    const group = ensureGroup(queueName, groupName);
+    const latestOffset = ensureQueue(queueName).nextOffset;
+    return {
+      queue: queueName,
+      group: groupName,
+      committedOffset: group.committedOffset,
+      committedAt: group.committedAt,
+      latestOffset,
+      lag: latestOffset - group.committedOffset,
+    };
+  }
+
+  // Se escribe antes de responder, como los eventos, para que un reinicio justo después no pierda el commit.
+  function persistCommit(queueName, groupName, group) {
+    const serialized = `${JSON.stringify({ queue: queueName, group: groupName, ...group })}\n`;
+    try {
+      fs.appendFileSync(offsetsFilePath, serialized);
+    } catch (error) {
+      console.error(`[event-log] Error al persistir offset de ${groupName} en ${queueName}: ${error.message}`);
+    }
+  }
+
+  function dropOldestSegment(queue) {
+    const segment = queue.segments.shift();
+    removeSegment(segment);
+    queue.events.splice(0, lowerBound(queue.events, segment.lastOffset + 1));
+    console.debug(`[event-log] Segmento ${segment.name} de ${queue.name} eliminado por retención`);
+  }
+
+  // Solo se eliminan segmentos cerrados y nunca el más reciente, que conserva el último offset de la cola.
+  function enforceRetention(queue, now = Date.now()) {
+    const { maxAgeSeconds, maxBytes } = queue.config.retention;
+    const canDrop = () => queue.segments.length > 1 && queue.segments[0].closed;
+    if (maxAgeSeconds !== null) {
+      while (canDrop() && now - Date.parse(queue.segments[0].lastRecordedAt) > maxAgeSeconds * 1000) {
+        dropOldestSegment(queue);
+      }
+    }
+    if (maxBytes !== null) {
+      const storedBytes = () => queue.segments.reduce((total, segment) => total + segment.bytes, 0);
+      while (canDrop() && storedBytes() > maxBytes) {
+        dropOldestSegment(queue);
+      }
+    }
   }
 
-  function recordEvent(queueName, payload) {
-    const queueEvents = ensureQueue(queueName);
+  // Como en los topics compactados de Kafka, en los segmentos cerrados solo sobrevive el último evento de
+  // cada clave; el segmento activo y los eventos sin clave no se tocan. Los offsets no se renumeran.
+  function compactQueue(queue) {
+    if (!queue.config.compaction) {
+      return 0;
+    }
+    const { keyPath } = queue.config.compaction;
+    const latestByKey = new Map();
+    for (const entry of queue.events) {
+      const key = extractKey(entry.event, keyPath);
+      if (key !== undefined) {
+        latestByKey.set(key, entry.offset);
+      }
+    }
+    const removedOffsets = new Set();
+    for (const segment of [...queue.segments]) {
+      if (!segment.closed) {
+        continue;
+      }
+      const start = lowerBound(queue.events, segment.firstOffset);
+      const segmentEvents = queue.events.slice(start, lowerBound(queue.events, segment.lastOffset + 1));
+      // Una sola pasada por segmento: cada evento se conserva o se descarta sin volver a buscarlo.
+      const kept = [];
+      for (const entry of segmentEvents) {
+        const key = extractKey(entry.event, keyPath);
+        if (key === undefined || latestByKey.get(key) === entry.offset) {
+          kept.push(entry);
+        } else {
+          removedOffsets.add(entry.offset);
+        }
+      }
+      if (kept.length === segmentEvents.length) {
+        continue;
+      }
+      if (kept.length === 0 && segment !== queue.segments[queue.segments.length - 1]) {
+        removeSegment(segment);
+        queue.segments.splice(queue.segments.indexOf(segment), 1);
+      } else {
+        rewriteSegment(segment, kept);
+      }
+    }
+    if (removedOffsets.size > 0) {
+      queue.events = queue.events.filter((entry) => !removedOffsets.has(entry.offset));
+      console.debug(`[event-log] Compactados ${removedOffsets.size} eventos de ${queue.name}`);
+    }
+    return removedOffsets.size;
+  }
+
+  function closeActiveSegment(queue) {
+    const active = queue.segments[queue.segments.length - 1];
+    if (!active || active.closed) {
+      return 0;
+    }
+    active.closed = true;
+    const removed = compactQueue(queue);
+    enforceRetention(queue);
+    return removed;
+  }
+
+  // El segmento activo se cierra al alcanzar el tamaño o la antigüedad máximos y el evento va a uno nuevo.
+  function getActiveSegment(queue, now) {
+    const { maxBytes, maxAgeSeconds } = queue.config.segment;
+    const active = queue.segments[queue.segments.length - 1];
+    if (active && !active.closed && (active.bytes >= maxBytes || now.getTime() - active.createdAt >= maxAgeSeconds * 1000)) {
+      closeActiveSegment(queue);
+    }
+    const current = queue.segments[queue.segments.length - 1];
+    if (current && !current.closed) {
+      return current;
+    }
+    const segment = { ...createSegment(storageDir, queue.name, now), closed: false };
+    queue.segments.push(segment);
+    return segment;
+  }
+
+  function rememberIdempotencyKey(queue, entry) {
+    const expiresAt = Date.parse(entry.recordedAt) + idempotencyWindowSeconds * 1000;
+    if (expiresAt > Date.now()) {
+      queue.idempotencyKeys.set(entry.idempotencyKey, { entry, expiresAt });
+    }
+  }
+
+  function findIdempotentEvent(queueName, idempotencyKey) {
+    const remembered = ensureQueue(queueName).idempotencyKeys.get(idempotencyKey);
+    return remembered && remembered.expiresAt > Date.now() ? remembered.entry : null;
+  }
+
+  // Las lecturas solo ven la cola hasta el primer evento aún no visible, como el high watermark de Kafka:
+  // un consumidor por offsets no puede saltarse un evento retrasado.
+  function visibleEvents(queue, now = Date.now()) {
+    let visibleLimit = Infinity;
+    for (const [offset, visibleAt] of queue.hiddenUntil) {
+      if (visibleAt <= now) {
+        queue.hiddenUntil.delete(offset);
+      } else {
+        visibleLimit = Math.min(visibleLimit, offset);
+      }
+    }
+    return visibleLimit === Infinity ? queue.events : queue.events.slice(0, lowerBound(queue.events, visibleLimit));
+  }
+
+  function createEventId(date) {
     sequence += 1;
-    const recordedAt = new Date().toISOString();
+    return `evt_${date.getTime()}_${sequence}`;
+  }
+
+  function recordEvent(
+    queueName,
+    payload,
+    { schemaVersion = null, idempotencyKey = null, visibleAt = null, cloudEvent = null, withoutData = false } = {}
+  ) {
+    const queue = ensureQueue(queueName);
+    const now = new Date();
     const entry = {
-      id: `evt_${Date.now()}_${sequence}`,
+      id: createEventId(now),
       queue: queueName,
-      recordedAt,
+      offset: queue.nextOffset,
+      recordedAt: now.toISOString(),
+      ...(schemaVersion !== null ? { schemaVersion } : {}),
+      ...(idempotencyKey !== null ? { idempotencyKey } : {}),
+      ...(cloudEvent !== null ? { cloudEvent } : {}),
+      ...(withoutData ? { cloudEventWithoutData: true } : {}),
       event: payload,
     };
-    queueEvents.push(entry);
-    totalEvents += 1;
-    persistEvent(entry);
+    queue.nextOffset += 1;
+    queue.events.push(entry);
+    if (idempotencyKey !== null) {
+      rememberIdempotencyKey(queue, entry);
+    }
+    if (visibleAt !== null) {
+      queue.hiddenUntil.set(entry.offset, visibleAt);
+      scheduleVisibilityNotice(queueName, visibleAt);
+    }
+    try {
+      appendToSegment(getActiveSegment(queue, now), entry);
+    } catch (error) {
+      console.error(`[event-log] Error al persistir evento ${entry.id}: ${error.message}`);
+    }
+    notifyListeners(queueName);
     return entry;
   }
 
+  function notifyListeners(queueName) {
+    for (const listener of listeners) {
+      listener(queueName);
+    }
+  }
+
+  // Al hacerse visible, un evento retrasado libera también los posteriores de su cola que esperaban tras él.
+  function scheduleVisibilityNotice(queueName, visibleAt) {
+    const timer = setTimeout(() => {
+      visibilityTimers.delete(timer);
+      if (Date.now() < visibleAt) {
+        scheduleVisibilityNotice(queueName, visibleAt);
+        return;
+      }
+      notifyListeners(queueName);
+    }, visibleAt - Date.now());
+    timer.unref();
+    visibilityTimers.add(timer);
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  // Offset del primer evento que las lecturas aún no ven (el siguiente por escribir si se ven todos).
+  function getVisibleOffset(queueName) {
+    const queue = ensureQueue(queueName);
+    const visible = visibleEvents(queue);
+    return visible.length < queue.events.length ? queue.events[visible.length].offset : queue.nextOffset;
+  }
+
+  function getVisibleOffsets() {
+    return new Map(Array.from(queues.keys(), (queueName) => [queueName, getVisibleOffset(queueName)]));
+  }
+
   function listEvents(queueName, sinceDate) {
-    const queueEvents = ensureQueue(queueName);
     const sinceTime = sinceDate.getTime();
-    return queueEvents.filter((event) => new Date(event.recordedAt).getTime() >= sinceTime);
+    return visibleEvents(ensureQueue(queueName)).filter((event) => new Date(event.recordedAt).getTime() >= sinceTime);
+  }
+
+  function listAllEvents(sinceDate) {
+    return Array.from(queues.keys())
+      .flatMap((queueName) => listEvents(queueName, sinceDate))
+      .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+  }
+
+  function listFromOffset(queueName, offset, limit) {
+    const events = visibleEvents(ensureQueue(queueName));
+    const start = lowerBound(events, offset);
+    return events.slice(start, start + limit);
+  }
+
+  // Recorre la cola desde el offset `cursor` y devuelve hasta `limit` eventos que cumplen la consulta. Si
+  // quedan más, nextCursor es el offset desde el que continuar; limit null devuelve todos.
+  function queryEvents(queueName, query, { cursor = 0, limit = null } = {}) {
+    const events = visibleEvents(ensureQueue(queueName));
+    const matches = [];
+    for (let index = lowerBound(events, cursor); index < events.length; index += 1) {
+      if (!matchesQuery(events[index], query)) {
+        continue;
+      }
+      if (limit !== null && matches.length === limit) {
+        return { events: matches, nextCursor: String(events[index].offset) };
+      }
+      matches.push(events[index]);
+    }
+    return { events: matches, nextCursor: null };
+  }
+
+  // Búsqueda entre colas (todas si queueNames es null) ordenada por recordedAt; `after` es el último evento
+  // de la página anterior.
+  function searchEvents(queueNames, query, { after = null, limit }) {
+    const names = queueNames || Array.from(queues.keys());
+    const matches = names
+      .filter((queueName) => queues.has(queueName))
+      .flatMap((queueName) => visibleEvents(queues.get(queueName)).filter((entry) => matchesQuery(entry, query)))
+      .filter((entry) => after === null || compareSearchOrder(entry, after) > 0)
+      .sort(compareSearchOrder);
+    const page = matches.slice(0, limit);
+    return {
+      events: page,
+      nextCursor: matches.length > limit ? encodeSearchCursor(page[page.length - 1]) : null,
+    };
+  }
+
+  function fetchForGroup(queueName, groupName, limit) {
+    const group = ensureGroup(queueName, groupName);
+    const events = listFromOffset(queueName, group.committedOffset, limit);
+    return {
+      committedOffset: group.committedOffset,
+      nextOffset: events.length > 0 ? events[events.length - 1].offset + 1 : group.committedOffset,
+      events,
+    };
+  }
+
+  // Committing may move backwards as well, which lets a group rewind and reprocess the queue.
+  function commitOffset(queueName, groupName, offset) {
+    const latestOffset = ensureQueue(queueName).nextOffset;
+    if (!Number.isInteger(offset) || offset < 0 || offset > latestOffset) {
+      throw new Error(`El offset debe ser un entero entre 0 y ${latestOffset}`);
+    }
+    const group = ensureGroup(queueName, groupName);
+    group.committedOffset = offset;
+    group.committedAt = new Date().toISOString();
+    persistCommit(queueName, groupName, group);
+    return describeGroup(queueName, groupName);
+  }
+
+  function describeQueueConfig(queueName) {
+    return { queue: queueName, ...ensureQueue(queueName).config };
+  }
+
+  function configureQueue(queueName, overrides) {
+    const queue = ensureQueue(queueName);
+    queue.config = buildQueueConfig(queue.config, overrides);
+    compactQueue(queue);
+    enforceRetention(queue);
+    return describeQueueConfig(queueName);
+  }
+
+  // Cierra el segmento activo para que todos los eventos entren en la compactación.
+  function compactNow(queueName) {
+    const queue = ensureQueue(queueName);
+    if (!queue.config.compaction) {
+      throw new Error(`La cola ${queueName} no tiene compactación configurada`);
+    }
+    const removedCount = closeActiveSegment(queue) + compactQueue(queue);
+    return { queue: queueName, removedCount, segments: queue.segments.map(describeSegment) };
+  }
+
+  function listSegments(queueName) {
+    return ensureQueue(queueName).segments.map(describeSegment);
+  }
+
+  function runMaintenance(now = Date.now()) {
+    for (const queue of queues.values()) {
+      for (const [key, { expiresAt }] of queue.idempotencyKeys) {
+        if (expiresAt <= now) {
+          queue.idempotencyKeys.delete(key);
+        }
+      }
+      const active = queue.segments[queue.segments.length - 1];
+      if (active && !active.closed && now - active.createdAt >= queue.config.segment.maxAgeSeconds * 1000) {
+        closeActiveSegment(queue);
+      } else {
+        enforceRetention(queue, now);
+      }
+    }
+  }
+
+  function startMaintenance(intervalMs) {
+    maintenanceTimer = setInterval(() => runMaintenance(), intervalMs);
+    maintenanceTimer.unref();
+  }
+
+  function close() {
+    if (maintenanceTimer) {
+      clearInterval(maintenanceTimer);
+      maintenanceTimer = null;
+    }
+    visibilityTimers.forEach((timer) => clearTimeout(timer));
+    visibilityTimers.clear();
+  }
+
+  // Reconstruye el estado a partir de los segmentos y del fichero de offsets. Los segmentos reproducidos
+  // quedan cerrados y los eventos nuevos se escriben en uno nuevo.
+  function replayFromDisk() {
+    const isEvent = (record) =>
+      record &&
+      typeof record === "object" &&
+      typeof record.queue === "string" &&
+      Number.isInteger(record.offset) &&
+      record.event;
+    const stored = readStoredQueues(storageDir, isEvent);
+    let eventCount = 0;
+    for (const { queueName, segments } of stored.queues) {
+      const queue = ensureQueue(queueName);
+      for (const { segment, records } of segments) {
+        queue.segments.push({ ...segment, closed: true });
+        queue.events.push(...records);
+        eventCount += records.length;
+      }
+      queue.events.sort((a, b) => a.offset - b.offset);
+      queue.nextOffset = queue.events.length > 0 ? queue.events[queue.events.length - 1].offset + 1 : 0;
+      queue.events
+        .filter((entry) => typeof entry.idempotencyKey === "string")
+        .forEach((entry) => rememberIdempotencyKey(queue, entry));
+    }
+    const legacy = migrateLegacyLog();
+    eventCount += legacy.events;
+    sequence = eventCount;
+
+    const isCommit = (record) =>
+      record &&
+      typeof record === "object" &&
+      typeof record.queue === "string" &&
+      typeof record.group === "string" &&
+      Number.isInteger(record.committedOffset);
+    const commits = readJsonLines(offsetsFilePath, isCommit);
+    commits.records.sort((a, b) => String(a.committedAt).localeCompare(String(b.committedAt)));
+    for (const commit of commits.records) {
+      const group = ensureGroup(commit.queue, commit.group);
+      group.committedOffset = Math.min(commit.committedOffset, ensureQueue(commit.queue).nextOffset);
+      group.committedAt = commit.committedAt || null;
+    }
+
+    return {
+      events: eventCount,
+      commits: commits.records.length,
+      corruptLines: stored.corruptLines + legacy.corruptLines + commits.corruptLines,
+      legacyEvents: legacy.events,
+      skippedLegacyQueues: legacy.skippedQueues,
+    };
+  }
+
+  // Antes de los segmentos todas las colas escribían en {storageDir}/events.log. Sus eventos pasan a segmentos
+  // de su cola con los offsets que les daba aquella reproducción (orden de offset y, sin él, de llegada), de modo
+  // que offsets.log sigue siendo válido, y el fichero se renombra para no migrarlo dos veces. Una cola que ya
+  // tiene segmentos no se migra: sus offsets se solaparían con los nuevos.
+  function migrateLegacyLog() {
+    const legacyPath = path.join(storageDir, LEGACY_EVENTS_FILENAME);
+    if (!fs.existsSync(legacyPath)) {
+      return { events: 0, corruptLines: 0, skippedQueues: [] };
+    }
+    const isLegacyEvent = (record) =>
+      record && typeof record === "object" && typeof record.queue === "string" && record.queue && record.event;
+    const { records, corruptLines } = readJsonLines(legacyPath, isLegacyEvent);
+    const recordsByQueue = new Map();
+    for (const record of records) {
+      if (!recordsByQueue.has(record.queue)) {
+        recordsByQueue.set(record.queue, []);
+      }
+      recordsByQueue.get(record.queue).push(record);
+    }
+    const now = new Date();
+    const skippedQueues = [];
+    let events = 0;
+    for (const [queueName, queueRecords] of recordsByQueue) {
+      const queue = ensureQueue(queueName);
+      if (queue.segments.length > 0) {
+        skippedQueues.push(queueName);
+        continue;
+      }
+      queueRecords.sort((a, b) => (a.offset ?? Infinity) - (b.offset ?? Infinity));
+      queueRecords.forEach((record, offset) => {
+        const entry = { ...record, offset };
+        queue.events.push(entry);
+        appendToSegment(getActiveSegment(queue, now), entry);
+      });
+      queue.nextOffset = queueRecords.length;
+      events += queueRecords.length;
+    }
+    fs.renameSync(legacyPath, `${legacyPath}${LEGACY_MIGRATED_SUFFIX}`);
+    return { events, corruptLines, skippedQueues };
+  }
+
+  function listGroups(queueName) {
+    const groups = groupsByQueue.get(queueName);
+    if (!groups) {
+      return [];
+    }
+    return Array.from(groups.keys()).map((groupName) => describeGroup(queueName, groupName));
   }
 
   function getMetrics() {
-    const queues = Array.from(eventsByQueue.entries()).map(([name, events]) => ({
-      name,
-      totalEvents: events.length,
-      lastEventAt: events.length > 0 ? events[events.length - 1].recordedAt : null,
-    }));
-    queues.sort((a, b) => a.name.localeCompare(b.name, "es"));
+    const queueMetrics = Array.from(queues.values()).map((queue) => {
+      const { events } = queue;
+      return {
+        name: queue.name,
+        totalEvents: events.length,
+        lastEventAt: events.length > 0 ? events[events.length - 1].recordedAt : null,
+        startOffset: events.length > 0 ? events[0].offset : queue.nextOffset,
+        latestOffset: queue.nextOffset,
+        segmentCount: queue.segments.length,
+        storedBytes: queue.segments.reduce((total, segment) => total + segment.bytes, 0),
+        compacted: Boolean(queue.config.compaction),
+        consumerGroups: listGroups(queue.name).map(({ group, committedOffset, lag }) => ({
+          name: group,
+          committedOffset,
+          lag,
+        })),
+      };
+    });
+    queueMetrics.sort((a, b) => a.name.localeCompare(b.name, "es"));
     return {
-      totalEvents,
-      queues,
+      totalEvents: queueMetrics.reduce((total, queue) => total + queue.totalEvents, 0),
+      queues: queueMetrics,
     };
   }
 
   return {
+    createEventId,
     recordEvent,
+    findIdempotentEvent,
     listEvents,
+    listAllEvents,
+    listFromOffset,
+    queryEvents,
+    searchEvents,
+    fetchForGroup,
+    commitOffset,
+    describeGroup,
+    listGroups,
+    describeQueueConfig,
+    configureQueue,
+    compactNow,
+    listSegments,
+    startMaintenance,
+    close,
+    replayFromDisk,
+    subscribe,
+    getVisibleOffset,
+    getVisibleOffsets,
     getMetrics,
   };
 }
 
+// Resuelve desde qué offset empieza un stream de cola. Last-Event-ID tiene prioridad para que
+// EventSource reanude sin huecos tras una reconexión; sin ningún parámetro solo se envían eventos nuevos, que
+// incluyen los ya registrados que aún no son visibles.
+function resolveStreamStart(request, urlInstance, store, queueName) {
+  const lastEventId = request.headers["last-event-id"];
+  if (lastEventId !== undefined && lastEventId !== "") {
+    const lastOffset = Number(lastEventId);
+    if (!Number.isInteger(lastOffset) || lastOffset < -1) {
+      throw new Error("La cabecera Last-Event-ID debe ser un offset entero");
+    }
+    return lastOffset + 1;
+  }
+  if (urlInstance.searchParams.has("fromOffset")) {
+    return parseOffsetParam(urlInstance);
+  }
+  if (urlInstance.searchParams.has("since")) {
+    const [first] = store.listEvents(queueName, parseSinceParam(urlInstance).sinceDate);
+    return first ? first.offset : store.getVisibleOffset(queueName);
+  }
+  return store.getVisibleOffset(queueName);
+}
+
+function openEventStream(response, streams) {
+  response.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "Access-Control-Allow-Origin": "*",
+  });
+  response.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+  const heartbeat = setInterval(() => response.write(": ping\n\n"), STREAM_HEARTBEAT_MS);
+  streams.add(response);
+  response.on("close", () => {
+    clearInterval(heartbeat);
+    streams.delete(response);
+  });
+}
+
+function writeStreamEvent(response, id, entry) {
+  response.write(`id: ${id}\ndata: ${JSON.stringify(entry)}\n\n`);
+}
+
+function handleSchemaRoutes(request, response, { pathname, method, registry, registerSchema }) {
+  const listMatch = pathname.match(/^\/event-log\/queues\/([^/]+)\/schemas$/);
+  if (listMatch && method === "GET") {
+    const queueName = decodeURIComponent(listMatch[1]);
+    sendJson(response, 200, { queue: queueName, schemas: registry.listSchemas(queueName) });
+    return true;
+  }
+
+  const typeMatch = pathname.match(/^\/event-log\/queues\/([^/]+)\/schemas\/([^/]+)(?:\/versions\/([^/]+))?$/);
+  if (!typeMatch) {
+    return false;
+  }
+  const queueName = decodeURIComponent(typeMatch[1]);
+  const type = decodeURIComponent(typeMatch[2]);
+  const versionParam = typeMatch[3];
+
+  if (method === "GET" && versionParam !== undefined) {
+    const record = registry.getSchema(queueName, type, Number(versionParam));
+    if (!record) {
+      sendNotFound(response);
+      return true;
+    }
+    sendJson(response, 200, { queue: queueName, type, ...record });
+    return true;
+  }
+
+  if (method === "GET") {
+    const description = registry.describeType(queueName, type);
+    if (!description) {
+      sendNotFound(response);
+      return true;
+    }
+    sendJson(response, 200, description);
+    return true;
+  }
+
+  if (method === "POST" && versionParam === undefined) {
+    readRequestBody(request)
+      .then((payload) => {
+        const schema = payload && typeof payload === "object" ? payload.schema : undefined;
+        const { created, ...body } = registerSchema(queueName, type, schema);
+        sendJson(response, created ? 201 : 200, body);
+      })
+      .catch((error) => {
+        if (error instanceof SchemaCompatibilityError) {
+          sendJson(response, 409, { error: error.message, incompatibilities: error.incompatibilities });
+          return;
+        }
+        sendJson(response, 400, { error: error.message });
+      });
+    return true;
+  }
+
+  return false;
+}
+
+// Rutas sujetas a la inyección de fallos: publicación y lecturas de eventos, incluidas las de los grupos.
+const FAULT_INJECTABLE_ROUTE =
+  /^\/event-log\/(search|queues\/[^/]+\/(events|consumer-groups\/[^/]+\/(events|offsets)))$/;
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
 function handleCors(request, response) {
   const method = request.method || "GET";
   if (method === "OPTIONS") {
     response.writeHead(204, {
       "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type",
+      "Access-Control-Allow-Methods": "GET,POST,PUT,OPTIONS",
+      "Access-Control-Allow-Headers":
+        "Content-Type, Idempotency-Key, ce-specversion, ce-id, ce-source, ce-type, ce-time, ce-subject, ce-dataschema",
     });
     response.end();
     return true;
@@ -186,17 +1025,108 @@ function handleCors(request, response) {
   return false;
 }
 
-function start({ port = DEFAULT_PORT, storageDir = DEFAULT_STORAGE_DIR, failureLevel = 0 } = {}) {
+function start({
+  port = DEFAULT_PORT,
+  storageDir = DEFAULT_STORAGE_DIR,
+  failureLevel = 0,
+  failureSeed,
+  replay = false,
+  schemas = {},
+  segments = {},
+  retention = {},
+  queues = {},
+  idempotency = {},
+} = {}) {
   return new Promise((resolve, reject) => {
+    const offsetsFilePath = path.join(storageDir, OFFSETS_FILENAME);
+    const schemasFilePath = path.join(storageDir, SCHEMAS_FILENAME);
+    let store;
+    let failures;
     try {
-      purgeStorage(storageDir);
+      failures = createFailureInjector(failureLevel, failureSeed);
+      const baseConfig = {
+        segment: { maxBytes: DEFAULT_SEGMENT_MAX_BYTES, maxAgeSeconds: DEFAULT_SEGMENT_MAX_AGE_SECONDS },
+        retention: { maxAgeSeconds: null, maxBytes: null },
+        compaction: null,
+      };
+      const defaults = buildQueueConfig(baseConfig, { segment: segments, retention });
+      // Se validan aquí para que una configuración de cola errónea haga fallar el arranque.
+      Object.values(queues).forEach((overrides) => buildQueueConfig(defaults, overrides));
+      const idempotencyWindowSeconds =
+        idempotency.windowSeconds === undefined
+          ? DEFAULT_IDEMPOTENCY_WINDOW_SECONDS
+          : parsePositiveNumber(idempotency.windowSeconds, "idempotency.windowSeconds");
+      store = createEventStore({
+        storageDir,
+        offsetsFilePath,
+        defaults,
+        queueConfigs: queues,
+        idempotencyWindowSeconds,
+      });
     } catch (error) {
       reject(error);
       return;
     }
+    const registry = createSchemaRegistry();
+    const registerSchema = (queueName, type, schema) => {
+      const result = registry.registerSchema(queueName, type, schema);
+      if (result.created) {
+        const record = { queue: queueName, type, version: result.version, schema, registeredAt: result.registeredAt };
+        fs.promises.appendFile(schemasFilePath, `${JSON.stringify(record)}\n`).catch((error) => {
+          console.error(`[event-log] Error al persistir esquema ${type}: ${error.message}`);
+        });
+      }
+      return result;
+    };
+    // Respuestas SSE abiertas; se cierran en stop() para que server.close() no quede esperando.
+    const streams = new Set();
 
-    const storageFilePath = path.join(storageDir, EVENTS_FILENAME);
-    const store = createEventStore(storageFilePath);
+    try {
+      if (replay) {
+        ensureDirectory(storageDir);
+        const replayed = store.replayFromDisk();
+        console.info(
+          `[event-log] Reproducidos ${replayed.events} eventos y ${replayed.commits} offsets desde ${storageDir}`
+        );
+        if (replayed.corruptLines > 0) {
+          console.warn(`[event-log] Se descartaron ${replayed.corruptLines} líneas corruptas al reproducir`);
+        }
+        if (replayed.legacyEvents > 0) {
+          console.info(
+            `[event-log] Migrados ${replayed.legacyEvents} eventos de ${LEGACY_EVENTS_FILENAME} a segmentos`
+          );
+        }
+        if (replayed.skippedLegacyQueues.length > 0) {
+          console.warn(
+            `[event-log] No se migraron los eventos de ${LEGACY_EVENTS_FILENAME} de las colas con segmentos: ` +
+              replayed.skippedLegacyQueues.join(", ")
+          );
+        }
+        const isSchema = (record) =>
+          record && typeof record.queue === "string" && typeof record.type === "string" && record.schema;
+        for (const record of readJsonLines(schemasFilePath, isSchema).records) {
+          registry.restoreSchema(record);
+        }
+      } else {
+        purgeStorage(storageDir);
+      }
+      // Los esquemas declarados en start() se registran como cualquier otro: si ya existen no generan una
+      // versión nueva y, si no son compatibles, el arranque falla.
+      for (const [queueName, types] of Object.entries(schemas)) {
+        for (const [type, definition] of Object.entries(types)) {
+          for (const schema of Array.isArray(definition) ? definition : [definition]) {
+            registerSchema(queueName, type, schema);
+          }
+        }
+      }
+    } catch (error) {
+      reject(error);
+      return;
+    }
+    store.startMaintenance(MAINTENANCE_INTERVAL_MS);
+    if (failures.level > 0) {
+      console.info(`[event-log] Nivel de fallos ${failures.level} activado con semilla ${failures.seed}`);
+    }
 
     const server = http.createServer(async (request, response) => {
       if (handleCors(request, response)) {
@@ -217,10 +1147,28 @@ function start({ port = DEFAULT_PORT, storageDir = DEFAULT_STORAGE_DIR, failureL
 
       if (pathname === "/metrics" && method === "GET") {
         const metrics = store.getMetrics();
-        sendJson(response, 200, metrics);
+        sendJson(response, 200, {
+          ...metrics,
+          failureLevel: failures.level,
+          failureSeed: failures.seed,
+          injectedFailures: { ...failures.injected },
+        });
         return;
       }
 
+      if (failures.level > 0 && FAULT_INJECTABLE_ROUTE.test(pathname)) {
+        const latencyMs = failures.pickLatencyMs();
+        if (latencyMs > 0) {
+          failures.injected.slowResponses += 1;
+          await delay(latencyMs);
+        }
+        if (failures.shouldInject("errorRate")) {
+          failures.injected.errors += 1;
+          sendJson(response, 500, { error: "Error interno simulado del event log" });
+          return;
+        }
+      }
+
       if (pathname === "/microfrontends/event-log-monitor.js" && method === "GET") {
         sendMicrofrontend(response);
         return;
@@ -236,15 +1184,74 @@ function start({ port = DEFAULT_PORT, storageDir = DEFAULT_STORAGE_DIR, failureL
 
         if (method === "POST") {
           try {
-            const payload = await readRequestBody(request);
-            if (typeof payload !== "object" || payload === null) {
-              sendJson(response, 400, { error: "El evento debe ser un objeto JSON" });
+            // Un CloudEvent binario lleva los atributos en cabeceras y puede llegar sin cuerpo.
+            const body = await readRequestBody(request, { allowEmpty: request.headers["ce-specversion"] !== undefined });
+            const cloudEvent = parseCloudEvent(request.headers, body);
+            const payload = cloudEvent ? cloudEvent.data : body;
+            if (typeof payload !== "object" || payload === null || (cloudEvent && Array.isArray(payload))) {
+              const error = cloudEvent
+                ? "El campo data del CloudEvent debe ser un objeto JSON"
+                : "El evento debe ser un objeto JSON";
+              sendJson(response, 400, { error });
+              return;
+            }
+            const attributes = cloudEvent ? cloudEvent.attributes : null;
+            const idempotencyKey = resolveIdempotencyKey(request, payload, cloudEvent);
+            const original = idempotencyKey === null ? null : store.findIdempotentEvent(queueName, idempotencyKey);
+            if (original) {
+              // Mismo evento aunque las claves lleguen en otro orden.
+              if (!isDeepStrictEqual([original.cloudEvent || null, original.event], [attributes, payload])) {
+                sendJson(response, 409, {
+                  error: `La clave de idempotencia '${idempotencyKey}' ya se usó con otro evento`,
+                  queue: queueName,
+                  id: original.id,
+                });
+                return;
+              }
+              sendJson(response, 200, {
+                status: "duplicate",
+                queue: queueName,
+                id: original.id,
+                recordedAt: original.recordedAt,
+              });
+              return;
+            }
+            const validation = registry.validateEvent(queueName, payload, attributes ? attributes.type : undefined);
+            if (!validation.valid) {
+              sendJson(response, 422, {
+                error: `El evento no cumple el esquema '${validation.type}' v${validation.version}`,
+                queue: queueName,
+                type: validation.type,
+                version: validation.version,
+                violations: validation.violations,
+              });
               return;
             }
-            if (failureLevel > 0) {
-              // Reservado para introducir fallos en futuras iteraciones.
+            if (failures.shouldInject("dropRate")) {
+              failures.injected.dropped += 1;
+              // La respuesta es indistinguible de una escritura real.
+              const now = new Date();
+              console.debug(`[event-log] Escritura perdida simulada en ${queueName}`);
+              sendJson(response, 201, {
+                status: "stored",
+                queue: queueName,
+                id: store.createEventId(now),
+                recordedAt: now.toISOString(),
+              });
+              return;
+            }
+            let visibleAt = null;
+            if (failures.shouldInject("delayRate")) {
+              failures.injected.delayed += 1;
+              visibleAt = Date.now() + failures.pickVisibilityDelayMs();
             }
-            const entry = store.recordEvent(queueName, payload);
+            const entry = store.recordEvent(queueName, payload, {
+              schemaVersion: validation.version,
+              idempotencyKey,
+              visibleAt,
+              cloudEvent: attributes,
+              withoutData: cloudEvent !== null && !cloudEvent.hasData,
+            });
             sendJson(response, 201, {
               status: "stored",
               queue: queueName,
@@ -252,19 +1259,39 @@ function start({ port = DEFAULT_PORT, storageDir = DEFAULT_STORAGE_DIR, failureL
               recordedAt: entry.recordedAt,
             });
           } catch (error) {
-            sendJson(response, 400, { error: error.message });
+            sendJson(response, error instanceof CloudEventError ? error.statusCode : 400, { error: error.message });
           }
           return;
         }
 
         if (method === "GET") {
           try {
-            const { sinceParam, sinceDate } = parseSinceParam(urlInstance);
-            const events = store.listEvents(queueName, sinceDate);
+            if (urlInstance.searchParams.has("fromOffset")) {
+              const fromOffset = parseOffsetParam(urlInstance);
+              const limit = parseLimitParam(urlInstance);
+              const format = parseFormatParam(urlInstance);
+              sendJson(response, 200, {
+                queue: queueName,
+                fromOffset,
+                events: failures.maybeReorder(store.listFromOffset(queueName, fromOffset, limit)).map(format),
+              });
+              return;
+            }
+            const { sinceParam } = parseSinceParam(urlInstance);
+            const query = parseEventQuery(urlInstance.searchParams);
+            const format = parseFormatParam(urlInstance);
+            // Sin limit se mantiene el comportamiento original y se devuelve todo desde since.
+            const limit = urlInstance.searchParams.has("limit") ? parseLimitParam(urlInstance) : null;
+            const { events, nextCursor } = store.queryEvents(queueName, query, {
+              cursor: parseCursorParam(urlInstance),
+              limit,
+            });
             sendJson(response, 200, {
               queue: queueName,
               since: sinceParam,
-              events,
+              until: urlInstance.searchParams.get("until"),
+              events: failures.maybeReorder(events).map(format),
+              nextCursor,
             });
           } catch (error) {
             sendJson(response, 400, { error: error.message });
@@ -273,6 +1300,182 @@ function start({ port = DEFAULT_PORT, storageDir = DEFAULT_STORAGE_DIR, failureL
         }
       }
 
+      if (pathname === "/event-log/search" && method === "GET") {
+        try {
+          const query = parseEventQuery(urlInstance.searchParams);
+          const format = parseFormatParam(urlInstance);
+          const queueFilter = urlInstance.searchParams.get("queue");
+          const queueNames = queueFilter
+            ? queueFilter.split(",").map((name) => name.trim()).filter(Boolean)
+            : null;
+          const cursorParam = urlInstance.searchParams.get("cursor");
+          const after = cursorParam === null ? null : decodeSearchCursor(cursorParam);
+          const { events, nextCursor } = store.searchEvents(queueNames, query, {
+            after,
+            limit: parseLimitParam(urlInstance),
+          });
+          sendJson(response, 200, {
+            queues: queueNames,
+            events: failures.maybeReorder(events).map(format),
+            nextCursor,
+          });
+        } catch (error) {
+          sendJson(response, 400, { error: error.message });
+        }
+        return;
+      }
+
+      if (pathname === "/event-log/stream" && method === "GET") {
+        let sinceDate = null;
+        let format;
+        try {
+          format = parseFormatParam(urlInstance);
+          if (urlInstance.searchParams.has("since")) {
+            ({ sinceDate } = parseSinceParam(urlInstance));
+          }
+        } catch (error) {
+          sendJson(response, 400, { error: error.message });
+          return;
+        }
+        openEventStream(response, streams);
+        // Siguiente offset por enviar de cada cola; las colas que se creen después empiezan en 0.
+        const nextOffsets = store.getVisibleOffsets();
+        if (sinceDate) {
+          for (const entry of store.listAllEvents(sinceDate)) {
+            writeStreamEvent(response, `${entry.queue}:${entry.offset}`, format(entry));
+          }
+        }
+        // Como las lecturas, el stream solo envía eventos visibles y en orden de offset dentro de cada cola.
+        const unsubscribe = store.subscribe((queueName) => {
+          for (const entry of store.listFromOffset(queueName, nextOffsets.get(queueName) || 0, Infinity)) {
+            writeStreamEvent(response, `${entry.queue}:${entry.offset}`, format(entry));
+            nextOffsets.set(queueName, entry.offset + 1);
+          }
+        });
+        response.on("close", unsubscribe);
+        return;
+      }
+
+      if (handleSchemaRoutes(request, response, { pathname, method, registry, registerSchema })) {
+        return;
+      }
+
+      const streamMatch = pathname.match(/^\/event-log\/queues\/([^/]+)\/stream$/);
+      if (streamMatch && method === "GET") {
+        const queueName = decodeURIComponent(streamMatch[1]);
+        let startOffset;
+        let format;
+        try {
+          format = parseFormatParam(urlInstance);
+          startOffset = resolveStreamStart(request, urlInstance, store, queueName);
+        } catch (error) {
+          sendJson(response, 400, { error: error.message });
+          return;
+        }
+        openEventStream(response, streams);
+        let nextOffset = startOffset;
+        // Como las lecturas, el stream solo envía eventos visibles: uno retrasado detiene los posteriores hasta
+        // que vence su visibilidad.
+        const sendVisibleEvents = () => {
+          for (const entry of store.listFromOffset(queueName, nextOffset, Infinity)) {
+            writeStreamEvent(response, entry.offset, format(entry));
+            nextOffset = entry.offset + 1;
+          }
+        };
+        sendVisibleEvents();
+        const unsubscribe = store.subscribe((changedQueue) => {
+          if (changedQueue === queueName) {
+            sendVisibleEvents();
+          }
+        });
+        response.on("close", unsubscribe);
+        return;
+      }
+
+      const storageMatch = pathname.match(/^\/event-log\/queues\/([^/]+)\/(segments|config|compact)$/);
+      if (storageMatch) {
+        const queueName = decodeURIComponent(storageMatch[1]);
+        const action = storageMatch[2];
+
+        if (action === "segments" && method === "GET") {
+          sendJson(response, 200, { queue: queueName, segments: store.listSegments(queueName) });
+          return;
+        }
+
+        if (action === "config" && method === "GET") {
+          sendJson(response, 200, store.describeQueueConfig(queueName));
+          return;
+        }
+
+        if (action === "config" && method === "PUT") {
+          try {
+            const payload = await readRequestBody(request);
+            sendJson(response, 200, store.configureQueue(queueName, payload));
+          } catch (error) {
+            sendJson(response, 400, { error: error.message });
+          }
+          return;
+        }
+
+        if (action === "compact" && method === "POST") {
+          try {
+            sendJson(response, 200, store.compactNow(queueName));
+          } catch (error) {
+            sendJson(response, 400, { error: error.message });
+          }
+          return;
+        }
+      }
+
+      const groupsMatch = pathname.match(/^\/event-log\/queues\/([^/]+)\/consumer-groups$/);
+      if (groupsMatch && method === "GET") {
+        const queueName = decodeURIComponent(groupsMatch[1]);
+        sendJson(response, 200, { queue: queueName, consumerGroups: store.listGroups(queueName) });
+        return;
+      }
+
+      const groupMatch = pathname.match(
+        /^\/event-log\/queues\/([^/]+)\/consumer-groups\/([^/]+)(\/events|\/offsets)?$/
+      );
+      if (groupMatch) {
+        const queueName = decodeURIComponent(groupMatch[1]);
+        const groupName = decodeURIComponent(groupMatch[2]);
+        const action = groupMatch[3];
+
+        if (!action && method === "GET") {
+          sendJson(response, 200, store.describeGroup(queueName, groupName));
+          return;
+        }
+
+        if (action === "/events" && method === "GET") {
+          try {
+            const limit = parseLimitParam(urlInstance);
+            const format = parseFormatParam(urlInstance);
+            const { events, ...position } = store.fetchForGroup(queueName, groupName, limit);
+            sendJson(response, 200, {
+              queue: queueName,
+              group: groupName,
+              ...position,
+              events: failures.maybeReorder(events).map(format),
+            });
+          } catch (error) {
+            sendJson(response, 400, { error: error.message });
+          }
+          return;
+        }
+
+        if (action === "/offsets" && method === "POST") {
+          try {
+            const payload = await readRequestBody(request);
+            const offset = payload && typeof payload === "object" ? payload.offset : undefined;
+            sendJson(response, 200, store.commitOffset(queueName, groupName, offset));
+          } catch (error) {
+            sendJson(response, 400, { error: error.message });
+          }
+          return;
+        }
+      }
+
       sendNotFound(response);
     });
 
@@ -286,6 +1489,10 @@ function start({ port = DEFAULT_PORT, storageDir = DEFAULT_STORAGE_DIR, failureL
         server,
         stop: () =>
           new Promise((stopResolve, stopReject) => {
+            for (const stream of streams) {
+              stream.end();
+            }
+            store.close();
             server.close((closeError) => {
               if (closeError) {
                 stopReject(closeError);
@@ -310,6 +1517,7 @@ module.exports = {
     url: "/microfrontends/event-log-monitor.js",
     props: {
       "metrics-url": "/metrics",
+      "stream-url": "/event-log/stream",
     },
   },
 };
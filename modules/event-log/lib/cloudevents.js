@@ -0,0 +1,150 @@
+"use strict";
+
+// Soporte de CloudEvents 1.0 (binding HTTP) para el event log.
+//
+// Entrada, en POST /event-log/queues/:name/events:
+//   - Modo estructurado: Content-Type application/cloudevents+json y el evento completo en el cuerpo.
+//   - Modo binario: atributos en cabeceras ce-* (ce-specversion, ce-id, ce-source, ce-type, ...) y `data`
+//     en el cuerpo, con Content-Type como datacontenttype.
+//   En ambos casos `data` debe ser un objeto JSON; data_base64 y los lotes no están soportados. En modo
+//   estructurado `data` es opcional, como en la especificación: sin él se almacena un objeto vacío.
+//
+// Salida: toCloudEvent convierte cualquier entrada almacenada en un CloudEvent estructurado. Los eventos que
+// no llegaron como CloudEvents reciben sus atributos a partir del propio payload y de la entrada.
+
+const { resolveEventType } = require("./schema-registry");
+
+const SPEC_VERSION = "1.0";
+const STRUCTURED_CONTENT_TYPE = "application/cloudevents+json";
+const BATCH_CONTENT_TYPE = "application/cloudevents-batch+json";
+const DEFAULT_TYPE = "archim.event-log.event";
+const REQUIRED_ATTRIBUTES = ["id", "source", "type"];
+const OPTIONAL_STRING_ATTRIBUTES = ["subject", "dataschema", "datacontenttype"];
+const EXTENSION_NAME = /^[a-z0-9]{1,20}$/;
+
+class CloudEventError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "CloudEventError";
+    this.statusCode = statusCode;
+  }
+}
+
+function mediaType(contentType) {
+  return String(contentType || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+}
+
+function isJsonMediaType(type) {
+  return type === "application/json" || type.endsWith("+json");
+}
+
+function validateAttributes(attributes) {
+  if (attributes.specversion !== SPEC_VERSION) {
+    throw new CloudEventError(`Solo se admite CloudEvents specversion ${SPEC_VERSION}`);
+  }
+  for (const name of REQUIRED_ATTRIBUTES) {
+    if (typeof attributes[name] !== "string" || !attributes[name]) {
+      throw new CloudEventError(`El atributo CloudEvents '${name}' es obligatorio`);
+    }
+  }
+  for (const name of OPTIONAL_STRING_ATTRIBUTES) {
+    if (attributes[name] !== undefined && typeof attributes[name] !== "string") {
+      throw new CloudEventError(`El atributo CloudEvents '${name}' debe ser un texto`);
+    }
+  }
+  if (attributes.time !== undefined && Number.isNaN(Date.parse(attributes.time))) {
+    throw new CloudEventError("El atributo CloudEvents 'time' debe tener formato RFC 3339");
+  }
+  if (attributes.datacontenttype !== undefined && !isJsonMediaType(mediaType(attributes.datacontenttype))) {
+    throw new CloudEventError("Solo se admiten CloudEvents con datos JSON", 415);
+  }
+  for (const [name, value] of Object.entries(attributes)) {
+    if (!EXTENSION_NAME.test(name)) {
+      throw new CloudEventError(`'${name}' no es un nombre de atributo CloudEvents válido`);
+    }
+    if (value === null || !["string", "number", "boolean"].includes(typeof value)) {
+      throw new CloudEventError(`El atributo CloudEvents '${name}' debe ser un valor simple`);
+    }
+  }
+  return attributes;
+}
+
+// En modo binario los valores de las cabeceras llegan codificados con porcentajes (RFC 3986).
+function decodeHeaderValue(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw new CloudEventError(`Cabecera CloudEvents mal codificada: ${value}`);
+  }
+}
+
+// Devuelve { attributes, data, hasData } si la petición es un CloudEvent, o null si es un evento normal.
+function parseCloudEvent(headers, body) {
+  const contentType = mediaType(headers["content-type"]);
+  if (contentType === BATCH_CONTENT_TYPE) {
+    throw new CloudEventError("Los lotes de CloudEvents no están soportados", 415);
+  }
+
+  if (contentType === STRUCTURED_CONTENT_TYPE) {
+    if (body === null || typeof body !== "object" || Array.isArray(body)) {
+      throw new CloudEventError("Un CloudEvent estructurado debe ser un objeto JSON");
+    }
+    if (body.data_base64 !== undefined) {
+      throw new CloudEventError("data_base64 no está soportado; envía data como JSON", 415);
+    }
+    const { data, ...attributes } = body;
+    const hasData = data !== undefined && data !== null;
+    return { attributes: validateAttributes(attributes), data: hasData ? data : {}, hasData };
+  }
+
+  if (headers["ce-specversion"] !== undefined) {
+    const attributes = {};
+    for (const [name, value] of Object.entries(headers)) {
+      if (name.startsWith("ce-")) {
+        attributes[name.slice(3)] = decodeHeaderValue(value);
+      }
+    }
+    const hasData = body !== undefined;
+    if (hasData && headers["content-type"]) {
+      attributes.datacontenttype = headers["content-type"];
+    }
+    return { attributes: validateAttributes(attributes), data: hasData ? body : {}, hasData };
+  }
+
+  return null;
+}
+
+function toCloudEvent(entry) {
+  const payloadSource = typeof entry.event.source === "string" && entry.event.source ? entry.event.source : null;
+  const attributes = entry.cloudEvent || {
+    specversion: SPEC_VERSION,
+    id: entry.id,
+    source: payloadSource || `/event-log/queues/${encodeURIComponent(entry.queue)}`,
+    type: resolveEventType(entry.event) || DEFAULT_TYPE,
+  };
+  const cloudEvent = {
+    ...attributes,
+    time: attributes.time || entry.recordedAt,
+    // Extensiones con la posición del evento en el log, para poder reanudar o confirmar offsets.
+    eventlogqueue: entry.queue,
+    eventlogoffset: entry.offset,
+  };
+  // Un CloudEvent que llegó sin data se devuelve igual, sin el objeto vacío que se almacenó en su lugar.
+  if (entry.cloudEventWithoutData) {
+    return cloudEvent;
+  }
+  return {
+    ...cloudEvent,
+    datacontenttype: attributes.datacontenttype || "application/json",
+    data: entry.event,
+  };
+}
+
+module.exports = {
+  CloudEventError,
+  parseCloudEvent,
+  toCloudEvent,
+};
@@ -0,0 +1,92 @@
+"use strict";
+
+// Inyección de fallos del event log (escala 0-3 de start({ failureLevel })).
+//
+// Por nivel se define la probabilidad de cada fallo por operación:
+//   dropRate     Escrituras perdidas: el POST responde 201 pero el evento no se almacena.
+//   delayRate    Visibilidad retrasada: el evento se almacena pero las lecturas no lo ven (ni a los
+//                posteriores de su cola) hasta pasados visibilityDelayMs.
+//   reorderRate  Lecturas desordenadas: se intercambian dos eventos contiguos de la respuesta.
+//   errorRate    Respuestas 500 intermitentes.
+//   latencyMs    Rango [min, max] de latencia añadida antes de atender cada petición.
+// Los sorteos usan el generador con semilla compartido con la cola, así que un mismo failureSeed repite la ejecución.
+
+const { createRandom, resolveSeed } = require("../../../lib/random");
+
+const FAILURE_PROFILES = {
+  0: { dropRate: 0, delayRate: 0, visibilityDelayMs: [0, 0], reorderRate: 0, errorRate: 0, latencyMs: [0, 0] },
+  1: {
+    dropRate: 0.01,
+    delayRate: 0.05,
+    visibilityDelayMs: [200, 1000],
+    reorderRate: 0.05,
+    errorRate: 0.01,
+    latencyMs: [0, 50],
+  },
+  2: {
+    dropRate: 0.03,
+    delayRate: 0.15,
+    visibilityDelayMs: [500, 3000],
+    reorderRate: 0.15,
+    errorRate: 0.05,
+    latencyMs: [50, 300],
+  },
+  3: {
+    dropRate: 0.1,
+    delayRate: 0.3,
+    visibilityDelayMs: [1000, 5000],
+    reorderRate: 0.3,
+    errorRate: 0.15,
+    latencyMs: [200, 1000],
+  },
+};
+
+function createFailureInjector(failureLevel = 0, failureSeed) {
+  const level = Number(failureLevel);
+  if (!Object.prototype.hasOwnProperty.call(FAILURE_PROFILES, level)) {
+    throw new Error("'failureLevel' debe ser un entero entre 0 y 3");
+  }
+  const seed = resolveSeed(failureSeed);
+  const profile = FAILURE_PROFILES[level];
+  const random = createRandom(seed);
+  const injected = { dropped: 0, delayed: 0, reordered: 0, errors: 0, slowResponses: 0 };
+
+  function shouldInject(rateName) {
+    const rate = profile[rateName];
+    return rate > 0 && random() < rate;
+  }
+
+  function pickInRange([min, max]) {
+    if (max <= 0) {
+      return 0;
+    }
+    return Math.round(min + random() * (max - min));
+  }
+
+  // Devuelve una copia con dos eventos contiguos intercambiados, o la misma lista si no toca desordenar.
+  function maybeReorder(events) {
+    if (events.length < 2 || !shouldInject("reorderRate")) {
+      return events;
+    }
+    injected.reordered += 1;
+    const reordered = [...events];
+    const index = Math.floor(random() * (reordered.length - 1));
+    [reordered[index], reordered[index + 1]] = [reordered[index + 1], reordered[index]];
+    return reordered;
+  }
+
+  return {
+    level,
+    seed,
+    injected,
+    shouldInject,
+    pickLatencyMs: () => pickInRange(profile.latencyMs),
+    pickVisibilityDelayMs: () => pickInRange(profile.visibilityDelayMs),
+    maybeReorder,
+  };
+}
+
+module.exports = {
+  FAILURE_PROFILES,
+  createFailureInjector,
+};
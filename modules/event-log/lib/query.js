@@ -0,0 +1,133 @@
+"use strict";
+
+// Filtros de consulta del event log, compartidos por la lectura de una cola y por la búsqueda entre colas.
+//
+// Parámetros admitidos:
+//   since / until   ISO-8601; since incluido y until excluido, sobre recordedAt.
+//   type            Tipo del evento (`type` o `eventType`, o el atributo type de un CloudEvent); admite varios
+//                   separados por comas.
+//   source          Campo `source` del evento (o el atributo source de un CloudEvent); admite varios separados
+//                   por comas.
+//   where           `ruta=valor`, repetible. La ruta es relativa al payload (`$.order.orderId` u
+//                   `order.orderId`) y el valor se compara como texto con los valores escalares o como JSON
+//                   con objetos y listas. Todas las condiciones deben cumplirse.
+
+const { resolveEventType } = require("./schema-registry");
+
+function parseDateParam(searchParams, name) {
+  const value = searchParams.get(name);
+  if (value === null || value === "") {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`El parámetro '${name}' debe tener formato ISO-8601 válido`);
+  }
+  return date;
+}
+
+function parseListParam(searchParams, name) {
+  const values = searchParams
+    .getAll(name)
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+  return values.length > 0 ? new Set(values) : null;
+}
+
+function parseWhereParams(searchParams) {
+  return searchParams.getAll("where").map((condition) => {
+    const separator = condition.indexOf("=");
+    const path = separator === -1 ? "" : condition.slice(0, separator).trim();
+    if (!path || path === "$") {
+      throw new Error("El parámetro 'where' debe tener la forma ruta=valor, por ejemplo $.order.orderId=o-1");
+    }
+    return { path, expected: condition.slice(separator + 1) };
+  });
+}
+
+// Lee una ruta con puntos dentro del payload ("order.orderId", opcionalmente con prefijo "$.").
+function readPath(payload, path) {
+  let value = payload;
+  for (const part of path.replace(/^\$\.?/, "").split(".")) {
+    if (value === null || typeof value !== "object") {
+      return undefined;
+    }
+    value = value[part];
+  }
+  return value;
+}
+
+function parseEventQuery(searchParams) {
+  const sinceDate = parseDateParam(searchParams, "since");
+  const untilDate = parseDateParam(searchParams, "until");
+  if (sinceDate && untilDate && untilDate <= sinceDate) {
+    throw new Error("El parámetro 'until' debe ser posterior a 'since'");
+  }
+  return {
+    sinceDate,
+    untilDate,
+    types: parseListParam(searchParams, "type"),
+    sources: parseListParam(searchParams, "source"),
+    where: parseWhereParams(searchParams),
+  };
+}
+
+function matchesValue(actual, expected) {
+  if (actual === undefined) {
+    return false;
+  }
+  if (actual !== null && typeof actual === "object") {
+    return JSON.stringify(actual) === expected;
+  }
+  return String(actual) === expected;
+}
+
+function matchesQuery(entry, query) {
+  const recordedTime = new Date(entry.recordedAt).getTime();
+  if (query.sinceDate && recordedTime < query.sinceDate.getTime()) {
+    return false;
+  }
+  if (query.untilDate && recordedTime >= query.untilDate.getTime()) {
+    return false;
+  }
+  const { cloudEvent } = entry;
+  if (query.types && !query.types.has(cloudEvent ? cloudEvent.type : resolveEventType(entry.event))) {
+    return false;
+  }
+  if (query.sources && !query.sources.has(cloudEvent ? cloudEvent.source : entry.event.source)) {
+    return false;
+  }
+  return query.where.every(({ path, expected }) => matchesValue(readPath(entry.event, path), expected));
+}
+
+// El cursor de la búsqueda entre colas identifica el último evento entregado en el orden
+// (recordedAt, queue, offset); es opaco para el cliente.
+function encodeSearchCursor(entry) {
+  return Buffer.from(JSON.stringify([entry.recordedAt, entry.queue, entry.offset])).toString("base64url");
+}
+
+function decodeSearchCursor(cursor) {
+  try {
+    const [recordedAt, queue, offset] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (typeof recordedAt === "string" && typeof queue === "string" && Number.isInteger(offset)) {
+      return { recordedAt, queue, offset };
+    }
+  } catch (error) {
+    // Se trata igual que un cursor con forma incorrecta.
+  }
+  throw new Error("El parámetro 'cursor' no es válido");
+}
+
+function compareSearchOrder(a, b) {
+  return a.recordedAt.localeCompare(b.recordedAt) || a.queue.localeCompare(b.queue) || a.offset - b.offset;
+}
+
+module.exports = {
+  readPath,
+  parseEventQuery,
+  matchesQuery,
+  encodeSearchCursor,
+  decodeSearchCursor,
+  compareSearchOrder,
+};
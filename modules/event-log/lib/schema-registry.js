@@ -0,0 +1,381 @@
+"use strict";
+
+// Registro de esquemas por cola y tipo de evento.
+//
+// Cada cola puede asociar a un tipo de evento (campo `type` o `eventType` del payload) una lista
+// versionada de JSON Schemas. Los eventos se validan contra la última versión y las versiones nuevas
+// deben ser compatibles hacia atrás: un consumidor que use el esquema nuevo debe poder leer cualquier
+// evento válido según la versión anterior.
+//
+// Se implementa el subconjunto de JSON Schema que usan los eventos del proyecto: type, enum, const,
+// required, properties, additionalProperties, items, minItems/maxItems, minLength/maxLength, pattern,
+// minimum/maximum, exclusiveMinimum/exclusiveMaximum y format "date-time". El resto de palabras clave se
+// ignoran, como indica la especificación para vocabularios desconocidos.
+
+const JSON_TYPES = ["object", "array", "string", "number", "integer", "boolean", "null"];
+
+class SchemaCompatibilityError extends Error {
+  constructor(message, incompatibilities) {
+    super(message);
+    this.name = "SchemaCompatibilityError";
+    this.incompatibilities = incompatibilities;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "number";
+  }
+  return typeof value;
+}
+
+function listTypes(schema) {
+  if (schema.type === undefined) {
+    return null;
+  }
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function matchesType(value, types) {
+  const actual = typeOf(value);
+  return types.some((type) => type === actual || (type === "number" && actual === "integer"));
+}
+
+function childPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function assertValidSchema(schema, path = "$") {
+  if (!isPlainObject(schema)) {
+    throw new Error(`El esquema en ${path} debe ser un objeto`);
+  }
+  const types = listTypes(schema);
+  if (types && !types.every((type) => JSON_TYPES.includes(type))) {
+    throw new Error(`Tipo no soportado en ${path}: ${JSON.stringify(schema.type)}`);
+  }
+  const validRequired =
+    Array.isArray(schema.required) && schema.required.every((key) => typeof key === "string");
+  if (schema.required !== undefined && !validRequired) {
+    throw new Error(`'required' en ${path} debe ser una lista de nombres de propiedad`);
+  }
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+    throw new Error(`'enum' en ${path} debe ser una lista`);
+  }
+  if (schema.pattern !== undefined) {
+    try {
+      new RegExp(schema.pattern);
+    } catch (error) {
+      throw new Error(`'pattern' en ${path} no es una expresión regular válida`);
+    }
+  }
+  if (schema.properties !== undefined) {
+    if (!isPlainObject(schema.properties)) {
+      throw new Error(`'properties' en ${path} debe ser un objeto`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      assertValidSchema(propertySchema, childPath(path, key));
+    }
+  }
+  if (isPlainObject(schema.additionalProperties)) {
+    assertValidSchema(schema.additionalProperties, `${path}.*`);
+  }
+  if (schema.items !== undefined) {
+    assertValidSchema(schema.items, `${path}[]`);
+  }
+}
+
+function validateValue(schema, value, path, violations) {
+  const types = listTypes(schema);
+  if (types && !matchesType(value, types)) {
+    violations.push({ path, message: `Se esperaba ${types.join(" | ")} y se recibió ${typeOf(value)}` });
+    return;
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    violations.push({ path, message: `Debe ser ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    violations.push({ path, message: `Debe ser uno de ${JSON.stringify(schema.enum)}` });
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      violations.push({ path, message: `Debe tener al menos ${schema.minLength} caracteres` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      violations.push({ path, message: `Debe tener como máximo ${schema.maxLength} caracteres` });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      violations.push({ path, message: `Debe cumplir el patrón ${schema.pattern}` });
+    }
+    if (schema.format === "date-time" && Number.isNaN(Date.parse(value))) {
+      violations.push({ path, message: "Debe ser una fecha ISO-8601" });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      violations.push({ path, message: `Debe ser mayor o igual que ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      violations.push({ path, message: `Debe ser menor o igual que ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      violations.push({ path, message: `Debe ser mayor que ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      violations.push({ path, message: `Debe ser menor que ${schema.exclusiveMaximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      violations.push({ path, message: `Debe tener al menos ${schema.minItems} elementos` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      violations.push({ path, message: `Debe tener como máximo ${schema.maxItems} elementos` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateValue(schema.items, item, `${path}[${index}]`, violations));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        violations.push({ path: childPath(path, key), message: "Propiedad obligatoria ausente" });
+      }
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        validateValue(properties[key], propertyValue, childPath(path, key), violations);
+      } else if (schema.additionalProperties === false) {
+        violations.push({ path: childPath(path, key), message: "Propiedad no permitida" });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        validateValue(schema.additionalProperties, propertyValue, childPath(path, key), violations);
+      }
+    }
+  }
+}
+
+function validate(schema, value) {
+  const violations = [];
+  validateValue(schema, value, "$", violations);
+  return violations;
+}
+
+// Un límite "min" no puede subir y uno "max" no puede bajar: los eventos antiguos en el extremo dejarían de validar.
+const TIGHTENING_RULES = [
+  ["minLength", (previous, next) => next > previous],
+  ["maxLength", (previous, next) => next < previous],
+  ["minItems", (previous, next) => next > previous],
+  ["maxItems", (previous, next) => next < previous],
+  ["minimum", (previous, next) => next > previous],
+  ["maximum", (previous, next) => next < previous],
+  ["exclusiveMinimum", (previous, next) => next > previous],
+  ["exclusiveMaximum", (previous, next) => next < previous],
+];
+
+function collectIncompatibilities(previous, next, path, incompatibilities) {
+  const previousTypes = listTypes(previous);
+  const nextTypes = listTypes(next);
+  if (nextTypes) {
+    const lostTypes = (previousTypes || JSON_TYPES).filter(
+      (type) => !nextTypes.includes(type) && !(type === "integer" && nextTypes.includes("number")),
+    );
+    if (lostTypes.length > 0) {
+      incompatibilities.push({ path, message: `Deja de aceptar el tipo ${lostTypes.join(" | ")}` });
+    }
+  }
+
+  if (next.enum) {
+    const removed = (previous.enum || []).filter(
+      (option) => !next.enum.some((candidate) => JSON.stringify(candidate) === JSON.stringify(option)),
+    );
+    if (!previous.enum || removed.length > 0) {
+      incompatibilities.push({ path, message: `Restringe los valores permitidos a ${JSON.stringify(next.enum)}` });
+    }
+  }
+  if (next.const !== undefined && JSON.stringify(next.const) !== JSON.stringify(previous.const)) {
+    incompatibilities.push({ path, message: `Exige el valor ${JSON.stringify(next.const)}` });
+  }
+  if (next.pattern !== undefined && next.pattern !== previous.pattern) {
+    incompatibilities.push({ path, message: `Añade o cambia el patrón a ${next.pattern}` });
+  }
+  if (next.format !== undefined && next.format !== previous.format) {
+    incompatibilities.push({ path, message: `Añade el formato ${next.format}` });
+  }
+  for (const [keyword, tightens] of TIGHTENING_RULES) {
+    if (next[keyword] === undefined) {
+      continue;
+    }
+    if (previous[keyword] === undefined || tightens(previous[keyword], next[keyword])) {
+      incompatibilities.push({ path, message: `Endurece '${keyword}' a ${next[keyword]}` });
+    }
+  }
+
+  const previousRequired = new Set(previous.required || []);
+  const nextProperties = next.properties || {};
+  for (const key of next.required || []) {
+    if (!previousRequired.has(key) && (!nextProperties[key] || nextProperties[key].default === undefined)) {
+      incompatibilities.push({
+        path: childPath(path, key),
+        message: "Nueva propiedad obligatoria sin valor por defecto",
+      });
+    }
+  }
+
+  if (next.additionalProperties === false && previous.additionalProperties !== false) {
+    incompatibilities.push({ path, message: "Deja de admitir propiedades adicionales" });
+  }
+  const previousProperties = previous.properties || {};
+  for (const [key, propertySchema] of Object.entries(nextProperties)) {
+    // Las propiedades nuevas y opcionales se admiten: es la forma habitual de evolucionar un evento.
+    if (previousProperties[key]) {
+      collectIncompatibilities(previousProperties[key], propertySchema, childPath(path, key), incompatibilities);
+    }
+  }
+  if (next.items) {
+    collectIncompatibilities(previous.items || {}, next.items, `${path}[]`, incompatibilities);
+  }
+}
+
+function checkBackwardCompatibility(previous, next) {
+  const incompatibilities = [];
+  collectIncompatibilities(previous, next, "$", incompatibilities);
+  return incompatibilities;
+}
+
+function resolveEventType(payload) {
+  if (typeof payload.type === "string" && payload.type) {
+    return payload.type;
+  }
+  if (typeof payload.eventType === "string" && payload.eventType) {
+    return payload.eventType;
+  }
+  return null;
+}
+
+function createSchemaRegistry() {
+  // queue -> Map(type -> [{ version, schema, registeredAt }])
+  const schemasByQueue = new Map();
+
+  function getVersions(queueName, type) {
+    const types = schemasByQueue.get(queueName);
+    return (types && types.get(type)) || [];
+  }
+
+  function storeVersion(queueName, type, record) {
+    if (!schemasByQueue.has(queueName)) {
+      schemasByQueue.set(queueName, new Map());
+    }
+    const types = schemasByQueue.get(queueName);
+    if (!types.has(type)) {
+      types.set(type, []);
+    }
+    types.get(type).push(record);
+  }
+
+  function registerSchema(queueName, type, schema) {
+    if (typeof type !== "string" || !type) {
+      throw new Error("El tipo de evento es obligatorio");
+    }
+    assertValidSchema(schema);
+    const versions = getVersions(queueName, type);
+    const existing = versions.find((record) => JSON.stringify(record.schema) === JSON.stringify(schema));
+    if (existing) {
+      return { queue: queueName, type, version: existing.version, registeredAt: existing.registeredAt, created: false };
+    }
+    const latest = versions[versions.length - 1];
+    if (latest) {
+      const incompatibilities = checkBackwardCompatibility(latest.schema, schema);
+      if (incompatibilities.length > 0) {
+        throw new SchemaCompatibilityError(
+          `El esquema no es compatible hacia atrás con la versión ${latest.version}`,
+          incompatibilities,
+        );
+      }
+    }
+    const record = { version: versions.length + 1, schema, registeredAt: new Date().toISOString() };
+    storeVersion(queueName, type, record);
+    return { queue: queueName, type, version: record.version, registeredAt: record.registeredAt, created: true };
+  }
+
+  // Restaura una versión ya aceptada (por ejemplo al reproducir desde disco) sin volver a comprobarla.
+  function restoreSchema({ queue: queueName, type, version, schema, registeredAt }) {
+    if (getVersions(queueName, type).some((record) => record.version === version)) {
+      return;
+    }
+    storeVersion(queueName, type, { version, schema, registeredAt });
+    getVersions(queueName, type).sort((a, b) => a.version - b.version);
+  }
+
+  function getSchema(queueName, type, version) {
+    const versions = getVersions(queueName, type);
+    if (version === undefined) {
+      return versions[versions.length - 1] || null;
+    }
+    return versions.find((record) => record.version === version) || null;
+  }
+
+  function describeType(queueName, type) {
+    const versions = getVersions(queueName, type);
+    if (versions.length === 0) {
+      return null;
+    }
+    const latest = versions[versions.length - 1];
+    return {
+      queue: queueName,
+      type,
+      latestVersion: latest.version,
+      schema: latest.schema,
+      versions: versions.map(({ version, registeredAt }) => ({ version, registeredAt })),
+    };
+  }
+
+  function listSchemas(queueName) {
+    const types = schemasByQueue.get(queueName);
+    if (!types) {
+      return [];
+    }
+    return Array.from(types.keys()).map((type) => describeType(queueName, type));
+  }
+
+  // Los eventos sin tipo o de un tipo sin esquema se aceptan tal cual.
+  // `type` permite indicar el tipo cuando no viaja en el payload, como en los CloudEvents.
+  function validateEvent(queueName, payload, type = resolveEventType(payload)) {
+    const latest = type ? getSchema(queueName, type) : null;
+    if (!latest) {
+      return { valid: true, type, version: null, violations: [] };
+    }
+    const violations = validate(latest.schema, payload);
+    return { valid: violations.length === 0, type, version: latest.version, violations };
+  }
+
+  return {
+    registerSchema,
+    restoreSchema,
+    getSchema,
+    describeType,
+    listSchemas,
+    validateEvent,
+  };
+}
+
+module.exports = {
+  SchemaCompatibilityError,
+  createSchemaRegistry,
+  checkBackwardCompatibility,
+  resolveEventType,
+  validate,
+};
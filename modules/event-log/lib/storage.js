@@ -0,0 +1,170 @@
+"use strict";
+
+// Utilidades de disco del event log.
+//
+// Cada cola guarda sus eventos en segmentos siguiendo la convención de logs del proyecto
+// (`<servicio>/<YYYYMMDD-HHMM>`): `{storageDir}/queues/<cola>/<YYYYMMDD-HHMM>[-N]/events.log`, un evento
+// JSON por línea. El minuto corresponde a la creación del segmento (UTC) y el sufijo `-N` distingue los
+// segmentos que se abren dentro del mismo minuto al superar el tamaño máximo.
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const QUEUES_DIRNAME = "queues";
+const SEGMENT_FILENAME = "events.log";
+
+function ensureDirectory(directoryPath) {
+  fs.mkdirSync(directoryPath, { recursive: true });
+}
+
+// Lee un fichero JSON Lines tolerando líneas corruptas (por ejemplo, una escritura cortada por un reinicio):
+// las líneas que no se pueden interpretar o no pasan `isValid` se cuentan y se descartan.
+function readJsonLines(filePath, isValid) {
+  if (!fs.existsSync(filePath)) {
+    return { records: [], corruptLines: 0 };
+  }
+  const records = [];
+  let corruptLines = 0;
+  const content = fs.readFileSync(filePath, "utf8");
+  for (const line of content.split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      const record = JSON.parse(line);
+      if (isValid(record)) {
+        records.push(record);
+      } else {
+        corruptLines += 1;
+      }
+    } catch (error) {
+      corruptLines += 1;
+    }
+  }
+  // Si la última escritura quedó a medias, se cierra la línea para que el siguiente append no se pegue a ella.
+  if (content.length > 0 && !content.endsWith("\n")) {
+    fs.appendFileSync(filePath, "\n");
+  }
+  return { records, corruptLines };
+}
+
+function formatSegmentLabel(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return (
+    `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `-${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}`
+  );
+}
+
+// encodeURIComponent deja pasar los puntos; se codifican también para que ninguna cola se llame "." o "..".
+function queueDirectoryName(queueName) {
+  return encodeURIComponent(queueName).replace(/\./g, "%2E");
+}
+
+function getQueuesRoot(storageDir) {
+  return path.join(storageDir, QUEUES_DIRNAME);
+}
+
+function createSegment(storageDir, queueName, date) {
+  const queueDirectory = path.join(getQueuesRoot(storageDir), queueDirectoryName(queueName));
+  const label = formatSegmentLabel(date);
+  // El sufijo sigue al mayor existente para que un segmento nuevo nunca reutilice el nombre de uno borrado.
+  const existing = fs.existsSync(queueDirectory) ? fs.readdirSync(queueDirectory) : [];
+  const suffixes = existing
+    .filter((entry) => entry === label || entry.startsWith(`${label}-`))
+    .map((entry) => (entry === label ? 1 : Number(entry.slice(label.length + 1))));
+  const name = suffixes.length === 0 ? label : `${label}-${Math.max(...suffixes) + 1}`;
+  const directory = path.join(queueDirectory, name);
+  ensureDirectory(directory);
+  return {
+    name,
+    directory,
+    filePath: path.join(directory, SEGMENT_FILENAME),
+    createdAt: date.getTime(),
+    bytes: 0,
+    eventCount: 0,
+    firstOffset: null,
+    lastOffset: null,
+    lastRecordedAt: null,
+  };
+}
+
+function appendToSegment(segment, entry) {
+  const serialized = `${JSON.stringify(entry)}\n`;
+  fs.appendFileSync(segment.filePath, serialized);
+  segment.bytes += Buffer.byteLength(serialized);
+  segment.eventCount += 1;
+  if (segment.firstOffset === null) {
+    segment.firstOffset = entry.offset;
+  }
+  segment.lastOffset = entry.offset;
+  segment.lastRecordedAt = entry.recordedAt;
+}
+
+// Reescribe un segmento cerrado con los eventos que sobreviven a la compactación, de forma atómica.
+function rewriteSegment(segment, entries) {
+  const serialized = entries.map((entry) => `${JSON.stringify(entry)}\n`).join("");
+  const temporaryPath = `${segment.filePath}.tmp`;
+  fs.writeFileSync(temporaryPath, serialized);
+  fs.renameSync(temporaryPath, segment.filePath);
+  segment.bytes = Buffer.byteLength(serialized);
+  segment.eventCount = entries.length;
+}
+
+function removeSegment(segment) {
+  fs.rmSync(segment.directory, { recursive: true, force: true });
+}
+
+// Devuelve, por cola, los segmentos en disco con sus eventos válidos, ordenados por offset.
+function readStoredQueues(storageDir, isEvent) {
+  const queuesRoot = getQueuesRoot(storageDir);
+  if (!fs.existsSync(queuesRoot)) {
+    return { queues: [], corruptLines: 0 };
+  }
+  const queues = [];
+  let corruptLines = 0;
+  for (const queueDirectory of fs.readdirSync(queuesRoot)) {
+    const queueName = decodeURIComponent(queueDirectory);
+    const segments = [];
+    for (const name of fs.readdirSync(path.join(queuesRoot, queueDirectory))) {
+      const directory = path.join(queuesRoot, queueDirectory, name);
+      const filePath = path.join(directory, SEGMENT_FILENAME);
+      const { records, corruptLines: segmentCorruptLines } = readJsonLines(filePath, isEvent);
+      corruptLines += segmentCorruptLines;
+      if (records.length === 0) {
+        fs.rmSync(directory, { recursive: true, force: true });
+        continue;
+      }
+      records.sort((a, b) => a.offset - b.offset);
+      const last = records[records.length - 1];
+      segments.push({
+        segment: {
+          name,
+          directory,
+          filePath,
+          createdAt: fs.statSync(directory).birthtimeMs || Date.parse(records[0].recordedAt),
+          bytes: fs.statSync(filePath).size,
+          eventCount: records.length,
+          firstOffset: records[0].offset,
+          lastOffset: last.offset,
+          lastRecordedAt: last.recordedAt,
+        },
+        records,
+      });
+    }
+    segments.sort((a, b) => a.segment.firstOffset - b.segment.firstOffset);
+    queues.push({ queueName, segments });
+  }
+  return { queues, corruptLines };
+}
+
+module.exports = {
+  ensureDirectory,
+  readJsonLines,
+  formatSegmentLabel,
+  createSegment,
+  appendToSegment,
+  rewriteSegment,
+  removeSegment,
+  readStoredQueues,
+};
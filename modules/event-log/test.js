@@ -1,6 +1,11 @@
 "use strict";
 
 const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { start } = require("./index");
 
 const DEFAULT_BASE_URL = "http://localhost:4400";
 
@@ -67,6 +72,69 @@ async function run({ baseUrl, port } = {}) {
     assert.ok(Array.isArray(body.queues), "La respuesta debe incluir queues[]");
   });
 
+  await step("/metrics expone el nivel de fallos y las inyecciones realizadas", async () => {
+    const body = await parseJson(await fetch(metricsUrl));
+    assert.ok(
+      Number.isInteger(body.failureLevel) && body.failureLevel >= 0 && body.failureLevel <= 3,
+      "failureLevel debe estar en la escala 0-3",
+    );
+    assert.ok(typeof body.failureSeed === "number", "failureSeed debe ser numérico para reproducir la ejecución");
+    for (const key of ["dropped", "delayed", "reordered", "errors", "slowResponses"]) {
+      assert.ok(typeof body.injectedFailures[key] === "number", `injectedFailures.${key} debe ser numérico`);
+    }
+    return `failureLevel=${body.failureLevel}, seed=${body.failureSeed}`;
+  });
+
+  // Levanta una instancia propia, en un puerto libre y con su propio directorio, con las opciones indicadas.
+  async function startInstance(options) {
+    const instance = await start({ port: 0, ...options });
+    return { ...instance, baseUrl: `http://localhost:${instance.server.address().port}` };
+  }
+
+  // Publica eventos en una instancia con fallos de nivel 2 y devuelve lo que ha observado el productor y lo
+  // que ha quedado realmente en el log.
+  async function runFailureScenario(failureSeed) {
+    const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "event-log-fallos-"));
+    const instance = await startInstance({ storageDir, failureLevel: 2, failureSeed });
+    try {
+      const statuses = [];
+      for (let index = 0; index < 40; index += 1) {
+        const response = await fetch(`${instance.baseUrl}/event-log/queues/fallos/events`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ type: "fallos.probados", index }),
+        });
+        await response.text();
+        statuses.push(response.status);
+      }
+      const metrics = await parseJson(await fetch(`${instance.baseUrl}/metrics`));
+      return { statuses, storedEvents: metrics.totalEvents, injectedFailures: metrics.injectedFailures };
+    } finally {
+      await instance.stop();
+      fs.rmSync(storageDir, { recursive: true, force: true });
+    }
+  }
+
+  await step("con failureLevel > 0 se pierden, retrasan y rechazan eventos de forma reproducible", async () => {
+    const first = await runFailureScenario(1234);
+    const stored = first.statuses.filter((status) => status === 201).length;
+    const errors = first.statuses.filter((status) => status === 500).length;
+    assert.equal(stored + errors, first.statuses.length, "Solo se responde 201 o 500");
+    assert.ok(errors > 0, "Algunas escrituras reciben 500");
+    assert.equal(first.injectedFailures.errors, errors);
+    assert.ok(first.injectedFailures.dropped > 0, "Algunos eventos confirmados con 201 se pierden");
+    assert.ok(first.injectedFailures.delayed > 0, "Algunos eventos se almacenan con visibilidad retrasada");
+    assert.equal(
+      first.storedEvents,
+      stored - first.injectedFailures.dropped,
+      "El log contiene los eventos confirmados salvo los perdidos",
+    );
+
+    const second = await runFailureScenario(1234);
+    assert.deepEqual(second, first, "La misma failureSeed repite exactamente la misma secuencia de fallos");
+    return `${errors} rechazados, ${first.injectedFailures.dropped} perdidos, ${first.injectedFailures.delayed} retrasados`;
+  });
+
   await step("POST crea eventos en distintas colas", async () => {
     const postResponses = await Promise.all(
       [
@@ -131,6 +199,53 @@ async function run({ baseUrl, port } = {}) {
     assert.equal(body.events.length, 0, "Con fecha futura no hay eventos");
   });
 
+  await step("los grupos de consumo leen desde su offset confirmado", async () => {
+    const groupUrl = `${serviceBaseUrl}/event-log/queues/${encodeURIComponent(queueName)}/consumer-groups/crm`;
+
+    const firstFetch = await fetch(`${groupUrl}/events?limit=1`);
+    assert.equal(firstFetch.status, 200, "GET .../consumer-groups/:group/events debe devolver 200");
+    const firstBody = await parseJson(firstFetch);
+    assert.equal(firstBody.committedOffset, 0, "Un grupo nuevo empieza en el offset 0");
+    assert.equal(firstBody.events.length, 1, "limit acota los eventos devueltos");
+    assert.equal(firstBody.events[0].offset, 0);
+    assert.equal(firstBody.nextOffset, 1);
+
+    const repeatedFetch = await parseJson(await fetch(`${groupUrl}/events?limit=1`));
+    assert.equal(repeatedFetch.events[0].offset, 0, "Sin commit el grupo vuelve a leer el mismo evento");
+
+    const commitResponse = await fetch(`${groupUrl}/offsets`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ offset: firstBody.nextOffset }),
+    });
+    assert.equal(commitResponse.status, 200, "POST .../offsets debe devolver 200");
+    const committed = await parseJson(commitResponse);
+    assert.equal(committed.committedOffset, 1);
+    assert.equal(committed.lag, events.length - 1);
+
+    const secondBody = await parseJson(await fetch(`${groupUrl}/events`));
+    assert.deepEqual(
+      secondBody.events.map((entry) => entry.offset),
+      [1],
+      "Tras el commit solo quedan los eventos pendientes del grupo",
+    );
+
+    const otherGroup = await parseJson(
+      await fetch(`${serviceBaseUrl}/event-log/queues/${encodeURIComponent(queueName)}/consumer-groups/billing/events`),
+    );
+    assert.equal(otherGroup.events.length, events.length, "Cada grupo mantiene su propio offset");
+
+    const invalidCommit = await fetch(`${groupUrl}/offsets`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ offset: events.length + 5 }),
+    });
+    assert.equal(invalidCommit.status, 400, "No se puede confirmar más allá del último offset");
+
+    const byOffset = await parseJson(await fetch(`${queueUrl}?fromOffset=1`));
+    assert.deepEqual(byOffset.events.map((entry) => entry.offset), [1], "fromOffset lee por posición");
+  });
+
   await step("el endpoint de métricas refleja totales", async () => {
     const response = await fetch(metricsUrl);
     assert.equal(response.status, 200);
@@ -141,6 +256,527 @@ async function run({ baseUrl, port } = {}) {
     assert.equal(queues.get(secondQueueName).totalEvents, 1);
   });
 
+  await step("el stream SSE reanuda desde un offset y empuja eventos nuevos", async () => {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 5_000);
+    try {
+      const response = await fetch(
+        `${serviceBaseUrl}/event-log/queues/${encodeURIComponent(queueName)}/stream?fromOffset=1`,
+        { signal: controller.signal },
+      );
+      assert.equal(response.status, 200, "GET .../stream debe devolver 200");
+      assert.ok(response.headers.get("content-type").includes("text/event-stream"));
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+      const received = [];
+      const readEvents = async (count) => {
+        while (received.length < count) {
+          // eslint-disable-next-line no-await-in-loop
+          const { value, done } = await reader.read();
+          assert.ok(!done, "El stream no debe cerrarse antes de recibir los eventos");
+          buffer += decoder.decode(value, { stream: true });
+          const blocks = buffer.split("\n\n");
+          buffer = blocks.pop();
+          for (const block of blocks) {
+            const dataLine = block.split("\n").find((line) => line.startsWith("data: "));
+            if (dataLine) {
+              received.push(JSON.parse(dataLine.slice(6)));
+            }
+          }
+        }
+      };
+
+      await readEvents(1);
+      assert.equal(received[0].offset, 1, "El stream empieza en fromOffset");
+
+      await fetch(queueUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ type: "user.deleted" }),
+      });
+      await readEvents(2);
+      assert.equal(received[1].offset, events.length, "El evento nuevo llega por el stream");
+      assert.equal(received[1].event.type, "user.deleted");
+    } finally {
+      clearTimeout(timeout);
+      controller.abort();
+    }
+  });
+
+  await step("el stream SSE retiene los eventos con visibilidad retrasada hasta que se ven", async () => {
+    const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "event-log-stream-"));
+    const instance = await startInstance({ storageDir, failureLevel: 1, failureSeed: 42 });
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 10_000);
+    try {
+      const delayedQueueUrl = `${instance.baseUrl}/event-log/queues/retrasos/events`;
+      const response = await fetch(`${instance.baseUrl}/event-log/queues/retrasos/stream?fromOffset=0`, {
+        signal: controller.signal,
+      });
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      const received = [];
+      let buffer = "";
+      (async () => {
+        for (;;) {
+          // eslint-disable-next-line no-await-in-loop
+          const { value, done } = await reader.read();
+          if (done) {
+            return;
+          }
+          buffer += decoder.decode(value, { stream: true });
+          const blocks = buffer.split("\n\n");
+          buffer = blocks.pop();
+          for (const block of blocks) {
+            const dataLine = block.split("\n").find((line) => line.startsWith("data: "));
+            if (dataLine) {
+              received.push(JSON.parse(dataLine.slice(6)).offset);
+            }
+          }
+        }
+      })().catch(() => {});
+
+      const metrics = async () => parseJson(await fetch(`${instance.baseUrl}/metrics`));
+      const post = (index) =>
+        fetch(delayedQueueUrl, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ type: "retraso.probado", index }),
+        }).then((postResponse) => postResponse.text());
+      // Se publica hasta que un evento queda retrasado y uno más, que debe esperar tras él.
+      for (let index = 0; (await metrics()).injectedFailures.delayed === 0; index += 1) {
+        assert.ok(index < 100, "Con la semilla fija algún evento queda retrasado");
+        await post(index);
+      }
+      await post(-1);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      const stored = (await metrics()).totalEvents;
+      assert.ok(received.length < stored, "Los eventos aún no visibles no se envían por el stream");
+      assert.deepEqual(received, Array.from(received, (_, offset) => offset), "El stream no salta eventos");
+
+      const deadline = Date.now() + 5_000;
+      while (received.length < stored && Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+      assert.deepEqual(
+        received,
+        Array.from({ length: stored }, (_, offset) => offset),
+        "Al vencer la visibilidad llegan el evento retrasado y los que esperaban tras él, en orden",
+      );
+    } finally {
+      clearTimeout(timeout);
+      controller.abort();
+      await instance.stop();
+      fs.rmSync(storageDir, { recursive: true, force: true });
+    }
+  });
+
+  await step("el registro de esquemas valida eventos y exige compatibilidad hacia atrás", async () => {
+    const schemaQueue = `${queueName}-orders`;
+    const schemaUrl = `${serviceBaseUrl}/event-log/queues/${encodeURIComponent(schemaQueue)}/schemas/order.created`;
+    const eventsUrl = `${serviceBaseUrl}/event-log/queues/${encodeURIComponent(schemaQueue)}/events`;
+    const postJson = (url, body) =>
+      fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+    const schemaV1 = {
+      type: "object",
+      required: ["type", "order"],
+      properties: {
+        type: { const: "order.created" },
+        order: {
+          type: "object",
+          required: ["id", "total"],
+          properties: { id: { type: "string" }, total: { type: "number", minimum: 0 } },
+        },
+      },
+    };
+    const registerResponse = await postJson(schemaUrl, { schema: schemaV1 });
+    assert.equal(registerResponse.status, 201, "Registrar un esquema nuevo debe devolver 201");
+    assert.equal((await parseJson(registerResponse)).version, 1);
+    assert.equal((await postJson(schemaUrl, { schema: schemaV1 })).status, 200, "Re-registrar es idempotente");
+
+    const invalidEvent = await postJson(eventsUrl, { type: "order.created", order: { id: 7, total: -1 } });
+    assert.equal(invalidEvent.status, 422, "Un evento que no cumple el esquema debe devolver 422");
+    const invalidBody = await parseJson(invalidEvent);
+    assert.deepEqual(
+      invalidBody.violations.map((violation) => violation.path).sort(),
+      ["$.order.id", "$.order.total"],
+      "La respuesta detalla cada violación con su ruta",
+    );
+
+    const validEvent = await postJson(eventsUrl, { type: "order.created", order: { id: "o-1", total: 10 } });
+    assert.equal(validEvent.status, 201, "Un evento válido se almacena");
+    const untypedEvent = await postJson(eventsUrl, { type: "order.cancelled" });
+    assert.equal(untypedEvent.status, 201, "Los tipos sin esquema se aceptan");
+
+    const breaking = JSON.parse(JSON.stringify(schemaV1));
+    breaking.properties.order.required.push("currency");
+    const breakingResponse = await postJson(schemaUrl, { schema: breaking });
+    assert.equal(breakingResponse.status, 409, "Un campo obligatorio nuevo rompe la compatibilidad");
+    const breakingBody = await parseJson(breakingResponse);
+    assert.ok(breakingBody.incompatibilities.some((entry) => entry.path === "$.order.currency"));
+
+    const compatible = JSON.parse(JSON.stringify(schemaV1));
+    compatible.properties.order.properties.currency = { type: "string" };
+    const compatibleResponse = await postJson(schemaUrl, { schema: compatible });
+    assert.equal(compatibleResponse.status, 201, "Un campo opcional nuevo es compatible");
+    assert.equal((await parseJson(compatibleResponse)).version, 2);
+
+    const withDefault = JSON.parse(JSON.stringify(compatible));
+    withDefault.properties.order.required.push("channel");
+    withDefault.properties.order.properties.channel = { type: "string", default: "web" };
+    const withDefaultResponse = await postJson(schemaUrl, { schema: withDefault });
+    assert.equal(withDefaultResponse.status, 201, "Un campo obligatorio nuevo con default es compatible");
+    assert.equal((await parseJson(withDefaultResponse)).version, 3);
+    const legacyEvent = await postJson(eventsUrl, { type: "order.created", order: { id: "o-2", total: 5 } });
+    assert.equal(legacyEvent.status, 422, "Un campo obligatorio con default sigue siendo obligatorio al validar");
+    const withChannel = await postJson(eventsUrl, { type: "order.created", order: { id: "o-2", total: 5, channel: "web" } });
+    assert.equal(withChannel.status, 201, "Un evento con el campo nuevo valida con v3");
+    const wrongChannel = await postJson(eventsUrl, { type: "order.created", order: { id: "o-3", total: 5, channel: 1 } });
+    assert.equal(wrongChannel.status, 422, "Si el campo con default viene, debe cumplir su esquema");
+
+    const listing = await parseJson(
+      await fetch(`${serviceBaseUrl}/event-log/queues/${encodeURIComponent(schemaQueue)}/schemas`),
+    );
+    assert.equal(listing.schemas.length, 1);
+    assert.equal(listing.schemas[0].latestVersion, 3);
+    assert.equal((await fetch(`${schemaUrl}/versions/1`)).status, 200, "Las versiones anteriores siguen disponibles");
+  });
+
+  await step("la compactación conserva el último evento de cada clave", async () => {
+    const compactedQueue = `${queueName}-customers`;
+    const compactedBaseUrl = `${serviceBaseUrl}/event-log/queues/${encodeURIComponent(compactedQueue)}`;
+
+    const configResponse = await fetch(`${compactedBaseUrl}/config`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ segment: { maxBytes: 200 }, compaction: { keyPath: "customer.id" } }),
+    });
+    assert.equal(configResponse.status, 200, "PUT /config debe devolver 200");
+    assert.equal((await parseJson(configResponse)).compaction.keyPath, "customer.id");
+
+    const updates = [
+      { id: "c-1", tier: "bronze" },
+      { id: "c-2", tier: "silver" },
+      { id: "c-1", tier: "silver" },
+      { id: "c-1", tier: "gold" },
+    ];
+    for (const customer of updates) {
+      const response = await fetch(`${compactedBaseUrl}/events`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ type: "customer.updated", customer }),
+      });
+      assert.equal(response.status, 201);
+    }
+
+    const compactResponse = await fetch(`${compactedBaseUrl}/compact`, { method: "POST" });
+    assert.equal(compactResponse.status, 200, "POST /compact debe devolver 200");
+    const { segments } = await parseJson(compactResponse);
+    assert.ok(segments.length > 0 && segments.every((segment) => segment.closed), "Los segmentos quedan cerrados");
+
+    const remaining = await parseJson(await fetch(`${compactedBaseUrl}/events?fromOffset=0`));
+    assert.deepEqual(
+      remaining.events.map((entry) => [entry.offset, entry.event.customer.tier]),
+      [
+        [1, "silver"],
+        [3, "gold"],
+      ],
+      "Solo sobrevive el último evento de cada cliente, con su offset original",
+    );
+
+    const invalidConfig = await fetch(`${compactedBaseUrl}/config`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ retention: { maxBytes: -1 } }),
+    });
+    assert.equal(invalidConfig.status, 400, "Una retención negativa se rechaza");
+    return `${segments.length} segmentos tras compactar`;
+  });
+
+  await step("las consultas filtran por tipo, origen y ruta y paginan con cursor", async () => {
+    const ordersQueue = `${queueName}-search-orders`;
+    const shippingQueue = `${queueName}-search-shipping`;
+    const postTo = (queue, body) =>
+      fetch(`${serviceBaseUrl}/event-log/queues/${encodeURIComponent(queue)}/events`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+    const startedAt = new Date().toISOString();
+    for (let index = 1; index <= 3; index += 1) {
+      await postTo(ordersQueue, { type: "order.created", source: "web", order: { orderId: `o-${index}` } });
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const createdUntil = new Date().toISOString();
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await postTo(ordersQueue, { type: "order.paid", source: "billing", order: { orderId: "o-2" } });
+    await postTo(shippingQueue, { type: "shipment.sent", source: "warehouse", order: { orderId: "o-2" } });
+
+    const ordersUrl = `${serviceBaseUrl}/event-log/queues/${encodeURIComponent(ordersQueue)}/events`;
+    const since = `since=${encodeURIComponent(startedAt)}`;
+    const byType = await parseJson(await fetch(`${ordersUrl}?${since}&type=order.created&limit=2`));
+    assert.equal(byType.events.length, 2, "limit corta la página");
+    assert.ok(byType.nextCursor, "Debe indicar el cursor de la página siguiente");
+    const nextPage = await parseJson(
+      await fetch(`${ordersUrl}?${since}&type=order.created&limit=2&cursor=${byType.nextCursor}`),
+    );
+    assert.deepEqual(
+      nextPage.events.map((entry) => entry.event.order.orderId),
+      ["o-3"],
+      "El cursor continúa donde terminó la página anterior",
+    );
+    assert.equal(nextPage.nextCursor, null);
+
+    const bySource = await parseJson(await fetch(`${ordersUrl}?${since}&source=billing`));
+    assert.deepEqual(bySource.events.map((entry) => entry.event.type), ["order.paid"]);
+    const untilCreated = await parseJson(
+      await fetch(`${ordersUrl}?${since}&until=${encodeURIComponent(createdUntil)}`),
+    );
+    assert.equal(untilCreated.events.length, 3, "until excluye los eventos posteriores");
+    assert.equal((await fetch(`${ordersUrl}?${since}&until=no-es-fecha`)).status, 400, "until debe ser ISO-8601");
+
+    const searchUrl = `${serviceBaseUrl}/event-log/search?queue=${encodeURIComponent(
+      `${ordersQueue},${shippingQueue}`,
+    )}&where=${encodeURIComponent("$.order.orderId=o-2")}&limit=2`;
+    const firstSearch = await parseJson(await fetch(searchUrl));
+    assert.deepEqual(
+      firstSearch.events.map((entry) => entry.event.type),
+      ["order.created", "order.paid"],
+      "La búsqueda entre colas ordena por fecha de registro",
+    );
+    const secondSearch = await parseJson(await fetch(`${searchUrl}&cursor=${firstSearch.nextCursor}`));
+    assert.deepEqual(secondSearch.events.map((entry) => entry.queue), [shippingQueue]);
+    assert.equal(secondSearch.nextCursor, null);
+    assert.equal((await fetch(`${serviceBaseUrl}/event-log/search?cursor=roto`)).status, 400);
+  });
+
+  await step("las claves de idempotencia evitan eventos duplicados", async () => {
+    const idempotentUrl = `${serviceBaseUrl}/event-log/queues/${encodeURIComponent(`${queueName}-idempotent`)}/events`;
+    const order = { type: "ecommerce.order.created", order: { orderId: "ord-1" } };
+    const postWithKey = (body, key) =>
+      fetch(idempotentUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Idempotency-Key": key },
+        body: JSON.stringify(body),
+      });
+
+    const first = await postWithKey(order, "ord-1");
+    assert.equal(first.status, 201);
+    const firstBody = await parseJson(first);
+    const retry = await postWithKey(order, "ord-1");
+    assert.equal(retry.status, 200, "Un reintento con la misma clave devuelve 200");
+    const retryBody = await parseJson(retry);
+    assert.equal(retryBody.status, "duplicate");
+    assert.equal(retryBody.id, firstBody.id, "El reintento devuelve el id original");
+    assert.equal(retryBody.recordedAt, firstBody.recordedAt);
+    const reordered = await postWithKey({ order: { orderId: "ord-1" }, type: "ecommerce.order.created" }, "ord-1");
+    assert.equal(reordered.status, 200, "El mismo evento con las claves en otro orden es un reintento");
+
+    const conflict = await postWithKey({ ...order, order: { orderId: "ord-2" } }, "ord-1");
+    assert.equal(conflict.status, 409, "Reutilizar la clave con otro evento es un conflicto");
+
+    const withEventId = { type: "ecommerce.order.cancelled", eventId: "evt-cancel-1" };
+    const postEventId = () =>
+      fetch(idempotentUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(withEventId),
+      });
+    assert.equal((await postEventId()).status, 201);
+    assert.equal((await postEventId()).status, 200, "El campo eventId también sirve como clave");
+
+    const postJson = (body) =>
+      fetch(idempotentUrl, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+    const numericEventId = { type: "ecommerce.order.shipped", eventId: 42 };
+    assert.equal((await postJson(numericEventId)).status, 201, "Un eventId numérico se acepta");
+    assert.equal((await postJson(numericEventId)).status, 200, "Un eventId numérico sirve como clave");
+    const objectEventId = { type: "ecommerce.order.note", eventId: { legacy: true } };
+    assert.equal((await postJson(objectEventId)).status, 201, "Un eventId que no sirve de clave no rechaza el evento");
+    assert.equal((await postJson(objectEventId)).status, 201, "Sin clave utilizable el evento no se deduplica");
+    assert.equal((await postWithKey(order, " ")).status, 400, "La cabecera Idempotency-Key vacía se rechaza");
+
+    const stored = await parseJson(await fetch(`${idempotentUrl}?fromOffset=0`));
+    assert.deepEqual(
+      stored.events.map((entry) => entry.idempotencyKey || null),
+      ["ord-1", "evt-cancel-1", "42", null, null],
+      "Solo se almacena un evento por clave",
+    );
+  });
+
+  await step("acepta CloudEvents estructurados y binarios y los devuelve en formato CloudEvents", async () => {
+    const cloudQueueUrl = `${serviceBaseUrl}/event-log/queues/${encodeURIComponent(`${queueName}-cloudevents`)}/events`;
+    const structured = {
+      specversion: "1.0",
+      id: "ce-1",
+      source: "/ecommerce/bff",
+      type: "ecommerce.order.created",
+      time: "2024-05-01T10:00:00Z",
+      tenant: "acme",
+      data: { orderId: "ord-ce-1" },
+    };
+    const postStructured = (body) =>
+      fetch(cloudQueueUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/cloudevents+json" },
+        body: JSON.stringify(body),
+      });
+    assert.equal((await postStructured(structured)).status, 201, "Un CloudEvent estructurado se almacena");
+    const retried = await postStructured(structured);
+    assert.equal(retried.status, 200, "source + id identifican el evento y evitan duplicados");
+
+    const binary = await fetch(cloudQueueUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "ce-specversion": "1.0",
+        "ce-id": "ce-2",
+        "ce-source": "/billing",
+        "ce-type": "billing.invoice.issued",
+      },
+      body: JSON.stringify({ invoiceId: "inv-1" }),
+    });
+    assert.equal(binary.status, 201, "Un CloudEvent binario se almacena");
+
+    const { data, ...withoutData } = structured;
+    assert.equal(
+      (await postStructured({ ...withoutData, id: "ce-4", type: "ecommerce.cart.cleared" })).status,
+      201,
+      "data es opcional en un CloudEvent estructurado",
+    );
+
+    const { source, ...withoutSource } = structured;
+    assert.equal((await postStructured({ ...withoutSource, id: "ce-3" })).status, 400, "source es obligatorio");
+
+    const plain = await fetch(cloudQueueUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ type: "legacy.event", value: 1 }),
+    });
+    assert.equal(plain.status, 201);
+
+    const binaryWithoutData = await fetch(cloudQueueUrl, {
+      method: "POST",
+      headers: {
+        "ce-specversion": "1.0",
+        "ce-id": "ce-5",
+        "ce-source": "/carts",
+        "ce-type": "ecommerce.cart.abandoned",
+      },
+    });
+    assert.equal(binaryWithoutData.status, 201, "Un CloudEvent binario puede llegar sin cuerpo");
+
+    const stored = await parseJson(await fetch(`${cloudQueueUrl}?fromOffset=0`));
+    assert.deepEqual(stored.events[0].event, { orderId: "ord-ce-1" }, "El payload almacenado es data");
+    assert.equal(stored.events[0].cloudEvent.tenant, "acme", "Se conservan las extensiones");
+
+    const asCloudEvents = await parseJson(await fetch(`${cloudQueueUrl}?fromOffset=0&format=cloudevents`));
+    assert.deepEqual(
+      asCloudEvents.events.map((event) => [event.specversion, event.type, event.eventlogoffset]),
+      [
+        ["1.0", "ecommerce.order.created", 0],
+        ["1.0", "billing.invoice.issued", 1],
+        ["1.0", "ecommerce.cart.cleared", 2],
+        ["1.0", "legacy.event", 3],
+        ["1.0", "ecommerce.cart.abandoned", 4],
+      ],
+      "Todos los eventos, también los que no llegaron como CloudEvents, se devuelven con atributos",
+    );
+    assert.equal(asCloudEvents.events[1].source, "/billing");
+    assert.deepEqual(asCloudEvents.events[1].data, { invoiceId: "inv-1" });
+    assert.deepEqual(stored.events[2].event, {}, "Sin data se almacena un objeto vacío");
+    assert.ok(!("data" in asCloudEvents.events[2]), "El CloudEvent sin data se devuelve sin data");
+    assert.deepEqual(stored.events[4].event, {}, "Sin cuerpo se almacena un objeto vacío");
+    assert.ok(!("data" in asCloudEvents.events[4]), "El CloudEvent binario sin cuerpo se devuelve sin data");
+
+    const since = encodeURIComponent(new Date(Date.now() - 60_000).toISOString());
+    const byType = await parseJson(await fetch(`${cloudQueueUrl}?since=${since}&type=billing.invoice.issued`));
+    assert.equal(byType.events.length, 1, "El filtro type usa el atributo del CloudEvent");
+  });
+
+  await step("con replay los eventos y los offsets confirmados sobreviven a un reinicio", async () => {
+    const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "event-log-replay-"));
+    const legacyDir = fs.mkdtempSync(path.join(os.tmpdir(), "event-log-legacy-"));
+    let instance = null;
+    const replayQueueUrl = () => `${instance.baseUrl}/event-log/queues/pedidos/events`;
+    const groupUrl = () => `${instance.baseUrl}/event-log/queues/pedidos/consumer-groups/facturacion`;
+    const readEvents = async () => (await parseJson(await fetch(`${replayQueueUrl()}?fromOffset=0`))).events;
+    try {
+      instance = await startInstance({ storageDir });
+      for (const pedido of [1, 2, 3]) {
+        const response = await fetch(replayQueueUrl(), {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ type: "pedido.creado", pedido }),
+        });
+        assert.equal(response.status, 201);
+      }
+      const commit = await fetch(`${groupUrl()}/offsets`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ offset: 2 }),
+      });
+      assert.equal(commit.status, 200);
+      const before = await readEvents();
+      await instance.stop();
+      instance = null;
+
+      instance = await startInstance({ storageDir, replay: true });
+      assert.deepEqual(await readEvents(), before, "Se restauran los eventos con sus offsets");
+      const group = await parseJson(await fetch(groupUrl()));
+      assert.equal(group.committedOffset, 2, "Se restaura el offset confirmado del grupo");
+      assert.equal(group.lag, 1);
+      const next = await fetch(replayQueueUrl(), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ type: "pedido.creado", pedido: 4 }),
+      });
+      assert.equal(next.status, 201);
+      assert.equal((await readEvents()).at(-1).offset, 3, "Los offsets continúan tras el reinicio");
+      await instance.stop();
+      instance = null;
+
+      // Directorio de una versión anterior a los segmentos: un único events.log para todas las colas.
+      const legacyEvents = [
+        { id: "evt_1", queue: "pedidos", offset: 0, recordedAt: "2024-05-01T10:00:00.000Z", event: { pedido: 1 } },
+        { id: "evt_2", queue: "pedidos", offset: 1, recordedAt: "2024-05-01T10:00:01.000Z", event: { pedido: 2 } },
+      ];
+      fs.writeFileSync(
+        path.join(legacyDir, "events.log"),
+        legacyEvents.map((entry) => `${JSON.stringify(entry)}\n`).join(""),
+      );
+      fs.writeFileSync(
+        path.join(legacyDir, "offsets.log"),
+        `${JSON.stringify({ queue: "pedidos", group: "facturacion", committedOffset: 1, committedAt: "2024-05-01T10:01:00.000Z" })}\n`,
+      );
+      instance = await startInstance({ storageDir: legacyDir, replay: true });
+      assert.deepEqual(
+        (await readEvents()).map((entry) => [entry.offset, entry.event.pedido]),
+        [
+          [0, 1],
+          [1, 2],
+        ],
+        "Los eventos del events.log antiguo se migran con sus offsets",
+      );
+      assert.equal((await parseJson(await fetch(groupUrl()))).committedOffset, 1);
+      assert.ok(fs.existsSync(path.join(legacyDir, "events.log.migrated")), "El fichero antiguo se renombra");
+      await instance.stop();
+      instance = null;
+
+      instance = await startInstance({ storageDir: legacyDir, replay: true });
+      assert.equal((await readEvents()).length, 2, "La migración no se repite en el siguiente arranque");
+    } finally {
+      if (instance) {
+        await instance.stop();
+      }
+      fs.rmSync(storageDir, { recursive: true, force: true });
+      fs.rmSync(legacyDir, { recursive: true, force: true });
+    }
+  });
+
   await step("microfrontend se entrega como script", async () => {
     const response = await fetch(microfrontendUrl);
     assert.equal(response.status, 200);
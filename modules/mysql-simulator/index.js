@@ -6,39 +6,73 @@ const net = require("node:net");
 const http = require("node:http");
 const crypto = require("node:crypto");
 const Database = require("better-sqlite3");
-
-const MysqlTypes = {
-  DECIMAL: 0x00,
-  TINY: 0x01,
-  SHORT: 0x02,
-  LONG: 0x03,
-  FLOAT: 0x04,
-  DOUBLE: 0x05,
-  NULL: 0x06,
-  TIMESTAMP: 0x07,
-  LONGLONG: 0x08,
-  INT24: 0x09,
-  DATE: 0x0a,
-  TIME: 0x0b,
-  DATETIME: 0x0c,
-  YEAR: 0x0d,
-  NEWDATE: 0x0e,
-  VARCHAR: 0x0f,
-  BIT: 0x10,
-  JSON: 0xf5,
-  NEWDECIMAL: 0xf6,
-  ENUM: 0xf7,
-  SET: 0xf8,
-  TINY_BLOB: 0xf9,
-  MEDIUM_BLOB: 0xfa,
-  LONG_BLOB: 0xfb,
-  BLOB: 0xfc,
-  VAR_STRING: 0xfd,
-  STRING: 0xfe,
-  GEOMETRY: 0xff,
-};
+const {
+  SCHEMA_TABLE,
+  SCHEMA_TABLE_DEFINITION,
+  translateStatement,
+  splitStatements,
+  referencedTable,
+} = require("./lib/dialect");
+const {
+  INFORMATION_SCHEMA,
+  readTableMetadata,
+  informationSchemaTables,
+  showColumns,
+  showIndex,
+  showCreateTable,
+  describeTableSchema,
+  createInformationSchema,
+  matchesLike,
+} = require("./lib/information-schema");
+const {
+  MysqlTypes,
+  CHARSET_UTF8MB4,
+  describeResultColumns,
+  formatTextValue,
+  formatJsonValue,
+  encodeBinaryValue,
+} = require("./lib/column-types");
+const {
+  NATIVE_PASSWORD,
+  CACHING_SHA2_PASSWORD,
+  createAccountStore,
+  getAccount,
+  createAccount,
+  dropAccount,
+  alterAccount,
+  grantPrivileges,
+  revokePrivileges,
+  findAccount,
+  hasPrivilege,
+  hasDatabaseAccess,
+  missingPrivilege,
+  describeGrants,
+  verifyScramble,
+  getServerKeys,
+  verifyEncryptedPassword,
+} = require("./lib/accounts");
+const {
+  isSnapshotName,
+  listSnapshots,
+  readSnapshotMetadata,
+  writeSnapshot,
+  deleteSnapshot,
+  resolveSeedSource,
+  copyDatabaseFile,
+} = require("./lib/snapshots");
+const { FIXTURE_FORMATS, parseFixture, readFixtureFile, loadFixtureRows } = require("./lib/fixtures");
+const { describeConstraintError } = require("./lib/constraint-errors");
+const {
+  STATEMENT_SORTS,
+  createQueryLog,
+  resetQueryLog,
+  recordStatement,
+  listStatements,
+  summarizeStatements,
+} = require("./lib/query-log");
 
 const dataDirectory = path.join(__dirname, "data");
+const defaultSnapshotDirectory = path.join(__dirname, "snapshots");
 const microfrontendPath = path.join(__dirname, "mysql-simulator.microfrontend");
 
 const MYSQL_OK = 0x00;
@@ -46,13 +80,51 @@ const MYSQL_ERR = 0xff;
 const MYSQL_EOF = 0xfe;
 
 const SERVER_VERSION = "5.7.0-archim";
-const DEFAULT_STATUS_FLAGS = 0x0002; // SERVER_STATUS_AUTOCOMMIT
+const SERVER_STATUS_IN_TRANS = 0x0001;
+const SERVER_STATUS_AUTOCOMMIT = 0x0002;
+const SERVER_MORE_RESULTS_EXISTS = 0x0008;
+const DEFAULT_STATUS_FLAGS = SERVER_STATUS_AUTOCOMMIT;
+
+const ER_DBACCESS_DENIED = 1044;
+const ER_ACCESS_DENIED = 1045;
+const ER_NO_DB = 1046;
+const ER_BAD_DB = 1049;
+const ER_PARSE_ERROR = 1064;
+const ER_TABLEACCESS_DENIED = 1142;
+const ER_NO_SUCH_TABLE = 1146;
+const ER_UNKNOWN_SYSTEM_VARIABLE = 1193;
+const ER_LOCK_WAIT_TIMEOUT = 1205;
+const DEFAULT_LOCK_WAIT_TIMEOUT = 50;
+const ER_SPECIFIC_ACCESS_DENIED = 1227;
+const ER_WRONG_VALUE_FOR_VAR = 1231;
+const ER_SP_DOES_NOT_EXIST = 1305;
+
+// Errors raised with a string code (by the dialect or the account store) -> [MySQL error code, SQLSTATE].
+const SQL_ERROR_CODES = {
+  ER_UNKNOWN_SYSTEM_VARIABLE: [ER_UNKNOWN_SYSTEM_VARIABLE, "HY000"],
+  ER_NONEXISTING_GRANT: [1141, "42000"],
+  ER_ILLEGAL_GRANT: [1144, "42000"],
+  ER_CANNOT_USER: [1396, "HY000"],
+  ER_PLUGIN_IS_NOT_LOADED: [1524, "HY000"],
+  ER_DUP_ENTRY: [1062, "23000"],
+  ER_BAD_NULL_ERROR: [1048, "23000"],
+  ER_NO_REFERENCED_ROW_2: [1452, "23000"],
+  ER_ROW_IS_REFERENCED_2: [1451, "23000"],
+};
+
+// AuthMoreData payloads of caching_sha2_password.
+const AUTH_MORE_DATA = 0x01;
+const CACHING_SHA2_FAST_AUTH_SUCCESS = 0x03;
+const CACHING_SHA2_PERFORM_FULL_AUTH = 0x04;
+const CACHING_SHA2_REQUEST_PUBLIC_KEY = 0x02;
 
 const CLIENT_LONG_PASSWORD = 0x00000001;
 const CLIENT_LONG_FLAG = 0x00000004;
 const CLIENT_CONNECT_WITH_DB = 0x00000008;
 const CLIENT_PROTOCOL_41 = 0x00000200;
 const CLIENT_SECURE_CONNECTION = 0x00008000;
+const CLIENT_MULTI_STATEMENTS = 0x00010000;
+const CLIENT_MULTI_RESULTS = 0x00020000;
 const CLIENT_PLUGIN_AUTH = 0x00080000;
 const CLIENT_PLUGIN_AUTH_LENENC_CLIENT_DATA = 0x00200000;
 
@@ -62,21 +134,33 @@ const SERVER_CAPABILITIES =
   CLIENT_CONNECT_WITH_DB |
   CLIENT_PROTOCOL_41 |
   CLIENT_SECURE_CONNECTION |
+  CLIENT_MULTI_STATEMENTS |
+  CLIENT_MULTI_RESULTS |
   CLIENT_PLUGIN_AUTH |
   CLIENT_PLUGIN_AUTH_LENENC_CLIENT_DATA;
 
-const MYSQL_TYPE_VAR_STRING = 0xfd;
-const MYSQL_CHARACTER_SET_UTF8MB4 = 0x21;
 
 const MYSQL_COMMAND_STMT_PREPARE = 0x16;
 const MYSQL_COMMAND_STMT_EXECUTE = 0x17;
 const MYSQL_COMMAND_STMT_CLOSE = 0x19;
+const MYSQL_COMMAND_SET_OPTION = 0x1b;
+const MYSQL_OPTION_MULTI_STATEMENTS_ON = 0;
+const MYSQL_OPTION_MULTI_STATEMENTS_OFF = 1;
 
 let cachedMicrofrontend = null;
 
 const state = {
   queryCount: 0,
-  databases: new Map(), // dbName -> { name, sanitized, path, db, tables: Map(tableName -> { columns: string[], rowCount: number }) }
+  startedAt: Date.now(),
+  mysqlPort: null,
+  openConnections: 0,
+  connections: new Set(),
+  snapshotDirectory: defaultSnapshotDirectory,
+  accounts: createAccountStore(),
+  queryLog: createQueryLog(),
+  lockWaitTimeout: DEFAULT_LOCK_WAIT_TIMEOUT,
+  lockWaiters: new Set(),
+  databases: new Map(), // dbName -> { name, sanitized, path, db, tables: Map(tableName -> readTableMetadata result) }
 };
 
 function closeDatabases() {
@@ -117,18 +201,25 @@ function sanitizeDatabaseName(name) {
   return String(name || "default").trim().replace(/[^A-Za-z0-9_]/g, "_") || "default";
 }
 
+function databaseFilePath(name) {
+  return path.join(dataDirectory, `${sanitizeDatabaseName(name)}.sqlite`);
+}
+
 function getDatabaseEntry(name) {
   const sanitized = sanitizeDatabaseName(name);
-  const filePath = path.join(dataDirectory, `${sanitized}.sqlite`);
+  const filePath = databaseFilePath(name);
   ensureDataDirectory();
   if (!state.databases.has(name)) {
-    const db = new Database(filePath);
+    // Without a busy timeout a write that collides with another connection's transaction fails at once
+    // instead of blocking the event loop that would have to finish that transaction; runNonSelectQuery waits instead.
+    const db = new Database(filePath, { timeout: 0 });
     try {
       db.pragma("journal_mode = WAL");
     } catch (error) {
       console.warn(`[mysql-simulator] Unable to set journal_mode for ${name}: ${error.message}`);
     }
     db.pragma("foreign_keys = ON");
+    db.exec(SCHEMA_TABLE_DEFINITION);
     state.databases.set(name, {
       name,
       sanitized,
@@ -139,38 +230,172 @@ function getDatabaseEntry(name) {
   }
   const entry = state.databases.get(name);
   if (!entry.db) {
-    entry.db = new Database(entry.path);
+    entry.db = new Database(entry.path, { timeout: 0 });
   }
   return entry;
 }
 
+function isInformationSchema(name) {
+  return String(name || "").toLowerCase() === INFORMATION_SCHEMA;
+}
+
 async function refreshDatabaseMetadata(name) {
+  // information_schema is emulated and never gets a SQLite file.
+  if (isInformationSchema(name)) {
+    return null;
+  }
   const entry = getDatabaseEntry(name);
   const tables = entry.db
-    .prepare("SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%';")
-    .all();
+    .prepare("SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%' AND name <> ? ORDER BY name;")
+    .all(SCHEMA_TABLE);
   const tablesMap = new Map();
   for (const tableInfo of tables) {
     const tableName = tableInfo.name;
     if (!tableName) {
       continue;
     }
-    const quotedTable = tableName.replace(/'/g, "''");
-    const schema = entry.db.prepare(`PRAGMA table_info('${quotedTable}');`).all();
-    const columns = schema.map((column) => column.name);
-    const rowCountRow = entry.db
-      .prepare(`SELECT COUNT(*) as count FROM '${quotedTable}';`)
-      .get();
-    const rowCount = rowCountRow ? Number(rowCountRow.count) || 0 : 0;
-    tablesMap.set(tableName, {
-      columns,
-      rowCount,
-    });
+    tablesMap.set(tableName, readTableMetadata(entry.db, tableName));
   }
   entry.tables = tablesMap;
   return entry;
 }
 
+// Database entry with fresh metadata, the emulated information_schema included; null when the database is unknown.
+async function describeDatabase(name) {
+  if (isInformationSchema(name)) {
+    return { name: INFORMATION_SCHEMA, tables: informationSchemaTables() };
+  }
+  if (!state.databases.has(name)) {
+    return null;
+  }
+  return refreshDatabaseMetadata(name);
+}
+
+// Replaces the SQLite file of a database with a copy of `sourcePath`, registering the database when it is new.
+// Open transactions hold their own handle on the old file, so callers make sure there are none.
+async function restoreDatabaseFile(name, sourcePath) {
+  const entry = state.databases.get(name);
+  if (entry && entry.db) {
+    entry.db.close();
+  }
+  state.databases.delete(name);
+  ensureDataDirectory();
+  copyDatabaseFile(sourcePath, databaseFilePath(name));
+  return refreshDatabaseMetadata(name);
+}
+
+function hasOpenTransaction(databaseName) {
+  return Array.from(state.connections).some(
+    (connection) => connection.transaction && connection.transaction.databaseName === databaseName
+  );
+}
+
+function findTableName(entry, tableName) {
+  return Array.from(entry.tables.keys()).find((name) => name.toLowerCase() === String(tableName).toLowerCase()) || null;
+}
+
+// The `seedFrom` option maps database names to a snapshot name, a SQLite file, or { from, fixtures } where
+// fixtures maps table names to CSV/JSON files loaded in order. Sources and fixture files are read before the data
+// directory is cleared, so a typo fails the start without losing anything.
+function resolveSeeds(seedFrom, snapshotDirectory) {
+  return Object.entries(seedFrom || {}).map(([database, spec]) => {
+    const { from, fixtures = {} } = typeof spec === "string" ? { from: spec } : spec || {};
+    if (isInformationSchema(database)) {
+      throw new Error("information_schema cannot be seeded");
+    }
+    return {
+      database,
+      source: from === undefined ? null : resolveSeedSource(snapshotDirectory, from),
+      fixtures: Object.entries(fixtures).map(([table, file]) => ({ table, file, rows: readFixtureFile(file) })),
+    };
+  });
+}
+
+async function applySeeds(seeds) {
+  for (const seed of seeds) {
+    const entry = seed.source
+      ? await restoreDatabaseFile(seed.database, seed.source.path)
+      : await refreshDatabaseMetadata(seed.database);
+    for (const fixture of seed.fixtures) {
+      const table = findTableName(entry, fixture.table);
+      if (!table) {
+        throw new Error(`Cannot load ${fixture.file}: table '${fixture.table}' does not exist in ${seed.database}`);
+      }
+      loadFixtureRows(entry.db, table, entry.tables.get(table), fixture.rows);
+    }
+    await refreshDatabaseMetadata(seed.database);
+    const origin = seed.source ? ` from ${seed.source.kind} ${seed.source.name}` : "";
+    const fixtures = seed.fixtures.map((fixture) => fixture.table).join(", ");
+    console.info(`[mysql-simulator] Seeded database ${seed.database}${origin}${fixtures ? ` with fixtures for ${fixtures}` : ""}`);
+  }
+}
+
+async function openInformationSchema() {
+  const databases = [];
+  for (const name of state.databases.keys()) {
+    databases.push(await refreshDatabaseMetadata(name));
+  }
+  return createInformationSchema(databases);
+}
+
+function connectionStatus(connection) {
+  let status = 0;
+  if (connection.autocommit) {
+    status |= SERVER_STATUS_AUTOCOMMIT;
+  }
+  if (connection.transaction) {
+    status |= SERVER_STATUS_IN_TRANS;
+  }
+  if (connection.moreResults) {
+    status |= SERVER_MORE_RESULTS_EXISTS;
+  }
+  return status;
+}
+
+// A transaction is opened by START TRANSACTION/BEGIN, or implicitly with autocommit disabled, and gets its own
+// SQLite handle on the first statement that touches a database. The transaction stays bound to that database.
+// SQLite ignores foreign_keys inside a transaction, so the handle takes the session's foreign_key_checks when opened.
+function getConnectionDatabase(connection, databaseName) {
+  if (!connection.transaction) {
+    if (connection.autocommit) {
+      return getDatabaseEntry(databaseName).db;
+    }
+    connection.transaction = { databaseName: null, db: null };
+  }
+
+  const { transaction } = connection;
+  if (!transaction.db) {
+    const entry = getDatabaseEntry(databaseName);
+    const db = new Database(entry.path, { timeout: 0 });
+    db.pragma(`foreign_keys = ${connection.foreignKeyChecks ? "ON" : "OFF"}`);
+    db.exec("BEGIN");
+    transaction.databaseName = databaseName;
+    transaction.db = db;
+  } else if (transaction.databaseName !== databaseName) {
+    throw new Error(
+      `Transaction is bound to database ${transaction.databaseName}; transactions across databases are not supported`
+    );
+  }
+  return transaction.db;
+}
+
+function endTransaction(connection, action) {
+  const { transaction } = connection;
+  connection.transaction = null;
+  if (!transaction || !transaction.db) {
+    return;
+  }
+  try {
+    transaction.db.exec(action);
+  } finally {
+    transaction.db.close();
+    notifyTransactionEnd();
+  }
+  if (action === "COMMIT") {
+    refreshDatabaseMetadata(transaction.databaseName).catch(() => {});
+  }
+}
+
 function buildMetricsSnapshot() {
   const databases = Array.from(state.databases.values()).map((db) => ({
     name: db.name,
@@ -182,6 +407,8 @@ function buildMetricsSnapshot() {
   }));
   return {
     queryCount: state.queryCount,
+    slowQueryCount: state.queryLog.slowCount,
+    errorCount: state.queryLog.errorCount,
     databaseCount: databases.length,
     databases,
   };
@@ -254,45 +481,61 @@ function buildEofPacket(sequenceId, { status = DEFAULT_STATUS_FLAGS, warnings =
   return buildPacket(sequenceId, payload);
 }
 
-function buildColumnDefinitionPacket(sequenceId, { schema = "", table = "", name }) {
+function buildColumnDefinitionPacket(
+  sequenceId,
+  {
+    schema = "",
+    table = "",
+    name,
+    orgName = name,
+    charset = CHARSET_UTF8MB4,
+    length = 0xffff,
+    type = MysqlTypes.VAR_STRING,
+    flags = 0,
+    decimals = 0,
+  }
+) {
+  const fixedFields = Buffer.alloc(12);
+  fixedFields.writeUInt16LE(charset, 0);
+  fixedFields.writeUInt32LE(length, 2);
+  fixedFields[6] = type;
+  fixedFields.writeUInt16LE(flags, 7);
+  fixedFields[9] = decimals;
   const payload = Buffer.concat([
     writeLengthEncodedString("def"),
     writeLengthEncodedString(schema),
     writeLengthEncodedString(table),
     writeLengthEncodedString(table),
     writeLengthEncodedString(name),
-    writeLengthEncodedString(name),
+    writeLengthEncodedString(orgName),
     Buffer.from([0x0c]),
-    Buffer.from([MYSQL_CHARACTER_SET_UTF8MB4 & 0xff, (MYSQL_CHARACTER_SET_UTF8MB4 >> 8) & 0xff]),
-    Buffer.from([0xff, 0xff, 0x00, 0x00]),
-    Buffer.from([MYSQL_TYPE_VAR_STRING]),
-    Buffer.from([0x00, 0x00]),
-    Buffer.from([0x00]),
-    Buffer.from([0x00, 0x00]),
+    fixedFields,
   ]);
   return buildPacket(sequenceId, payload);
 }
 
-function buildRowPacket(sequenceId, values) {
+function buildRowPacket(sequenceId, values, columns) {
   const parts = [];
-  for (const value of values) {
-    if (value === null || value === undefined) {
+  values.forEach((value, index) => {
+    const formatted = formatTextValue(columns[index], value);
+    if (formatted === null) {
       parts.push(Buffer.from([0xfb]));
+    } else if (Buffer.isBuffer(formatted)) {
+      parts.push(writeLengthEncodedInteger(formatted.length), formatted);
     } else {
-      const stringValue = typeof value === "string" ? value : String(value);
-      parts.push(writeLengthEncodedString(stringValue));
+      parts.push(writeLengthEncodedString(formatted));
     }
-  }
+  });
   return buildPacket(sequenceId, Buffer.concat(parts));
 }
 
-function buildBinaryRowPacket(sequenceId, values, columnCount) {
+function buildBinaryRowPacket(sequenceId, values, columns) {
   const header = Buffer.from([0x00]);
-  const nullBitmapLength = Math.floor((columnCount + 2 + 7) / 8);
+  const nullBitmapLength = Math.floor((columns.length + 2 + 7) / 8);
   const nullBitmap = Buffer.alloc(nullBitmapLength, 0);
   const parts = [header, nullBitmap];
 
-  for (let index = 0; index < columnCount; index += 1) {
+  for (let index = 0; index < columns.length; index += 1) {
     const value = values[index];
     if (value === null || value === undefined) {
       const bitmapIndex = Math.floor((index + 2) / 8);
@@ -300,14 +543,7 @@ function buildBinaryRowPacket(sequenceId, values, columnCount) {
       nullBitmap[bitmapIndex] |= 1 << bit;
       continue;
     }
-
-    if (Buffer.isBuffer(value)) {
-      parts.push(writeLengthEncodedInteger(value.length));
-      parts.push(Buffer.from(value));
-    } else {
-      const stringValue = typeof value === "string" ? value : String(value);
-      parts.push(writeLengthEncodedString(stringValue));
-    }
+    parts.push(encodeBinaryValue(columns[index], value));
   }
 
   return buildPacket(sequenceId, Buffer.concat(parts));
@@ -523,74 +759,354 @@ function parseBinaryParameterValue(buffer, offset, type, unsignedFlag = false) {
   }
 }
 
-async function runSelectQuery(databaseName, sql, parameters = []) {
-  const entry = getDatabaseEntry(databaseName);
+// Rows come back as arrays so that columns sharing a name (SELECT a.id, b.id) are all kept. The column sources
+// carry the declared type and origin table that describeResultColumns turns into MySQL metadata.
+async function runSelectQuery(db, sql, parameters = []) {
   const normalizedSql = sql.trim().replace(/;+$/g, "");
-  const statement = entry.db.prepare(normalizedSql.length > 0 ? normalizedSql : sql);
-  const columnsMeta = typeof statement.columns === "function" ? statement.columns() : [];
-  const columns = columnsMeta.length > 0 ? columnsMeta.map((column) => column.name) : [];
-  const rowsData = statement.all(...parameters);
-  const resolvedColumns = columns.length > 0 && rowsData.length > 0
-    ? columns
-    : rowsData.length > 0
-      ? Object.keys(rowsData[0])
-      : columns;
-  const rows = rowsData.map((row) =>
-    resolvedColumns.map((column) =>
-      (Object.prototype.hasOwnProperty.call(row, column) ? row[column] : null)
-    )
-  );
+  const statement = db.prepare(normalizedSql.length > 0 ? normalizedSql : sql);
+  // Only read-only statements pass the SELECT privilege check; anything that would write is refused here too.
+  if (!statement.readonly) {
+    throw new Error("Only read-only statements can run as a SELECT");
+  }
   return {
-    columns: resolvedColumns,
-    rows,
+    columns: statement.columns(),
+    rows: statement.raw(true).all(...parameters),
   };
 }
 
-async function runNonSelectQuery(databaseName, sql, parameters = []) {
-  const entry = getDatabaseEntry(databaseName);
-  const normalizedSql = sql.trim().replace(/;+$/g, "");
-  const statement = entry.db.prepare(normalizedSql.length > 0 ? normalizedSql : sql);
+// Resolves when some connection's transaction ends or after `timeoutMs`, whichever comes first.
+function waitForTransactionEnd(timeoutMs) {
+  return new Promise((resolve) => {
+    const waiter = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      state.lockWaiters.delete(waiter);
+      resolve();
+    }, timeoutMs);
+    state.lockWaiters.add(waiter);
+  });
+}
+
+function notifyTransactionEnd() {
+  const waiters = Array.from(state.lockWaiters);
+  state.lockWaiters.clear();
+  waiters.forEach((waiter) => waiter());
+}
+
+// Runs the SQLite statements translated from one MySQL statement as a unit. Parameters belong to the first one.
+// The shared handle enforces foreign keys; a session with foreign_key_checks off lifts them for its own statement only.
+// SQLite locks the whole file for writing, so a statement that collides with another connection's open transaction
+// waits for it to end, as InnoDB waits for row locks, and fails with ER_LOCK_WAIT_TIMEOUT after lockWaitTimeout.
+// lastInsertId is the rowid of the last row the first statement inserted, or 0 when it inserted none.
+// table is the one the statement writes and upsert marks INSERT ... ON DUPLICATE KEY UPDATE; both are optional.
+async function runNonSelectQuery(db, databaseName, statements, parameters = [], { foreignKeyChecks = true, table = null, upsert = false } = {}) {
   let affectedRows = 0;
-  const result = statement.run(...parameters);
-  if (typeof result.changes === "number") {
-    affectedRows = result.changes;
+  let lastInsertId = 0;
+  const countRows = () => db.prepare(`SELECT COUNT(*) AS count FROM ${quoteMysqlIdentifier(table)}`).get().count;
+  const runStatements = () => {
+    statements.forEach((sql, index) => {
+      const statementParameters = index === 0 ? parameters : [];
+      const rowsBefore = index === 0 && upsert && table ? countRows() : null;
+      let result;
+      try {
+        result = db.prepare(sql).run(...statementParameters);
+      } catch (error) {
+        throw describeConstraintError(db, databaseName, error, { sql, parameters: statementParameters, table });
+      }
+      if (index === 0 && typeof result.changes === "number") {
+        affectedRows = result.changes;
+        lastInsertId = result.changes > 0 ? Number(result.lastInsertRowid) : 0;
+      }
+      if (rowsBefore !== null) {
+        // Rows that were not inserted were updated, and MySQL counts those twice.
+        const insertedRows = countRows() - rowsBefore;
+        affectedRows = insertedRows + 2 * (result.changes - insertedRows);
+        lastInsertId = insertedRows > 0 ? lastInsertId : 0;
+      }
+    });
+  };
+  const runOnce = () => {
+    const lifted = !foreignKeyChecks && !db.inTransaction;
+    if (lifted) {
+      db.pragma("foreign_keys = OFF");
+    }
+    try {
+      if (statements.length > 1) {
+        db.transaction(runStatements)();
+      } else {
+        runStatements();
+      }
+    } finally {
+      if (lifted) {
+        db.pragma("foreign_keys = ON");
+      }
+    }
+  };
+  const deadline = Date.now() + state.lockWaitTimeout * 1000;
+  for (;;) {
+    try {
+      runOnce();
+      break;
+    } catch (error) {
+      // SQLITE_BUSY_SNAPSHOT means the transaction read data that has changed since; waiting cannot fix that.
+      if (error.code !== "SQLITE_BUSY" || Date.now() >= deadline) {
+        throw error;
+      }
+      await waitForTransactionEnd(deadline - Date.now());
+    }
   }
   await refreshDatabaseMetadata(databaseName);
-  return { affectedRows };
+  return { affectedRows, lastInsertId };
+}
+
+function buildSystemVariables(connection) {
+  return {
+    auto_increment_increment: 1,
+    auto_increment_offset: 1,
+    autocommit: connection.autocommit ? 1 : 0,
+    character_set_client: "utf8mb4",
+    character_set_connection: "utf8mb4",
+    character_set_database: "utf8mb4",
+    character_set_results: "utf8mb4",
+    character_set_server: "utf8mb4",
+    character_set_system: "utf8",
+    collation_connection: "utf8mb4_general_ci",
+    collation_database: "utf8mb4_general_ci",
+    collation_server: "utf8mb4_general_ci",
+    default_storage_engine: "InnoDB",
+    foreign_key_checks: connection.foreignKeyChecks ? 1 : 0,
+    init_connect: "",
+    innodb_lock_wait_timeout: state.lockWaitTimeout,
+    interactive_timeout: 28800,
+    license: "GPL",
+    long_query_time: (state.queryLog.slowQueryMs / 1000).toFixed(6),
+    lower_case_table_names: 0,
+    max_allowed_packet: 16777216,
+    max_connections: 151,
+    net_buffer_length: 16384,
+    net_write_timeout: 60,
+    performance_schema: 0,
+    port: state.mysqlPort,
+    query_cache_size: 0,
+    query_cache_type: "OFF",
+    slow_query_log: "ON",
+    sql_auto_is_null: 0,
+    sql_mode: "",
+    sql_select_limit: "18446744073709551615",
+    system_time_zone: "UTC",
+    time_zone: "SYSTEM",
+    // SQLite serializes writers, so every transaction behaves as SERIALIZABLE.
+    transaction_isolation: "SERIALIZABLE",
+    transaction_read_only: 0,
+    tx_isolation: "SERIALIZABLE",
+    tx_read_only: 0,
+    version: SERVER_VERSION,
+    version_comment: "archim MySQL simulator (SQLite)",
+    wait_timeout: 28800,
+  };
+}
+
+function translationContext(connection) {
+  return {
+    database: connection.currentDatabase,
+    user: connection.username,
+    connectionId: connection.id,
+    lastInsertId: connection.lastInsertId,
+    variables: buildSystemVariables(connection),
+  };
+}
+
+const NO_DATABASE_SELECTED = { code: ER_NO_DB, sqlState: "3D000", message: "No database selected" };
+const CREATE_USER_DENIED = {
+  code: ER_SPECIFIC_ACCESS_DENIED,
+  sqlState: "42000",
+  message: "Access denied; you need (at least one of) the CREATE USER privilege(s) for this operation",
+};
+
+function unknownDatabaseError(databaseName) {
+  return { code: ER_BAD_DB, sqlState: "42000", message: `Unknown database '${databaseName}'` };
 }
 
-async function handleShowDatabases(sequenceId, connection) {
-  const rows = Array.from(state.databases.keys()).map((name) => [name]);
-  const columns = ["Database"];
-  return sendResultSet(sequenceId, connection, columns, rows, { schema: "information_schema", table: "SCHEMATA" });
+function noDatabaseSelectedPacket(sequenceId) {
+  return buildErrPacket(sequenceId, NO_DATABASE_SELECTED);
 }
 
-async function handleShowTables(sequenceId, connection) {
-  const current = connection.currentDatabase;
-  if (!current) {
-    return [buildErrPacket(sequenceId, { message: "No database selected" })];
+async function handleShow(sequenceId, connection, show) {
+  const result = await describeShow(connection, show);
+  if (result.error) {
+    return [buildErrPacket(sequenceId, result.error)];
   }
-  await refreshDatabaseMetadata(current);
-  const entry = state.databases.get(current);
-  const rows = Array.from(entry.tables.keys()).map((name) => [name]);
-  const columns = ["Tables_in_" + current];
-  return sendResultSet(sequenceId, connection, columns, rows, { schema: current, table: "tables" });
+  return sendResultSet(sequenceId, connection, result.columns, result.rows, result.meta);
 }
 
-async function handleDescribe(sequenceId, connection, tableName) {
-  const current = connection.currentDatabase;
-  if (!current) {
-    return [buildErrPacket(sequenceId, { message: "No database selected" })];
+// Answers SHOW statements (and DESCRIBE, translated to SHOW COLUMNS) from the metadata of each database, as
+// { columns, rows, meta } or { error } with the fields of an ERR packet.
+async function describeShow(connection, show) {
+  const respond = (columns, rows, meta = {}) => ({ columns, rows, meta });
+  const byLike = (rows) => rows.filter((row) => matchesLike(row[0], show.like));
+
+  switch (show.kind) {
+    case "DATABASES": {
+      const visible = Array.from(state.databases.keys()).filter((name) => hasDatabaseAccess(connection.account, name));
+      const names = [INFORMATION_SCHEMA, ...visible.sort()];
+      const column = show.like === null ? "Database" : `Database (${show.like})`;
+      return respond([column], byLike(names.map((name) => [name])), { schema: INFORMATION_SCHEMA, table: "SCHEMATA" });
+    }
+    case "VARIABLES": {
+      const rows = Object.entries(buildSystemVariables(connection)).map(([name, value]) => [name, value]);
+      return respond(["Variable_name", "Value"], byLike(rows));
+    }
+    case "STATUS": {
+      const rows = [
+        ["Queries", state.queryCount],
+        ["Questions", state.queryCount],
+        ["Slow_queries", state.queryLog.slowCount],
+        ["Threads_connected", state.openConnections],
+        ["Uptime", Math.floor((Date.now() - state.startedAt) / 1000)],
+      ];
+      return respond(["Variable_name", "Value"], byLike(rows));
+    }
+    case "WARNINGS":
+    case "ERRORS":
+      return respond(["Level", "Code", "Message"], []);
+    case "GRANTS": {
+      let account = connection.account;
+      if (show.account && (show.account.user !== account.user || show.account.host !== account.host)) {
+        if (!hasPrivilege(connection.account, "*", "CREATE USER")) {
+          return { error: CREATE_USER_DENIED };
+        }
+        account = getAccount(state.accounts, show.account.user, show.account.host);
+        if (!account) {
+          const [code, sqlState] = SQL_ERROR_CODES.ER_NONEXISTING_GRANT;
+          const message = `There is no such grant defined for user '${show.account.user}' on host '${show.account.host}'`;
+          return { error: { code, sqlState, message } };
+        }
+      }
+      return respond([`Grants for ${account.user}@${account.host}`], describeGrants(account).map((grant) => [grant]));
+    }
+    case "ENGINES":
+      return respond(
+        ["Engine", "Support", "Comment", "Transactions", "XA", "Savepoints"],
+        byLike([["InnoDB", "DEFAULT", "Backed by SQLite", "YES", "NO", "YES"]])
+      );
+    case "CHARACTER SET":
+      return respond(
+        ["Charset", "Description", "Default collation", "Maxlen"],
+        byLike([["utf8mb4", "UTF-8 Unicode", "utf8mb4_general_ci", 4]])
+      );
+    case "COLLATION":
+      return respond(
+        ["Collation", "Charset", "Id", "Default", "Compiled", "Sortlen"],
+        byLike([["utf8mb4_general_ci", "utf8mb4", 45, "Yes", "Yes", 1]])
+      );
+    default:
+      break;
+  }
+
+  const databaseName = show.database || connection.currentDatabase;
+  if (!databaseName) {
+    return { error: NO_DATABASE_SELECTED };
+  }
+  const entry = await describeDatabase(databaseName);
+  if (!entry) {
+    return { error: unknownDatabaseError(databaseName) };
+  }
+
+  if (show.kind === "CREATE DATABASE") {
+    return respond(
+      ["Database", "Create Database"],
+      [[entry.name, `CREATE DATABASE \`${entry.name}\` /*!40100 DEFAULT CHARACTER SET utf8mb4 */`]]
+    );
+  }
+
+  if (show.kind === "TABLES") {
+    const baseColumn = `Tables_in_${entry.name}${show.like === null ? "" : ` (${show.like})`}`;
+    const tableType = isInformationSchema(entry.name) ? "SYSTEM VIEW" : "BASE TABLE";
+    const rows = byLike(Array.from(entry.tables.keys()).map((name) => [name, tableType]));
+    return show.full
+      ? respond([baseColumn, "Table_type"], rows, { schema: entry.name })
+      : respond([baseColumn], rows.map(([name]) => [name]), { schema: entry.name });
+  }
+
+  if (show.kind === "TABLE STATUS") {
+    const rows = byLike(
+      Array.from(entry.tables.entries()).map(([name, tableMeta]) => [
+        name,
+        "InnoDB",
+        10,
+        "Dynamic",
+        tableMeta.rowCount,
+        0,
+        0,
+        0,
+        0,
+        0,
+        tableMeta.autoIncrement,
+        null,
+        null,
+        null,
+        "utf8mb4_general_ci",
+        null,
+        "",
+        "",
+      ])
+    );
+    return respond(
+      [
+        "Name",
+        "Engine",
+        "Version",
+        "Row_format",
+        "Rows",
+        "Avg_row_length",
+        "Data_length",
+        "Max_data_length",
+        "Index_length",
+        "Data_free",
+        "Auto_increment",
+        "Create_time",
+        "Update_time",
+        "Check_time",
+        "Collation",
+        "Checksum",
+        "Create_options",
+        "Comment",
+      ],
+      rows,
+      { schema: entry.name }
+    );
+  }
+
+  // SQLite table names are case-insensitive, so the lookup is as well.
+  const tableName = Array.from(entry.tables.keys()).find((name) => name.toLowerCase() === show.table.toLowerCase());
+  if (!tableName) {
+    return {
+      error: { code: ER_NO_SUCH_TABLE, sqlState: "42S02", message: `Table '${entry.name}.${show.table}' doesn't exist` },
+    };
   }
-  await refreshDatabaseMetadata(current);
-  const entry = state.databases.get(current);
   const tableMeta = entry.tables.get(tableName);
-  if (!tableMeta) {
-    return [buildErrPacket(sequenceId, { message: `Unknown table '${tableName}'` })];
+  const meta = { schema: entry.name, table: tableName };
+
+  if (show.kind === "COLUMNS") {
+    const { columns, rows } = showColumns(tableMeta, { full: show.full });
+    return respond(columns, byLike(rows), meta);
+  }
+  if (show.kind === "INDEX") {
+    const { columns, rows } = showIndex(tableName, tableMeta);
+    return respond(columns, rows, meta);
+  }
+  return respond(["Table", "Create Table"], [[tableName, showCreateTable(tableName, tableMeta)]], meta);
+}
+
+async function runInformationSchemaQuery(sql, parameters) {
+  const db = await openInformationSchema();
+  try {
+    return await runSelectQuery(db, sql, parameters);
+  } finally {
+    db.close();
   }
-  const rows = tableMeta.columns.map((name) => [name]);
-  const columns = ["Field"];
-  return sendResultSet(sequenceId, connection, columns, rows, { schema: current, table: tableName });
 }
 
 function sendPackets(socket, packets) {
@@ -600,7 +1116,9 @@ function sendPackets(socket, packets) {
 }
 
 function sendHandshake(connection) {
-  const authData = crypto.randomBytes(20);
+  // Like MySQL, the scramble avoids NUL bytes so clients can read it as a NUL-terminated string.
+  const authData = crypto.randomBytes(20).map((byte) => (byte % 94) + 33);
+  connection.scramble = authData;
   const connectionIdBuffer = Buffer.alloc(4);
   connectionIdBuffer.writeUInt32LE(connection.id, 0);
   const part1 = authData.subarray(0, 8);
@@ -612,7 +1130,7 @@ function sendHandshake(connection) {
     part1,
     Buffer.from([0x00]),
     Buffer.from([SERVER_CAPABILITIES & 0xff, (SERVER_CAPABILITIES >> 8) & 0xff]),
-    Buffer.from([MYSQL_CHARACTER_SET_UTF8MB4]),
+    Buffer.from([CHARSET_UTF8MB4]),
     Buffer.from([DEFAULT_STATUS_FLAGS & 0xff, (DEFAULT_STATUS_FLAGS >> 8) & 0xff]),
     Buffer.from([
       (SERVER_CAPABILITIES >> 16) & 0xff,
@@ -628,33 +1146,35 @@ function sendHandshake(connection) {
   connection.state = "handshake";
 }
 
+// `columns` are column names or SQLite column sources; `meta.tables` is the table metadata used for key flags.
 async function sendResultSet(sequenceStart, connection, columns, rows, meta = {}, options = {}) {
   const packets = [];
   let sequenceId = sequenceStart;
   const binary = options.binary === true;
-  packets.push(buildPacket(sequenceId, writeLengthEncodedInteger(columns.length)));
+  const definitions = describeResultColumns(columns, rows, meta.tables);
+  packets.push(buildPacket(sequenceId, writeLengthEncodedInteger(definitions.length)));
   sequenceId += 1;
-  for (const columnName of columns) {
+  for (const definition of definitions) {
     packets.push(
       buildColumnDefinitionPacket(sequenceId, {
+        ...definition,
         schema: meta.schema || connection.currentDatabase || "",
-        table: meta.table || "",
-        name: columnName,
+        table: definition.table || meta.table || "",
       })
     );
     sequenceId += 1;
   }
-  packets.push(buildEofPacket(sequenceId, {}));
+  packets.push(buildEofPacket(sequenceId, { status: connectionStatus(connection) }));
   sequenceId += 1;
   for (const row of rows) {
     if (binary) {
-      packets.push(buildBinaryRowPacket(sequenceId, row, columns.length));
+      packets.push(buildBinaryRowPacket(sequenceId, row, definitions));
     } else {
-      packets.push(buildRowPacket(sequenceId, row));
+      packets.push(buildRowPacket(sequenceId, row, definitions));
     }
     sequenceId += 1;
   }
-  packets.push(buildEofPacket(sequenceId, {}));
+  packets.push(buildEofPacket(sequenceId, { status: connectionStatus(connection) }));
   return packets;
 }
 
@@ -677,19 +1197,24 @@ function parseHandshakeResponse(connection, payload) {
   }
 
   let authResponseLength = 0;
+  let authResponse = Buffer.alloc(0);
   if (clientCapabilities & CLIENT_PLUGIN_AUTH_LENENC_CLIENT_DATA) {
     const [len, consumed] = readLengthEncodedInteger(payload, offset);
     offset += consumed;
     authResponseLength = len || 0;
+    authResponse = payload.subarray(offset, offset + authResponseLength);
     offset += authResponseLength;
   } else if (clientCapabilities & CLIENT_SECURE_CONNECTION) {
     authResponseLength = payload[offset];
+    authResponse = payload.subarray(offset + 1, offset + 1 + authResponseLength);
     offset += 1 + authResponseLength;
   } else {
     const end = payload.indexOf(0x00, offset);
     if (end >= 0) {
+      authResponse = payload.subarray(offset, end);
       offset = end + 1;
     } else {
+      authResponse = payload.subarray(offset);
       offset = payload.length;
     }
   }
@@ -703,95 +1228,531 @@ function parseHandshakeResponse(connection, payload) {
     }
   }
 
+  let authPlugin = NATIVE_PASSWORD;
   if (clientCapabilities & CLIENT_PLUGIN_AUTH) {
     const end = payload.indexOf(0x00, offset);
+    if (end > offset) {
+      authPlugin = payload.subarray(offset, end).toString("utf8");
+    }
     if (end >= 0) {
       offset = end + 1;
     }
   }
 
-  connection.username = username;
+  return { capabilities: clientCapabilities, username, authResponse, databaseName, authPlugin };
+}
+
+function accessDeniedPacket(sequenceId, connection, usingPassword) {
+  return buildErrPacket(sequenceId, {
+    code: ER_ACCESS_DENIED,
+    sqlState: "28000",
+    message: `Access denied for user '${connection.username}'@'${connection.host}' (using password: ${usingPassword ? "YES" : "NO"})`,
+  });
+}
+
+function databaseAccessDeniedPacket(sequenceId, connection, databaseName) {
+  return buildErrPacket(sequenceId, {
+    code: ER_DBACCESS_DENIED,
+    sqlState: "42000",
+    message: `Access denied for user '${connection.username}'@'${connection.host}' to database '${databaseName}'`,
+  });
+}
+
+function rejectLogin(connection, packet) {
+  console.warn(`[mysql-simulator] Rejected login of '${connection.username}'@'${connection.host}'`);
+  connection.state = "closed";
+  connection.socket.end(packet);
+}
+
+function completeLogin(connection, sequenceId) {
+  const { account, databaseName } = connection.login;
+  connection.login = null;
+  if (databaseName && !isInformationSchema(databaseName) && !hasDatabaseAccess(account, databaseName)) {
+    rejectLogin(connection, databaseAccessDeniedPacket(sequenceId, connection, databaseName));
+    return;
+  }
+  connection.account = account;
   if (databaseName) {
-    connection.currentDatabase = databaseName;
+    connection.currentDatabase = isInformationSchema(databaseName) ? INFORMATION_SCHEMA : databaseName;
     refreshDatabaseMetadata(databaseName).catch(() => {});
   }
+  connection.state = "ready";
+  connection.socket.write(buildOkPacket(sequenceId, { message: "Welcome" }));
+}
+
+function sendAuthMoreData(connection, sequenceId, data) {
+  connection.socket.write(buildPacket(sequenceId, Buffer.concat([Buffer.from([AUTH_MORE_DATA]), data])));
+}
+
+// Checks the scramble the client answered with the account's plugin.
+function verifyAuthResponse(connection, authResponse, sequenceId) {
+  const { account } = connection.login;
+  connection.login.usingPassword = authResponse.length > 0;
+  if (account.plugin === CACHING_SHA2_PASSWORD && account.password !== "") {
+    if (account.cached && verifyScramble(account, connection.scramble, authResponse)) {
+      sendAuthMoreData(connection, sequenceId, Buffer.from([CACHING_SHA2_FAST_AUTH_SUCCESS]));
+      completeLogin(connection, sequenceId + 1);
+      return;
+    }
+    // Without a cache entry (or with a wrong scramble) MySQL asks for the password itself.
+    connection.state = "auth-full";
+    sendAuthMoreData(connection, sequenceId, Buffer.from([CACHING_SHA2_PERFORM_FULL_AUTH]));
+    return;
+  }
+  if (verifyScramble(account, connection.scramble, authResponse)) {
+    completeLogin(connection, sequenceId);
+    return;
+  }
+  rejectLogin(connection, accessDeniedPacket(sequenceId, connection, connection.login.usingPassword));
+}
+
+// caching_sha2_password full authentication. There is no TLS, so the client either asks for the public key or
+// already has it and sends the password encrypted with it.
+function continueFullAuthentication(connection, payload, sequenceId) {
+  const { account } = connection.login;
+  if (payload.length === 1 && payload[0] === CACHING_SHA2_REQUEST_PUBLIC_KEY) {
+    sendAuthMoreData(connection, sequenceId, Buffer.from(getServerKeys().publicKey, "utf8"));
+    return;
+  }
+  if (verifyEncryptedPassword(account, connection.scramble, payload)) {
+    account.cached = true;
+    completeLogin(connection, sequenceId);
+    return;
+  }
+  rejectLogin(connection, accessDeniedPacket(sequenceId, connection, true));
+}
+
+function handleHandshakeResponse(connection, payload, sequenceId) {
+  const response = parseHandshakeResponse(connection, payload);
+  connection.username = response.username;
+  connection.multiStatements = (response.capabilities & CLIENT_MULTI_STATEMENTS) !== 0;
+  const account = findAccount(state.accounts, response.username, connection.host);
+  if (!account) {
+    rejectLogin(connection, accessDeniedPacket(sequenceId, connection, response.authResponse.length > 0));
+    return;
+  }
+  connection.login = { account, databaseName: response.databaseName, usingPassword: response.authResponse.length > 0 };
+  if (account.anonymous) {
+    completeLogin(connection, sequenceId);
+    return;
+  }
+  if (response.authPlugin !== account.plugin) {
+    // Auth switch request: the client answers the same scramble with the account's plugin.
+    connection.state = "auth-switch";
+    connection.socket.write(
+      buildPacket(
+        sequenceId,
+        Buffer.concat([Buffer.from([MYSQL_EOF]), Buffer.from(`${account.plugin}\0`, "utf8"), connection.scramble, Buffer.from([0x00])])
+      )
+    );
+    return;
+  }
+  verifyAuthResponse(connection, response.authResponse, sequenceId);
 }
 
 async function handleUseDatabase(sequenceId, connection, databaseName) {
   if (!databaseName) {
     return [buildErrPacket(sequenceId, { message: "Database name is required" })];
   }
-  connection.currentDatabase = databaseName;
+  if (!isInformationSchema(databaseName) && !hasDatabaseAccess(connection.account, databaseName)) {
+    return [databaseAccessDeniedPacket(sequenceId, connection, databaseName)];
+  }
+  connection.currentDatabase = isInformationSchema(databaseName) ? INFORMATION_SCHEMA : databaseName;
   await refreshDatabaseMetadata(databaseName).catch(() => {});
-  return [buildOkPacket(sequenceId, { message: `Using database ${databaseName}` })];
+  return [buildOkPacket(sequenceId, { status: connectionStatus(connection), message: `Using database ${databaseName}` })];
 }
 
-async function executeSql(sequenceId, connection, sql, parameters = [], options = {}) {
-  const trimmed = sql.trim();
-  if (trimmed.length === 0) {
-    return [buildOkPacket(sequenceId, {})];
+function buildSqlErrorPacket(sequenceId, error) {
+  if (error && (error.code === "SQLITE_BUSY" || error.code === "SQLITE_BUSY_SNAPSHOT")) {
+    return buildErrPacket(sequenceId, {
+      code: ER_LOCK_WAIT_TIMEOUT,
+      message: "Lock wait timeout exceeded; try restarting transaction",
+    });
+  }
+  if (error && Object.prototype.hasOwnProperty.call(SQL_ERROR_CODES, error.code)) {
+    const [code, sqlState] = SQL_ERROR_CODES[error.code];
+    return buildErrPacket(sequenceId, { code, sqlState, message: error.message });
   }
+  return buildErrPacket(sequenceId, { message: error.message });
+}
 
-  const upper = trimmed.toUpperCase();
+function parseAutocommitValue(value) {
+  const normalized = value.replace(/^'(.*)'$/, "$1").toUpperCase();
+  if (normalized === "1" || normalized === "ON" || normalized === "TRUE") {
+    return true;
+  }
+  if (normalized === "0" || normalized === "OFF" || normalized === "FALSE") {
+    return false;
+  }
+  return null;
+}
 
-  if (upper.startsWith("USE ")) {
-    const dbName = trimmed.slice(4).replace(/;$/, "").trim();
-    return handleUseDatabase(sequenceId, connection, dbName);
+// Returns the packets for transaction control statements, or null when the statement is something else.
+function handleTransactionStatement(sequenceId, connection, sql) {
+  const statement = sql.replace(/;+$/, "").trim();
+  const currentDatabase = connection.currentDatabase || "default";
+  const ok = () => [buildOkPacket(sequenceId, { status: connectionStatus(connection) })];
+  const missingSavepoint = (name) => [
+    buildErrPacket(sequenceId, { code: ER_SP_DOES_NOT_EXIST, sqlState: "42000", message: `SAVEPOINT ${name} does not exist` }),
+  ];
+
+  if (/^(START\s+TRANSACTION(\s.*)?|BEGIN(\s+WORK)?)$/is.test(statement)) {
+    // Like MySQL, starting a transaction commits the one in progress.
+    endTransaction(connection, "COMMIT");
+    connection.transaction = { databaseName: null, db: null };
+    return ok();
   }
 
-  if (upper === "SHOW DATABASES") {
-    return handleShowDatabases(sequenceId, connection);
+  if (/^COMMIT(\s+WORK)?$/i.test(statement)) {
+    endTransaction(connection, "COMMIT");
+    return ok();
   }
 
-  if (upper === "SHOW TABLES") {
-    return handleShowTables(sequenceId, connection);
+  if (/^ROLLBACK(\s+WORK)?$/i.test(statement)) {
+    endTransaction(connection, "ROLLBACK");
+    return ok();
   }
 
-  const describeMatch = trimmed.match(/^DESCRIBE\s+([A-Za-z0-9_]+)/i);
-  if (describeMatch) {
-    return handleDescribe(sequenceId, connection, describeMatch[1]);
+  const savepointMatch = statement.match(/^SAVEPOINT\s+`?([A-Za-z0-9_]+)`?$/i);
+  if (savepointMatch) {
+    // Outside a transaction the savepoint would be discarded right away, as MySQL does with autocommit.
+    if (connection.transaction) {
+      getConnectionDatabase(connection, connection.transaction.databaseName || currentDatabase).exec(
+        `SAVEPOINT ${savepointMatch[1]}`
+      );
+    }
+    return ok();
   }
 
-  let targetDatabase = connection.currentDatabase || "default";
-  getDatabaseEntry(targetDatabase);
+  const rollbackToMatch = statement.match(/^ROLLBACK(?:\s+WORK)?\s+TO\s+(?:SAVEPOINT\s+)?`?([A-Za-z0-9_]+)`?$/i);
+  const releaseMatch = statement.match(/^RELEASE\s+SAVEPOINT\s+`?([A-Za-z0-9_]+)`?$/i);
+  if (rollbackToMatch || releaseMatch) {
+    const name = (rollbackToMatch || releaseMatch)[1];
+    if (!connection.transaction || !connection.transaction.db) {
+      return missingSavepoint(name);
+    }
+    try {
+      connection.transaction.db.exec(rollbackToMatch ? `ROLLBACK TO ${name}` : `RELEASE ${name}`);
+    } catch (error) {
+      if (/no such savepoint/i.test(error.message)) {
+        return missingSavepoint(name);
+      }
+      throw error;
+    }
+    return ok();
+  }
 
-  try {
-    if (upper.startsWith("SELECT")) {
-      const result = await runSelectQuery(targetDatabase, trimmed, parameters);
-      return sendResultSet(sequenceId, connection, result.columns, result.rows, {}, options);
-    }
-
-    if (upper.startsWith("CREATE DATABASE")) {
-      const name = trimmed
-        .replace(/^CREATE\s+DATABASE\s+/i, "")
-        .replace(/^IF\s+NOT\s+EXISTS\s+/i, "")
-        .replace(/;$/, "")
-        .trim();
-      if (!name) {
-        return [buildErrPacket(sequenceId, { message: "Database name is required" })];
+  const autocommitMatch = statement.match(
+    /^SET\s+(?:(?:SESSION|LOCAL)\s+|@@(?:SESSION\.|LOCAL\.)?)?autocommit\s*=\s*(\S+)$/i
+  );
+  if (autocommitMatch) {
+    const autocommit = parseAutocommitValue(autocommitMatch[1]);
+    if (autocommit === null) {
+      return [
+        buildErrPacket(sequenceId, {
+          code: ER_WRONG_VALUE_FOR_VAR,
+          sqlState: "42000",
+          message: `Variable 'autocommit' can't be set to the value of '${autocommitMatch[1]}'`,
+        }),
+      ];
+    }
+    // Enabling autocommit commits the transaction in progress.
+    if (autocommit) {
+      endTransaction(connection, "COMMIT");
+    }
+    connection.autocommit = autocommit;
+    return ok();
+  }
+
+  return null;
+}
+
+const ACCOUNT_COMMANDS = ["CREATE USER", "ALTER USER", "DROP USER", "GRANT", "REVOKE"];
+
+// The database a statement works on for privilege checks: CREATE/DROP DATABASE name theirs, SHOW may name one.
+function statementDatabase(connection, translation) {
+  if (translation.command === "CREATE DATABASE" || translation.command === "DROP DATABASE") {
+    return translation.database;
+  }
+  if (translation.command === "SHOW") {
+    return translation.show.database || connection.currentDatabase;
+  }
+  return connection.currentDatabase || "default";
+}
+
+// Returns an ERR packet when the connection's account may not run the statement, or null.
+function checkStatementPrivileges(sequenceId, connection, translation, sql) {
+  const { account } = connection;
+  const databaseName = statementDatabase(connection, translation);
+  if (!databaseName || isInformationSchema(databaseName) || translation.informationSchema) {
+    return null;
+  }
+  if (translation.command === "SHOW") {
+    const perDatabase = ["TABLES", "TABLE STATUS", "COLUMNS", "INDEX", "CREATE TABLE", "CREATE DATABASE"];
+    if (perDatabase.includes(translation.show.kind) && !hasDatabaseAccess(account, databaseName)) {
+      return databaseAccessDeniedPacket(sequenceId, connection, databaseName);
+    }
+    return null;
+  }
+  const privilege = missingPrivilege(account, translation.command, databaseName);
+  if (!privilege) {
+    return null;
+  }
+  if (translation.command === "CREATE DATABASE" || translation.command === "DROP DATABASE") {
+    return databaseAccessDeniedPacket(sequenceId, connection, databaseName);
+  }
+  const table = referencedTable(sql);
+  if (!table) {
+    return databaseAccessDeniedPacket(sequenceId, connection, databaseName);
+  }
+  return buildErrPacket(sequenceId, {
+    code: ER_TABLEACCESS_DENIED,
+    sqlState: "42000",
+    message: `${privilege} command denied to user '${connection.username}'@'${connection.host}' for table '${table}'`,
+  });
+}
+
+// CREATE USER, ALTER USER, DROP USER, GRANT and REVOKE change the account store and need CREATE USER.
+function handleAccountStatement(sequenceId, connection, translation) {
+  if (!hasPrivilege(connection.account, "*", "CREATE USER")) {
+    return [buildErrPacket(sequenceId, CREATE_USER_DENIED)];
+  }
+  for (const account of translation.accounts) {
+    switch (translation.command) {
+      case "CREATE USER":
+        createAccount(state.accounts, account, { ifNotExists: translation.ifNotExists });
+        break;
+      case "ALTER USER":
+        alterAccount(state.accounts, account);
+        break;
+      case "DROP USER":
+        dropAccount(state.accounts, account, { ifExists: translation.ifExists });
+        break;
+      case "GRANT":
+      case "REVOKE": {
+        const databaseName = translation.database === null ? connection.currentDatabase : translation.database;
+        if (!databaseName) {
+          return [noDatabaseSelectedPacket(sequenceId)];
+        }
+        const change = translation.command === "GRANT" ? grantPrivileges : revokePrivileges;
+        change(state.accounts, account, databaseName, translation.privileges);
+        break;
       }
-      await refreshDatabaseMetadata(name).catch(() => {});
-      return [buildOkPacket(sequenceId, { message: `Database ${name} created` })];
+      default:
+        break;
+    }
+  }
+  return [buildOkPacket(sequenceId, { status: connectionStatus(connection) })];
+}
+
+function logStatement(connection, database, sql, parameters, startedAt, outcome) {
+  const entry = recordStatement(state.queryLog, {
+    connectionId: connection.id,
+    user: connection.username,
+    database,
+    sql: sql.trim(),
+    params: parameters,
+    durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+    outcome,
+  });
+  if (entry.slow) {
+    console.warn(`[mysql-simulator] Slow query (${entry.durationMs} ms) on connection ${connection.id}: ${entry.fingerprint}`);
+  }
+}
+
+// Runs one statement and records it in the query log with its duration and outcome.
+async function executeSql(sequenceId, connection, sql, parameters = [], options = {}) {
+  const database = connection.currentDatabase;
+  const startedAt = process.hrtime.bigint();
+  const packets = await runStatement(sequenceId, connection, sql, parameters, options);
+  if (sql.trim().length > 0) {
+    logStatement(connection, database, sql, parameters, startedAt, statementOutcome(packets));
+  }
+  return packets;
+}
+
+async function runStatement(sequenceId, connection, sql, parameters = [], options = {}) {
+  const trimmed = sql.trim();
+  if (trimmed.length === 0) {
+    return [buildOkPacket(sequenceId, { status: connectionStatus(connection) })];
+  }
+
+  try {
+    const transactionPackets = handleTransactionStatement(sequenceId, connection, trimmed);
+    if (transactionPackets) {
+      return transactionPackets;
     }
+  } catch (error) {
+    return [buildSqlErrorPacket(sequenceId, error)];
+  }
+
+  const upper = trimmed.toUpperCase();
+
+  if (upper.startsWith("USE ")) {
+    const dbName = trimmed.slice(4).replace(/;$/, "").trim().replace(/^`(.*)`$/, "$1");
+    return handleUseDatabase(sequenceId, connection, dbName);
+  }
 
-    if (
-      upper.startsWith("CREATE") ||
-      upper.startsWith("INSERT") ||
-      upper.startsWith("UPDATE") ||
-      upper.startsWith("DELETE")
-    ) {
-      const { affectedRows } = await runNonSelectQuery(targetDatabase, trimmed, parameters);
-      return [buildOkPacket(sequenceId, { affectedRows })];
+  const targetDatabase = connection.currentDatabase || "default";
+  const readOnlySchema = isInformationSchema(targetDatabase);
+
+  try {
+    const translation = translateStatement(trimmed, translationContext(connection));
+    if (ACCOUNT_COMMANDS.includes(translation.command)) {
+      return handleAccountStatement(sequenceId, connection, translation);
+    }
+    if (readOnlySchema && !["SELECT", "SHOW", "SET", null].includes(translation.command)) {
+      return [databaseAccessDeniedPacket(sequenceId, connection, INFORMATION_SCHEMA)];
+    }
+    const deniedPacket = checkStatementPrivileges(sequenceId, connection, translation, trimmed);
+    if (deniedPacket) {
+      return [deniedPacket];
+    }
+    if (!readOnlySchema && translation.command !== "SHOW") {
+      getDatabaseEntry(targetDatabase);
     }
 
-    return [buildErrPacket(sequenceId, { message: "Unsupported query" })];
+    switch (translation.command) {
+      case null:
+        return [buildOkPacket(sequenceId, { status: connectionStatus(connection) })];
+      case "SHOW":
+        return handleShow(sequenceId, connection, translation.show);
+      case "SELECT": {
+        if (translation.informationSchema || readOnlySchema) {
+          const result = await runInformationSchemaQuery(translation.statements[0], parameters);
+          return sendResultSet(sequenceId, connection, result.columns, result.rows, { schema: INFORMATION_SCHEMA }, options);
+        }
+        const db = getConnectionDatabase(connection, targetDatabase);
+        const result = await runSelectQuery(db, translation.statements[0], parameters);
+        const { tables } = state.databases.get(targetDatabase);
+        return sendResultSet(sequenceId, connection, result.columns, result.rows, { tables }, options);
+      }
+      case "CREATE DATABASE": {
+        endTransaction(connection, "COMMIT");
+        await refreshDatabaseMetadata(translation.database).catch(() => {});
+        return [
+          buildOkPacket(sequenceId, { status: connectionStatus(connection), message: `Database ${translation.database} created` }),
+        ];
+      }
+      // DDL commits the transaction in progress, as in MySQL, and runs outside any transaction.
+      case "CREATE":
+      case "ALTER":
+      case "DROP":
+      case "TRUNCATE": {
+        endTransaction(connection, "COMMIT");
+        const { db } = getDatabaseEntry(targetDatabase);
+        // sqlite_sequence only exists once some table has AUTOINCREMENT; without it there is no counter to restart.
+        const statements =
+          translation.command === "TRUNCATE" && !db.prepare("SELECT 1 FROM sqlite_master WHERE name = 'sqlite_sequence'").get()
+            ? translation.statements.slice(0, 1)
+            : translation.statements;
+        await runNonSelectQuery(db, targetDatabase, statements, parameters, {
+          foreignKeyChecks: connection.foreignKeyChecks,
+        });
+        return [buildOkPacket(sequenceId, { status: connectionStatus(connection) })];
+      }
+      case "INSERT":
+      case "REPLACE":
+      case "UPDATE":
+      case "DELETE": {
+        const db = getConnectionDatabase(connection, targetDatabase);
+        const result = await runNonSelectQuery(db, targetDatabase, translation.statements, parameters, {
+          foreignKeyChecks: connection.foreignKeyChecks,
+          table: referencedTable(sql),
+          upsert: Boolean(translation.upsert),
+        });
+        const inserted = ["INSERT", "REPLACE"].includes(translation.command) ? result.lastInsertId : 0;
+        // As in MySQL, LAST_INSERT_ID() keeps its value across statements that insert nothing.
+        if (inserted > 0) {
+          connection.lastInsertId = inserted;
+        }
+        return [
+          buildOkPacket(sequenceId, { affectedRows: result.affectedRows, lastInsertId: inserted, status: connectionStatus(connection) }),
+        ];
+      }
+      // Session variables stay on the connection; the shared handle is never touched, so other sessions keep theirs.
+      case "SET": {
+        if (translation.session.foreignKeyChecks !== undefined) {
+          connection.foreignKeyChecks = translation.session.foreignKeyChecks;
+        }
+        return [buildOkPacket(sequenceId, { status: connectionStatus(connection) })];
+      }
+      case "LOCK":
+      case "UNLOCK":
+        return [buildOkPacket(sequenceId, { status: connectionStatus(connection) })];
+      default:
+        return [buildErrPacket(sequenceId, { message: "Unsupported query" })];
+    }
   } catch (error) {
-    return [buildErrPacket(sequenceId, { message: error.message })];
+    return [buildSqlErrorPacket(sequenceId, error)];
   }
 }
 
+function isErrPacket(packet) {
+  return packet[4] === MYSQL_ERR;
+}
+
+// Reads back what a statement answered: an error, an OK packet's affected rows or the row count of a result set
+// (column count, column definitions, EOF, rows, EOF).
+function statementOutcome(packets) {
+  const payload = packets[0].subarray(4);
+  if (payload[0] === MYSQL_ERR) {
+    return {
+      error: {
+        code: payload.readUInt16LE(1),
+        sqlState: payload.subarray(4, 9).toString("utf8"),
+        message: payload.subarray(9).toString("utf8"),
+      },
+    };
+  }
+  if (payload[0] === MYSQL_OK && packets.length === 1) {
+    return { affectedRows: readLengthEncodedInteger(payload, 1)[0] };
+  }
+  const [columnCount] = readLengthEncodedInteger(payload, 0);
+  return { rows: packets.length - columnCount - 3 };
+}
+
+// A COM_QUERY carries several statements when the client enabled CLIENT_MULTI_STATEMENTS. Each statement answers
+// its own result, all but the last with SERVER_MORE_RESULTS_EXISTS, and the batch stops at the first error.
 async function handleQuery(sequenceId, connection, sql) {
-  return executeSql(sequenceId, connection, sql, []);
+  let statements;
+  try {
+    statements = splitStatements(sql);
+  } catch (error) {
+    // Let the single-statement path report the tokenizer error.
+    statements = [sql];
+  }
+  if (statements.length <= 1) {
+    return executeSql(sequenceId, connection, sql, []);
+  }
+  if (!connection.multiStatements) {
+    return [
+      buildErrPacket(sequenceId, {
+        code: ER_PARSE_ERROR,
+        sqlState: "42000",
+        // Without CLIENT_MULTI_STATEMENTS MySQL parses the batch as one statement and fails at the second one.
+        message: `You have an error in your SQL syntax; check the manual that corresponds to your MySQL server version for the right syntax to use near '${statements[1].slice(0, 80)}' at line 1`,
+      }),
+    ];
+  }
+
+  const packets = [];
+  let sequence = sequenceId;
+  for (let index = 0; index < statements.length; index += 1) {
+    connection.moreResults = index < statements.length - 1;
+    let result;
+    try {
+      result = await executeSql(sequence, connection, statements[index], []);
+    } finally {
+      connection.moreResults = false;
+    }
+    packets.push(...result);
+    sequence += result.length;
+    if (result.length === 1 && isErrPacket(result[0])) {
+      break;
+    }
+  }
+  return packets;
 }
 
 async function handlePreparedStatementPrepare(sequenceId, connection, sql) {
@@ -801,6 +1762,20 @@ async function handlePreparedStatementPrepare(sequenceId, connection, sql) {
   }
 
   try {
+    // Like MySQL, a statement the account may not run already fails when it is prepared.
+    let translation = null;
+    try {
+      translation = translateStatement(trimmed, translationContext(connection));
+    } catch (error) {
+      translation = null;
+    }
+    const deniedPacket = translation && !ACCOUNT_COMMANDS.includes(translation.command)
+      ? checkStatementPrivileges(sequenceId, connection, translation, trimmed)
+      : null;
+    if (deniedPacket) {
+      return [deniedPacket];
+    }
+
     const statementId = connection.nextStatementId;
     connection.nextStatementId += 1;
     const paramCount = countStatementParameters(trimmed);
@@ -809,7 +1784,7 @@ async function handlePreparedStatementPrepare(sequenceId, connection, sql) {
       sql: trimmed,
       paramCount,
       paramTypes: paramCount > 0 ? new Array(paramCount).fill(null) : [],
-      columnNames: [],
+      columns: [],
     };
     connection.preparedStatements.set(statementId, statement);
 
@@ -817,12 +1792,15 @@ async function handlePreparedStatementPrepare(sequenceId, connection, sql) {
     const packets = [];
     let sequence = sequenceId;
 
-    if (paramCount === 0 && /^\s*SELECT/i.test(trimmed)) {
+    if (paramCount === 0 && translation && translation.command === "SELECT") {
       try {
         const targetDatabase = connection.currentDatabase || "default";
-        const result = await runSelectQuery(targetDatabase, trimmed, []);
-        statement.columnNames = result.columns;
-        numColumns = result.columns.length;
+        const result = translation.informationSchema || isInformationSchema(targetDatabase)
+          ? await runInformationSchemaQuery(translation.statements[0], [])
+          : await runSelectQuery(getDatabaseEntry(targetDatabase).db, translation.statements[0], []);
+        const entry = state.databases.get(targetDatabase);
+        statement.columns = describeResultColumns(result.columns, result.rows, entry ? entry.tables : undefined);
+        numColumns = statement.columns.length;
       } catch (error) {
         numColumns = 0;
       }
@@ -849,25 +1827,21 @@ async function handlePreparedStatementPrepare(sequenceId, connection, sql) {
         );
         sequence += 1;
       }
-      packets.push(buildEofPacket(sequence, {}));
+      packets.push(buildEofPacket(sequence, { status: connectionStatus(connection) }));
       sequence += 1;
     }
 
     if (numColumns > 0) {
-      const columnNames = statement.columnNames.length > 0
-        ? statement.columnNames
-        : Array.from({ length: numColumns }, (_, index) => `column${index + 1}`);
-      for (const columnName of columnNames) {
+      for (const column of statement.columns) {
         packets.push(
           buildColumnDefinitionPacket(sequence, {
+            ...column,
             schema: connection.currentDatabase || "",
-            table: "",
-            name: columnName,
           })
         );
         sequence += 1;
       }
-      packets.push(buildEofPacket(sequence, {}));
+      packets.push(buildEofPacket(sequence, { status: connectionStatus(connection) }));
     }
 
     return packets;
@@ -951,6 +1925,12 @@ function handlePreparedStatementClose(connection, payload) {
   connection.preparedStatements.delete(statementId);
 }
 
+// The host part of 'user'@'host' in grants and errors.
+function clientHost(socket) {
+  const address = (socket.remoteAddress || "").replace(/^::ffff:/, "");
+  return address === "127.0.0.1" || address === "::1" || address === "" ? "localhost" : address;
+}
+
 function createConnectionHandler(serverState) {
   return (socket) => {
     const connection = {
@@ -960,9 +1940,21 @@ function createConnectionHandler(serverState) {
       state: "initial",
       currentDatabase: null,
       username: "",
+      multiStatements: false,
+      moreResults: false,
+      host: clientHost(socket),
+      account: null,
+      login: null,
+      scramble: null,
       preparedStatements: new Map(),
       nextStatementId: 1,
+      autocommit: true,
+      foreignKeyChecks: true,
+      lastInsertId: 0,
+      transaction: null,
     };
+    state.openConnections += 1;
+    state.connections.add(connection);
 
     sendHandshake(connection);
 
@@ -979,10 +1971,11 @@ function createConnectionHandler(serverState) {
         connection.buffer = connection.buffer.subarray(totalLength);
 
         if (connection.state === "handshake") {
-          parseHandshakeResponse(connection, payload);
-          const okPacket = buildOkPacket(sequenceId + 1, { message: "Welcome" });
-          socket.write(okPacket);
-          connection.state = "ready";
+          handleHandshakeResponse(connection, payload, sequenceId + 1);
+        } else if (connection.state === "auth-switch") {
+          verifyAuthResponse(connection, payload, sequenceId + 1);
+        } else if (connection.state === "auth-full") {
+          continueFullAuthentication(connection, payload, sequenceId + 1);
         } else if (connection.state === "ready") {
           handleCommand(connection, payload, sequenceId);
         }
@@ -992,6 +1985,16 @@ function createConnectionHandler(serverState) {
     socket.on("error", () => {
       socket.destroy();
     });
+
+    socket.on("close", () => {
+      state.openConnections -= 1;
+      state.connections.delete(connection);
+      try {
+        endTransaction(connection, "ROLLBACK");
+      } catch (error) {
+        console.warn(`[mysql-simulator] Failed to roll back transaction of connection ${connection.id}: ${error.message}`);
+      }
+    });
   };
 }
 
@@ -1032,8 +2035,18 @@ function handleCommand(connection, payload, sequenceId) {
     case MYSQL_COMMAND_STMT_CLOSE:
       handlePreparedStatementClose(connection, payload);
       break;
+    case MYSQL_COMMAND_SET_OPTION: {
+      const option = payload.length >= 3 ? payload.readUInt16LE(1) : null;
+      if (option === MYSQL_OPTION_MULTI_STATEMENTS_ON || option === MYSQL_OPTION_MULTI_STATEMENTS_OFF) {
+        connection.multiStatements = option === MYSQL_OPTION_MULTI_STATEMENTS_ON;
+        connection.socket.write(buildEofPacket(1, { status: connectionStatus(connection) }));
+      } else {
+        connection.socket.write(buildErrPacket(1, { message: "Unknown option for COM_SET_OPTION" }));
+      }
+      break;
+    }
     case 0x0e: // COM_PING
-      connection.socket.write(buildOkPacket(1, { message: "Pong" }));
+      connection.socket.write(buildOkPacket(1, { status: connectionStatus(connection), message: "Pong" }));
       break;
     default:
       connection.socket.write(buildErrPacket(1, { message: `Command 0x${command.toString(16)} not supported` }));
@@ -1070,6 +2083,393 @@ function startMySqlServer(port) {
   });
 }
 
+const CONSOLE_MAX_ROWS = 1000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+function sendJson(response, statusCode, payload) {
+  response.writeHead(statusCode, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+  });
+  response.end(JSON.stringify(payload));
+}
+
+function httpError(status, message, code) {
+  const error = new Error(message);
+  error.status = status;
+  if (code !== undefined) {
+    error.code = code;
+  }
+  return error;
+}
+
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > 1e6) {
+        request.socket.destroy();
+        reject(httpError(413, "Payload demasiado grande"));
+      }
+    });
+    request.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(httpError(400, "Payload debe ser JSON válido"));
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+// The HTTP API runs statements as its own connection, with every privilege and without a transaction.
+function createConsoleConnection(databaseName) {
+  return {
+    id: 0,
+    username: "console",
+    host: "localhost",
+    currentDatabase: databaseName,
+    account: { user: "console", host: "localhost", privileges: new Map([["*", new Set(["ALL"])]]) },
+    autocommit: true,
+    foreignKeyChecks: true,
+    lastInsertId: 0,
+    transaction: null,
+  };
+}
+
+function serializeResult(columns, rows, tables) {
+  const definitions = describeResultColumns(columns, rows, tables);
+  return {
+    columns: definitions.map((definition) => definition.name),
+    rows: rows.map((row) => row.map((value, index) => formatJsonValue(definitions[index], value))),
+  };
+}
+
+// Runs a read-only statement (SELECT, SHOW or DESCRIBE) for the HTTP API and returns { columns, rows, truncated }
+// with JSON values. Results stop at CONSOLE_MAX_ROWS rows.
+// Console and table browser statements go to the query log too, as connection 0 of user "console".
+async function runConsoleQuery(databaseName, sql, parameters = []) {
+  const connection = createConsoleConnection(databaseName);
+  const startedAt = process.hrtime.bigint();
+  let outcome;
+  try {
+    const result = await executeConsoleQuery(connection, sql, parameters);
+    outcome = { rows: result.rows.length };
+    return result;
+  } catch (error) {
+    const code = typeof error.code === "number" ? error.code : undefined;
+    outcome = statementOutcome([buildErrPacket(0, { code, message: error.message })]);
+    throw error;
+  } finally {
+    logStatement(connection, databaseName, sql, parameters, startedAt, outcome);
+  }
+}
+
+async function executeConsoleQuery(connection, sql, parameters) {
+  const databaseName = connection.currentDatabase;
+  const translation = translateStatement(sql, translationContext(connection));
+  if (translation.command === "SHOW") {
+    const result = await describeShow(connection, translation.show);
+    if (result.error) {
+      throw httpError(400, result.error.message, result.error.code);
+    }
+    return { ...serializeResult(result.columns, result.rows), truncated: false };
+  }
+  if (translation.command !== "SELECT") {
+    throw httpError(400, "Solo se permiten consultas de lectura (SELECT, SHOW, DESCRIBE)");
+  }
+
+  const fromInformationSchema = translation.informationSchema || isInformationSchema(databaseName);
+  const db = fromInformationSchema ? await openInformationSchema() : getDatabaseEntry(databaseName).db;
+  try {
+    const statement = db.prepare(translation.statements[0]);
+    if (!statement.readonly) {
+      throw httpError(400, "Solo se permiten consultas de lectura (SELECT, SHOW, DESCRIBE)");
+    }
+    const rows = [];
+    let truncated = false;
+    for (const row of statement.raw(true).iterate(...parameters)) {
+      if (rows.length === CONSOLE_MAX_ROWS) {
+        truncated = true;
+        break;
+      }
+      rows.push(row);
+    }
+    const tables = fromInformationSchema ? undefined : state.databases.get(databaseName).tables;
+    return { ...serializeResult(statement.columns(), rows, tables), truncated };
+  } finally {
+    if (fromInformationSchema) {
+      db.close();
+    }
+  }
+}
+
+async function requireDatabase(databaseName) {
+  const entry = await describeDatabase(databaseName);
+  if (!entry) {
+    throw httpError(404, `La base de datos '${databaseName}' no existe`);
+  }
+  return entry;
+}
+
+function parsePositiveInteger(value, fallback, name) {
+  if (value === null || value === "") {
+    return fallback;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw httpError(400, `El parámetro ${name} debe ser un entero positivo`);
+  }
+  return parsed;
+}
+
+function quoteMysqlIdentifier(name) {
+  return `\`${String(name).replace(/`/g, "``")}\``;
+}
+
+// GET /api/databases/:db/tables/:table/rows?page=1&pageSize=50&sort=<column>&order=asc|desc
+async function listTableRows(databaseName, tableName, searchParams) {
+  const entry = await requireDatabase(databaseName);
+  const table = findTableName(entry, tableName);
+  if (!table) {
+    throw httpError(404, `La tabla '${tableName}' no existe en '${entry.name}'`);
+  }
+  const tableMeta = entry.tables.get(table);
+  const page = parsePositiveInteger(searchParams.get("page"), 1, "page");
+  const pageSize = Math.min(parsePositiveInteger(searchParams.get("pageSize"), DEFAULT_PAGE_SIZE, "pageSize"), MAX_PAGE_SIZE);
+  const order = (searchParams.get("order") || "asc").toLowerCase();
+  if (order !== "asc" && order !== "desc") {
+    throw httpError(400, "El parámetro order debe ser asc o desc");
+  }
+  const sort = searchParams.get("sort") || null;
+  if (sort !== null && !tableMeta.columns.some((column) => column.name === sort)) {
+    throw httpError(400, `La columna '${sort}' no existe en '${table}'`);
+  }
+
+  // Without a sort column rows follow the primary key, so pages stay stable.
+  const primaryKey = (tableMeta.indexes.find((index) => index.primary) || { columns: [] }).columns;
+  const orderColumns = sort !== null ? [sort] : primaryKey;
+  const orderBy = orderColumns.length > 0
+    ? ` ORDER BY ${orderColumns.map((column) => `${quoteMysqlIdentifier(column)} ${order.toUpperCase()}`).join(", ")}`
+    : "";
+  const from = quoteMysqlIdentifier(table);
+  const count = await runConsoleQuery(entry.name, `SELECT COUNT(*) FROM ${from}`);
+  const result = await runConsoleQuery(entry.name, `SELECT * FROM ${from}${orderBy} LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}`);
+  return {
+    database: entry.name,
+    table,
+    page,
+    pageSize,
+    total: count.rows[0][0],
+    sort,
+    order,
+    columns: result.columns,
+    rows: result.rows.map((row) => Object.fromEntries(result.columns.map((column, index) => [column, row[index]]))),
+  };
+}
+
+// Routes under /api. Returns false when the path is not an API route.
+async function handleApiRequest(request, response, url) {
+  const { pathname, searchParams } = url;
+  const method = request.method || "GET";
+  try {
+    if (pathname === "/api/databases" && method === "GET") {
+      const names = [INFORMATION_SCHEMA, ...Array.from(state.databases.keys()).sort()];
+      const databases = [];
+      for (const name of names) {
+        const entry = await describeDatabase(name);
+        databases.push({ name, tables: Array.from(entry.tables.keys()) });
+      }
+      sendJson(response, 200, { databases });
+      return true;
+    }
+
+    const schemaMatch = pathname.match(/^\/api\/databases\/([^/]+)\/schema$/);
+    if (schemaMatch && method === "GET") {
+      const entry = await requireDatabase(decodeURIComponent(schemaMatch[1]));
+      const tables = Array.from(entry.tables.entries()).map(([name, tableMeta]) => describeTableSchema(name, tableMeta));
+      sendJson(response, 200, { database: entry.name, tables });
+      return true;
+    }
+
+    const rowsMatch = pathname.match(/^\/api\/databases\/([^/]+)\/tables\/([^/]+)\/rows$/);
+    if (rowsMatch && method === "GET") {
+      const payload = await listTableRows(decodeURIComponent(rowsMatch[1]), decodeURIComponent(rowsMatch[2]), searchParams);
+      sendJson(response, 200, payload);
+      return true;
+    }
+
+    const queryMatch = pathname.match(/^\/api\/databases\/([^/]+)\/query$/);
+    if (queryMatch && method === "POST") {
+      const entry = await requireDatabase(decodeURIComponent(queryMatch[1]));
+      const body = await readJsonBody(request);
+      if (typeof body.sql !== "string" || body.sql.trim().length === 0) {
+        throw httpError(400, "El campo sql es obligatorio");
+      }
+      if (body.params !== undefined && !Array.isArray(body.params)) {
+        throw httpError(400, "El campo params debe ser un array");
+      }
+      if (splitStatements(body.sql).length !== 1) {
+        throw httpError(400, "La consola ejecuta una sola sentencia por petición");
+      }
+      const startedAt = Date.now();
+      const result = await runConsoleQuery(entry.name, body.sql, body.params || []);
+      sendJson(response, 200, { database: entry.name, ...result, durationMs: Date.now() - startedAt });
+      return true;
+    }
+
+    // GET /api/query-log?limit=100&slow=true&errors=true&connection=<id>&database=<db>&user=<user>&since=<id>
+    if (pathname === "/api/query-log" && method === "GET") {
+      const optional = (name) => (searchParams.has(name) ? searchParams.get(name) : undefined);
+      const connectionId = optional("connection");
+      const sinceId = optional("since");
+      const log = state.queryLog;
+      const entries = listStatements(log, {
+        slow: searchParams.get("slow") === "true",
+        errors: searchParams.get("errors") === "true",
+        connectionId: connectionId === undefined ? undefined : parsePositiveInteger(connectionId, undefined, "connection"),
+        database: optional("database"),
+        user: optional("user"),
+        sinceId: sinceId === undefined ? undefined : parsePositiveInteger(sinceId, undefined, "since"),
+        limit: parsePositiveInteger(searchParams.get("limit"), DEFAULT_PAGE_SIZE * 2, "limit"),
+      });
+      sendJson(response, 200, {
+        capacity: log.capacity,
+        slowQueryMs: log.slowQueryMs,
+        recorded: log.nextId - 1,
+        errorCount: log.errorCount,
+        slowCount: log.slowCount,
+        entries,
+      });
+      return true;
+    }
+
+    if (pathname === "/api/query-log/statements" && method === "GET") {
+      const sort = searchParams.get("sort") || "totalMs";
+      if (!STATEMENT_SORTS.includes(sort)) {
+        throw httpError(400, `El parámetro sort debe ser uno de: ${STATEMENT_SORTS.join(", ")}`);
+      }
+      const limit = parsePositiveInteger(searchParams.get("limit"), DEFAULT_PAGE_SIZE, "limit");
+      sendJson(response, 200, { sort, statements: summarizeStatements(state.queryLog, { sort, limit }) });
+      return true;
+    }
+
+    if (pathname === "/api/query-log" && method === "DELETE") {
+      const cleared = state.queryLog.nextId - 1;
+      resetQueryLog(state.queryLog);
+      sendJson(response, 200, { cleared });
+      return true;
+    }
+
+    if (pathname === "/api/snapshots" && method === "GET") {
+      sendJson(response, 200, { snapshots: listSnapshots(state.snapshotDirectory) });
+      return true;
+    }
+
+    const snapshotMatch = pathname.match(/^\/api\/snapshots\/([^/]+)$/);
+    if (snapshotMatch && method === "DELETE") {
+      const name = decodeURIComponent(snapshotMatch[1]);
+      if (!deleteSnapshot(state.snapshotDirectory, name)) {
+        throw httpError(404, `El snapshot '${name}' no existe`);
+      }
+      sendJson(response, 200, { deleted: name });
+      return true;
+    }
+
+    const createSnapshotMatch = pathname.match(/^\/api\/databases\/([^/]+)\/snapshots$/);
+    if (createSnapshotMatch && method === "POST") {
+      const databaseName = decodeURIComponent(createSnapshotMatch[1]);
+      if (isInformationSchema(databaseName)) {
+        throw httpError(400, "information_schema no admite snapshots");
+      }
+      // VACUUM INTO reads through the shared handle, so transactions in progress stay out of the snapshot.
+      const entry = await requireDatabase(databaseName);
+      const body = await readJsonBody(request);
+      const name = body.name === undefined ? entry.sanitized : body.name;
+      if (!isSnapshotName(name)) {
+        throw httpError(400, "El campo name solo admite letras, números, _ y - (hasta 64 caracteres)");
+      }
+      const snapshot = writeSnapshot(state.snapshotDirectory, name, entry.db, entry.name);
+      console.info(`[mysql-simulator] Saved snapshot ${name} of database ${entry.name}`);
+      sendJson(response, 201, { snapshot });
+      return true;
+    }
+
+    const restoreMatch = pathname.match(/^\/api\/databases\/([^/]+)\/restore$/);
+    if (restoreMatch && method === "POST") {
+      const databaseName = decodeURIComponent(restoreMatch[1]);
+      const body = await readJsonBody(request);
+      if (isInformationSchema(databaseName)) {
+        throw httpError(400, "information_schema no se puede restaurar");
+      }
+      if (typeof body.snapshot !== "string" || body.snapshot.length === 0) {
+        throw httpError(400, "El campo snapshot es obligatorio");
+      }
+      const snapshot = isSnapshotName(body.snapshot) ? readSnapshotMetadata(state.snapshotDirectory, body.snapshot) : null;
+      if (!snapshot) {
+        throw httpError(404, `El snapshot '${body.snapshot}' no existe`);
+      }
+      if (hasOpenTransaction(databaseName)) {
+        throw httpError(409, `La base de datos '${databaseName}' tiene transacciones abiertas`);
+      }
+      const startedAt = Date.now();
+      const { path: snapshotPath } = resolveSeedSource(state.snapshotDirectory, snapshot.name);
+      const entry = await restoreDatabaseFile(databaseName, snapshotPath);
+      console.info(`[mysql-simulator] Restored database ${databaseName} from snapshot ${snapshot.name}`);
+      sendJson(response, 200, {
+        database: entry.name,
+        snapshot: snapshot.name,
+        tables: Array.from(entry.tables.keys()),
+        durationMs: Date.now() - startedAt,
+      });
+      return true;
+    }
+
+    const fixturesMatch = pathname.match(/^\/api\/databases\/([^/]+)\/tables\/([^/]+)\/fixtures$/);
+    if (fixturesMatch && method === "POST") {
+      const databaseName = decodeURIComponent(fixturesMatch[1]);
+      if (isInformationSchema(databaseName)) {
+        throw httpError(400, "information_schema es de solo lectura");
+      }
+      const entry = await requireDatabase(databaseName);
+      if (hasOpenTransaction(entry.name)) {
+        throw httpError(409, `La base de datos '${entry.name}' tiene transacciones abiertas`);
+      }
+      const tableName = decodeURIComponent(fixturesMatch[2]);
+      const table = findTableName(entry, tableName);
+      if (!table) {
+        throw httpError(404, `La tabla '${tableName}' no existe en '${entry.name}'`);
+      }
+      const body = await readJsonBody(request);
+      const format = body.format || "json";
+      if (!FIXTURE_FORMATS.includes(format)) {
+        throw httpError(400, `El campo format debe ser ${FIXTURE_FORMATS.join(" o ")}`);
+      }
+      if (typeof body.data !== "string" && !Array.isArray(body.data)) {
+        throw httpError(400, "El campo data debe ser un texto CSV/JSON o un array de filas");
+      }
+      const inserted = loadFixtureRows(entry.db, table, entry.tables.get(table), parseFixture(body.data, format), {
+        truncate: body.truncate === true,
+      });
+      await refreshDatabaseMetadata(entry.name);
+      sendJson(response, 200, { database: entry.name, table, inserted });
+      return true;
+    }
+  } catch (error) {
+    const payload = { error: error.message };
+    // MySQL error numbers only; SQLite's own codes say nothing to a MySQL user.
+    if (typeof error.code === "number") {
+      payload.code = error.code;
+    }
+    sendJson(response, error.status || 400, payload);
+    return true;
+  }
+  return false;
+}
+
 function getMicrofrontendScript() {
   if (cachedMicrofrontend === null) {
     cachedMicrofrontend = fs.readFileSync(microfrontendPath, "utf8");
@@ -1079,11 +2479,11 @@ function getMicrofrontendScript() {
 
 function startHttpServer(port) {
   const connections = new Set();
-  const server = http.createServer((request, response) => {
+  const server = http.createServer(async (request, response) => {
     if (request.method === "OPTIONS") {
       response.writeHead(204, {
         "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Methods": "GET,OPTIONS",
+        "Access-Control-Allow-Methods": "GET,POST,DELETE,OPTIONS",
         "Access-Control-Allow-Headers": "Content-Type",
       });
       response.end();
@@ -1108,6 +2508,13 @@ function startHttpServer(port) {
       return;
     }
 
+    if (request.url.startsWith("/api/")) {
+      const url = new URL(request.url, `http://${request.headers.host || "localhost"}`);
+      if (await handleApiRequest(request, response, url)) {
+        return;
+      }
+    }
+
     response.writeHead(404, { "Content-Type": "text/plain" });
     response.end("Not Found");
   });
@@ -1136,11 +2543,39 @@ function startHttpServer(port) {
   });
 }
 
-async function start({ port = 4500, mysqlPort = 3307 } = {}) {
+async function start({
+  port = 4500,
+  mysqlPort = 3307,
+  users,
+  seedFrom,
+  snapshotDirectory,
+  queryLogSize,
+  slowQueryMs,
+  lockWaitTimeout = DEFAULT_LOCK_WAIT_TIMEOUT,
+} = {}) {
+  // Validate the accounts, query log settings and seeds before touching the data directory.
+  if (typeof lockWaitTimeout !== "number" || !Number.isFinite(lockWaitTimeout) || lockWaitTimeout < 0) {
+    throw new Error(`lockWaitTimeout must be a number of seconds, got ${lockWaitTimeout}`);
+  }
+  const accounts = createAccountStore(users);
+  const queryLog = createQueryLog({ capacity: queryLogSize, slowQueryMs });
+  const resolvedSnapshotDirectory = snapshotDirectory
+    ? path.resolve(process.cwd(), snapshotDirectory)
+    : defaultSnapshotDirectory;
+  const seeds = resolveSeeds(seedFrom, resolvedSnapshotDirectory);
   closeDatabases();
+  state.accounts = accounts;
+  state.queryLog = queryLog;
+  state.snapshotDirectory = resolvedSnapshotDirectory;
+  state.lockWaitTimeout = lockWaitTimeout;
   state.queryCount = 0;
+  state.startedAt = Date.now();
+  state.mysqlPort = mysqlPort;
+  state.openConnections = 0;
+  state.connections.clear();
   clearDataDirectory();
   ensureDataDirectory();
+  await applySeeds(seeds);
   const [mysqlServer, httpServer] = await Promise.all([
     startMySqlServer(mysqlPort),
     startHttpServer(port),
@@ -0,0 +1,362 @@
+"use strict";
+
+// User accounts, password verification and per-database privileges.
+//
+// Accounts come from the `users` start option and from CREATE USER / GRANT statements. Without the option the
+// server stays open: a user that has no account logs in with any password and every privilege, so existing
+// architectures keep working, while accounts created at runtime are still verified.
+//
+// Passwords are kept in clear because both plugins verify a scramble that the client derives from the password.
+// caching_sha2_password follows MySQL: the first login of an account goes through full authentication (the client
+// encrypts the password with the server's RSA public key) and later logins use the fast path until the account
+// changes.
+
+const crypto = require("node:crypto");
+const { matchesLike } = require("./information-schema");
+
+const NATIVE_PASSWORD = "mysql_native_password";
+const CACHING_SHA2_PASSWORD = "caching_sha2_password";
+const AUTH_PLUGINS = [NATIVE_PASSWORD, CACHING_SHA2_PASSWORD];
+
+const ANY_DATABASE = "*";
+
+// In the order MySQL prints them in SHOW GRANTS.
+const PRIVILEGES = [
+  "SELECT",
+  "INSERT",
+  "UPDATE",
+  "DELETE",
+  "CREATE",
+  "DROP",
+  "REFERENCES",
+  "INDEX",
+  "ALTER",
+  "CREATE TEMPORARY TABLES",
+  "LOCK TABLES",
+  "CREATE USER",
+];
+const GLOBAL_PRIVILEGES = new Set(["CREATE USER"]);
+
+// Privileges that each translated command needs on its database.
+const COMMAND_PRIVILEGES = {
+  SELECT: ["SELECT"],
+  INSERT: ["INSERT"],
+  REPLACE: ["INSERT", "DELETE"],
+  UPDATE: ["UPDATE"],
+  DELETE: ["DELETE"],
+  CREATE: ["CREATE"],
+  ALTER: ["ALTER"],
+  DROP: ["DROP"],
+  TRUNCATE: ["DROP"],
+  "CREATE DATABASE": ["CREATE"],
+  "DROP DATABASE": ["DROP"],
+};
+
+let serverKeys = null;
+
+function accountError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function accountName({ user, host }) {
+  return `'${user}'@'${host}'`;
+}
+
+function normalizePrivilege(privilege) {
+  const normalized = String(privilege).trim().replace(/\s+/g, " ").toUpperCase();
+  if (normalized === "ALL" || normalized === "ALL PRIVILEGES") {
+    return "ALL";
+  }
+  if (!PRIVILEGES.includes(normalized) && normalized !== "USAGE") {
+    throw accountError("ER_ILLEGAL_GRANT", `Unknown privilege ${privilege}`);
+  }
+  return normalized;
+}
+
+function normalizeDatabase(database) {
+  return database === null || database === undefined || database === "" ? ANY_DATABASE : String(database);
+}
+
+function validatePlugin(plugin) {
+  if (!AUTH_PLUGINS.includes(plugin)) {
+    throw accountError("ER_PLUGIN_IS_NOT_LOADED", `Plugin '${plugin}' is not loaded`);
+  }
+  return plugin;
+}
+
+function getAccount(store, user, host) {
+  return store.accounts.find((account) => account.user === user && account.host === host) || null;
+}
+
+function createAccount(store, { user, host = "%", password = "", plugin = NATIVE_PASSWORD }, { ifNotExists = false } = {}) {
+  if (typeof user !== "string") {
+    throw accountError("ER_CANNOT_USER", "Every user needs a name");
+  }
+  if (getAccount(store, user, host)) {
+    if (ifNotExists) {
+      return null;
+    }
+    throw accountError("ER_CANNOT_USER", `Operation CREATE USER failed for ${accountName({ user, host })}`);
+  }
+  const account = {
+    user,
+    host,
+    password: password === null || password === undefined ? "" : String(password),
+    plugin: validatePlugin(plugin),
+    privileges: new Map(), // database (or "*") -> Set of privileges
+    cached: false,
+  };
+  store.accounts.push(account);
+  return account;
+}
+
+function requireAccount(store, user, host, operation) {
+  const account = getAccount(store, user, host);
+  if (!account) {
+    throw accountError("ER_CANNOT_USER", `Operation ${operation} failed for ${accountName({ user, host })}`);
+  }
+  return account;
+}
+
+function dropAccount(store, { user, host = "%" }, { ifExists = false } = {}) {
+  const account = getAccount(store, user, host);
+  if (!account) {
+    if (ifExists) {
+      return;
+    }
+    throw accountError("ER_CANNOT_USER", `Operation DROP USER failed for ${accountName({ user, host })}`);
+  }
+  store.accounts.splice(store.accounts.indexOf(account), 1);
+}
+
+function alterAccount(store, { user, host = "%", password, plugin }) {
+  const account = requireAccount(store, user, host, "ALTER USER");
+  if (plugin) {
+    account.plugin = validatePlugin(plugin);
+  }
+  if (password !== undefined && password !== null) {
+    account.password = String(password);
+  }
+  // MySQL drops the cached caching_sha2_password entry whenever the account changes.
+  account.cached = false;
+  return account;
+}
+
+function grantPrivileges(store, { user, host = "%" }, database, privileges) {
+  const account = requireAccount(store, user, host, "GRANT");
+  const scope = normalizeDatabase(database);
+  const normalized = privileges.map(normalizePrivilege).filter((privilege) => privilege !== "USAGE");
+  for (const privilege of normalized) {
+    if (GLOBAL_PRIVILEGES.has(privilege) && scope !== ANY_DATABASE) {
+      throw accountError("ER_ILLEGAL_GRANT", "Illegal GRANT/REVOKE command; please consult the manual to see which privileges can be used");
+    }
+  }
+  if (normalized.length === 0) {
+    return account;
+  }
+  if (!account.privileges.has(scope)) {
+    account.privileges.set(scope, new Set());
+  }
+  const granted = account.privileges.get(scope);
+  for (const privilege of normalized) {
+    granted.add(privilege);
+  }
+  return account;
+}
+
+function revokePrivileges(store, { user, host = "%" }, database, privileges) {
+  const account = requireAccount(store, user, host, "REVOKE");
+  const scope = normalizeDatabase(database);
+  const granted = account.privileges.get(scope);
+  if (!granted) {
+    throw accountError("ER_NONEXISTING_GRANT", `There is no such grant defined for user '${user}' on host '${host}'`);
+  }
+  for (const privilege of privileges.map(normalizePrivilege)) {
+    if (privilege === "ALL") {
+      granted.clear();
+    } else if (granted.has("ALL")) {
+      // Revoking one privilege from ALL leaves the others in place.
+      granted.delete("ALL");
+      for (const other of PRIVILEGES) {
+        if (other !== privilege && (scope === ANY_DATABASE || !GLOBAL_PRIVILEGES.has(other))) {
+          granted.add(other);
+        }
+      }
+    } else {
+      granted.delete(privilege);
+    }
+  }
+  if (granted.size === 0) {
+    account.privileges.delete(scope);
+  }
+  return account;
+}
+
+// `users` is the start option: [{ user, password, host, plugin, grants: { "<database>" | "*": [privileges] } }].
+function createAccountStore(users) {
+  const store = { open: users === undefined || users === null, accounts: [] };
+  for (const spec of users || []) {
+    createAccount(store, {
+      user: spec.user,
+      host: spec.host || "%",
+      password: spec.password,
+      plugin: spec.plugin || NATIVE_PASSWORD,
+    });
+    for (const [database, privileges] of Object.entries(spec.grants || {})) {
+      grantPrivileges(store, { user: spec.user, host: spec.host || "%" }, database, [].concat(privileges));
+    }
+  }
+  return store;
+}
+
+function hostSpecificity(pattern) {
+  return /[%_]/.test(pattern) ? pattern.replace(/[%_]/g, "").length : Number.MAX_SAFE_INTEGER;
+}
+
+// Finds the account a login uses, the most specific host first as MySQL sorts them. In an open store a user
+// without account gets an anonymous account with every privilege.
+function findAccount(store, user, host) {
+  const candidates = store.accounts
+    .filter((account) => account.user === user)
+    .filter((account) => account.host === host || matchesLike(host, account.host))
+    .sort((left, right) => hostSpecificity(right.host) - hostSpecificity(left.host));
+  if (candidates.length > 0) {
+    return candidates[0];
+  }
+  if (store.open && !store.accounts.some((account) => account.user === user)) {
+    return {
+      user,
+      host: "%",
+      password: null,
+      plugin: null,
+      privileges: new Map([[ANY_DATABASE, new Set(["ALL"])]]),
+      anonymous: true,
+    };
+  }
+  return null;
+}
+
+function hasPrivilege(account, database, privilege) {
+  const scopes = GLOBAL_PRIVILEGES.has(privilege) ? [ANY_DATABASE] : [ANY_DATABASE, database];
+  return scopes.some((scope) => {
+    const granted = account.privileges.get(scope);
+    return Boolean(granted) && (granted.has("ALL") || granted.has(privilege));
+  });
+}
+
+function hasDatabaseAccess(account, database) {
+  return account.privileges.has(ANY_DATABASE) || account.privileges.has(database);
+}
+
+// Returns the first privilege the command needs on `database` that the account lacks, or null.
+function missingPrivilege(account, command, database) {
+  const required = COMMAND_PRIVILEGES[command] || [];
+  return required.find((privilege) => !hasPrivilege(account, database, privilege)) || null;
+}
+
+function describePrivileges(granted, scope) {
+  if (granted.has("ALL")) {
+    return "ALL PRIVILEGES";
+  }
+  return PRIVILEGES.filter((privilege) => granted.has(privilege) && (scope === ANY_DATABASE || !GLOBAL_PRIVILEGES.has(privilege))).join(", ");
+}
+
+// The rows of SHOW GRANTS: global privileges (or USAGE) first, then one GRANT per database.
+function describeGrants(account) {
+  const grantee = `\`${account.user}\`@\`${account.host}\``;
+  const global = account.privileges.get(ANY_DATABASE);
+  const grants = [`GRANT ${global ? describePrivileges(global, ANY_DATABASE) : "USAGE"} ON *.* TO ${grantee}`];
+  const databases = Array.from(account.privileges.keys())
+    .filter((scope) => scope !== ANY_DATABASE)
+    .sort();
+  for (const database of databases) {
+    grants.push(`GRANT ${describePrivileges(account.privileges.get(database), database)} ON \`${database}\`.* TO ${grantee}`);
+  }
+  return grants;
+}
+
+function sha1(...parts) {
+  return crypto.createHash("sha1").update(Buffer.concat(parts)).digest();
+}
+
+function sha256(...parts) {
+  return crypto.createHash("sha256").update(Buffer.concat(parts)).digest();
+}
+
+function xor(left, right) {
+  const result = Buffer.alloc(left.length);
+  for (let index = 0; index < left.length; index += 1) {
+    result[index] = left[index] ^ right[index % right.length];
+  }
+  return result;
+}
+
+// The token a client sends for `password` and the server scramble, or an empty buffer for an empty password.
+function scrambledPassword(plugin, password, scramble) {
+  if (!password) {
+    return Buffer.alloc(0);
+  }
+  const secret = Buffer.from(password, "utf8");
+  if (plugin === CACHING_SHA2_PASSWORD) {
+    const stage1 = sha256(secret);
+    return xor(stage1, sha256(sha256(stage1), scramble));
+  }
+  const stage1 = sha1(secret);
+  return xor(stage1, sha1(scramble, sha1(stage1)));
+}
+
+function verifyScramble(account, scramble, authResponse) {
+  const expected = scrambledPassword(account.plugin, account.password, scramble);
+  return expected.length === authResponse.length && crypto.timingSafeEqual(expected, authResponse);
+}
+
+// RSA key pair for caching_sha2_password full authentication, created on first use.
+function getServerKeys() {
+  if (serverKeys === null) {
+    serverKeys = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: "spki", format: "pem" },
+      privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    });
+  }
+  return serverKeys;
+}
+
+// Full authentication: the client sends (password + NUL) XOR scramble, encrypted with the public key.
+function verifyEncryptedPassword(account, scramble, encrypted) {
+  let decrypted;
+  try {
+    decrypted = crypto.privateDecrypt(
+      { key: getServerKeys().privateKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: "sha1" },
+      encrypted
+    );
+  } catch (error) {
+    return false;
+  }
+  const password = xor(decrypted, scramble).toString("utf8").replace(/\0$/, "");
+  return password === account.password;
+}
+
+module.exports = {
+  NATIVE_PASSWORD,
+  CACHING_SHA2_PASSWORD,
+  ANY_DATABASE,
+  createAccountStore,
+  getAccount,
+  createAccount,
+  dropAccount,
+  alterAccount,
+  grantPrivileges,
+  revokePrivileges,
+  findAccount,
+  hasPrivilege,
+  hasDatabaseAccess,
+  missingPrivilege,
+  describeGrants,
+  scrambledPassword,
+  verifyScramble,
+  getServerKeys,
+  verifyEncryptedPassword,
+};
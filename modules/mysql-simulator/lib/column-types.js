@@ -0,0 +1,481 @@
+"use strict";
+
+// MySQL column metadata for result sets.
+//
+// Columns that come from a table take their type from the declared SQLite type, which keeps the MySQL spelling
+// (VARCHAR(120), DECIMAL(10,2), DATETIME...). Expressions have no declared type and are typed from their values.
+// SQLite does not enforce declared types, so a column whose values do not fit its type (text in an INT column,
+// an unparseable DATETIME) is sent as VAR_STRING rather than as a value the client would misread.
+
+const { describeColumnType } = require("./information-schema");
+
+const MysqlTypes = {
+  DECIMAL: 0x00,
+  TINY: 0x01,
+  SHORT: 0x02,
+  LONG: 0x03,
+  FLOAT: 0x04,
+  DOUBLE: 0x05,
+  NULL: 0x06,
+  TIMESTAMP: 0x07,
+  LONGLONG: 0x08,
+  INT24: 0x09,
+  DATE: 0x0a,
+  TIME: 0x0b,
+  DATETIME: 0x0c,
+  YEAR: 0x0d,
+  NEWDATE: 0x0e,
+  VARCHAR: 0x0f,
+  BIT: 0x10,
+  JSON: 0xf5,
+  NEWDECIMAL: 0xf6,
+  ENUM: 0xf7,
+  SET: 0xf8,
+  TINY_BLOB: 0xf9,
+  MEDIUM_BLOB: 0xfa,
+  LONG_BLOB: 0xfb,
+  BLOB: 0xfc,
+  VAR_STRING: 0xfd,
+  STRING: 0xfe,
+  GEOMETRY: 0xff,
+};
+
+const ColumnFlags = {
+  NOT_NULL: 0x0001,
+  PRI_KEY: 0x0002,
+  UNIQUE_KEY: 0x0004,
+  MULTIPLE_KEY: 0x0008,
+  BLOB: 0x0010,
+  UNSIGNED: 0x0020,
+  BINARY: 0x0080,
+  ENUM: 0x0100,
+  AUTO_INCREMENT: 0x0200,
+  TIMESTAMP: 0x0400,
+  SET: 0x0800,
+  NUM: 0x8000,
+};
+
+const CHARSET_UTF8MB4 = 0x21;
+const CHARSET_BINARY = 0x3f;
+const MAX_LENGTH = 0xffffffff;
+const NOT_FIXED_DECIMALS = 0x1f;
+
+// [type, display length, unsigned display length]
+const INTEGER_TYPES = {
+  tinyint: [MysqlTypes.TINY, 4, 3],
+  bool: [MysqlTypes.TINY, 1, 1],
+  boolean: [MysqlTypes.TINY, 1, 1],
+  smallint: [MysqlTypes.SHORT, 6, 5],
+  mediumint: [MysqlTypes.INT24, 9, 8],
+  int: [MysqlTypes.LONG, 11, 10],
+  bigint: [MysqlTypes.LONGLONG, 20, 20],
+};
+
+const INTEGER_RANGES = {
+  [MysqlTypes.TINY]: 8,
+  [MysqlTypes.SHORT]: 16,
+  [MysqlTypes.INT24]: 32,
+  [MysqlTypes.LONG]: 32,
+  [MysqlTypes.LONGLONG]: 64,
+};
+
+const TEXT_LENGTHS = { tinytext: 255, text: 65535, mediumtext: 16777215, longtext: MAX_LENGTH };
+const BLOB_LENGTHS = { tinyblob: 255, blob: 65535, mediumblob: 16777215, longblob: MAX_LENGTH };
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?: (\d{2}):(\d{2}):(\d{2})(?:\.(\d{1,6}))?)?$/;
+const TIME_PATTERN = /^(-)?(\d{1,3}):(\d{2}):(\d{2})(?:\.(\d{1,6}))?$/;
+
+function stringColumn(length, decimals = 0) {
+  return { type: MysqlTypes.VAR_STRING, length, decimals, flags: 0, charset: CHARSET_UTF8MB4 };
+}
+
+function numericColumn(type, length, decimals, flags = 0) {
+  return { type, length, decimals, flags: flags | ColumnFlags.NUM | ColumnFlags.BINARY, charset: CHARSET_BINARY };
+}
+
+function temporalColumn(type, length, fsp, flags = 0) {
+  return {
+    type,
+    length: fsp > 0 ? length + fsp + 1 : length,
+    decimals: fsp,
+    flags: flags | ColumnFlags.BINARY,
+    charset: CHARSET_BINARY,
+  };
+}
+
+function describeDeclaredType(declaredType) {
+  const description = describeColumnType(declaredType);
+  const { dataType, columnType } = description;
+  const unsigned = /\bunsigned\b/.test(columnType);
+  const args = ((columnType.match(/\(([^)]*)\)/) || [])[1] || "").split(",").map((value) => Number(value));
+
+  if (INTEGER_TYPES[dataType]) {
+    const [type, length, unsignedLength] = INTEGER_TYPES[dataType];
+    return numericColumn(type, unsigned ? unsignedLength : length, 0, unsigned ? ColumnFlags.UNSIGNED : 0);
+  }
+  switch (dataType) {
+    case "float":
+      return numericColumn(MysqlTypes.FLOAT, 12, NOT_FIXED_DECIMALS, unsigned ? ColumnFlags.UNSIGNED : 0);
+    case "double":
+    case "real":
+      return numericColumn(MysqlTypes.DOUBLE, 22, NOT_FIXED_DECIMALS, unsigned ? ColumnFlags.UNSIGNED : 0);
+    case "decimal":
+    case "numeric":
+    case "dec": {
+      const precision = description.numericPrecision || 10;
+      const scale = description.numericScale || 0;
+      return numericColumn(
+        MysqlTypes.NEWDECIMAL,
+        precision + (scale > 0 ? 1 : 0) + (unsigned ? 0 : 1),
+        scale,
+        unsigned ? ColumnFlags.UNSIGNED : 0
+      );
+    }
+    case "date":
+      return temporalColumn(MysqlTypes.DATE, 10, 0);
+    case "datetime":
+      return temporalColumn(MysqlTypes.DATETIME, 19, args[0] || 0);
+    case "timestamp":
+      return temporalColumn(MysqlTypes.TIMESTAMP, 19, args[0] || 0, ColumnFlags.TIMESTAMP);
+    case "time":
+      return temporalColumn(MysqlTypes.TIME, 10, args[0] || 0);
+    case "year":
+      return numericColumn(MysqlTypes.YEAR, 4, 0, ColumnFlags.UNSIGNED);
+    case "char":
+      return { ...stringColumn((args[0] || 1) * 4), type: MysqlTypes.STRING };
+    case "varchar":
+      return stringColumn((args[0] || 255) * 4);
+    case "binary":
+      return { type: MysqlTypes.STRING, length: args[0] || 1, decimals: 0, flags: ColumnFlags.BINARY, charset: CHARSET_BINARY };
+    case "varbinary":
+      return { type: MysqlTypes.VAR_STRING, length: args[0] || 255, decimals: 0, flags: ColumnFlags.BINARY, charset: CHARSET_BINARY };
+    case "json":
+      return { type: MysqlTypes.JSON, length: MAX_LENGTH, decimals: 0, flags: ColumnFlags.BLOB | ColumnFlags.BINARY, charset: CHARSET_BINARY };
+    case "enum":
+      return { ...stringColumn(1020), type: MysqlTypes.STRING, flags: ColumnFlags.ENUM };
+    case "set":
+      return { ...stringColumn(1020), type: MysqlTypes.STRING, flags: ColumnFlags.SET };
+    default:
+      break;
+  }
+  if (TEXT_LENGTHS[dataType]) {
+    return {
+      type: MysqlTypes.BLOB,
+      length: Math.min(TEXT_LENGTHS[dataType] * 4, MAX_LENGTH),
+      decimals: 0,
+      flags: ColumnFlags.BLOB,
+      charset: CHARSET_UTF8MB4,
+    };
+  }
+  if (BLOB_LENGTHS[dataType]) {
+    return {
+      type: MysqlTypes.BLOB,
+      length: BLOB_LENGTHS[dataType],
+      decimals: 0,
+      flags: ColumnFlags.BLOB | ColumnFlags.BINARY,
+      charset: CHARSET_BINARY,
+    };
+  }
+  return null;
+}
+
+function isIntegerValue(value) {
+  return typeof value === "bigint" || (typeof value === "number" && Number.isInteger(value));
+}
+
+function byteLength(value) {
+  return Buffer.isBuffer(value) ? value.length : Buffer.byteLength(String(value), "utf8");
+}
+
+function inferValueType(values) {
+  const present = values.filter((value) => value !== null && value !== undefined);
+  if (present.length === 0) {
+    return { type: MysqlTypes.NULL, length: 0, decimals: 0, flags: ColumnFlags.BINARY, charset: CHARSET_BINARY };
+  }
+  if (present.every(isIntegerValue)) {
+    return numericColumn(MysqlTypes.LONGLONG, 21, 0);
+  }
+  if (present.every((value) => typeof value === "number" || typeof value === "bigint")) {
+    return numericColumn(MysqlTypes.DOUBLE, 23, NOT_FIXED_DECIMALS);
+  }
+  const length = Math.min(present.reduce((longest, value) => Math.max(longest, byteLength(value)), 1), MAX_LENGTH);
+  if (present.every(Buffer.isBuffer)) {
+    return { type: MysqlTypes.BLOB, length, decimals: 0, flags: ColumnFlags.BLOB | ColumnFlags.BINARY, charset: CHARSET_BINARY };
+  }
+  return stringColumn(length, NOT_FIXED_DECIMALS);
+}
+
+function normalizeTemporal(value) {
+  return String(value).replace(/^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2}:\d{2}(?:\.\d+)?)(?:Z|[+-]00:?00)?$/, "$1 $2");
+}
+
+function fitsIntegerType(value, column) {
+  let number;
+  if (isIntegerValue(value)) {
+    number = BigInt(value);
+  } else if (typeof value === "string" && /^-?\d+$/.test(value)) {
+    number = BigInt(value);
+  } else {
+    return false;
+  }
+  const bits = INTEGER_RANGES[column.type];
+  if (column.flags & ColumnFlags.UNSIGNED) {
+    return number >= 0n && number < 1n << BigInt(bits);
+  }
+  return number >= -(1n << BigInt(bits - 1)) && number < 1n << BigInt(bits - 1);
+}
+
+function fitsType(value, column) {
+  switch (column.type) {
+    case MysqlTypes.TINY:
+    case MysqlTypes.SHORT:
+    case MysqlTypes.INT24:
+    case MysqlTypes.LONG:
+    case MysqlTypes.LONGLONG:
+      return fitsIntegerType(value, column);
+    case MysqlTypes.YEAR:
+      return fitsIntegerType(value, { type: MysqlTypes.SHORT, flags: ColumnFlags.UNSIGNED });
+    case MysqlTypes.FLOAT:
+    case MysqlTypes.DOUBLE:
+    case MysqlTypes.NEWDECIMAL:
+      return typeof value === "number" || (typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value)));
+    case MysqlTypes.DATE:
+      return DATE_PATTERN.test(normalizeTemporal(value));
+    case MysqlTypes.DATETIME:
+    case MysqlTypes.TIMESTAMP:
+      return DATETIME_PATTERN.test(normalizeTemporal(value));
+    case MysqlTypes.TIME:
+      return TIME_PATTERN.test(String(value));
+    case MysqlTypes.JSON:
+      try {
+        JSON.parse(Buffer.isBuffer(value) ? value.toString("utf8") : String(value));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    default:
+      return true;
+  }
+}
+
+function keyFlags(tableMeta, columnMeta) {
+  let flags = 0;
+  if (!columnMeta.nullable) {
+    flags |= ColumnFlags.NOT_NULL;
+  }
+  if (columnMeta.primaryKey) {
+    flags |= ColumnFlags.PRI_KEY;
+  }
+  if (columnMeta.autoIncrement) {
+    flags |= ColumnFlags.AUTO_INCREMENT;
+  }
+  for (const index of tableMeta.indexes) {
+    if (index.primary || index.columns[0] !== columnMeta.name) {
+      continue;
+    }
+    flags |= index.unique && index.columns.length === 1 ? ColumnFlags.UNIQUE_KEY : ColumnFlags.MULTIPLE_KEY;
+  }
+  return flags;
+}
+
+// Builds the column definitions of a result set. `sources` holds what SQLite knows about each column
+// ({ name, table, column, type } from Statement#columns(), or just a name), `tables` the metadata of the
+// current database so that NOT NULL and key flags can be reported.
+function describeResultColumns(sources, rows, tables = new Map()) {
+  return sources.map((source, index) => {
+    const { name, table = null, column = null, type = null } = typeof source === "string" ? { name: source } : source;
+    const values = rows.map((row) => row[index]);
+    let description = type ? describeDeclaredType(type) : null;
+    if (description) {
+      const present = values.filter((value) => value !== null && value !== undefined);
+      if (INTEGER_RANGES[description.type] && present.some((value) => !fitsType(value, description))) {
+        // Values wider than the declared integer type (SQLite INTEGER is 64-bit) still fit a BIGINT.
+        const widened = numericColumn(MysqlTypes.LONGLONG, 20, 0, description.flags & ColumnFlags.UNSIGNED);
+        description = present.every((value) => fitsType(value, widened)) ? widened : null;
+      } else if (present.some((value) => !fitsType(value, description))) {
+        description = null;
+      }
+    }
+    if (!description) {
+      description = inferValueType(values);
+    }
+
+    let flags = description.flags;
+    const tableMeta = table ? tables.get(table) : null;
+    const columnMeta = tableMeta && column ? tableMeta.columns.find((candidate) => candidate.name === column) : null;
+    if (columnMeta) {
+      flags |= keyFlags(tableMeta, columnMeta);
+    }
+    return { ...description, flags, name, orgName: column || name, table: table || "" };
+  });
+}
+
+function formatDecimal(value, scale) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number.toFixed(scale) : String(value);
+}
+
+// Value as sent in a text protocol row: a string, raw bytes or null.
+function formatTextValue(column, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (Buffer.isBuffer(value)) {
+    return value;
+  }
+  switch (column.type) {
+    case MysqlTypes.NEWDECIMAL:
+      return formatDecimal(value, column.decimals);
+    case MysqlTypes.DATE:
+    case MysqlTypes.DATETIME:
+    case MysqlTypes.TIMESTAMP:
+      return normalizeTemporal(value);
+    case MysqlTypes.BLOB:
+    case MysqlTypes.STRING:
+    case MysqlTypes.VAR_STRING:
+      return column.charset === CHARSET_BINARY ? Buffer.from(String(value), "utf8") : String(value);
+    default:
+      return String(value);
+  }
+}
+
+// Values for the HTTP API: numbers stay numbers while they are exact, DECIMAL keeps its scale as a string, dates
+// use the MySQL text format and bytes are sent as a 0x... hex literal.
+function formatJsonValue(column, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (Buffer.isBuffer(value)) {
+    return `0x${value.toString("hex").toUpperCase()}`;
+  }
+  if (column.type === MysqlTypes.NEWDECIMAL) {
+    return formatTextValue(column, value);
+  }
+  if (typeof value === "bigint") {
+    return Number.isSafeInteger(Number(value)) ? Number(value) : value.toString();
+  }
+  if (typeof value === "number") {
+    return value;
+  }
+  const text = formatTextValue(column, value);
+  return Buffer.isBuffer(text) ? `0x${text.toString("hex").toUpperCase()}` : text;
+}
+
+const INTEGER_WRITERS = {
+  [MysqlTypes.TINY]: [1, "writeInt8", "writeUInt8"],
+  [MysqlTypes.SHORT]: [2, "writeInt16LE", "writeUInt16LE"],
+  [MysqlTypes.YEAR]: [2, "writeInt16LE", "writeUInt16LE"],
+  [MysqlTypes.INT24]: [4, "writeInt32LE", "writeUInt32LE"],
+  [MysqlTypes.LONG]: [4, "writeInt32LE", "writeUInt32LE"],
+  [MysqlTypes.LONGLONG]: [8, "writeBigInt64LE", "writeBigUInt64LE"],
+};
+
+function encodeInteger(column, value) {
+  const [size, signedWriter, unsignedWriter] = INTEGER_WRITERS[column.type];
+  const buffer = Buffer.alloc(size);
+  const number = BigInt(value);
+  const writer = column.flags & ColumnFlags.UNSIGNED ? unsignedWriter : signedWriter;
+  buffer[writer](size === 8 ? number : Number(number), 0);
+  return buffer;
+}
+
+function encodeDateTime(value) {
+  const match = normalizeTemporal(value).match(DATETIME_PATTERN);
+  const [, year, month, day, hour = "0", minute = "0", second = "0", fraction = ""] = match;
+  const microseconds = fraction ? Number(fraction.padEnd(6, "0")) : 0;
+  const buffer = Buffer.alloc(12);
+  buffer.writeUInt16LE(Number(year), 1);
+  buffer[3] = Number(month);
+  buffer[4] = Number(day);
+  buffer[5] = Number(hour);
+  buffer[6] = Number(minute);
+  buffer[7] = Number(second);
+  buffer.writeUInt32LE(microseconds, 8);
+  let length = 11;
+  if (microseconds === 0) {
+    length = Number(hour) || Number(minute) || Number(second) ? 7 : 4;
+  }
+  buffer[0] = length;
+  return buffer.subarray(0, length + 1);
+}
+
+function encodeTime(value) {
+  const [, negative, hours, minutes, seconds, fraction = ""] = String(value).match(TIME_PATTERN);
+  const microseconds = fraction ? Number(fraction.padEnd(6, "0")) : 0;
+  const buffer = Buffer.alloc(13);
+  buffer[1] = negative ? 1 : 0;
+  buffer.writeUInt32LE(Math.floor(Number(hours) / 24), 2);
+  buffer[6] = Number(hours) % 24;
+  buffer[7] = Number(minutes);
+  buffer[8] = Number(seconds);
+  buffer.writeUInt32LE(microseconds, 9);
+  const length = microseconds > 0 ? 12 : 8;
+  buffer[0] = length;
+  return buffer.subarray(0, length + 1);
+}
+
+function encodeLengthEncodedBytes(bytes) {
+  let header;
+  if (bytes.length < 0xfb) {
+    header = Buffer.from([bytes.length]);
+  } else if (bytes.length < 0x10000) {
+    header = Buffer.alloc(3);
+    header[0] = 0xfc;
+    header.writeUInt16LE(bytes.length, 1);
+  } else if (bytes.length < 0x1000000) {
+    header = Buffer.alloc(4);
+    header[0] = 0xfd;
+    header.writeUIntLE(bytes.length, 1, 3);
+  } else {
+    header = Buffer.alloc(9);
+    header[0] = 0xfe;
+    header.writeBigUInt64LE(BigInt(bytes.length), 1);
+  }
+  return Buffer.concat([header, bytes]);
+}
+
+// Value as sent in a binary protocol row. NULLs never get here: they only set a bit in the row's NULL bitmap.
+function encodeBinaryValue(column, value) {
+  switch (column.type) {
+    case MysqlTypes.TINY:
+    case MysqlTypes.SHORT:
+    case MysqlTypes.YEAR:
+    case MysqlTypes.INT24:
+    case MysqlTypes.LONG:
+    case MysqlTypes.LONGLONG:
+      return encodeInteger(column, value);
+    case MysqlTypes.FLOAT: {
+      const buffer = Buffer.alloc(4);
+      buffer.writeFloatLE(Number(value));
+      return buffer;
+    }
+    case MysqlTypes.DOUBLE: {
+      const buffer = Buffer.alloc(8);
+      buffer.writeDoubleLE(Number(value));
+      return buffer;
+    }
+    case MysqlTypes.DATE:
+    case MysqlTypes.DATETIME:
+    case MysqlTypes.TIMESTAMP:
+      return encodeDateTime(value);
+    case MysqlTypes.TIME:
+      return encodeTime(value);
+    default: {
+      const formatted = formatTextValue(column, value);
+      return encodeLengthEncodedBytes(Buffer.isBuffer(formatted) ? formatted : Buffer.from(formatted, "utf8"));
+    }
+  }
+}
+
+module.exports = {
+  MysqlTypes,
+  ColumnFlags,
+  CHARSET_UTF8MB4,
+  CHARSET_BINARY,
+  describeDeclaredType,
+  describeResultColumns,
+  formatTextValue,
+  formatJsonValue,
+  encodeBinaryValue,
+};
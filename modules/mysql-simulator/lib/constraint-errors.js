@@ -0,0 +1,168 @@
+"use strict";
+
+// SQLite constraint failures reported with MySQL's error codes and messages: duplicate keys, broken foreign key
+// references and NULL in NOT NULL columns.
+//
+// SQLite names neither the value that collides nor the foreign key that fails, so the failing statement runs again
+// inside a savepoint that is always rolled back: temporary triggers catch the row that collides, and with the
+// foreign key checks deferred PRAGMA foreign_key_check finds the reference the statement breaks.
+
+const { readTableMetadata } = require("./information-schema");
+
+const SAVEPOINT = "archim_constraint_error";
+const CAPTURE_FUNCTION = "archim_capture_duplicate";
+
+function quoteName(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function mysqlError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// "UNIQUE constraint failed: t.a, t.b" names the table and the columns of the key.
+function parseFailedColumns(message) {
+  const match = String(message).match(/constraint failed: (.+)$/);
+  if (!match) {
+    return null;
+  }
+  const names = match[1].split(", ").map((name) => [name.slice(0, name.indexOf(".")), name.slice(name.indexOf(".") + 1)]);
+  if (names.some(([table]) => table === "")) {
+    return null;
+  }
+  return { table: names[0][0], columns: names.map(([, column]) => column) };
+}
+
+// Runs the statement again between setup and inspect, then undoes everything, the statement included.
+function replayStatement(db, sql, parameters, setup, inspect) {
+  db.exec(`SAVEPOINT ${SAVEPOINT}`);
+  try {
+    setup();
+    try {
+      db.prepare(sql).run(...parameters);
+    } catch {
+      // The statement is expected to fail again; what matters is what setup caught on the way.
+    }
+    return inspect();
+  } finally {
+    db.exec(`ROLLBACK TO ${SAVEPOINT}`);
+    db.exec(`RELEASE ${SAVEPOINT}`);
+  }
+}
+
+function findDuplicateValues(db, sql, parameters, table, columns) {
+  let values = null;
+  db.function(CAPTURE_FUNCTION, { varargs: true }, (...row) => {
+    values = values || row;
+    return null;
+  });
+  const quotedTable = quoteName(table);
+  const newValues = columns.map((column) => `NEW.${quoteName(column)}`).join(", ");
+  const collides = columns.map((column) => `${quoteName(column)} = NEW.${quoteName(column)}`).join(" AND ");
+  const capture = `BEGIN SELECT ${CAPTURE_FUNCTION}(${newValues}); END`;
+  return replayStatement(
+    db,
+    sql,
+    parameters,
+    () => {
+      db.exec(
+        `CREATE TEMP TRIGGER archim_duplicate_insert BEFORE INSERT ON ${quotedTable} ` +
+          `WHEN EXISTS (SELECT 1 FROM ${quotedTable} WHERE ${collides}) ${capture}`
+      );
+      db.exec(
+        `CREATE TEMP TRIGGER archim_duplicate_update BEFORE UPDATE ON ${quotedTable} ` +
+          `WHEN EXISTS (SELECT 1 FROM ${quotedTable} WHERE ${collides} AND rowid <> OLD.rowid) ${capture}`
+      );
+    },
+    () => values
+  );
+}
+
+function formatKeyValue(value) {
+  return Buffer.isBuffer(value) ? value.toString("utf8") : String(value);
+}
+
+function describeDuplicate(db, error, sql, parameters) {
+  const failed = parseFailedColumns(error.message);
+  if (!failed) {
+    const index = String(error.message).match(/index '(.+)'$/);
+    return mysqlError("ER_DUP_ENTRY", `Duplicate entry for key '${index ? index[1] : "PRIMARY"}'`);
+  }
+  const sameColumns = (columns) => columns.length === failed.columns.length && columns.every((column, position) => column === failed.columns[position]);
+  const index = readTableMetadata(db, failed.table).indexes.find((candidate) => candidate.unique && sameColumns(candidate.columns));
+  const key = index ? index.name : error.code === "SQLITE_CONSTRAINT_PRIMARYKEY" ? "PRIMARY" : failed.columns[0];
+  const values = findDuplicateValues(db, sql, parameters, failed.table, failed.columns);
+  if (!values) {
+    return mysqlError("ER_DUP_ENTRY", `Duplicate entry for key '${key}'`);
+  }
+  return mysqlError("ER_DUP_ENTRY", `Duplicate entry '${values.map(formatKeyValue).join("-")}' for key '${key}'`);
+}
+
+// The first reference the statement leaves dangling, as a foreign_key_check row ({ table, rowid, parent, fkid }).
+function findBrokenReference(db, sql, parameters) {
+  const rowKey = (row) => `${row.table}\0${row.rowid}\0${row.fkid}`;
+  let dangling = new Set();
+  try {
+    return replayStatement(
+      db,
+      sql,
+      parameters,
+      () => {
+        db.pragma("defer_foreign_keys = ON");
+        dangling = new Set(db.pragma("foreign_key_check").map(rowKey));
+      },
+      () => db.pragma("foreign_key_check").find((row) => !dangling.has(rowKey(row))) || null
+    );
+  } finally {
+    db.pragma("defer_foreign_keys = OFF");
+  }
+}
+
+function describeForeignKeyFailure(db, databaseName, sql, parameters, table) {
+  // Deleting can only break references to the rows it removes; inserting and updating break the ones they write,
+  // unless an update changes a key other tables point to.
+  const deleting = /^\s*DELETE\b/i.test(sql);
+  const broken = findBrokenReference(db, sql, parameters);
+  const childSide = broken ? !deleting && broken.table === table : !deleting;
+  const [code, prefix] = childSide
+    ? ["ER_NO_REFERENCED_ROW_2", "Cannot add or update a child row"]
+    : ["ER_ROW_IS_REFERENCED_2", "Cannot delete or update a parent row"];
+  const foreignKey = broken && readTableMetadata(db, broken.table).foreignKeys.find((candidate) => candidate.id === broken.fkid);
+  if (!foreignKey) {
+    return mysqlError(code, `${prefix}: a foreign key constraint fails`);
+  }
+  const columnList = (columns) => columns.map((column) => `\`${column}\``).join(", ");
+  return mysqlError(
+    code,
+    `${prefix}: a foreign key constraint fails (\`${databaseName}\`.\`${broken.table}\`, CONSTRAINT \`${foreignKey.name}\` ` +
+      `FOREIGN KEY (${columnList(foreignKey.columns)}) REFERENCES \`${foreignKey.referencedTable}\` (${columnList(foreignKey.referencedColumns)}))`
+  );
+}
+
+// Returns the MySQL error for a constraint failure of sql (the statement written to table, when known), or the
+// error itself for anything else, or when finding the details fails in turn.
+function describeConstraintError(db, databaseName, error, { sql, parameters = [], table = null }) {
+  try {
+    switch (error && error.code) {
+      case "SQLITE_CONSTRAINT_NOTNULL": {
+        const failed = parseFailedColumns(error.message);
+        return mysqlError("ER_BAD_NULL_ERROR", `Column '${failed ? failed.columns[0] : ""}' cannot be null`);
+      }
+      case "SQLITE_CONSTRAINT_PRIMARYKEY":
+      case "SQLITE_CONSTRAINT_UNIQUE":
+        return describeDuplicate(db, error, sql, parameters);
+      case "SQLITE_CONSTRAINT_FOREIGNKEY":
+        return describeForeignKeyFailure(db, databaseName, sql, parameters, table);
+      default:
+        return error;
+    }
+  } catch {
+    return error;
+  }
+}
+
+module.exports = {
+  describeConstraintError,
+};
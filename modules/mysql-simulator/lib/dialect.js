@@ -0,0 +1,1416 @@
+"use strict";
+
+// MySQL to SQLite dialect translation.
+//
+// Statements are tokenized first (strings, quoted identifiers, comments, placeholders), so rewrites never touch
+// literals or quoted names. translateStatement returns the command of the statement and the SQLite statements
+// that implement it: CREATE TABLE, for instance, becomes the table plus one CREATE INDEX per inline key and one
+// trigger per ON UPDATE CURRENT_TIMESTAMP column. Placeholders keep their order and only appear in the first
+// statement.
+//
+// Conditional comments (/*! ... */) are dropped like any other comment.
+
+const MULTI_CHAR_SYMBOLS = ["<=>", "->>", "<=", ">=", "<>", "!=", "||", "&&", ":=", "<<", ">>", "->"];
+const STRING_ESCAPES = { 0: "\0", b: "\b", n: "\n", r: "\r", t: "\t", Z: "\x1a" };
+
+const TIME_FUNCTIONS = {
+  NOW: "CURRENT_TIMESTAMP",
+  SYSDATE: "CURRENT_TIMESTAMP",
+  LOCALTIME: "CURRENT_TIMESTAMP",
+  LOCALTIMESTAMP: "CURRENT_TIMESTAMP",
+  CURRENT_TIMESTAMP: "CURRENT_TIMESTAMP",
+  UTC_TIMESTAMP: "CURRENT_TIMESTAMP",
+  CURDATE: "CURRENT_DATE",
+  CURRENT_DATE: "CURRENT_DATE",
+  UTC_DATE: "CURRENT_DATE",
+  CURTIME: "CURRENT_TIME",
+  CURRENT_TIME: "CURRENT_TIME",
+  UTC_TIME: "CURRENT_TIME",
+};
+
+const SELECT_LIST_END = ["FROM", "INTO", "WHERE", "GROUP", "HAVING", "ORDER", "LIMIT", "UNION", "WINDOW", "FOR", "LOCK"];
+
+// Session variables that only matter to a real server; SET on them is accepted and ignored.
+const IGNORED_VARIABLES = new Set([
+  "names",
+  "sql_mode",
+  "time_zone",
+  "unique_checks",
+  "sql_notes",
+  "character_set_client",
+  "character_set_results",
+  "character_set_connection",
+  "collation_connection",
+]);
+
+// SQLite cannot keep every MySQL column type (AUTO_INCREMENT columns must be INTEGER, ENUM becomes TEXT) and drops
+// foreign key names, so CREATE and ALTER TABLE record both in this table, which every database file carries.
+const SCHEMA_TABLE = "mysql_simulator_schema";
+const SCHEMA_TABLE_DEFINITION =
+  `CREATE TABLE IF NOT EXISTS "${SCHEMA_TABLE}" (table_name TEXT NOT NULL, kind TEXT NOT NULL, name TEXT NOT NULL, ` +
+  "detail TEXT NOT NULL, PRIMARY KEY (table_name, kind, name))";
+
+function readQuoted(sql, start, quote, withEscapes) {
+  let value = "";
+  let index = start + 1;
+  while (index < sql.length) {
+    const char = sql[index];
+    if (withEscapes && char === "\\" && index + 1 < sql.length) {
+      const escaped = sql[index + 1];
+      if (escaped === "%" || escaped === "_") {
+        value += `\\${escaped}`;
+      } else {
+        value += Object.prototype.hasOwnProperty.call(STRING_ESCAPES, escaped) ? STRING_ESCAPES[escaped] : escaped;
+      }
+      index += 2;
+      continue;
+    }
+    if (char === quote) {
+      if (sql[index + 1] === quote) {
+        value += quote;
+        index += 2;
+        continue;
+      }
+      return [value, index + 1];
+    }
+    value += char;
+    index += 1;
+  }
+  throw new Error(quote === "`" ? "Unterminated quoted identifier" : "Unterminated string literal");
+}
+
+function tokenize(sql) {
+  const tokens = [];
+  let index = 0;
+  let spaced = false;
+
+  function push(type, value) {
+    const token = { type, value, spaced };
+    if (type === "word") {
+      token.upper = value.toUpperCase();
+    }
+    tokens.push(token);
+    spaced = false;
+  }
+
+  while (index < sql.length) {
+    const start = index;
+    const count = tokens.length;
+    const char = sql[index];
+    const next = sql[index + 1];
+    const rest = sql.slice(index);
+
+    if (/\s/.test(char)) {
+      spaced = true;
+      index += 1;
+    } else if (char === "#" || (char === "-" && next === "-" && (index + 2 >= sql.length || /\s/.test(sql[index + 2])))) {
+      const end = sql.indexOf("\n", index);
+      index = end === -1 ? sql.length : end + 1;
+      spaced = true;
+    } else if (char === "/" && next === "*") {
+      const end = sql.indexOf("*/", index + 2);
+      if (end === -1) {
+        throw new Error("Unterminated comment");
+      }
+      index = end + 2;
+      spaced = true;
+    } else if (char === "'" || char === '"') {
+      const [value, end] = readQuoted(sql, index, char, true);
+      push("string", value);
+      index = end;
+    } else if (char === "`") {
+      const [value, end] = readQuoted(sql, index, "`", false);
+      push("identifier", value);
+      index = end;
+    } else if ((char === "x" || char === "X") && next === "'") {
+      const [value, end] = readQuoted(sql, index + 1, "'", false);
+      push("raw", `X'${value}'`);
+      index = end;
+    } else if ((char === "n" || char === "N") && next === "'") {
+      // National character literals are plain strings for SQLite.
+      index += 1;
+    } else if (/^(?:0x[0-9A-Fa-f]+|\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)(?![\w$])/.test(rest)) {
+      const [value] = rest.match(/^(?:0x[0-9A-Fa-f]+|\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)/);
+      push("number", value);
+      index += value.length;
+    } else if (/[\w$\u0080-\uffff]/.test(char)) {
+      const [value] = rest.match(/^[\w$\u0080-\uffff]+/);
+      push("word", value);
+      index += value.length;
+    } else if (char === "@") {
+      const [value] = rest.match(/^@@?[\w$.]*/);
+      push("variable", value);
+      index += value.length;
+    } else if (char === "?") {
+      push("placeholder", "?");
+      index += 1;
+    } else {
+      const symbol = MULTI_CHAR_SYMBOLS.find((candidate) => rest.startsWith(candidate)) || char;
+      push("symbol", symbol);
+      index += symbol.length;
+    }
+
+    // Source positions let callers quote the original text of an expression.
+    if (tokens.length > count) {
+      Object.assign(tokens[tokens.length - 1], { start, end: index });
+    }
+  }
+
+  return tokens;
+}
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function renderToken(token) {
+  if (token.type === "string") {
+    return `'${token.value.replace(/'/g, "''")}'`;
+  }
+  if (token.type === "identifier") {
+    return quoteIdentifier(token.value);
+  }
+  return token.value;
+}
+
+function render(tokens) {
+  return tokens.map((token, index) => (index > 0 && token.spaced ? " " : "") + renderToken(token)).join("");
+}
+
+function makeToken(type, value, spaced = ![",", ")", "."].includes(value)) {
+  const token = { type, value, spaced };
+  if (type === "word") {
+    token.upper = value.toUpperCase();
+  }
+  return token;
+}
+
+const word = (value) => makeToken("word", value);
+const symbol = (value) => makeToken("symbol", value);
+const identifier = (value) => makeToken("identifier", value);
+const raw = (value) => makeToken("raw", value, true);
+
+function spacedCopy(token) {
+  return { ...token, spaced: true };
+}
+
+function isWord(token, ...uppers) {
+  return Boolean(token) && token.type === "word" && uppers.includes(token.upper);
+}
+
+function isSymbol(token, value) {
+  return Boolean(token) && token.type === "symbol" && token.value === value;
+}
+
+function isName(token) {
+  return Boolean(token) && (token.type === "word" || token.type === "identifier");
+}
+
+function findClosing(tokens, openIndex) {
+  let depth = 0;
+  for (let index = openIndex; index < tokens.length; index += 1) {
+    if (isSymbol(tokens[index], "(")) {
+      depth += 1;
+    } else if (isSymbol(tokens[index], ")")) {
+      depth -= 1;
+      if (depth === 0) {
+        return index;
+      }
+    }
+  }
+  throw new Error("Unbalanced parentheses");
+}
+
+function splitTopLevel(tokens) {
+  const groups = [[]];
+  let depth = 0;
+  for (const token of tokens) {
+    if (isSymbol(token, "(")) {
+      depth += 1;
+    } else if (isSymbol(token, ")")) {
+      depth -= 1;
+    } else if (depth === 0 && isSymbol(token, ",")) {
+      groups.push([]);
+      continue;
+    }
+    groups[groups.length - 1].push(token);
+  }
+  return groups.filter((group) => group.length > 0);
+}
+
+function joinGroups(groups) {
+  const tokens = [];
+  groups.forEach((group, index) => {
+    if (index > 0) {
+      tokens.push(symbol(","));
+    }
+    tokens.push(...group.map((token, position) => (position === 0 && index > 0 ? spacedCopy(token) : token)));
+  });
+  return tokens;
+}
+
+// Index of the first top-level token accepted by the predicate, or -1.
+function findTopLevel(tokens, predicate, from = 0) {
+  let depth = 0;
+  for (let index = from; index < tokens.length; index += 1) {
+    if (isSymbol(tokens[index], "(")) {
+      depth += 1;
+    } else if (isSymbol(tokens[index], ")")) {
+      depth -= 1;
+    } else if (depth === 0 && predicate(tokens[index], index)) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+function literal(value) {
+  if (value === null || value === undefined) {
+    return word("NULL");
+  }
+  return typeof value === "number" ? makeToken("number", String(value), true) : makeToken("string", String(value), true);
+}
+
+function systemVariable(name, context) {
+  const variable = name.replace(/^@@((session|local|global)\.)?/i, "").toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(context.variables || {}, variable)) {
+    const error = new Error(`Unknown system variable '${variable}'`);
+    error.code = "ER_UNKNOWN_SYSTEM_VARIABLE";
+    throw error;
+  }
+  return context.variables[variable];
+}
+
+// Functions answered from the session, only when translateStatement receives a context.
+function sessionFunction(name, context) {
+  switch (name) {
+    case "DATABASE":
+    case "SCHEMA":
+      return context.database || null;
+    case "VERSION":
+      return systemVariable("version", context);
+    case "USER":
+    case "CURRENT_USER":
+    case "SESSION_USER":
+    case "SYSTEM_USER":
+      return `${context.user || ""}@localhost`;
+    case "CONNECTION_ID":
+      return context.connectionId;
+    // The shared SQLite handle's last_insert_rowid() would mix up the connections.
+    case "LAST_INSERT_ID":
+      return context.lastInsertId;
+    default:
+      return undefined;
+  }
+}
+
+// Operators and functions that exist in both dialects with a different spelling.
+function rewriteExpressions(tokens, context = null) {
+  const output = [];
+  let index = 0;
+  while (index < tokens.length) {
+    const token = tokens[index];
+
+    if (token.type === "symbol" && ["<=>", "&&", "||"].includes(token.value)) {
+      const replacement = { "<=>": "IS", "&&": "AND", "||": "OR" }[token.value];
+      output.push({ ...word(replacement), spaced: true });
+      index += 1;
+      continue;
+    }
+
+    if (context && token.type === "variable" && token.value.startsWith("@@")) {
+      output.push({ ...literal(systemVariable(token.value, context)), spaced: token.spaced });
+      index += 1;
+      continue;
+    }
+
+    if (context && isWord(token, "CURRENT_USER") && !isSymbol(tokens[index + 1], "(")) {
+      output.push({ ...literal(sessionFunction(token.upper, context)), spaced: token.spaced });
+      index += 1;
+      continue;
+    }
+
+    if (token.type !== "word" || !isSymbol(tokens[index + 1], "(")) {
+      output.push(token);
+      index += 1;
+      continue;
+    }
+
+    const close = findClosing(tokens, index + 1);
+    const args = tokens.slice(index + 2, close);
+    const spaced = token.spaced;
+
+    const sessionValue = context && args.length === 0 ? sessionFunction(token.upper, context) : undefined;
+    if (sessionValue !== undefined) {
+      output.push({ ...literal(sessionValue), spaced });
+    } else if (TIME_FUNCTIONS[token.upper] && (args.length === 0 || (args.length === 1 && args[0].type === "number"))) {
+      output.push({ ...word(TIME_FUNCTIONS[token.upper]), spaced });
+    } else if (token.upper === "UNIX_TIMESTAMP") {
+      const source = args.length > 0 ? rewriteExpressions(args, context) : [makeToken("string", "now", true)];
+      output.push(
+        { ...word("CAST"), spaced },
+        makeToken("symbol", "(", false),
+        makeToken("word", "strftime", false),
+        makeToken("symbol", "(", false),
+        makeToken("string", "%s", false),
+        symbol(","),
+        ...source.map((part, position) => (position === 0 ? spacedCopy(part) : part)),
+        symbol(")"),
+        word("AS"),
+        word("INTEGER"),
+        symbol(")")
+      );
+    } else if (token.upper === "LAST_INSERT_ID" && args.length === 0) {
+      output.push({ ...raw("last_insert_rowid()"), spaced });
+    } else {
+      const name = token.upper === "IF" ? { ...word("IIF"), spaced } : token;
+      output.push(name, tokens[index + 1], ...rewriteExpressions(args, context), tokens[close]);
+    }
+    index = close + 1;
+  }
+  return output;
+}
+
+function readQualifiedName(tokens, index) {
+  if (!isName(tokens[index])) {
+    throw new Error(`Expected a name near '${tokens[index] ? renderToken(tokens[index]) : "end of statement"}'`);
+  }
+  // Database qualifiers are dropped: every database is its own SQLite file.
+  if (isSymbol(tokens[index + 1], ".") && isName(tokens[index + 2])) {
+    return { name: tokens[index + 2].value, next: index + 3 };
+  }
+  return { name: tokens[index].value, next: index + 1 };
+}
+
+// Parses "[name] [USING type] (col[(length)] [ASC|DESC], ...)" starting at index.
+function parseIndexColumns(tokens, index) {
+  let name = null;
+  let position = index;
+  while (position < tokens.length && !isSymbol(tokens[position], "(")) {
+    if (isWord(tokens[position], "USING")) {
+      position += 2;
+    } else {
+      name = tokens[position].value;
+      position += 1;
+    }
+  }
+  if (position >= tokens.length) {
+    throw new Error("Expected a column list for the index");
+  }
+  const close = findClosing(tokens, position);
+  const columns = splitTopLevel(tokens.slice(position + 1, close)).map((group) => {
+    const column = [group[0]];
+    let next = 1;
+    if (isSymbol(group[1], "(")) {
+      next = findClosing(group, 1) + 1;
+    }
+    column.push(...group.slice(next).filter((token) => isWord(token, "ASC", "DESC")));
+    return column;
+  });
+  return { name, columns, names: columns.map((column) => column[0].value), next: close + 1 };
+}
+
+// Classifies one entry of a CREATE TABLE body (or of ALTER TABLE ADD) into a column, a primary key, an index or
+// a constraint that SQLite understands as is.
+function parseTableDefinition(definition) {
+  let tokens = definition;
+  let constraintName = null;
+  if (isWord(tokens[0], "CONSTRAINT")) {
+    if (!isWord(tokens[1], "PRIMARY", "UNIQUE", "FOREIGN", "CHECK")) {
+      constraintName = tokens[1].value;
+      tokens = tokens.slice(2);
+    } else {
+      tokens = tokens.slice(1);
+    }
+  }
+
+  const first = tokens[0];
+  if (isWord(first, "PRIMARY") && isWord(tokens[1], "KEY")) {
+    return { kind: "primary", ...parseIndexColumns(tokens, 2) };
+  }
+  if (isWord(first, "UNIQUE", "KEY", "INDEX", "FULLTEXT", "SPATIAL")) {
+    let index = 1;
+    if (isWord(first, "UNIQUE", "FULLTEXT", "SPATIAL") && isWord(tokens[1], "KEY", "INDEX")) {
+      index = 2;
+    }
+    const parsed = parseIndexColumns(tokens, index);
+    return {
+      kind: "index",
+      unique: isWord(first, "UNIQUE"),
+      name: parsed.name || constraintName || parsed.names[0],
+      columns: parsed.columns,
+    };
+  }
+  if (isWord(first, "FOREIGN") && isWord(tokens[1], "KEY")) {
+    // MySQL accepts an index name between FOREIGN KEY and the column list.
+    const rest = isSymbol(tokens[2], "(") ? tokens.slice(2) : tokens.slice(3);
+    const prefix = constraintName ? [word("CONSTRAINT"), identifier(constraintName)] : [];
+    return {
+      kind: "constraint",
+      foreignKey: { name: constraintName, columns: splitTopLevel(rest.slice(1, findClosing(rest, 0))).map((group) => group[0].value) },
+      tokens: [...prefix, word("FOREIGN"), word("KEY"), ...rest],
+    };
+  }
+  if (isWord(first, "CHECK")) {
+    const prefix = constraintName ? [word("CONSTRAINT"), identifier(constraintName)] : [];
+    return { kind: "constraint", tokens: [...prefix, ...rewriteExpressions(tokens)] };
+  }
+  return parseColumnDefinition(tokens);
+}
+
+function parseColumnDefinition(tokens) {
+  const nameToken = tokens[0];
+  if (!isName(nameToken) || !isName(tokens[1])) {
+    throw new Error(`Unsupported column definition: ${render(tokens)}`);
+  }
+  const column = {
+    kind: "column",
+    name: nameToken.value,
+    nameToken: identifier(nameToken.value),
+    typeTokens: [],
+    attributeTokens: [],
+    autoIncrement: false,
+    primary: false,
+    onUpdate: false,
+  };
+
+  const type = tokens[1];
+  let index = 2;
+  let typeArgs = [];
+  if (isSymbol(tokens[2], "(")) {
+    const close = findClosing(tokens, 2);
+    typeArgs = tokens.slice(2, close + 1);
+    index = close + 1;
+  }
+  const modifiers = [];
+  while (isWord(tokens[index], "UNSIGNED", "SIGNED", "ZEROFILL", "PRECISION", "VARYING")) {
+    modifiers.push(tokens[index]);
+    index += 1;
+  }
+  column.declaredType = render([{ ...type, spaced: false }, ...typeArgs, ...modifiers]);
+
+  if (isWord(type, "ENUM")) {
+    column.typeTokens = [word("TEXT")];
+    column.attributeTokens.push(
+      word("CHECK"),
+      symbol("("),
+      makeToken("identifier", column.name, false),
+      word("IN"),
+      ...typeArgs,
+      symbol(")")
+    );
+  } else if (isWord(type, "SET")) {
+    column.typeTokens = [word("TEXT")];
+  } else {
+    column.typeTokens = [spacedCopy(type), ...typeArgs, ...modifiers];
+  }
+
+  const attributes = [];
+  while (index < tokens.length) {
+    const token = tokens[index];
+    if (isWord(token, "AUTO_INCREMENT")) {
+      column.autoIncrement = true;
+      index += 1;
+    } else if (isWord(token, "PRIMARY") && isWord(tokens[index + 1], "KEY")) {
+      column.primary = true;
+      index += 2;
+    } else if (isWord(token, "KEY")) {
+      column.primary = true;
+      index += 1;
+    } else if (isWord(token, "UNIQUE")) {
+      attributes.push(token);
+      index += isWord(tokens[index + 1], "KEY") ? 2 : 1;
+    } else if (isWord(token, "COMMENT", "COLLATE", "CHARSET", "COLUMN_FORMAT", "STORAGE")) {
+      index += 2;
+    } else if (isWord(token, "CHARACTER") && isWord(tokens[index + 1], "SET")) {
+      index += 3;
+    } else if (isWord(token, "VISIBLE", "INVISIBLE")) {
+      index += 1;
+    } else if (isWord(token, "ON") && isWord(tokens[index + 1], "UPDATE") && isWord(tokens[index + 2], ...Object.keys(TIME_FUNCTIONS))) {
+      column.onUpdate = true;
+      index += 3;
+      if (isSymbol(tokens[index], "(")) {
+        index = findClosing(tokens, index) + 1;
+      }
+    } else if (isSymbol(token, "(")) {
+      const close = findClosing(tokens, index);
+      attributes.push(...tokens.slice(index, close + 1));
+      index = close + 1;
+    } else {
+      attributes.push(token);
+      index += 1;
+    }
+  }
+  column.attributeTokens.unshift(...rewriteExpressions(attributes));
+  return column;
+}
+
+function renderColumn(column, autoIncrementPrimary) {
+  if (autoIncrementPrimary) {
+    return [column.nameToken, word("INTEGER"), word("PRIMARY"), word("KEY"), word("AUTOINCREMENT"), ...column.attributeTokens];
+  }
+  const primary = column.primary ? [word("PRIMARY"), word("KEY")] : [];
+  return [column.nameToken, ...column.typeTokens, ...primary, ...column.attributeTokens];
+}
+
+function buildCreateIndex(table, index, ifNotExists) {
+  const tokens = [word("CREATE")];
+  if (index.unique) {
+    tokens.push(word("UNIQUE"));
+  }
+  tokens.push(word("INDEX"));
+  if (ifNotExists) {
+    tokens.push(word("IF"), word("NOT"), word("EXISTS"));
+  }
+  tokens.push(identifier(index.name), word("ON"), identifier(table), symbol("("));
+  tokens.push(...joinGroups(index.columns).map((token, position) => (position === 0 ? { ...token, spaced: false } : token)));
+  tokens.push(symbol(")"));
+  return render(tokens);
+}
+
+function schemaValues(table, rows) {
+  return rows
+    .map((row) => `(${[table, ...row].map((value) => renderToken(literal(value))).join(", ")})`)
+    .join(", ");
+}
+
+// Rows are [kind, name, detail]: ["column", <column>, <declared type>] or ["foreign key", <name>, <columns>].
+// `clear` forgets what was recorded for the table before; `conflict` settles rows recorded already.
+function recordSchema(table, rows, { clear = false, conflict = "REPLACE" } = {}) {
+  const quotedTable = quoteIdentifier(SCHEMA_TABLE);
+  const statements = clear ? [`DELETE FROM ${quotedTable} WHERE table_name = ${renderToken(literal(table))}`] : [];
+  if (rows.length > 0) {
+    statements.push(`INSERT OR ${conflict} INTO ${quotedTable} (table_name, kind, name, detail) VALUES ${schemaValues(table, rows)}`);
+  }
+  return statements;
+}
+
+function onUpdateTriggerName(table, column) {
+  return `${table}_${column}_on_update`;
+}
+
+// MySQL refreshes ON UPDATE CURRENT_TIMESTAMP columns when a row changes and the statement did not set them.
+function buildOnUpdateTrigger(table, column, ifNotExists) {
+  const name = quoteIdentifier(onUpdateTriggerName(table, column));
+  const quotedTable = quoteIdentifier(table);
+  const quotedColumn = quoteIdentifier(column);
+  return (
+    `CREATE TRIGGER ${ifNotExists ? "IF NOT EXISTS " : ""}${name} AFTER UPDATE ON ${quotedTable} FOR EACH ROW ` +
+    `WHEN NEW.${quotedColumn} IS OLD.${quotedColumn} ` +
+    `BEGIN UPDATE ${quotedTable} SET ${quotedColumn} = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid; END`
+  );
+}
+
+function translateCreateTable(tokens, index, temporary) {
+  let position = index;
+  let ifNotExists = false;
+  if (isWord(tokens[position], "IF") && isWord(tokens[position + 1], "NOT") && isWord(tokens[position + 2], "EXISTS")) {
+    ifNotExists = true;
+    position += 3;
+  }
+  const { name: table, next } = readQualifiedName(tokens, position);
+  if (!isSymbol(tokens[next], "(")) {
+    return [render(rewriteExpressions(tokens))];
+  }
+
+  const close = findClosing(tokens, next);
+  const definitions = splitTopLevel(tokens.slice(next + 1, close)).map(parseTableDefinition);
+  const columns = definitions.filter((definition) => definition.kind === "column");
+  const primaryKey = definitions.find((definition) => definition.kind === "primary");
+  let mergedPrimaryKey = false;
+
+  // Table constraints must follow the columns in SQLite.
+  const body = [];
+  const constraints = [];
+  for (const definition of definitions) {
+    if (definition.kind === "column") {
+      let autoIncrementPrimary = false;
+      if (definition.autoIncrement) {
+        const singlePrimary = primaryKey && primaryKey.names.length === 1 && primaryKey.names[0] === definition.name;
+        if (!definition.primary && !singlePrimary) {
+          throw new Error(`AUTO_INCREMENT column '${definition.name}' must be the single-column primary key`);
+        }
+        autoIncrementPrimary = true;
+        mergedPrimaryKey = mergedPrimaryKey || singlePrimary;
+      }
+      body.push(renderColumn(definition, autoIncrementPrimary));
+    } else if (definition.kind === "constraint") {
+      constraints.push(definition.tokens);
+    }
+  }
+  if (primaryKey && !mergedPrimaryKey) {
+    const keyColumns = joinGroups(primaryKey.columns).map((token, position) => (position === 0 ? { ...token, spaced: false } : token));
+    body.push([word("PRIMARY"), word("KEY"), symbol("("), ...keyColumns, symbol(")")]);
+  }
+  body.push(...constraints);
+
+  // Unnamed foreign keys get the names MySQL generates, numbered in declaration order.
+  let unnamedForeignKeys = 0;
+  const schemaRows = definitions.flatMap((definition) => {
+    if (definition.kind === "column") {
+      return [["column", definition.name, definition.declaredType]];
+    }
+    if (definition.foreignKey) {
+      unnamedForeignKeys += definition.foreignKey.name ? 0 : 1;
+      const name = definition.foreignKey.name || `${table}_ibfk_${unnamedForeignKeys}`;
+      return [["foreign key", name, definition.foreignKey.columns.join(",")]];
+    }
+    return [];
+  });
+
+  const header = [word("CREATE")];
+  if (temporary) {
+    header.push(word("TEMPORARY"));
+  }
+  header.push(word("TABLE"));
+  if (ifNotExists) {
+    header.push(word("IF"), word("NOT"), word("EXISTS"));
+  }
+  header.push(identifier(table), symbol("("));
+  const bodyTokens = joinGroups(body).map((token, position) => (position === 0 ? { ...token, spaced: false } : token));
+
+  return [
+    render([...header, ...bodyTokens, symbol(")")]),
+    ...definitions
+      .filter((definition) => definition.kind === "index")
+      .map((definition) => buildCreateIndex(table, definition, ifNotExists)),
+    ...columns
+      .filter((column) => column.onUpdate)
+      .map((column) => buildOnUpdateTrigger(table, column.name, ifNotExists)),
+    // Temporary tables are not listed, so there is nothing to describe.
+    ...(temporary ? [] : recordSchema(table, schemaRows, ifNotExists ? { conflict: "IGNORE" } : { clear: true })),
+  ];
+}
+
+function translateCreateIndex(tokens, index, unique) {
+  let position = index;
+  let ifNotExists = false;
+  if (isWord(tokens[position], "IF") && isWord(tokens[position + 1], "NOT") && isWord(tokens[position + 2], "EXISTS")) {
+    ifNotExists = true;
+    position += 3;
+  }
+  const indexName = tokens[position].value;
+  position += 1;
+  while (isWord(tokens[position], "USING")) {
+    position += 2;
+  }
+  if (!isWord(tokens[position], "ON")) {
+    throw new Error("Expected ON in CREATE INDEX");
+  }
+  const { name: table, next } = readQualifiedName(tokens, position + 1);
+  const { columns, next: afterColumns } = parseIndexColumns(tokens, next);
+  const statement = buildCreateIndex(table, { unique, name: indexName, columns }, ifNotExists);
+  const where = findTopLevel(tokens, (token) => isWord(token, "WHERE"), afterColumns);
+  return where === -1 ? statement : `${statement} ${render(rewriteExpressions(tokens.slice(where)))}`;
+}
+
+function translateCreate(tokens) {
+  let index = 1;
+  if (isWord(tokens[1], "USER")) {
+    return translateAccountStatement(tokens);
+  }
+  if (isWord(tokens[1], "DATABASE", "SCHEMA")) {
+    index = 2;
+    if (isWord(tokens[2], "IF") && isWord(tokens[3], "NOT") && isWord(tokens[4], "EXISTS")) {
+      index = 5;
+    }
+    if (!isName(tokens[index])) {
+      throw new Error("Database name is required");
+    }
+    return { command: "CREATE DATABASE", database: tokens[index].value, statements: [] };
+  }
+
+  const temporary = isWord(tokens[index], "TEMPORARY");
+  if (temporary) {
+    index += 1;
+  }
+  if (isWord(tokens[index], "TABLE")) {
+    return { command: "CREATE", statements: translateCreateTable(tokens, index + 1, temporary) };
+  }
+
+  const unique = isWord(tokens[index], "UNIQUE");
+  if (isWord(tokens[index], "UNIQUE", "FULLTEXT", "SPATIAL")) {
+    index += 1;
+  }
+  if (isWord(tokens[index], "INDEX")) {
+    return { command: "CREATE", statements: [translateCreateIndex(tokens, index + 1, unique)] };
+  }
+  return { command: "CREATE", statements: [render(rewriteExpressions(tokens))] };
+}
+
+function findOnDuplicateKeyUpdate(tokens) {
+  return findTopLevel(
+    tokens,
+    (token, position) =>
+      isWord(token, "ON") &&
+      isWord(tokens[position + 1], "DUPLICATE") &&
+      isWord(tokens[position + 2], "KEY") &&
+      isWord(tokens[position + 3], "UPDATE")
+  );
+}
+
+function translateInsert(tokens, context) {
+  const head = [tokens[0]];
+  let index = 1;
+  let ignore = false;
+  while (isWord(tokens[index], "LOW_PRIORITY", "DELAYED", "HIGH_PRIORITY", "IGNORE")) {
+    ignore = ignore || isWord(tokens[index], "IGNORE");
+    index += 1;
+  }
+  if (ignore) {
+    head.push(word("OR"), word("IGNORE"));
+  }
+  head.push(word("INTO"));
+  if (isWord(tokens[index], "INTO")) {
+    index += 1;
+  }
+
+  let rest = tokens.slice(index);
+  const duplicate = findOnDuplicateKeyUpdate(rest);
+  let updates = [];
+  if (duplicate !== -1) {
+    updates = rest.slice(duplicate + 4);
+    rest = rest.slice(0, duplicate);
+  }
+
+  const { next: afterTable } = readQualifiedName(rest, 0);
+  let body = rest;
+  if (isWord(rest[afterTable], "SET")) {
+    const assignments = splitTopLevel(rest.slice(afterTable + 1)).map((assignment) => {
+      if (!isName(assignment[0]) || !isSymbol(assignment[1], "=")) {
+        throw new Error(`Unsupported assignment in INSERT ... SET: ${render(assignment)}`);
+      }
+      return { column: [assignment[0]], value: assignment.slice(2) };
+    });
+    body = [
+      ...rest.slice(0, afterTable),
+      symbol("("),
+      ...joinGroups(assignments.map(({ column }) => column)).map((token, position) => (position === 0 ? { ...token, spaced: false } : token)),
+      symbol(")"),
+      word("VALUES"),
+      symbol("("),
+      ...joinGroups(assignments.map(({ value }) => value)).map((token, position) => (position === 0 ? { ...token, spaced: false } : token)),
+      symbol(")"),
+    ];
+  }
+  body = body.map((token) => (isWord(token, "VALUE") ? { ...word("VALUES"), spaced: token.spaced } : token));
+
+  // MySQL 8 row alias: INSERT ... VALUES (...) AS new ON DUPLICATE KEY UPDATE c = new.c
+  let rowAlias = null;
+  const valuesIndex = findTopLevel(body, (token) => isWord(token, "VALUES"));
+  if (valuesIndex !== -1) {
+    const aliasIndex = findTopLevel(body, (token) => isWord(token, "AS"), valuesIndex);
+    if (aliasIndex !== -1) {
+      rowAlias = body[aliasIndex + 1].value;
+      body = body.slice(0, aliasIndex);
+    }
+  }
+
+  const statement = [...head, ...rewriteExpressions(body, context)];
+  if (duplicate === -1) {
+    return statement;
+  }
+
+  if (findTopLevel(body, (token) => isWord(token, "SELECT")) !== -1 && findTopLevel(body, (token) => isWord(token, "WHERE")) === -1) {
+    // Without a WHERE clause SQLite cannot tell the upsert apart from a join constraint.
+    statement.push(word("WHERE"), word("true"));
+  }
+
+  const assignments = [];
+  for (let position = 0; position < updates.length; position += 1) {
+    const token = updates[position];
+    if (isWord(token, "VALUES") && isSymbol(updates[position + 1], "(") && isSymbol(updates[position + 3], ")")) {
+      assignments.push({ ...raw(`excluded.${quoteIdentifier(updates[position + 2].value)}`), spaced: token.spaced });
+      position += 3;
+    } else if (rowAlias && isName(token) && token.value === rowAlias && isSymbol(updates[position + 1], ".")) {
+      assignments.push({ ...raw(`excluded.${quoteIdentifier(updates[position + 2].value)}`), spaced: token.spaced });
+      position += 2;
+    } else {
+      assignments.push(token);
+    }
+  }
+  return [...statement, word("ON"), word("CONFLICT"), word("DO"), word("UPDATE"), word("SET"), ...rewriteExpressions(assignments, context)];
+}
+
+function translateUpdateOrDelete(tokens, context) {
+  const head = [tokens[0]];
+  let index = 1;
+  while (isWord(tokens[index], "LOW_PRIORITY", "QUICK", "IGNORE")) {
+    if (isWord(tokens[index], "IGNORE") && isWord(tokens[0], "UPDATE")) {
+      head.push(word("OR"), word("IGNORE"));
+    }
+    index += 1;
+  }
+  return [...head, ...rewriteExpressions(tokens.slice(index), context)];
+}
+
+// MySQL names an unaliased select expression after its text; keep that name when the translation changes the text.
+function rewriteSelectList(tokens, sql, context) {
+  if (!isWord(tokens[0], "SELECT")) {
+    return rewriteExpressions(tokens, context);
+  }
+  let start = 1;
+  while (isWord(tokens[start], "DISTINCT", "DISTINCTROW", "ALL")) {
+    start += 1;
+  }
+  let end = findTopLevel(tokens, (token) => isWord(token, ...SELECT_LIST_END), start);
+  if (end === -1) {
+    end = tokens.length;
+  }
+  const items = splitTopLevel(tokens.slice(start, end)).map((item) => {
+    const rewritten = rewriteExpressions(item, context);
+    const first = item[0];
+    const last = item[item.length - 1];
+    const aliased =
+      findTopLevel(item, (token) => isWord(token, "AS")) !== -1 ||
+      (item.length > 1 && isName(last) && !isSymbol(item[item.length - 2], "."));
+    if (aliased || first.start === undefined || last.end === undefined || render(rewritten) === render(item)) {
+      return rewritten;
+    }
+    return [...rewritten, word("AS"), identifier(sql.slice(first.start, last.end))];
+  });
+  return [...tokens.slice(0, start), ...joinGroups(items), ...rewriteExpressions(tokens.slice(end), context)];
+}
+
+function translateSelect(tokens, sql, context) {
+  let statement = tokens.filter(
+    (token, index) =>
+      !(isWord(tokens[index - 1], "SELECT") && isWord(token, "SQL_CALC_FOUND_ROWS", "SQL_NO_CACHE", "SQL_CACHE", "HIGH_PRIORITY", "STRAIGHT_JOIN"))
+  );
+  // Row locks make no difference on a single SQLite writer.
+  const locking = findTopLevel(
+    statement,
+    (token, index) =>
+      (isWord(token, "FOR") && isWord(statement[index + 1], "UPDATE", "SHARE")) ||
+      (isWord(token, "LOCK") && isWord(statement[index + 1], "IN"))
+  );
+  if (locking !== -1) {
+    statement = statement.slice(0, locking);
+  }
+  const dual = findTopLevel(statement, (token, index) => isWord(token, "FROM") && isWord(statement[index + 1], "DUAL"));
+  if (dual !== -1) {
+    statement = [...statement.slice(0, dual), ...statement.slice(dual + 2)];
+  }
+  return rewriteSelectList(statement, sql, context);
+}
+
+function translateAlterTable(tokens) {
+  let index = 1;
+  while (isWord(tokens[index], "ONLINE", "IGNORE")) {
+    index += 1;
+  }
+  if (!isWord(tokens[index], "TABLE")) {
+    return [render(rewriteExpressions(tokens))];
+  }
+  const { name: table, next } = readQualifiedName(tokens, index + 1);
+  const alterPrefix = `ALTER TABLE ${quoteIdentifier(table)}`;
+  const statements = [];
+
+  for (const clause of splitTopLevel(tokens.slice(next))) {
+    const [first, second] = clause;
+    if (isWord(first, "ADD")) {
+      let rest = clause.slice(isWord(second, "COLUMN") ? 2 : 1);
+      if (isSymbol(rest[0], "(")) {
+        rest = rest.slice(1, findClosing(rest, 0));
+      }
+      const definitions = isSymbol(clause[isWord(second, "COLUMN") ? 2 : 1], "(") ? splitTopLevel(rest) : [rest];
+      for (const definitionTokens of definitions) {
+        const positioned = findTopLevel(definitionTokens, (token) => isWord(token, "FIRST", "AFTER"));
+        const definition = parseTableDefinition(positioned === -1 ? definitionTokens : definitionTokens.slice(0, positioned));
+        if (definition.kind === "index") {
+          statements.push(buildCreateIndex(table, definition, false));
+        } else if (definition.kind === "column" && !definition.autoIncrement && !definition.primary) {
+          statements.push(`${alterPrefix} ADD COLUMN ${render(renderColumn(definition, false))}`);
+          statements.push(...recordSchema(table, [["column", definition.name, definition.declaredType]]));
+          if (definition.onUpdate) {
+            statements.push(buildOnUpdateTrigger(table, definition.name, false));
+          }
+        } else {
+          throw new Error(`Unsupported ALTER TABLE clause: ${render(clause)}`);
+        }
+      }
+    } else if (isWord(first, "DROP") && isWord(second, "INDEX", "KEY")) {
+      statements.push(`DROP INDEX ${quoteIdentifier(clause[2].value)}`);
+    } else if (isWord(first, "DROP") && !isWord(second, "PRIMARY", "FOREIGN", "CONSTRAINT", "CHECK")) {
+      const column = isWord(second, "COLUMN") ? clause[2] : second;
+      statements.push(
+        `${alterPrefix} DROP COLUMN ${quoteIdentifier(column.value)}`,
+        `DELETE FROM ${quoteIdentifier(SCHEMA_TABLE)} WHERE table_name = ${renderToken(literal(table))} AND kind = 'column' ` +
+          `AND name = ${renderToken(literal(column.value))}`
+      );
+    } else if (isWord(first, "RENAME") && isWord(second, "COLUMN")) {
+      statements.push(
+        `${alterPrefix} RENAME COLUMN ${quoteIdentifier(clause[2].value)} TO ${quoteIdentifier(clause[4].value)}`,
+        `UPDATE ${quoteIdentifier(SCHEMA_TABLE)} SET name = ${renderToken(literal(clause[4].value))} ` +
+          `WHERE table_name = ${renderToken(literal(table))} AND kind = 'column' AND name = ${renderToken(literal(clause[2].value))}`
+      );
+    } else if (isWord(first, "RENAME") && !isWord(second, "INDEX", "KEY")) {
+      const target = isWord(second, "TO", "AS") ? clause.slice(2) : clause.slice(1);
+      const renamed = readQualifiedName(target, 0).name;
+      statements.push(
+        `${alterPrefix} RENAME TO ${quoteIdentifier(renamed)}`,
+        `UPDATE ${quoteIdentifier(SCHEMA_TABLE)} SET table_name = ${renderToken(literal(renamed))} ` +
+          `WHERE table_name = ${renderToken(literal(table))}`
+      );
+    } else if (isWord(first, "ENGINE", "AUTO_INCREMENT", "COMMENT", "CONVERT", "DEFAULT", "CHARACTER", "CHARSET", "COLLATE", "ROW_FORMAT")) {
+      // Table options have no SQLite counterpart.
+    } else {
+      throw new Error(`Unsupported ALTER TABLE clause: ${render(clause)}`);
+    }
+  }
+  return statements;
+}
+
+function translateDrop(tokens) {
+  let index = 1;
+  if (isWord(tokens[1], "USER")) {
+    return translateAccountStatement(tokens);
+  }
+  if (isWord(tokens[1], "DATABASE", "SCHEMA")) {
+    index = isWord(tokens[2], "IF") && isWord(tokens[3], "EXISTS") ? 4 : 2;
+    return { command: "DROP DATABASE", database: tokens[index] ? tokens[index].value : null, statements: [] };
+  }
+  const temporary = isWord(tokens[index], "TEMPORARY");
+  if (temporary) {
+    index += 1;
+  }
+  if (isWord(tokens[index], "TABLE")) {
+    index += 1;
+    const ifExists = isWord(tokens[index], "IF") && isWord(tokens[index + 1], "EXISTS");
+    if (ifExists) {
+      index += 2;
+    }
+    const tables = splitTopLevel(tokens.slice(index).filter((token) => !isWord(token, "RESTRICT", "CASCADE"))).map(
+      (table) => readQualifiedName(table, 0).name
+    );
+    const statements = tables.map((table) => `DROP TABLE ${ifExists ? "IF EXISTS " : ""}${quoteIdentifier(table)}`);
+    if (!temporary) {
+      statements.push(
+        `DELETE FROM ${quoteIdentifier(SCHEMA_TABLE)} WHERE table_name IN (${tables.map((table) => renderToken(literal(table))).join(", ")})`
+      );
+    }
+    return { command: "DROP", statements };
+  }
+  if (isWord(tokens[index], "INDEX")) {
+    return { command: "DROP", statements: [`DROP INDEX ${quoteIdentifier(tokens[index + 1].value)}`] };
+  }
+  return { command: "DROP", statements: [render(tokens)] };
+}
+
+// 'user'@'host', user@host or a bare user name, which MySQL reads as 'user'@'%'.
+function readAccount(tokens, index) {
+  const name = tokens[index];
+  if (!name || !["string", "identifier", "word"].includes(name.type)) {
+    throw new Error("User name is required");
+  }
+  const account = { user: name.value, host: "%" };
+  const at = tokens[index + 1];
+  if (!at || at.type !== "variable" || at.value.startsWith("@@")) {
+    return { account, next: index + 1 };
+  }
+  if (at.value !== "@") {
+    account.host = at.value.slice(1);
+    return { account, next: index + 2 };
+  }
+  const host = tokens[index + 2];
+  if (!host || !["string", "identifier", "word"].includes(host.type)) {
+    throw new Error("Host name is required after @");
+  }
+  account.host = host.value;
+  return { account, next: index + 3 };
+}
+
+// IDENTIFIED [WITH <plugin>] [BY '<password>'] after an account name.
+function readIdentified(tokens, index, account) {
+  if (!isWord(tokens[index], "IDENTIFIED")) {
+    return index;
+  }
+  let next = index + 1;
+  if (isWord(tokens[next], "WITH")) {
+    if (!tokens[next + 1] || !["string", "identifier", "word"].includes(tokens[next + 1].type)) {
+      throw new Error("Authentication plugin name is required after IDENTIFIED WITH");
+    }
+    account.plugin = tokens[next + 1].value;
+    next += 2;
+  }
+  if (isWord(tokens[next], "AS")) {
+    throw new Error("IDENTIFIED ... AS '<hash>' is not supported; use IDENTIFIED BY '<password>'");
+  }
+  if (isWord(tokens[next], "BY")) {
+    if (!tokens[next + 1] || tokens[next + 1].type !== "string") {
+      throw new Error("Expected a quoted password after IDENTIFIED BY");
+    }
+    account.password = tokens[next + 1].value;
+    next += 2;
+  }
+  return next;
+}
+
+// CREATE USER, ALTER USER and DROP USER. The accounts themselves are managed by the server, not by SQLite.
+function translateAccountStatement(tokens) {
+  const command = `${tokens[0].upper} USER`;
+  const translation = { command, accounts: [], statements: [] };
+  let index = 2;
+  if (command === "CREATE USER" && isWord(tokens[2], "IF") && isWord(tokens[3], "NOT") && isWord(tokens[4], "EXISTS")) {
+    translation.ifNotExists = true;
+    index = 5;
+  } else if (command !== "CREATE USER" && isWord(tokens[2], "IF") && isWord(tokens[3], "EXISTS")) {
+    translation.ifExists = true;
+    index = 4;
+  }
+  for (;;) {
+    const { account, next } = readAccount(tokens, index);
+    index = command === "DROP USER" ? next : readIdentified(tokens, next, account);
+    translation.accounts.push(account);
+    if (!isSymbol(tokens[index], ",")) {
+      break;
+    }
+    index += 1;
+  }
+  if (index < tokens.length) {
+    throw new Error(`Unsupported ${command} option: ${render(tokens.slice(index))}`);
+  }
+  return translation;
+}
+
+// GRANT <privileges> ON <db>.* TO <accounts> and REVOKE <privileges> ON <db>.* FROM <accounts>. Privileges are
+// granted per database (or globally with *.*); table and column privileges are not supported.
+function translateGrant(tokens) {
+  const command = tokens[0].upper;
+  const on = tokens.findIndex((token) => isWord(token, "ON"));
+  if (on === -1) {
+    throw new Error(`Expected ON in ${command}`);
+  }
+  const privileges = splitTopLevel(tokens.slice(1, on)).map((privilege) => {
+    if (privilege.length === 0 || privilege.some((token) => token.type !== "word")) {
+      throw new Error(`Unsupported privilege in ${command}: ${render(privilege)}; column privileges are not supported`);
+    }
+    return privilege.map((token) => token.upper).join(" ");
+  });
+
+  let index = isWord(tokens[on + 1], "TABLE") ? on + 2 : on + 1;
+  let database;
+  if (isSymbol(tokens[index], "*") && isSymbol(tokens[index + 1], ".") && isSymbol(tokens[index + 2], "*")) {
+    database = "*";
+    index += 3;
+  } else if (isSymbol(tokens[index], "*")) {
+    // A bare * is the current database.
+    database = null;
+    index += 1;
+  } else if (isName(tokens[index]) && isSymbol(tokens[index + 1], ".") && isSymbol(tokens[index + 2], "*")) {
+    database = tokens[index].value;
+    index += 3;
+  } else {
+    throw new Error(`Only database privileges are supported; use ${command} ... ON <database>.*`);
+  }
+
+  if (!isWord(tokens[index], command === "GRANT" ? "TO" : "FROM")) {
+    throw new Error(`Expected ${command === "GRANT" ? "TO" : "FROM"} in ${command}`);
+  }
+  index += 1;
+  const accounts = [];
+  for (;;) {
+    const { account, next } = readAccount(tokens, index);
+    accounts.push(account);
+    index = next;
+    if (!isSymbol(tokens[index], ",")) {
+      break;
+    }
+    index += 1;
+  }
+  // Without GRANT OPTION in the simulator, account management only depends on the CREATE USER privilege.
+  if (command === "GRANT" && isWord(tokens[index], "WITH") && isWord(tokens[index + 1], "GRANT") && isWord(tokens[index + 2], "OPTION")) {
+    index += 3;
+  }
+  if (index < tokens.length) {
+    throw new Error(`Unsupported ${command} option: ${render(tokens.slice(index))}`);
+  }
+  return { command, privileges, database, accounts, statements: [] };
+}
+
+// Session variables are not SQL for SQLite: they come back in `session` for the server to keep on the connection.
+function translateSet(tokens) {
+  if (isWord(tokens[1], "NAMES", "CHARSET") || (isWord(tokens[1], "CHARACTER") && isWord(tokens[2], "SET"))) {
+    return { command: "SET", statements: [], session: {} };
+  }
+  const session = {};
+  for (const assignment of splitTopLevel(tokens.slice(1))) {
+    let position = 0;
+    if (isWord(assignment[0], "SESSION", "LOCAL", "GLOBAL")) {
+      position = 1;
+    }
+    const target = assignment[position];
+    const name = String(target ? target.value : "")
+      .replace(/^@@((session|local|global)\.)?/i, "")
+      .toLowerCase();
+    const value = assignment[position + 2];
+    const userVariable = target && target.type === "variable" && !target.value.startsWith("@@");
+    if (!target || userVariable || !isSymbol(assignment[position + 1], "=")) {
+      throw new Error(`Unsupported SET statement: ${render(tokens)}`);
+    }
+    if (name === "foreign_key_checks") {
+      session.foreignKeyChecks = Boolean(value && ["1", "ON", "TRUE"].includes(String(value.value).toUpperCase()));
+    } else if (!IGNORED_VARIABLES.has(name)) {
+      throw new Error(`Unsupported system variable '${name}'`);
+    }
+  }
+  return { command: "SET", statements: [], session };
+}
+
+// Reads "table" or "database.table"; SHOW statements need the database, unlike readQualifiedName.
+function readSchemaQualifiedName(tokens, index) {
+  if (!isName(tokens[index])) {
+    throw new Error(`Expected a name near '${tokens[index] ? renderToken(tokens[index]) : "end of statement"}'`);
+  }
+  if (isSymbol(tokens[index + 1], ".") && isName(tokens[index + 2])) {
+    return { database: tokens[index].value, name: tokens[index + 2].value, next: index + 3 };
+  }
+  return { database: null, name: tokens[index].value, next: index + 1 };
+}
+
+// SHOW statements are answered from the table metadata, so they translate to a description instead of SQL.
+function translateShow(tokens) {
+  const show = { kind: null, full: false, database: null, table: null, like: null };
+  let index = 1;
+  if (isWord(tokens[index], "FULL")) {
+    show.full = true;
+    index += 1;
+  }
+  if (isWord(tokens[index], "GLOBAL", "SESSION", "LOCAL")) {
+    index += 1;
+  }
+
+  const first = tokens[index];
+  const second = tokens[index + 1];
+  if (isWord(first, "DATABASES", "SCHEMAS")) {
+    show.kind = "DATABASES";
+    index += 1;
+  } else if (isWord(first, "TABLES")) {
+    show.kind = "TABLES";
+    index += 1;
+  } else if (isWord(first, "TABLE") && isWord(second, "STATUS")) {
+    show.kind = "TABLE STATUS";
+    index += 2;
+  } else if (isWord(first, "COLUMNS", "FIELDS", "INDEX", "INDEXES", "KEYS")) {
+    if (!isWord(second, "FROM", "IN")) {
+      throw new Error(`Expected FROM after SHOW ${first.upper}`);
+    }
+    const { database, name, next } = readSchemaQualifiedName(tokens, index + 2);
+    Object.assign(show, { kind: isWord(first, "COLUMNS", "FIELDS") ? "COLUMNS" : "INDEX", database, table: name });
+    index = next;
+  } else if (isWord(first, "CREATE") && isWord(second, "TABLE")) {
+    const { database, name, next } = readSchemaQualifiedName(tokens, index + 2);
+    Object.assign(show, { kind: "CREATE TABLE", database, table: name });
+    index = next;
+  } else if (isWord(first, "CREATE") && isWord(second, "DATABASE", "SCHEMA")) {
+    index += 2;
+    if (isWord(tokens[index], "IF") && isWord(tokens[index + 1], "NOT") && isWord(tokens[index + 2], "EXISTS")) {
+      index += 3;
+    }
+    const { name, next } = readSchemaQualifiedName(tokens, index);
+    Object.assign(show, { kind: "CREATE DATABASE", database: name });
+    index = next;
+  } else if (isWord(first, "GRANTS")) {
+    show.kind = "GRANTS";
+    show.account = null;
+    index += 1;
+    if (isWord(tokens[index], "FOR") && isWord(tokens[index + 1], "CURRENT_USER")) {
+      index += isSymbol(tokens[index + 2], "(") && isSymbol(tokens[index + 3], ")") ? 4 : 2;
+    } else if (isWord(tokens[index], "FOR")) {
+      const { account, next } = readAccount(tokens, index + 1);
+      show.account = account;
+      index = next;
+    }
+  } else if (isWord(first, "VARIABLES", "STATUS", "WARNINGS", "ERRORS", "ENGINES", "COLLATION")) {
+    show.kind = first.upper;
+    index += 1;
+  } else if (isWord(first, "CHARSET") || (isWord(first, "CHARACTER") && isWord(second, "SET"))) {
+    show.kind = "CHARACTER SET";
+    index += isWord(first, "CHARSET") ? 1 : 2;
+  } else {
+    throw new Error(`Unsupported SHOW statement: ${render(tokens)}`);
+  }
+
+  if (isWord(tokens[index], "FROM", "IN") && isName(tokens[index + 1])) {
+    show.database = tokens[index + 1].value;
+    index += 2;
+  }
+  if (isWord(tokens[index], "LIKE") && tokens[index + 1] && tokens[index + 1].type === "string") {
+    show.like = tokens[index + 1].value;
+    index += 2;
+  }
+  if (isWord(tokens[index], "WHERE")) {
+    throw new Error("SHOW ... WHERE is not supported; use LIKE or query information_schema");
+  }
+  if (index < tokens.length && !isWord(tokens[index], "LIMIT")) {
+    throw new Error(`Unsupported SHOW statement: ${render(tokens)}`);
+  }
+  return { command: "SHOW", show, statements: [] };
+}
+
+// DESCRIBE t [column] is SHOW COLUMNS FROM t [LIKE column]. Explaining a query plan has no MySQL equivalent here.
+function translateDescribe(tokens) {
+  if (!isName(tokens[1]) || isWord(tokens[1], "SELECT", "INSERT", "UPDATE", "DELETE", "REPLACE", "WITH", "TABLE", "FORMAT", "ANALYZE", "EXTENDED")) {
+    throw new Error(`Unsupported statement: ${render(tokens)}`);
+  }
+  const { database, name, next } = readSchemaQualifiedName(tokens, 1);
+  const column = tokens[next];
+  return {
+    command: "SHOW",
+    show: { kind: "COLUMNS", full: false, database, table: name, like: column ? String(column.value) : null },
+    statements: [],
+  };
+}
+
+// Splits a COM_QUERY batch on top-level semicolons and returns the original text of each statement. Quotes and
+// comments are tokens, so a semicolon inside them never splits; pieces without tokens (only comments) are dropped.
+function splitStatements(sql) {
+  const statements = [];
+  let start = 0;
+  let tokenCount = 0;
+  for (const token of tokenize(sql)) {
+    if (isSymbol(token, ";")) {
+      if (tokenCount > 0) {
+        statements.push(sql.slice(start, token.start).trim());
+      }
+      start = token.end;
+      tokenCount = 0;
+    } else {
+      tokenCount += 1;
+    }
+  }
+  if (tokenCount > 0) {
+    statements.push(sql.slice(start).trim());
+  }
+  return statements;
+}
+
+// Index of the statement a WITH clause introduces: the first SELECT, INSERT, UPDATE, DELETE or REPLACE outside the
+// parentheses of the common table expressions. 0 for statements without WITH.
+function mainStatementIndex(tokens) {
+  if (!isWord(tokens[0], "WITH")) {
+    return 0;
+  }
+  let depth = 0;
+  for (let index = 1; index < tokens.length; index += 1) {
+    const token = tokens[index];
+    if (isSymbol(token, "(")) {
+      depth += 1;
+    } else if (isSymbol(token, ")")) {
+      depth -= 1;
+    } else if (depth === 0 && isWord(token, "SELECT", "INSERT", "UPDATE", "DELETE", "REPLACE")) {
+      return index;
+    }
+  }
+  return 0;
+}
+
+// The first table a statement reads or writes, for error messages such as "SELECT command denied ... for table".
+function referencedTable(sql) {
+  const allTokens = tokenize(sql);
+  const tokens = allTokens.slice(mainStatementIndex(allTokens));
+  let index = tokens.findIndex((token) => isWord(token, "FROM", "INTO", "UPDATE", "TABLE", "TRUNCATE", "JOIN", "ON"));
+  if (index === -1) {
+    return null;
+  }
+  index += 1;
+  while (isWord(tokens[index], "TABLE", "IF", "NOT", "EXISTS", "LOW_PRIORITY", "QUICK", "IGNORE")) {
+    index += 1;
+  }
+  return isName(tokens[index]) ? readQualifiedName(tokens, index).name : null;
+}
+
+// MySQL counts a row that ON DUPLICATE KEY UPDATE changes as two affected rows, which the caller works out.
+function markUpsert(tokens, translation) {
+  if (isWord(tokens[0], "INSERT") && findOnDuplicateKeyUpdate(tokens) !== -1) {
+    translation.upsert = true;
+  }
+  return translation;
+}
+
+// The optional context ({ database, user, connectionId, lastInsertId, variables }) answers DATABASE(), USER(),
+// LAST_INSERT_ID(), @@variables and similar session functions with literals. Without it those expressions are left to SQLite.
+function translateStatement(sql, context = null) {
+  const tokens = tokenize(sql);
+  while (tokens.length > 0 && isSymbol(tokens[tokens.length - 1], ";")) {
+    tokens.pop();
+  }
+  if (tokens.length === 0) {
+    return { command: null, statements: [] };
+  }
+
+  const first = tokens[0];
+  // WITH ... UPDATE/DELETE/INSERT writes: classify it by the statement after the common table expressions, so the
+  // privilege checks and the read-only paths see a write.
+  const mainIndex = mainStatementIndex(tokens);
+  if (mainIndex > 0 && !isWord(tokens[mainIndex], "SELECT")) {
+    const main = tokens.slice(mainIndex);
+    const translate = isWord(main[0], "INSERT", "REPLACE") ? translateInsert : translateUpdateOrDelete;
+    return markUpsert(main, {
+      command: main[0].upper,
+      statements: [render([...rewriteExpressions(tokens.slice(0, mainIndex), context), ...translate(main, context)])],
+    });
+  }
+  const command = isSymbol(first, "(") || isWord(first, "WITH") ? "SELECT" : first.upper || first.value;
+  switch (command) {
+    case "SELECT": {
+      const translation = { command, statements: [render(translateSelect(tokens, sql, context))] };
+      if (tokens.some((token) => isName(token) && token.value.toLowerCase() === "information_schema")) {
+        translation.informationSchema = true;
+      }
+      return translation;
+    }
+    case "INSERT":
+    case "REPLACE":
+      return markUpsert(tokens, { command, statements: [render(translateInsert(tokens, context))] });
+    case "UPDATE":
+    case "DELETE":
+      return { command, statements: [render(translateUpdateOrDelete(tokens, context))] };
+    case "CREATE":
+      return translateCreate(tokens);
+    case "ALTER":
+      if (isWord(tokens[1], "USER")) {
+        return translateAccountStatement(tokens);
+      }
+      return { command, statements: translateAlterTable(tokens) };
+    case "DROP":
+      return translateDrop(tokens);
+    case "TRUNCATE": {
+      // TRUNCATE also restarts AUTO_INCREMENT, whose counter SQLite keeps in sqlite_sequence.
+      const { name } = readQualifiedName(tokens, isWord(tokens[1], "TABLE") ? 2 : 1);
+      return {
+        command,
+        statements: [`DELETE FROM ${quoteIdentifier(name)}`, `DELETE FROM sqlite_sequence WHERE name = '${name.replace(/'/g, "''")}'`],
+      };
+    }
+    case "SET":
+      return translateSet(tokens);
+    case "SHOW":
+      return translateShow(tokens);
+    case "DESCRIBE":
+    case "DESC":
+    case "EXPLAIN":
+      return translateDescribe(tokens);
+    case "GRANT":
+    case "REVOKE":
+      return translateGrant(tokens);
+    // FLUSH PRIVILEGES, FLUSH TABLES...: grants apply immediately and there is nothing to flush.
+    case "FLUSH":
+      return { command: null, statements: [] };
+    case "LOCK":
+    case "UNLOCK":
+      return { command, statements: [] };
+    default:
+      return { command, statements: [render(rewriteExpressions(tokens, context))] };
+  }
+}
+
+module.exports = {
+  SCHEMA_TABLE,
+  SCHEMA_TABLE_DEFINITION,
+  tokenize,
+  translateStatement,
+  splitStatements,
+  referencedTable,
+  onUpdateTriggerName,
+};
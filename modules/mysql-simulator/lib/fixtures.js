@@ -0,0 +1,177 @@
+"use strict";
+
+// CSV and JSON fixtures loaded straight into the SQLite tables of a database.
+//
+// JSON fixtures are an array of objects keyed by column name. CSV fixtures start with a header row of column
+// names and follow RFC 4180 quoting; an empty unquoted field is NULL while "" is an empty string. Values are
+// inserted as they come and SQLite's column affinity converts numeric text, as MySQL does on INSERT.
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const FIXTURE_FORMATS = ["csv", "json"];
+
+function quoteName(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let inQuotes = false;
+  let position = 0;
+  const source = String(text).replace(/^\uFEFF/, "");
+
+  const endField = () => {
+    record.push(field === "" && !quoted ? null : field);
+    field = "";
+    quoted = false;
+  };
+  const endRecord = () => {
+    endField();
+    // Blank lines separate nothing.
+    if (record.length > 1 || record[0] !== null) {
+      records.push(record);
+    }
+    record = [];
+  };
+
+  while (position < source.length) {
+    const char = source[position];
+    if (inQuotes) {
+      if (char === '"' && source[position + 1] === '"') {
+        field += '"';
+        position += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+      quoted = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[position + 1] === "\n") {
+        position += 1;
+      }
+      endRecord();
+    } else {
+      field += char;
+    }
+    position += 1;
+  }
+  if (inQuotes) {
+    throw new Error("Unterminated quoted field in CSV fixture");
+  }
+  if (field !== "" || quoted || record.length > 0) {
+    endRecord();
+  }
+
+  if (records.length === 0) {
+    return [];
+  }
+  const [header, ...rows] = records;
+  return rows.map((values, index) => {
+    if (values.length !== header.length) {
+      throw new Error(`CSV fixture row ${index + 2} has ${values.length} fields, expected ${header.length}`);
+    }
+    return Object.fromEntries(header.map((column, position) => [column, values[position]]));
+  });
+}
+
+// Returns the rows of a fixture given as CSV text, JSON text or an already parsed array.
+function parseFixture(data, format) {
+  if (Array.isArray(data)) {
+    return data;
+  }
+  if (!FIXTURE_FORMATS.includes(format)) {
+    throw new Error(`Unknown fixture format '${format}'; use ${FIXTURE_FORMATS.join(" or ")}`);
+  }
+  if (typeof data !== "string") {
+    throw new Error("Fixture data must be text or an array of rows");
+  }
+  if (format === "csv") {
+    return parseCsv(data);
+  }
+  const rows = JSON.parse(data);
+  if (!Array.isArray(rows)) {
+    throw new Error("JSON fixtures must be an array of objects");
+  }
+  return rows;
+}
+
+function readFixtureFile(filePath) {
+  const absolutePath = path.resolve(process.cwd(), filePath);
+  const format = path.extname(absolutePath).slice(1).toLowerCase();
+  return parseFixture(fs.readFileSync(absolutePath, "utf8"), format);
+}
+
+function toSqliteValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === "boolean") {
+    return value ? 1 : 0;
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+// Inserts `rows` into `tableName` in one transaction; with `truncate` the table is emptied first and its
+// AUTO_INCREMENT counter starts over. Column names match the table case-insensitively, as in MySQL.
+function loadFixtureRows(db, tableName, tableMeta, rows, { truncate = false } = {}) {
+  const columns = new Map(tableMeta.columns.map((column) => [column.name.toLowerCase(), column.name]));
+  const statements = new Map();
+  const insertStatement = (keys) => {
+    const signature = keys.join("\u0000");
+    if (!statements.has(signature)) {
+      const names = keys.map((key) => {
+        const column = columns.get(key.toLowerCase());
+        if (!column) {
+          throw new Error(`Unknown column '${key}' in table '${tableName}'`);
+        }
+        return quoteName(column);
+      });
+      statements.set(
+        signature,
+        names.length > 0
+          ? db.prepare(`INSERT INTO ${quoteName(tableName)} (${names.join(", ")}) VALUES (${names.map(() => "?").join(", ")})`)
+          : db.prepare(`INSERT INTO ${quoteName(tableName)} DEFAULT VALUES`)
+      );
+    }
+    return statements.get(signature);
+  };
+
+  const load = db.transaction(() => {
+    if (truncate) {
+      db.prepare(`DELETE FROM ${quoteName(tableName)}`).run();
+      const sequence = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'sqlite_sequence'").get();
+      if (sequence) {
+        db.prepare("DELETE FROM sqlite_sequence WHERE name = ?").run(tableName);
+      }
+    }
+    rows.forEach((row, index) => {
+      if (!row || typeof row !== "object" || Array.isArray(row)) {
+        throw new Error(`Fixture row ${index + 1} for '${tableName}' must be an object`);
+      }
+      const keys = Object.keys(row);
+      insertStatement(keys).run(...keys.map((key) => toSqliteValue(row[key])));
+    });
+  });
+  load();
+  return rows.length;
+}
+
+module.exports = {
+  FIXTURE_FORMATS,
+  parseCsv,
+  parseFixture,
+  readFixtureFile,
+  loadFixtureRows,
+};
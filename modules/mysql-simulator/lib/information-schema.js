@@ -0,0 +1,618 @@
+"use strict";
+
+// Table metadata read from SQLite and presented the way MySQL does: SHOW COLUMNS, SHOW INDEX, SHOW CREATE TABLE
+// and an emulated information_schema.
+//
+// createInformationSchema builds an in-memory SQLite database with an attached "information_schema" schema, so
+// both information_schema.tables and (after USE information_schema) plain tables resolve. Column types and foreign
+// key names come from the schema table the dialect fills at CREATE time; tables created some other way fall back to
+// the SQLite column types and to <table>_ibfk_<n>, as MySQL names unnamed constraints.
+
+const Database = require("better-sqlite3");
+const { SCHEMA_TABLE, onUpdateTriggerName } = require("./dialect");
+
+const INFORMATION_SCHEMA = "information_schema";
+const DEFAULT_CHARSET = "utf8mb4";
+const DEFAULT_COLLATION = "utf8mb4_general_ci";
+
+const INFORMATION_SCHEMA_TABLES = {
+  SCHEMATA: ["CATALOG_NAME", "SCHEMA_NAME", "DEFAULT_CHARACTER_SET_NAME", "DEFAULT_COLLATION_NAME", "SQL_PATH"],
+  TABLES: [
+    "TABLE_CATALOG",
+    "TABLE_SCHEMA",
+    "TABLE_NAME",
+    "TABLE_TYPE",
+    "ENGINE",
+    "VERSION",
+    "ROW_FORMAT",
+    "TABLE_ROWS",
+    "AVG_ROW_LENGTH",
+    "DATA_LENGTH",
+    "INDEX_LENGTH",
+    "AUTO_INCREMENT",
+    "CREATE_TIME",
+    "UPDATE_TIME",
+    "TABLE_COLLATION",
+    "CREATE_OPTIONS",
+    "TABLE_COMMENT",
+  ],
+  COLUMNS: [
+    "TABLE_CATALOG",
+    "TABLE_SCHEMA",
+    "TABLE_NAME",
+    "COLUMN_NAME",
+    "ORDINAL_POSITION",
+    "COLUMN_DEFAULT",
+    "IS_NULLABLE",
+    "DATA_TYPE",
+    "CHARACTER_MAXIMUM_LENGTH",
+    "CHARACTER_OCTET_LENGTH",
+    "NUMERIC_PRECISION",
+    "NUMERIC_SCALE",
+    "DATETIME_PRECISION",
+    "CHARACTER_SET_NAME",
+    "COLLATION_NAME",
+    "COLUMN_TYPE",
+    "COLUMN_KEY",
+    "EXTRA",
+    "PRIVILEGES",
+    "COLUMN_COMMENT",
+  ],
+  STATISTICS: [
+    "TABLE_CATALOG",
+    "TABLE_SCHEMA",
+    "TABLE_NAME",
+    "NON_UNIQUE",
+    "INDEX_SCHEMA",
+    "INDEX_NAME",
+    "SEQ_IN_INDEX",
+    "COLUMN_NAME",
+    "COLLATION",
+    "CARDINALITY",
+    "SUB_PART",
+    "PACKED",
+    "NULLABLE",
+    "INDEX_TYPE",
+    "COMMENT",
+    "INDEX_COMMENT",
+  ],
+  TABLE_CONSTRAINTS: ["CONSTRAINT_CATALOG", "CONSTRAINT_SCHEMA", "CONSTRAINT_NAME", "TABLE_SCHEMA", "TABLE_NAME", "CONSTRAINT_TYPE"],
+  KEY_COLUMN_USAGE: [
+    "CONSTRAINT_CATALOG",
+    "CONSTRAINT_SCHEMA",
+    "CONSTRAINT_NAME",
+    "TABLE_CATALOG",
+    "TABLE_SCHEMA",
+    "TABLE_NAME",
+    "COLUMN_NAME",
+    "ORDINAL_POSITION",
+    "POSITION_IN_UNIQUE_CONSTRAINT",
+    "REFERENCED_TABLE_SCHEMA",
+    "REFERENCED_TABLE_NAME",
+    "REFERENCED_COLUMN_NAME",
+  ],
+  REFERENTIAL_CONSTRAINTS: [
+    "CONSTRAINT_CATALOG",
+    "CONSTRAINT_SCHEMA",
+    "CONSTRAINT_NAME",
+    "UNIQUE_CONSTRAINT_CATALOG",
+    "UNIQUE_CONSTRAINT_SCHEMA",
+    "UNIQUE_CONSTRAINT_NAME",
+    "MATCH_OPTION",
+    "UPDATE_RULE",
+    "DELETE_RULE",
+    "TABLE_NAME",
+    "REFERENCED_TABLE_NAME",
+  ],
+};
+
+const INTEGER_PRECISION = { tinyint: 3, smallint: 5, mediumint: 7, int: 10, bigint: 19 };
+const TEXT_LENGTH = { tinytext: 255, text: 65535, mediumtext: 16777215, longtext: 4294967295 };
+
+function quoteName(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function quoteMysqlName(name) {
+  return `\`${String(name).replace(/`/g, "``")}\``;
+}
+
+// Splits a declared column type ("INT UNSIGNED", "VARCHAR(255)", "DECIMAL(10,2)") into the fields that
+// information_schema.COLUMNS reports.
+function describeColumnType(declaredType) {
+  const columnType = String(declaredType || "text")
+    .trim()
+    // ENUM and SET values keep their case.
+    .replace(/'(?:[^']|'')*'|[^']+/g, (part) => (part.startsWith("'") ? part : part.toLowerCase()))
+    .replace(/^integer\b/, "int")
+    .replace(/\s*\(\s*/, "(")
+    .replace(/\s*,\s*/g, ",");
+  const dataType = (columnType.match(/^[a-z]+/) || ["text"])[0];
+  const args = ((columnType.match(/\(([^)]*)\)/) || [])[1] || "")
+    .split(",")
+    .filter(Boolean)
+    .map(Number);
+  const description = {
+    columnType,
+    dataType,
+    characterMaximumLength: null,
+    numericPrecision: null,
+    numericScale: null,
+    datetimePrecision: null,
+    characterSetName: null,
+    collationName: null,
+  };
+
+  if (["char", "varchar", "binary", "varbinary"].includes(dataType)) {
+    description.characterMaximumLength = args[0] || 1;
+  } else if (TEXT_LENGTH[dataType]) {
+    description.characterMaximumLength = TEXT_LENGTH[dataType];
+  } else if (INTEGER_PRECISION[dataType]) {
+    description.numericPrecision = INTEGER_PRECISION[dataType] + (dataType === "bigint" && /unsigned/.test(columnType) ? 1 : 0);
+    description.numericScale = 0;
+  } else if (dataType === "decimal" || dataType === "numeric") {
+    description.numericPrecision = args[0] || 10;
+    description.numericScale = args[1] || 0;
+  } else if (dataType === "float" || dataType === "double" || dataType === "real") {
+    description.numericPrecision = dataType === "float" ? 12 : 22;
+  } else if (["datetime", "timestamp", "time"].includes(dataType)) {
+    description.datetimePrecision = args[0] || 0;
+  }
+
+  if (/char|text|enum|set/.test(dataType)) {
+    description.characterSetName = DEFAULT_CHARSET;
+    description.collationName = DEFAULT_COLLATION;
+  }
+  return description;
+}
+
+// What the schema table recorded for a table: declared column types and foreign key names by column list.
+function readDeclaredSchema(db, tableName) {
+  const declared = { types: new Map(), foreignKeys: new Map() };
+  if (!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(SCHEMA_TABLE)) {
+    return declared;
+  }
+  for (const row of db.prepare(`SELECT kind, name, detail FROM ${quoteName(SCHEMA_TABLE)} WHERE table_name = ?`).all(tableName)) {
+    if (row.kind === "column") {
+      declared.types.set(row.name, row.detail);
+    } else if (row.kind === "foreign key") {
+      declared.foreignKeys.set(row.detail, row.name);
+    }
+  }
+  return declared;
+}
+
+function readTableMetadata(db, tableName) {
+  const quotedTable = quoteName(tableName);
+  const declared = readDeclaredSchema(db, tableName);
+  const tableRow = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(tableName);
+  const hasAutoIncrement = Boolean(tableRow && /\bAUTOINCREMENT\b/i.test(tableRow.sql || ""));
+  const triggers = new Set(
+    db
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'trigger' AND tbl_name = ?")
+      .all(tableName)
+      .map((trigger) => trigger.name)
+  );
+
+  const columns = db.pragma(`table_info(${quotedTable})`).map((column) => ({
+    name: column.name,
+    type: describeColumnType(declared.types.get(column.name) || column.type).columnType,
+    nullable: column.notnull === 0 && column.pk === 0,
+    defaultValue: column.dflt_value,
+    primaryKey: column.pk > 0,
+    primaryKeyPosition: column.pk,
+    autoIncrement: hasAutoIncrement && column.pk > 0 && /^integer$/i.test(column.type),
+    onUpdate: triggers.has(onUpdateTriggerName(tableName, column.name)),
+  }));
+
+  const indexes = [];
+  const primaryColumns = columns
+    .filter((column) => column.primaryKey)
+    .sort((a, b) => a.primaryKeyPosition - b.primaryKeyPosition)
+    .map((column) => column.name);
+  if (primaryColumns.length > 0) {
+    indexes.push({ name: "PRIMARY", unique: true, primary: true, columns: primaryColumns });
+  }
+  for (const index of db.pragma(`index_list(${quotedTable})`).reverse()) {
+    if (index.origin === "pk") {
+      continue;
+    }
+    const indexColumns = db
+      .pragma(`index_info(${quoteName(index.name)})`)
+      .sort((a, b) => a.seqno - b.seqno)
+      .map((column) => column.name);
+    // Indexes behind inline UNIQUE constraints are named after their first column, as in MySQL.
+    const name = index.name.startsWith("sqlite_autoindex_") ? indexColumns[0] : index.name;
+    indexes.push({ name, unique: index.unique === 1, primary: false, columns: indexColumns });
+  }
+
+  const foreignKeys = new Map();
+  for (const reference of db.pragma(`foreign_key_list(${quotedTable})`)) {
+    if (!foreignKeys.has(reference.id)) {
+      foreignKeys.set(reference.id, {
+        id: reference.id,
+        name: null,
+        columns: [],
+        referencedTable: reference.table,
+        referencedColumns: [],
+        onUpdate: reference.on_update,
+        onDelete: reference.on_delete,
+      });
+    }
+    const foreignKey = foreignKeys.get(reference.id);
+    foreignKey.columns.push(reference.from);
+    foreignKey.referencedColumns.push(reference.to);
+  }
+  for (const [id, foreignKey] of foreignKeys) {
+    foreignKey.name = declared.foreignKeys.get(foreignKey.columns.join(",")) || `${tableName}_ibfk_${id + 1}`;
+  }
+
+  const rowCountRow = db.prepare(`SELECT COUNT(*) AS count FROM ${quotedTable}`).get();
+  let autoIncrement = null;
+  if (hasAutoIncrement) {
+    const sequence = db.prepare("SELECT seq FROM sqlite_sequence WHERE name = ?").get(tableName);
+    autoIncrement = sequence ? Number(sequence.seq) + 1 : 1;
+  }
+
+  return {
+    columns,
+    indexes,
+    foreignKeys: Array.from(foreignKeys.values()).sort((a, b) => a.name.localeCompare(b.name)),
+    rowCount: rowCountRow ? Number(rowCountRow.count) || 0 : 0,
+    autoIncrement,
+  };
+}
+
+// PRAGMA table_info reports defaults as SQL text: literals keep their quotes.
+function formatDefault(defaultValue) {
+  if (defaultValue === null || defaultValue === undefined || /^null$/i.test(defaultValue)) {
+    return null;
+  }
+  const quoted = String(defaultValue).match(/^'([\s\S]*)'$/);
+  return quoted ? quoted[1].replace(/''/g, "'") : String(defaultValue);
+}
+
+function columnKey(tableMeta, column) {
+  if (column.primaryKey) {
+    return "PRI";
+  }
+  if (tableMeta.indexes.some((index) => index.unique && index.columns.length === 1 && index.columns[0] === column.name)) {
+    return "UNI";
+  }
+  // MySQL backs every foreign key with an index.
+  const leadingColumns = [...tableMeta.indexes, ...tableMeta.foreignKeys].map((key) => key.columns[0]);
+  if (leadingColumns.includes(column.name)) {
+    return "MUL";
+  }
+  return "";
+}
+
+function columnExtra(column) {
+  if (column.autoIncrement) {
+    return "auto_increment";
+  }
+  return column.onUpdate ? "on update CURRENT_TIMESTAMP" : "";
+}
+
+function showColumns(tableMeta, { full = false } = {}) {
+  const columns = full
+    ? ["Field", "Type", "Collation", "Null", "Key", "Default", "Extra", "Privileges", "Comment"]
+    : ["Field", "Type", "Null", "Key", "Default", "Extra"];
+  const rows = tableMeta.columns.map((column) => {
+    const base = {
+      Field: column.name,
+      Type: column.type,
+      Collation: describeColumnType(column.type).collationName,
+      Null: column.nullable ? "YES" : "NO",
+      Key: columnKey(tableMeta, column),
+      Default: formatDefault(column.defaultValue),
+      Extra: columnExtra(column),
+      Privileges: "select,insert,update,references",
+      Comment: "",
+    };
+    return columns.map((name) => base[name]);
+  });
+  return { columns, rows };
+}
+
+// Table metadata as JSON for the HTTP schema endpoint, with the same Key/Default/Extra values SHOW COLUMNS uses.
+function describeTableSchema(tableName, tableMeta) {
+  return {
+    name: tableName,
+    rowCount: tableMeta.rowCount,
+    autoIncrement: tableMeta.autoIncrement,
+    columns: tableMeta.columns.map((column) => ({
+      name: column.name,
+      type: column.type,
+      nullable: column.nullable,
+      key: columnKey(tableMeta, column),
+      default: formatDefault(column.defaultValue),
+      extra: columnExtra(column),
+    })),
+    indexes: tableMeta.indexes.map(({ name, unique, primary, columns }) => ({ name, unique, primary, columns })),
+    foreignKeys: tableMeta.foreignKeys.map(({ id, ...foreignKey }) => foreignKey),
+    createStatement: showCreateTable(tableName, tableMeta),
+  };
+}
+
+function showIndex(tableName, tableMeta) {
+  const columns = [
+    "Table",
+    "Non_unique",
+    "Key_name",
+    "Seq_in_index",
+    "Column_name",
+    "Collation",
+    "Cardinality",
+    "Sub_part",
+    "Packed",
+    "Null",
+    "Index_type",
+    "Comment",
+    "Index_comment",
+  ];
+  const rows = [];
+  for (const index of tableMeta.indexes) {
+    index.columns.forEach((columnName, position) => {
+      const column = tableMeta.columns.find((candidate) => candidate.name === columnName);
+      rows.push([
+        tableName,
+        index.unique ? 0 : 1,
+        index.name,
+        position + 1,
+        columnName,
+        "A",
+        tableMeta.rowCount,
+        null,
+        null,
+        column && column.nullable ? "YES" : "",
+        "BTREE",
+        "",
+        "",
+      ]);
+    });
+  }
+  return { columns, rows };
+}
+
+function showCreateTable(tableName, tableMeta) {
+  const lines = tableMeta.columns.map((column) => {
+    let line = `  ${quoteMysqlName(column.name)} ${column.type}`;
+    if (!column.nullable) {
+      line += " NOT NULL";
+    }
+    const defaultValue = formatDefault(column.defaultValue);
+    if (column.autoIncrement) {
+      line += " AUTO_INCREMENT";
+    } else if (defaultValue !== null) {
+      line += /^CURRENT_(TIMESTAMP|DATE|TIME)$/i.test(defaultValue) || /^-?\d+(\.\d+)?$/.test(defaultValue)
+        ? ` DEFAULT ${defaultValue}`
+        : ` DEFAULT '${defaultValue.replace(/'/g, "''")}'`;
+    } else if (column.nullable) {
+      line += " DEFAULT NULL";
+    }
+    if (column.onUpdate) {
+      line += " ON UPDATE CURRENT_TIMESTAMP";
+    }
+    return line;
+  });
+  const keyList = (names) => names.map(quoteMysqlName).join(",");
+  for (const index of tableMeta.indexes) {
+    if (index.primary) {
+      lines.push(`  PRIMARY KEY (${keyList(index.columns)})`);
+    } else {
+      lines.push(`  ${index.unique ? "UNIQUE KEY" : "KEY"} ${quoteMysqlName(index.name)} (${keyList(index.columns)})`);
+    }
+  }
+  for (const foreignKey of tableMeta.foreignKeys) {
+    let line =
+      `  CONSTRAINT ${quoteMysqlName(foreignKey.name)} FOREIGN KEY (${keyList(foreignKey.columns)}) ` +
+      `REFERENCES ${quoteMysqlName(foreignKey.referencedTable)} (${keyList(foreignKey.referencedColumns.map((name) => name || "id"))})`;
+    if (foreignKey.onDelete && foreignKey.onDelete !== "NO ACTION") {
+      line += ` ON DELETE ${foreignKey.onDelete}`;
+    }
+    if (foreignKey.onUpdate && foreignKey.onUpdate !== "NO ACTION") {
+      line += ` ON UPDATE ${foreignKey.onUpdate}`;
+    }
+    lines.push(line);
+  }
+  const autoIncrement = tableMeta.autoIncrement && tableMeta.autoIncrement > 1 ? ` AUTO_INCREMENT=${tableMeta.autoIncrement}` : "";
+  return `CREATE TABLE ${quoteMysqlName(tableName)} (\n${lines.join(",\n")}\n) ENGINE=InnoDB${autoIncrement} DEFAULT CHARSET=${DEFAULT_CHARSET}`;
+}
+
+function buildInformationSchemaRows(databases) {
+  const rows = Object.fromEntries(Object.keys(INFORMATION_SCHEMA_TABLES).map((table) => [table, []]));
+  rows.SCHEMATA.push(["def", INFORMATION_SCHEMA, DEFAULT_CHARSET, DEFAULT_COLLATION, null]);
+
+  for (const database of databases) {
+    const schema = database.name;
+    rows.SCHEMATA.push(["def", schema, DEFAULT_CHARSET, DEFAULT_COLLATION, null]);
+    for (const [tableName, tableMeta] of database.tables.entries()) {
+      rows.TABLES.push([
+        "def",
+        schema,
+        tableName,
+        "BASE TABLE",
+        "InnoDB",
+        10,
+        "Dynamic",
+        tableMeta.rowCount,
+        0,
+        0,
+        0,
+        tableMeta.autoIncrement,
+        null,
+        null,
+        DEFAULT_COLLATION,
+        "",
+        "",
+      ]);
+
+      tableMeta.columns.forEach((column, position) => {
+        const type = describeColumnType(column.type);
+        rows.COLUMNS.push([
+          "def",
+          schema,
+          tableName,
+          column.name,
+          position + 1,
+          formatDefault(column.defaultValue),
+          column.nullable ? "YES" : "NO",
+          type.dataType,
+          type.characterMaximumLength,
+          type.characterMaximumLength === null ? null : type.characterMaximumLength * 4,
+          type.numericPrecision,
+          type.numericScale,
+          type.datetimePrecision,
+          type.characterSetName,
+          type.collationName,
+          type.columnType,
+          columnKey(tableMeta, column),
+          columnExtra(column),
+          "select,insert,update,references",
+          "",
+        ]);
+      });
+
+      for (const index of tableMeta.indexes) {
+        index.columns.forEach((columnName, position) => {
+          const column = tableMeta.columns.find((candidate) => candidate.name === columnName);
+          rows.STATISTICS.push([
+            "def",
+            schema,
+            tableName,
+            index.unique ? 0 : 1,
+            schema,
+            index.name,
+            position + 1,
+            columnName,
+            "A",
+            tableMeta.rowCount,
+            null,
+            null,
+            column && column.nullable ? "YES" : "",
+            "BTREE",
+            "",
+            "",
+          ]);
+        });
+        if (index.unique) {
+          rows.TABLE_CONSTRAINTS.push(["def", schema, index.name, schema, tableName, index.primary ? "PRIMARY KEY" : "UNIQUE"]);
+          index.columns.forEach((columnName, position) => {
+            rows.KEY_COLUMN_USAGE.push(["def", schema, index.name, "def", schema, tableName, columnName, position + 1, null, null, null, null]);
+          });
+        }
+      }
+
+      for (const foreignKey of tableMeta.foreignKeys) {
+        rows.TABLE_CONSTRAINTS.push(["def", schema, foreignKey.name, schema, tableName, "FOREIGN KEY"]);
+        rows.REFERENTIAL_CONSTRAINTS.push([
+          "def",
+          schema,
+          foreignKey.name,
+          "def",
+          schema,
+          "PRIMARY",
+          "NONE",
+          foreignKey.onUpdate,
+          foreignKey.onDelete,
+          tableName,
+          foreignKey.referencedTable,
+        ]);
+        foreignKey.columns.forEach((columnName, position) => {
+          rows.KEY_COLUMN_USAGE.push([
+            "def",
+            schema,
+            foreignKey.name,
+            "def",
+            schema,
+            tableName,
+            columnName,
+            position + 1,
+            position + 1,
+            schema,
+            foreignKey.referencedTable,
+            foreignKey.referencedColumns[position] || "id",
+          ]);
+        });
+      }
+    }
+  }
+  return rows;
+}
+
+// Metadata of the emulated tables themselves, for SHOW statements run against information_schema.
+function informationSchemaTables() {
+  const tables = new Map();
+  for (const [table, columns] of Object.entries(INFORMATION_SCHEMA_TABLES)) {
+    tables.set(table, {
+      columns: columns.map((name) => ({
+        name,
+        type: "varchar(64)",
+        nullable: true,
+        defaultValue: null,
+        primaryKey: false,
+        autoIncrement: false,
+        onUpdate: false,
+      })),
+      indexes: [],
+      foreignKeys: [],
+      rowCount: 0,
+      autoIncrement: null,
+    });
+  }
+  return tables;
+}
+
+// The caller owns the returned handle and must close it after running its query.
+function createInformationSchema(databases) {
+  const db = new Database(":memory:");
+  db.exec(`ATTACH DATABASE ':memory:' AS ${INFORMATION_SCHEMA}`);
+  const rows = buildInformationSchemaRows(databases);
+  db.transaction(() => {
+    for (const [table, columns] of Object.entries(INFORMATION_SCHEMA_TABLES)) {
+      db.exec(`CREATE TABLE ${INFORMATION_SCHEMA}.${table} (${columns.join(", ")})`);
+      const insert = db.prepare(`INSERT INTO ${INFORMATION_SCHEMA}.${table} VALUES (${columns.map(() => "?").join(", ")})`);
+      for (const row of rows[table]) {
+        insert.run(...row);
+      }
+    }
+  })();
+  return db;
+}
+
+// SHOW ... LIKE patterns: % and _ wildcards, backslash escapes, case-insensitive.
+function matchesLike(value, pattern) {
+  if (pattern === null || pattern === undefined) {
+    return true;
+  }
+  let source = "";
+  for (let index = 0; index < pattern.length; index += 1) {
+    const char = pattern[index];
+    if (char === "\\" && index + 1 < pattern.length) {
+      index += 1;
+      source += pattern[index].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    } else if (char === "%") {
+      source += ".*";
+    } else if (char === "_") {
+      source += ".";
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, "is").test(String(value));
+}
+
+module.exports = {
+  INFORMATION_SCHEMA,
+  INFORMATION_SCHEMA_TABLES,
+  describeColumnType,
+  readTableMetadata,
+  informationSchemaTables,
+  showColumns,
+  showIndex,
+  showCreateTable,
+  describeTableSchema,
+  createInformationSchema,
+  matchesLike,
+};
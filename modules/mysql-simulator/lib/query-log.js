@@ -0,0 +1,243 @@
+"use strict";
+
+// Log of the statements clients execute, for debugging what services actually send.
+//
+// Every statement lands in a ring buffer of the last `capacity` entries. Statements that take at least
+// `slowQueryMs` are also kept in a smaller ring of their own, so a burst of fast queries does not push them out.
+// Statements are grouped by fingerprint (the SQL without comments, literals replaced by ? and value lists collapsed,
+// close to MySQL's statement digest) with counts and durations per group. Quoted and bare identifiers fingerprint
+// alike. Passwords in account statements are replaced by '<secret>' before anything is recorded, as MySQL
+// rewrites them in its own logs.
+
+const { tokenize } = require("./dialect");
+
+const DEFAULT_CAPACITY = 1000;
+const DEFAULT_SLOW_QUERY_MS = 100;
+const SLOW_CAPACITY = 200;
+const MAX_FINGERPRINTS = 500;
+const MAX_SQL_LENGTH = 4096;
+
+function createRing(capacity) {
+  return { capacity, items: [], start: 0 };
+}
+
+function pushRing(ring, item) {
+  if (ring.items.length < ring.capacity) {
+    ring.items.push(item);
+  } else {
+    ring.items[ring.start] = item;
+    ring.start = (ring.start + 1) % ring.capacity;
+  }
+}
+
+// Oldest first.
+function ringItems(ring) {
+  return ring.items.slice(ring.start).concat(ring.items.slice(0, ring.start));
+}
+
+function createQueryLog({ capacity = DEFAULT_CAPACITY, slowQueryMs = DEFAULT_SLOW_QUERY_MS } = {}) {
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    throw new Error(`queryLogSize must be a positive integer, got ${capacity}`);
+  }
+  if (typeof slowQueryMs !== "number" || !Number.isFinite(slowQueryMs) || slowQueryMs < 0) {
+    throw new Error(`slowQueryMs must be a number of milliseconds, got ${slowQueryMs}`);
+  }
+  const log = { capacity, slowQueryMs };
+  resetQueryLog(log);
+  return log;
+}
+
+function resetQueryLog(log) {
+  log.entries = createRing(log.capacity);
+  log.slow = createRing(Math.min(log.capacity, SLOW_CAPACITY));
+  log.statements = new Map();
+  log.nextId = 1;
+  log.errorCount = 0;
+  log.slowCount = 0;
+}
+
+function fingerprintStatement(sql) {
+  let tokens;
+  try {
+    tokens = tokenize(sql);
+  } catch (error) {
+    return sql.replace(/\s+/g, " ").trim();
+  }
+  const text = tokens
+    .map((token) => {
+      let value;
+      if (token.type === "string" || token.type === "number" || token.type === "raw" || token.type === "placeholder") {
+        value = "?";
+      } else {
+        value = token.value;
+      }
+      return `${token.spaced ? " " : ""}${value}`;
+    })
+    .join("")
+    .trim();
+  // IN (?, ?, ?) and multi-row VALUES produce one fingerprint whatever the number of values.
+  return text
+    .replace(/\?(?:\s*,\s*\?)+/g, "...")
+    .replace(/\((?:\.\.\.|\?)\)(?:\s*,\s*\((?:\.\.\.|\?)\))+/g, "(...)")
+    .replace(/;$/, "");
+}
+
+function isAccountStatement(tokens) {
+  const [first, second] = tokens.map((token) => (token.type === "word" ? token.upper : null));
+  return (
+    ((first === "CREATE" || first === "ALTER") && second === "USER") ||
+    first === "GRANT" ||
+    (first === "SET" && second === "PASSWORD")
+  );
+}
+
+// Strings after BY (IDENTIFIED BY), AS (IDENTIFIED WITH <plugin> AS) or = (SET PASSWORD) are passwords or hashes.
+// Returns the statement with them replaced and their values, so error messages can be cleaned as well.
+function redactPasswords(sql) {
+  let tokens;
+  try {
+    tokens = tokenize(sql);
+  } catch (error) {
+    // Without tokens the password cannot be told apart, so everything after it goes.
+    return { sql: sql.replace(/\b(IDENTIFIED|PASSWORD)\b[\s\S]*$/i, "$1 <secret>"), secrets: [] };
+  }
+  if (!isAccountStatement(tokens)) {
+    return { sql, secrets: [] };
+  }
+  const secrets = [];
+  let redacted = "";
+  let position = 0;
+  tokens.forEach((token, index) => {
+    const previous = tokens[index - 1];
+    const secret =
+      token.type === "string" &&
+      previous &&
+      ((previous.type === "word" && (previous.upper === "BY" || previous.upper === "AS")) ||
+        (previous.type === "symbol" && previous.value === "="));
+    if (secret) {
+      secrets.push(token.value);
+      redacted += `${sql.slice(position, token.start)}'<secret>'`;
+      position = token.end;
+    }
+  });
+  return { sql: redacted + sql.slice(position), secrets };
+}
+
+function formatParameter(value) {
+  if (Buffer.isBuffer(value)) {
+    return `0x${value.toString("hex").toUpperCase()}`;
+  }
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value === undefined ? null : value;
+}
+
+function updateStatementStats(log, entry) {
+  const existing = log.statements.get(entry.fingerprint);
+  const stats = existing || {
+    fingerprint: entry.fingerprint,
+    example: entry.sql,
+    count: 0,
+    errorCount: 0,
+    slowCount: 0,
+    totalMs: 0,
+    maxMs: 0,
+    affectedRows: 0,
+    rows: 0,
+    firstSeenAt: entry.timestamp,
+    lastSeenAt: entry.timestamp,
+  };
+  stats.count += 1;
+  stats.errorCount += entry.error ? 1 : 0;
+  stats.slowCount += entry.slow ? 1 : 0;
+  stats.totalMs += entry.durationMs;
+  stats.maxMs = Math.max(stats.maxMs, entry.durationMs);
+  stats.affectedRows += entry.affectedRows || 0;
+  stats.rows += entry.rows || 0;
+  stats.lastSeenAt = entry.timestamp;
+  // Re-inserting keeps the Map ordered by last use, so the least recently seen fingerprint is evicted first.
+  log.statements.delete(entry.fingerprint);
+  log.statements.set(entry.fingerprint, stats);
+  if (log.statements.size > MAX_FINGERPRINTS) {
+    log.statements.delete(log.statements.keys().next().value);
+  }
+}
+
+// Records one executed statement. `outcome` holds affectedRows, rows (returned) or error.
+function recordStatement(log, { connectionId, user, database, sql: rawSql, params = [], durationMs, outcome = {} }) {
+  const roundedMs = Math.round(durationMs * 1000) / 1000;
+  const { sql, secrets } = redactPasswords(rawSql);
+  // A password bound to a placeholder would show up among the parameters.
+  const secretParams = sql !== rawSql || /\b(IDENTIFIED|PASSWORD)\b/i.test(rawSql);
+  const error = outcome.error
+    ? {
+        ...outcome.error,
+        message: secrets.filter(Boolean).reduce((message, secret) => message.split(secret).join("<secret>"), outcome.error.message),
+      }
+    : null;
+  const entry = {
+    id: log.nextId,
+    timestamp: new Date().toISOString(),
+    connectionId,
+    user,
+    database,
+    sql: sql.length > MAX_SQL_LENGTH ? `${sql.slice(0, MAX_SQL_LENGTH)}…` : sql,
+    params: secretParams ? params.map(() => "<secret>") : params.map(formatParameter),
+    fingerprint: fingerprintStatement(sql),
+    durationMs: roundedMs,
+    affectedRows: outcome.affectedRows === undefined ? null : outcome.affectedRows,
+    rows: outcome.rows === undefined ? null : outcome.rows,
+    error,
+    slow: roundedMs >= log.slowQueryMs,
+  };
+  log.nextId += 1;
+  pushRing(log.entries, entry);
+  if (entry.error) {
+    log.errorCount += 1;
+  }
+  if (entry.slow) {
+    log.slowCount += 1;
+    pushRing(log.slow, entry);
+  }
+  updateStatementStats(log, entry);
+  return entry;
+}
+
+// Newest first. Filters: slow, errors, connectionId, database, user, sinceId (exclusive), limit.
+function listStatements(log, { slow = false, errors = false, connectionId, database, user, sinceId, limit } = {}) {
+  const source = slow ? log.slow : log.entries;
+  const entries = ringItems(source)
+    .reverse()
+    .filter((entry) => !errors || entry.error)
+    .filter((entry) => connectionId === undefined || entry.connectionId === connectionId)
+    .filter((entry) => database === undefined || entry.database === database)
+    .filter((entry) => user === undefined || entry.user === user)
+    .filter((entry) => sinceId === undefined || entry.id > sinceId);
+  return limit === undefined ? entries : entries.slice(0, limit);
+}
+
+const STATEMENT_SORTS = ["totalMs", "count", "maxMs", "avgMs", "errorCount", "lastSeenAt"];
+
+function summarizeStatements(log, { sort = "totalMs", limit } = {}) {
+  const statements = Array.from(log.statements.values()).map((stats) => ({
+    ...stats,
+    totalMs: Math.round(stats.totalMs * 1000) / 1000,
+    avgMs: Math.round((stats.totalMs / stats.count) * 1000) / 1000,
+  }));
+  statements.sort((left, right) => (left[sort] < right[sort] ? 1 : left[sort] > right[sort] ? -1 : 0));
+  return limit === undefined ? statements : statements.slice(0, limit);
+}
+
+module.exports = {
+  STATEMENT_SORTS,
+  createQueryLog,
+  resetQueryLog,
+  fingerprintStatement,
+  recordStatement,
+  listStatements,
+  summarizeStatements,
+};
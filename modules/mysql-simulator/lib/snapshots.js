@@ -0,0 +1,130 @@
+"use strict";
+
+// Named snapshots of a database's SQLite file.
+//
+// A snapshot is a compacted copy written with VACUUM INTO next to a small JSON file that records which database it
+// came from. Snapshots live outside the data directory, so they survive restarts and can seed a database through
+// the `seedFrom` start option. Restoring copies the file back, which takes milliseconds for test-sized databases.
+
+const fs = require("node:fs");
+const path = require("node:path");
+const Database = require("better-sqlite3");
+
+const SNAPSHOT_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function isSnapshotName(name) {
+  return typeof name === "string" && SNAPSHOT_NAME_PATTERN.test(name);
+}
+
+function snapshotFiles(directory, name) {
+  return {
+    database: path.join(directory, `${name}.sqlite`),
+    metadata: path.join(directory, `${name}.json`),
+  };
+}
+
+function readSnapshotMetadata(directory, name) {
+  const files = snapshotFiles(directory, name);
+  if (!fs.existsSync(files.database)) {
+    return null;
+  }
+  let metadata = {};
+  try {
+    metadata = JSON.parse(fs.readFileSync(files.metadata, "utf8"));
+  } catch (error) {
+    // A snapshot copied in by hand has no metadata file; it is still usable.
+  }
+  return {
+    name,
+    database: metadata.database || null,
+    createdAt: metadata.createdAt || fs.statSync(files.database).mtime.toISOString(),
+    sizeBytes: fs.statSync(files.database).size,
+  };
+}
+
+function listSnapshots(directory) {
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+  return fs
+    .readdirSync(directory)
+    .filter((entry) => entry.endsWith(".sqlite"))
+    .map((entry) => entry.slice(0, -".sqlite".length))
+    .filter(isSnapshotName)
+    .sort()
+    .map((name) => readSnapshotMetadata(directory, name));
+}
+
+// Writes the committed state of `db` under `name`, replacing an earlier snapshot with the same name.
+function writeSnapshot(directory, name, db, databaseName) {
+  if (!isSnapshotName(name)) {
+    throw new Error(`Invalid snapshot name '${name}'`);
+  }
+  fs.mkdirSync(directory, { recursive: true });
+  const files = snapshotFiles(directory, name);
+  const temporaryPath = `${files.database}.${process.pid}.tmp`;
+  fs.rmSync(temporaryPath, { force: true });
+  db.prepare("VACUUM INTO ?").run(temporaryPath);
+  fs.renameSync(temporaryPath, files.database);
+  fs.writeFileSync(
+    files.metadata,
+    JSON.stringify({ name, database: databaseName, createdAt: new Date().toISOString() }, null, 2)
+  );
+  return readSnapshotMetadata(directory, name);
+}
+
+function deleteSnapshot(directory, name) {
+  const files = snapshotFiles(directory, name);
+  if (!isSnapshotName(name) || !fs.existsSync(files.database)) {
+    return false;
+  }
+  fs.rmSync(files.database, { force: true });
+  fs.rmSync(files.metadata, { force: true });
+  return true;
+}
+
+// A seed source is a snapshot name or, when it holds a path separator or an extension, a SQLite file resolved
+// against the working directory like the launcher resolves module paths.
+function resolveSeedSource(directory, source) {
+  if (isSnapshotName(source)) {
+    const { database } = snapshotFiles(directory, source);
+    if (!fs.existsSync(database)) {
+      throw new Error(`Snapshot '${source}' does not exist in ${directory}`);
+    }
+    return { kind: "snapshot", name: source, path: database };
+  }
+  if (typeof source !== "string" || source.trim().length === 0) {
+    throw new Error("A seed source must be a snapshot name or the path of a SQLite file");
+  }
+  const filePath = path.resolve(process.cwd(), source);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Seed file ${filePath} does not exist`);
+  }
+  return { kind: "file", name: source, path: filePath };
+}
+
+// Copies a SQLite file to `targetPath`. The source is checked first so a bad file never replaces a database.
+function copyDatabaseFile(sourcePath, targetPath) {
+  const source = new Database(sourcePath, { readonly: true, fileMustExist: true });
+  try {
+    source.pragma("schema_version");
+  } finally {
+    source.close();
+  }
+  const temporaryPath = `${targetPath}.${process.pid}.tmp`;
+  fs.copyFileSync(sourcePath, temporaryPath);
+  for (const suffix of ["-wal", "-shm"]) {
+    fs.rmSync(`${targetPath}${suffix}`, { force: true });
+  }
+  fs.renameSync(temporaryPath, targetPath);
+}
+
+module.exports = {
+  isSnapshotName,
+  listSnapshots,
+  readSnapshotMetadata,
+  writeSnapshot,
+  deleteSnapshot,
+  resolveSeedSource,
+  copyDatabaseFile,
+};
@@ -2,6 +2,8 @@
 
 const assert = require("node:assert/strict");
 const mysql = require("mysql2/promise");
+const { translateStatement } = require("./lib/dialect");
+const dialectCorpus = require("./dialect-corpus.json");
 
 const MYSQL_DEFAULT_PORT = 3307;
 
@@ -107,6 +109,9 @@ async function run({ baseUrl, port, mysqlPort } = {}) {
         `INSERT INTO ${tableName} (name) VALUES ('Alice'), ('Bob')`
       );
       assert.equal(insertResult.affectedRows, 2, "INSERT debe afectar 2 filas");
+      assert.equal(insertResult.insertId, 2, "INSERT debe informar el id de la fila insertada");
+      const [[lastInsert]] = await connection.query("SELECT LAST_INSERT_ID() AS id");
+      assert.equal(Number(lastInsert.id), 2, "LAST_INSERT_ID() debe devolver el último id de la conexión");
 
       const [beforeUpdateRows] = await connection.query(
         `SELECT id, name FROM ${tableName} ORDER BY id ASC`
@@ -121,6 +126,7 @@ async function run({ baseUrl, port, mysqlPort } = {}) {
         `UPDATE ${tableName} SET name='Robert' WHERE name='Bob'`
       );
       assert.equal(updateResult.affectedRows, 1, "UPDATE debe afectar 1 fila");
+      assert.equal(updateResult.insertId, 0, "UPDATE no debe informar un id insertado");
 
       const [deleteResult] = await connection.query(
         `DELETE FROM ${tableName} WHERE name='Alice'`
@@ -155,6 +161,804 @@ async function run({ baseUrl, port, mysqlPort } = {}) {
     }
   });
 
+  await step("transacciones con COMMIT, ROLLBACK y SAVEPOINT", async () => {
+    const connectionOptions = { host: "127.0.0.1", port: resolvedMysqlPort, user: "tester", password: "" };
+    const writer = await mysql.createConnection(connectionOptions);
+    const reader = await mysql.createConnection(connectionOptions);
+    const dbName = `tx_${Date.now()}`;
+    const SERVER_STATUS_IN_TRANS = 0x0001;
+    const SERVER_STATUS_AUTOCOMMIT = 0x0002;
+
+    async function names(connection) {
+      const [rows] = await connection.query("SELECT name FROM accounts ORDER BY id ASC");
+      return rows.map((row) => row.name);
+    }
+
+    try {
+      await writer.query(`CREATE DATABASE ${dbName}`);
+      await writer.query(`USE ${dbName}`);
+      await reader.query(`USE ${dbName}`);
+      await writer.query("CREATE TABLE accounts (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL)");
+
+      const [begin] = await writer.query("START TRANSACTION");
+      assert.ok(begin.serverStatus & SERVER_STATUS_IN_TRANS, "START TRANSACTION debe activar SERVER_STATUS_IN_TRANS");
+      await writer.query("INSERT INTO accounts (name) VALUES ('Alice')");
+      assert.deepEqual(await names(writer), ["Alice"], "La transacción debe ver sus propios cambios");
+      assert.deepEqual(await names(reader), [], "Otra conexión no debe ver cambios sin confirmar");
+      const [rollback] = await writer.query("ROLLBACK");
+      assert.equal(rollback.serverStatus & SERVER_STATUS_IN_TRANS, 0, "ROLLBACK debe cerrar la transacción");
+      assert.deepEqual(await names(reader), [], "ROLLBACK debe descartar los cambios");
+
+      await writer.beginTransaction();
+      await writer.query("INSERT INTO accounts (name) VALUES ('Bob')");
+      await writer.query("SAVEPOINT before_carol");
+      await writer.query("INSERT INTO accounts (name) VALUES ('Carol')");
+      await writer.query("ROLLBACK TO SAVEPOINT before_carol");
+      await writer.query("RELEASE SAVEPOINT before_carol");
+      await writer.commit();
+      assert.deepEqual(await names(reader), ["Bob"], "COMMIT debe publicar los cambios previos al savepoint");
+
+      await assert.rejects(
+        writer.query("ROLLBACK TO SAVEPOINT missing"),
+        (error) => error.errno === 1305,
+        "Un savepoint inexistente debe responder ER_SP_DOES_NOT_EXIST"
+      );
+
+      const [autocommitOff] = await writer.query("SET autocommit = 0");
+      assert.equal(autocommitOff.serverStatus & SERVER_STATUS_AUTOCOMMIT, 0, "SET autocommit = 0 debe limpiar el flag");
+      const [implicitInsert] = await writer.query("INSERT INTO accounts (name) VALUES ('Dave')");
+      assert.ok(
+        implicitInsert.serverStatus & SERVER_STATUS_IN_TRANS,
+        "Sin autocommit la primera sentencia debe abrir una transacción"
+      );
+      assert.deepEqual(await names(reader), ["Bob"], "Sin autocommit los cambios esperan a COMMIT");
+      const [autocommitOn] = await writer.query("SET autocommit = 1");
+      assert.ok(autocommitOn.serverStatus & SERVER_STATUS_AUTOCOMMIT, "SET autocommit = 1 debe activar el flag");
+      assert.deepEqual(await names(reader), ["Bob", "Dave"], "Activar autocommit debe confirmar la transacción");
+
+      await writer.query(
+        "CREATE TABLE entries (id INT PRIMARY KEY, account_id INT NOT NULL, FOREIGN KEY (account_id) REFERENCES accounts (id))"
+      );
+      await writer.query("SET FOREIGN_KEY_CHECKS = 0");
+      await writer.query("INSERT INTO entries (id, account_id) VALUES (1, 999)");
+      await writer.beginTransaction();
+      await writer.query("INSERT INTO entries (id, account_id) VALUES (2, 998)");
+      await writer.commit();
+      await assert.rejects(
+        reader.query("INSERT INTO entries (id, account_id) VALUES (3, 997)"),
+        /FOREIGN KEY/,
+        "FOREIGN_KEY_CHECKS = 0 solo debe afectar a la conexión que lo ejecuta"
+      );
+      const [[variables]] = await reader.query("SELECT @@foreign_key_checks AS checks");
+      assert.equal(Number(variables.checks), 1, "Las demás conexiones deben seguir viendo foreign_key_checks = 1");
+      await writer.query("SET FOREIGN_KEY_CHECKS = 1");
+      await assert.rejects(
+        writer.query("INSERT INTO entries (id, account_id) VALUES (4, 996)"),
+        /FOREIGN KEY/,
+        "FOREIGN_KEY_CHECKS = 1 debe volver a comprobar las claves ajenas"
+      );
+
+      await writer.query("CREATE TABLE audit (id INT PRIMARY KEY, source TEXT NOT NULL)");
+      await writer.beginTransaction();
+      await writer.query("INSERT INTO audit (id, source) VALUES (1, 'writer')");
+      let finished = false;
+      const blocked = reader.query("INSERT INTO audit (id, source) VALUES (2, 'reader')").then(() => {
+        finished = true;
+      });
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      assert.equal(finished, false, "Una escritura debe esperar a que termine la transacción de otra conexión");
+      await writer.commit();
+      await blocked;
+      const [audit] = await reader.query("SELECT source FROM audit ORDER BY id");
+      assert.deepEqual(
+        audit.map((row) => row.source),
+        ["writer", "reader"],
+        "La escritura en espera debe ejecutarse tras el COMMIT"
+      );
+
+      await writer.query("BEGIN");
+      await writer.query("INSERT INTO accounts (name) VALUES ('Eve')");
+      await writer.end();
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.deepEqual(await names(reader), ["Bob", "Dave"], "Cerrar la conexión debe revertir la transacción abierta");
+
+      return `db=${dbName}`;
+    } finally {
+      await writer.end().catch(() => {});
+      await reader.end();
+    }
+  });
+
+  await step("traduce el corpus de dialecto MySQL a SQLite", async () => {
+    for (const testCase of dialectCorpus) {
+      if (testCase.error) {
+        assert.throws(() => translateStatement(testCase.mysql), { message: testCase.error }, testCase.name);
+      } else {
+        assert.deepEqual(translateStatement(testCase.mysql), testCase.expected, testCase.name);
+      }
+    }
+    return `casos=${dialectCorpus.length}`;
+  });
+
+  await step("ejecuta DDL y DML escritos para MySQL", async () => {
+    const connection = await mysql.createConnection({
+      host: "127.0.0.1",
+      port: resolvedMysqlPort,
+      user: "tester",
+      password: "",
+    });
+    const dbName = `dialect_${Date.now()}`;
+
+    try {
+      await connection.query(`CREATE DATABASE IF NOT EXISTS \`${dbName}\` DEFAULT CHARACTER SET utf8mb4`);
+      await connection.query(`USE \`${dbName}\``);
+      await connection.query(
+        `CREATE TABLE IF NOT EXISTS \`accounts\` (
+          \`id\` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+          \`email\` VARCHAR(191) NOT NULL COMMENT 'login',
+          \`plan\` ENUM('free','pro') NOT NULL DEFAULT 'free',
+          \`logins\` INT UNSIGNED NOT NULL DEFAULT 0,
+          \`updated_at\` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          PRIMARY KEY (\`id\`),
+          UNIQUE KEY \`uq_accounts_email\` (\`email\`),
+          KEY \`idx_accounts_plan\` (\`plan\`)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+      );
+
+      await connection.query("INSERT INTO accounts (email, updated_at) VALUES ('ana@example.com', '2000-01-01 00:00:00')");
+      const [ignored] = await connection.query("INSERT IGNORE INTO accounts (email) VALUES ('ana@example.com')");
+      assert.equal(ignored.affectedRows, 0, "INSERT IGNORE debe descartar el duplicado");
+
+      const [upserted] = await connection.execute(
+        "INSERT INTO accounts (email, logins) VALUES (?, 1) ON DUPLICATE KEY UPDATE logins = logins + VALUES(logins)",
+        ["ana@example.com"]
+      );
+      assert.equal(upserted.affectedRows, 2, "ON DUPLICATE KEY UPDATE cuenta dos filas afectadas por cada fila que actualiza");
+      await connection.query("INSERT accounts SET email = \"luis@example.com\", plan = 'pro'");
+      await assert.rejects(
+        connection.query("INSERT INTO accounts (email, plan) VALUES ('eva@example.com', 'gold')"),
+        "ENUM debe rechazar valores fuera de la lista"
+      );
+
+      await connection.query(
+        `CREATE TABLE \`sessions\` (
+          \`id\` INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+          \`account_id\` INT UNSIGNED NOT NULL,
+          CONSTRAINT \`fk_sessions_account\` FOREIGN KEY (\`account_id\`) REFERENCES \`accounts\` (\`id\`)
+        )`
+      );
+      await connection.query("INSERT INTO sessions (account_id) VALUES (1)");
+      const constraintErrors = [
+        ["INSERT INTO accounts (email) VALUES ('ana@example.com')", 1062, "Duplicate entry 'ana@example.com' for key 'uq_accounts_email'"],
+        ["INSERT INTO accounts (id, email) VALUES (1, 'otra@example.com')", 1062, "Duplicate entry '1' for key 'PRIMARY'"],
+        ["INSERT INTO accounts (email) VALUES (NULL)", 1048, "Column 'email' cannot be null"],
+        [
+          "INSERT INTO sessions (account_id) VALUES (99)",
+          1452,
+          `Cannot add or update a child row: a foreign key constraint fails (\`${dbName}\`.\`sessions\`, CONSTRAINT \`fk_sessions_account\` FOREIGN KEY (\`account_id\`) REFERENCES \`accounts\` (\`id\`))`,
+        ],
+        [
+          "DELETE FROM accounts WHERE id = 1",
+          1451,
+          `Cannot delete or update a parent row: a foreign key constraint fails (\`${dbName}\`.\`sessions\`, CONSTRAINT \`fk_sessions_account\` FOREIGN KEY (\`account_id\`) REFERENCES \`accounts\` (\`id\`))`,
+        ],
+      ];
+      for (const [statement, errno, message] of constraintErrors) {
+        await assert.rejects(
+          connection.query(statement),
+          (error) => error.errno === errno && error.sqlState === "23000" && error.sqlMessage === message,
+          `${statement} debe fallar con el error ${errno} de MySQL`
+        );
+      }
+      const [[{ total }]] = await connection.query("SELECT COUNT(*) AS total FROM accounts");
+      assert.equal(Number(total), 2, "Las sentencias rechazadas no deben dejar filas");
+      await connection.query("DROP TABLE `sessions`");
+
+      const [rows] = await connection.query(
+        "SELECT `email`, `plan`, `logins`, `updated_at` FROM `accounts` WHERE `updated_at` <= NOW() ORDER BY `id`"
+      );
+      assert.deepEqual(
+        rows.map((row) => [row.email, row.plan, Number(row.logins)]),
+        [
+          ["ana@example.com", "free", 1],
+          ["luis@example.com", "pro", 0],
+        ]
+      );
+      assert.ok(rows[0].updated_at.getFullYear() > 2000, "ON UPDATE CURRENT_TIMESTAMP debe refrescar la columna");
+
+      await connection.query("TRUNCATE TABLE `accounts`");
+      const [afterTruncate] = await connection.query("INSERT INTO accounts (email) VALUES ('ana@example.com')");
+      assert.equal(afterTruncate.insertId, 1, "TRUNCATE debe reiniciar AUTO_INCREMENT");
+      await connection.query("DROP TABLE IF EXISTS `accounts`");
+      return `db=${dbName}`;
+    } finally {
+      await connection.end();
+    }
+  });
+
+  await step("responde a SHOW, variables de sistema e information_schema", async () => {
+    const dbName = `schema_${Date.now()}`;
+    const connection = await mysql.createConnection({
+      host: "127.0.0.1",
+      port: resolvedMysqlPort,
+      user: "tester",
+      password: "",
+    });
+
+    try {
+      await connection.query(`CREATE DATABASE \`${dbName}\``);
+      await connection.query(`USE \`${dbName}\``);
+      await connection.query(
+        `CREATE TABLE customers (
+          id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+          email VARCHAR(120) NOT NULL,
+          name VARCHAR(80) DEFAULT 'anon',
+          PRIMARY KEY (id),
+          UNIQUE KEY uq_customers_email (email)
+        )`
+      );
+      await connection.query(
+        `CREATE TABLE orders (
+          id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+          customer_id INT UNSIGNED NOT NULL,
+          total DECIMAL(10,2) NOT NULL DEFAULT 0,
+          KEY idx_orders_total (total),
+          CONSTRAINT fk_orders_customer FOREIGN KEY (customer_id) REFERENCES customers (id)
+        )`
+      );
+      await connection.query("INSERT INTO customers (email) VALUES ('ana@example.com'), ('luis@example.com')");
+
+      const [databases] = await connection.query("SHOW DATABASES");
+      const databaseNames = databases.map((row) => row.Database);
+      assert.ok(databaseNames.includes("information_schema"), "SHOW DATABASES debe incluir information_schema");
+      assert.ok(databaseNames.includes(dbName), "SHOW DATABASES debe incluir la base de datos creada");
+
+      const [columns] = await connection.query("SHOW COLUMNS FROM customers");
+      assert.deepEqual(
+        columns.map((row) => [row.Field, row.Type, row.Null, row.Key, row.Default, row.Extra]),
+        [
+          ["id", "int unsigned", "NO", "PRI", null, "auto_increment"],
+          ["email", "varchar(120)", "NO", "UNI", null, ""],
+          ["name", "varchar(80)", "YES", "", "anon", ""],
+        ],
+        "SHOW COLUMNS debe describir tipos, nulabilidad, claves y valores por defecto"
+      );
+      const [described] = await connection.query("DESCRIBE orders customer_id");
+      assert.equal(described.length, 1, "DESCRIBE con columna debe filtrar");
+      assert.equal(described[0].Key, "MUL", "Las columnas con clave foránea se indexan");
+
+      const [indexes] = await connection.query("SHOW INDEX FROM orders");
+      assert.deepEqual(
+        indexes.map((row) => [row.Key_name, row.Column_name, Number(row.Non_unique)]),
+        [
+          ["PRIMARY", "id", 0],
+          ["idx_orders_total", "total", 1],
+        ]
+      );
+
+      const [[createTable]] = await connection.query("SHOW CREATE TABLE orders");
+      assert.match(createTable["Create Table"], /^CREATE TABLE `orders` \(/);
+      assert.match(
+        createTable["Create Table"],
+        /CONSTRAINT `fk_orders_customer` FOREIGN KEY \(`customer_id`\) REFERENCES `customers` \(`id`\)/,
+        "SHOW CREATE TABLE debe conservar el nombre de la clave foránea"
+      );
+      assert.match(createTable["Create Table"], /`customer_id` int unsigned NOT NULL/, "UNSIGNED debe conservarse");
+
+      const [variables] = await connection.query("SHOW VARIABLES LIKE 'version%'");
+      assert.deepEqual(variables.map((row) => row.Variable_name), ["version", "version_comment"]);
+
+      const [[session]] = await connection.query("SELECT @@version, @@session.autocommit AS autocommit, DATABASE(), USER()");
+      assert.equal(session["@@version"], variables[0].Value, "@@version debe coincidir con SHOW VARIABLES");
+      assert.equal(Number(session.autocommit), 1);
+      assert.equal(session["DATABASE()"], dbName);
+      assert.equal(session["USER()"], "tester@localhost");
+      await assert.rejects(connection.query("SELECT @@not_a_variable"), { errno: 1193 });
+
+      const [tables] = await connection.execute(
+        "SELECT TABLE_NAME, TABLE_ROWS FROM information_schema.TABLES WHERE TABLE_SCHEMA = ? ORDER BY TABLE_NAME",
+        [dbName]
+      );
+      assert.deepEqual(
+        tables.map((row) => [row.TABLE_NAME, Number(row.TABLE_ROWS)]),
+        [
+          ["customers", 2],
+          ["orders", 0],
+        ]
+      );
+      const [references] = await connection.query(
+        `SELECT CONSTRAINT_NAME, COLUMN_NAME, REFERENCED_TABLE_NAME, REFERENCED_COLUMN_NAME FROM information_schema.KEY_COLUMN_USAGE
+          WHERE TABLE_SCHEMA = DATABASE() AND REFERENCED_TABLE_NAME IS NOT NULL`
+      );
+      assert.deepEqual(
+        references.map((row) => [row.CONSTRAINT_NAME, row.COLUMN_NAME, row.REFERENCED_TABLE_NAME, row.REFERENCED_COLUMN_NAME]),
+        [["fk_orders_customer", "customer_id", "customers", "id"]]
+      );
+      const [columnTypes] = await connection.query(
+        `SELECT COLUMN_NAME, DATA_TYPE, COLUMN_TYPE FROM information_schema.COLUMNS
+          WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'orders' ORDER BY ORDINAL_POSITION`
+      );
+      assert.deepEqual(
+        columnTypes.map((row) => [row.COLUMN_NAME, row.DATA_TYPE, row.COLUMN_TYPE]),
+        [
+          ["id", "int", "int unsigned"],
+          ["customer_id", "int", "int unsigned"],
+          ["total", "decimal", "decimal(10,2)"],
+        ],
+        "information_schema.COLUMNS debe devolver el tipo declarado en MySQL"
+      );
+
+      await assert.rejects(connection.query("SHOW COLUMNS FROM missing"), { errno: 1146 });
+      await assert.rejects(connection.query("SHOW TABLES FROM missing_db"), { errno: 1049 });
+
+      await connection.query("USE information_schema");
+      const [[columnCount]] = await connection.query(
+        `SELECT COUNT(*) AS total FROM COLUMNS WHERE TABLE_SCHEMA = '${dbName}' AND TABLE_NAME = 'orders'`
+      );
+      assert.equal(Number(columnCount.total), 3, "information_schema debe poder usarse como base de datos actual");
+      return `db=${dbName}, tablas=${tables.length}`;
+    } finally {
+      await connection.end();
+    }
+  });
+
+  await step("devuelve tipos de columna de MySQL en los protocolos de texto y binario", async () => {
+    const dbName = `types_${Date.now()}`;
+    const connection = await mysql.createConnection({
+      host: "127.0.0.1",
+      port: resolvedMysqlPort,
+      user: "tester",
+      password: "",
+    });
+    const MYSQL_TYPE_LONG = 0x03;
+    const MYSQL_TYPE_NEWDECIMAL = 0xf6;
+    const MYSQL_TYPE_DATETIME = 0x0c;
+    const MYSQL_TYPE_VAR_STRING = 0xfd;
+    const NOT_NULL_FLAG = 0x0001;
+    const PRI_KEY_FLAG = 0x0002;
+
+    try {
+      await connection.query(`CREATE DATABASE \`${dbName}\``);
+      await connection.query(`USE \`${dbName}\``);
+      await connection.query(
+        `CREATE TABLE invoices (
+          id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+          amount DECIMAL(10,2) NOT NULL,
+          paid TINYINT(1) NOT NULL DEFAULT 0,
+          issued_at DATETIME NOT NULL,
+          attachment BLOB,
+          details JSON,
+          legacy INT
+        )`
+      );
+      await connection.query(
+        `INSERT INTO invoices (amount, paid, issued_at, attachment, details, legacy)
+          VALUES (12.5, 1, '2024-02-29 13:14:15', X'00FF', '{"lines":2}', 'n/a')`
+      );
+
+      const query = "SELECT id, amount, paid, issued_at, attachment, details, legacy, COUNT(*) AS total FROM invoices WHERE id > ?";
+      const [[textRow], fields] = await connection.query(query, [0]);
+      const [[binaryRow]] = await connection.execute(query, [0]);
+
+      for (const [protocol, row] of [["texto", textRow], ["binario", binaryRow]]) {
+        assert.strictEqual(row.id, 1, `INT debe llegar como número (${protocol})`);
+        assert.strictEqual(row.amount, "12.50", `DECIMAL respeta la escala (${protocol})`);
+        assert.strictEqual(row.paid, 1, `TINYINT debe llegar como número (${protocol})`);
+        assert.ok(row.issued_at instanceof Date, `DATETIME debe llegar como fecha (${protocol})`);
+        assert.equal(row.issued_at.getDate(), 29);
+        assert.deepEqual(row.attachment, Buffer.from([0x00, 0xff]), `BLOB debe llegar como bytes (${protocol})`);
+        assert.deepEqual(row.details, { lines: 2 }, `JSON debe llegar como objeto (${protocol})`);
+        assert.strictEqual(row.legacy, "n/a", `Un valor que no encaja en su tipo llega como texto (${protocol})`);
+        assert.strictEqual(row.total, 1, `COUNT(*) debe llegar como número (${protocol})`);
+      }
+
+      const byName = Object.fromEntries(fields.map((field) => [field.name, field]));
+      assert.equal(byName.id.columnType, MYSQL_TYPE_LONG);
+      assert.ok(byName.id.flags & NOT_NULL_FLAG && byName.id.flags & PRI_KEY_FLAG, "La clave primaria debe marcarse");
+      assert.equal(byName.amount.columnType, MYSQL_TYPE_NEWDECIMAL);
+      assert.equal(byName.amount.decimals, 2);
+      assert.equal(byName.issued_at.columnType, MYSQL_TYPE_DATETIME);
+      assert.equal(byName.legacy.columnType, MYSQL_TYPE_VAR_STRING);
+      assert.equal(byName.id.orgTable, "invoices");
+      return `db=${dbName}, columnas=${fields.length}`;
+    } finally {
+      await connection.end();
+    }
+  });
+
+  await step("ejecuta varias sentencias en un solo COM_QUERY", async () => {
+    const dbName = `multi_${Date.now()}`;
+    const connectionOptions = { host: "127.0.0.1", port: resolvedMysqlPort, user: "tester", password: "" };
+    const connection = await mysql.createConnection({ ...connectionOptions, multipleStatements: true });
+    const single = await mysql.createConnection(connectionOptions);
+
+    try {
+      const [results] = await connection.query(
+        `CREATE DATABASE \`${dbName}\`; USE \`${dbName}\`;
+        CREATE TABLE tags (id INT AUTO_INCREMENT PRIMARY KEY, label VARCHAR(40)); -- comentario; con punto y coma
+        INSERT INTO tags (label) VALUES ('a;b'), ("/* ; */");
+        SELECT label FROM tags ORDER BY id; SELECT COUNT(*) AS total FROM tags;`
+      );
+      assert.equal(results.length, 6, "Debe haber un resultado por sentencia");
+      assert.equal(results[3].affectedRows, 2);
+      assert.deepEqual(results[4], [{ label: "a;b" }, { label: "/* ; */" }], "Los ; dentro de cadenas no separan sentencias");
+      assert.deepEqual(results[5], [{ total: 2 }]);
+
+      await assert.rejects(
+        connection.query("INSERT INTO tags (label) VALUES ('antes'); SELECT * FROM missing; INSERT INTO tags (label) VALUES ('después')"),
+        "Un error debe cortar el lote"
+      );
+      const [labels] = await connection.query("SELECT label FROM tags WHERE id > 2");
+      assert.deepEqual(labels, [{ label: "antes" }], "Las sentencias tras el error no se ejecutan");
+
+      await assert.rejects(
+        single.query("SELECT 1; SELECT 2"),
+        (error) => error.errno === 1064,
+        "Sin multipleStatements un lote es un error de sintaxis"
+      );
+      return `db=${dbName}, resultados=${results.length}`;
+    } finally {
+      await connection.end();
+      await single.end();
+    }
+  });
+
+  await step("autentica usuarios y aplica los privilegios por base de datos", async () => {
+    const suffix = Date.now();
+    const dbName = `grants_${suffix}`;
+    const otherDb = `private_${suffix}`;
+    const reader = `reader_${suffix}`;
+    const writer = `writer_${suffix}`;
+    const connectAs = (user, password, database) =>
+      mysql.createConnection({ host: "127.0.0.1", port: resolvedMysqlPort, user, password, database });
+    const expectError = async (promise, errno, message) => {
+      await assert.rejects(promise, (error) => error.errno === errno, message);
+    };
+
+    const admin = await connectAs("tester", "");
+    try {
+      await admin.query(`CREATE DATABASE \`${dbName}\``);
+      await admin.query(`CREATE DATABASE \`${otherDb}\``);
+      await admin.query(`USE \`${dbName}\``);
+      await admin.query("CREATE TABLE notes (id INT AUTO_INCREMENT PRIMARY KEY, body VARCHAR(40))");
+      await admin.query("INSERT INTO notes (body) VALUES ('hola')");
+      await admin.query(`CREATE USER '${reader}'@'%' IDENTIFIED BY 'lectura'`);
+      await admin.query(`CREATE USER '${writer}'@'%' IDENTIFIED WITH caching_sha2_password BY 'escritura'`);
+      await admin.query(`GRANT SELECT ON \`${dbName}\`.* TO '${reader}'@'%'`);
+      await admin.query(`GRANT SELECT, INSERT ON \`${dbName}\`.* TO '${writer}'@'%'`);
+
+      await expectError(connectAs(reader, "incorrecta"), 1045, "Una contraseña incorrecta debe responder 1045");
+      await expectError(connectAs(writer, ""), 1045, "caching_sha2_password también debe rechazar contraseñas incorrectas");
+      await expectError(connectAs(reader, "lectura", otherDb), 1044, "Conectar a una base sin permisos debe responder 1044");
+
+      const readerConnection = await connectAs(reader, "lectura", dbName);
+      try {
+        const [rows] = await readerConnection.query("SELECT body FROM notes");
+        assert.deepEqual(rows, [{ body: "hola" }]);
+        await expectError(readerConnection.query("INSERT INTO notes (body) VALUES ('x')"), 1142, "INSERT sin permiso debe responder 1142");
+        await expectError(readerConnection.execute("DELETE FROM notes WHERE id = ?", [1]), 1142, "execute también comprueba permisos");
+        await expectError(
+          readerConnection.query("WITH x AS (SELECT 1) DELETE FROM notes WHERE id = 1 RETURNING id"),
+          1142,
+          "Un CTE no permite escribir con un permiso de solo lectura"
+        );
+        await expectError(
+          readerConnection.execute("WITH x AS (SELECT 1) UPDATE notes SET body = ?", ["x"]),
+          1142,
+          "Un CTE preparado tampoco permite escribir"
+        );
+        const [[{ total: notesLeft }]] = await readerConnection.query("SELECT COUNT(*) AS total FROM notes");
+        assert.equal(notesLeft, 1, "Las escrituras denegadas no deben borrar filas");
+        await expectError(readerConnection.query(`USE \`${otherDb}\``), 1044, "USE de una base ajena debe responder 1044");
+        await expectError(readerConnection.query("CREATE USER intruso"), 1227, "Crear usuarios exige CREATE USER");
+        const [databases] = await readerConnection.query("SHOW DATABASES");
+        assert.deepEqual(databases.map((row) => row.Database), ["information_schema", dbName], "SHOW DATABASES solo lista las bases permitidas");
+        const [grants] = await readerConnection.query("SHOW GRANTS");
+        assert.equal(Object.values(grants[1])[0], `GRANT SELECT ON \`${dbName}\`.* TO \`${reader}\`@\`%\``);
+      } finally {
+        await readerConnection.end();
+      }
+
+      // The first login goes through full authentication with the RSA key, the second one uses the fast path.
+      for (let attempt = 0; attempt < 2; attempt += 1) {
+        const writerConnection = await connectAs(writer, "escritura", dbName);
+        try {
+          await writerConnection.query("INSERT INTO notes (body) VALUES ('nota')");
+          await expectError(writerConnection.query("UPDATE notes SET body = 'x'"), 1142, "UPDATE sin permiso debe responder 1142");
+        } finally {
+          await writerConnection.end();
+        }
+      }
+
+      await admin.query(`REVOKE SELECT ON \`${dbName}\`.* FROM '${reader}'@'%'`);
+      await expectError(connectAs(reader, "lectura", dbName), 1044, "Tras REVOKE la base deja de estar accesible");
+      await admin.query(`ALTER USER '${reader}'@'%' IDENTIFIED BY 'nueva'`);
+      await expectError(connectAs(reader, "lectura"), 1045, "ALTER USER cambia la contraseña");
+      const [[count]] = await admin.query("SELECT COUNT(*) AS total FROM notes");
+      assert.equal(count.total, 3, "Cada conexión de writer debe haber insertado una nota");
+      return `usuarios=${reader}, ${writer}`;
+    } finally {
+      await admin.query(`DROP USER IF EXISTS '${reader}'@'%', '${writer}'@'%'`).catch(() => {});
+      await admin.end();
+    }
+  });
+
+  await step("expone la API HTTP de tablas y consola SQL", async () => {
+    const dbName = `api_${Date.now()}`;
+    const apiUrl = `${serviceBaseUrl}/api/databases/${dbName}`;
+    const connection = await mysql.createConnection({
+      host: "127.0.0.1",
+      port: resolvedMysqlPort,
+      user: "tester",
+      password: "",
+    });
+
+    try {
+      await connection.query(`CREATE DATABASE \`${dbName}\``);
+      await connection.query(`USE \`${dbName}\``);
+      await connection.query(
+        "CREATE TABLE contacts (id INT AUTO_INCREMENT PRIMARY KEY, name VARCHAR(40) NOT NULL, score DECIMAL(5,2))"
+      );
+      await connection.query(
+        "INSERT INTO contacts (name, score) VALUES ('Ana', 7.5), ('Bruno', 9), ('Carla', NULL), ('Diego', 6.25), ('Eva', 8)"
+      );
+
+      const schemaResponse = await fetch(`${apiUrl}/schema`, { cache: "no-store" });
+      assert.equal(schemaResponse.status, 200, "El esquema debe responder 200");
+      const schema = await parseJson(schemaResponse);
+      const contacts = schema.tables.find((table) => table.name === "contacts");
+      assert.ok(contacts, "El esquema debe incluir la tabla contacts");
+      assert.equal(contacts.rowCount, 5);
+      assert.deepEqual(
+        contacts.columns.map((column) => [column.name, column.type, column.key]),
+        [
+          ["id", "int", "PRI"],
+          ["name", "varchar(40)", ""],
+          ["score", "decimal(5,2)", ""],
+        ]
+      );
+
+      const rowsResponse = await fetch(`${apiUrl}/tables/contacts/rows?page=2&pageSize=2&sort=name&order=desc`, {
+        cache: "no-store",
+      });
+      assert.equal(rowsResponse.status, 200, "El listado de filas debe responder 200");
+      const rows = await parseJson(rowsResponse);
+      assert.equal(rows.total, 5);
+      assert.deepEqual(rows.columns, ["id", "name", "score"]);
+      assert.deepEqual(
+        rows.rows,
+        [
+          { id: 3, name: "Carla", score: null },
+          { id: 2, name: "Bruno", score: "9.00" },
+        ],
+        "La segunda página ordenada por nombre descendente debe devolver Carla y Bruno"
+      );
+
+      const queryResponse = await fetch(`${apiUrl}/query`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ sql: "SELECT name FROM contacts WHERE score > ? ORDER BY id", params: [7] }),
+      });
+      assert.equal(queryResponse.status, 200, "La consola debe responder 200");
+      const query = await parseJson(queryResponse);
+      assert.deepEqual(query.columns, ["name"]);
+      assert.deepEqual(query.rows, [["Ana"], ["Bruno"], ["Eva"]]);
+      assert.equal(query.truncated, false);
+
+      const writeResponse = await fetch(`${apiUrl}/query`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ sql: "DELETE FROM contacts" }),
+      });
+      assert.equal(writeResponse.status, 400, "La consola debe rechazar sentencias de escritura");
+      const cteWriteResponse = await fetch(`${apiUrl}/query`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ sql: "WITH x AS (SELECT 1) UPDATE contacts SET name = 'pwn' RETURNING id" }),
+      });
+      assert.equal(cteWriteResponse.status, 400, "La consola debe rechazar escrituras detrás de un WITH");
+      const [[renamed]] = await connection.query("SELECT COUNT(*) AS total FROM contacts WHERE name = 'pwn'");
+      assert.equal(renamed.total, 0, "El UPDATE rechazado no debe modificar filas");
+      const [[count]] = await connection.query("SELECT COUNT(*) AS total FROM contacts");
+      assert.equal(count.total, 5, "El DELETE rechazado no debe borrar filas");
+
+      const missingResponse = await fetch(`${apiUrl}/tables/missing/rows`, { cache: "no-store" });
+      assert.equal(missingResponse.status, 404, "Una tabla inexistente debe responder 404");
+      return `db=${dbName}, filas=${rows.total}`;
+    } finally {
+      await connection.end();
+    }
+  });
+
+  await step("guarda y restaura snapshots y carga fixtures", async () => {
+    const suffix = Date.now();
+    const dbName = `seed_${suffix}`;
+    const cloneName = `seed_clone_${suffix}`;
+    const snapshotName = `baseline_${suffix}`;
+    const apiUrl = `${serviceBaseUrl}/api`;
+    const postJson = (path, body) =>
+      fetch(`${apiUrl}${path}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+    const connection = await mysql.createConnection({
+      host: "127.0.0.1",
+      port: resolvedMysqlPort,
+      user: "tester",
+      password: "",
+    });
+
+    try {
+      await connection.query(`CREATE DATABASE \`${dbName}\``);
+      await connection.query(`USE \`${dbName}\``);
+      await connection.query("CREATE TABLE accounts (id INT AUTO_INCREMENT PRIMARY KEY, name VARCHAR(40), tier VARCHAR(10))");
+
+      const csvResponse = await postJson(`/databases/${dbName}/tables/accounts/fixtures`, {
+        format: "csv",
+        data: 'name,tier\n"Acme, S.A.",gold\nGlobex,\n',
+      });
+      assert.equal(csvResponse.status, 200, "Los fixtures CSV deben cargarse");
+      assert.equal((await parseJson(csvResponse)).inserted, 2);
+      const jsonResponse = await postJson(`/databases/${dbName}/tables/accounts/fixtures`, {
+        data: [{ name: "Initech", tier: "silver" }],
+      });
+      assert.equal((await parseJson(jsonResponse)).inserted, 1, "Los fixtures JSON deben cargarse");
+      const [loaded] = await connection.query("SELECT id, name, tier FROM accounts ORDER BY id");
+      assert.deepEqual(loaded, [
+        { id: 1, name: "Acme, S.A.", tier: "gold" },
+        { id: 2, name: "Globex", tier: null },
+        { id: 3, name: "Initech", tier: "silver" },
+      ]);
+
+      const snapshotResponse = await postJson(`/databases/${dbName}/snapshots`, { name: snapshotName });
+      assert.equal(snapshotResponse.status, 201, "El snapshot debe crearse");
+      assert.equal((await parseJson(snapshotResponse)).snapshot.database, dbName);
+
+      await connection.query("DELETE FROM accounts WHERE id > 1");
+      await connection.query("INSERT INTO accounts (name) VALUES ('temporal')");
+      const restoreResponse = await postJson(`/databases/${dbName}/restore`, { snapshot: snapshotName });
+      assert.equal(restoreResponse.status, 200, "El snapshot debe restaurarse");
+      const [restored] = await connection.query("SELECT id, name, tier FROM accounts ORDER BY id");
+      assert.deepEqual(restored, loaded, "La conexión abierta debe ver los datos del snapshot");
+
+      const cloneResponse = await postJson(`/databases/${cloneName}/restore`, { snapshot: snapshotName });
+      assert.equal(cloneResponse.status, 200, "Un snapshot debe poder restaurarse en otra base");
+      await connection.query(`USE \`${cloneName}\``);
+      const [[clone]] = await connection.query("SELECT COUNT(*) AS total FROM accounts");
+      assert.equal(clone.total, 3);
+
+      const truncateResponse = await postJson(`/databases/${dbName}/tables/accounts/fixtures`, {
+        data: [{ name: "Umbrella" }],
+        truncate: true,
+      });
+      assert.equal(truncateResponse.status, 200);
+      await connection.query(`USE \`${dbName}\``);
+      const [truncated] = await connection.query("SELECT id, name FROM accounts");
+      assert.deepEqual(truncated, [{ id: 1, name: "Umbrella" }], "truncate vacía la tabla y reinicia AUTO_INCREMENT");
+
+      const missingResponse = await postJson(`/databases/${dbName}/restore`, { snapshot: `missing_${suffix}` });
+      assert.equal(missingResponse.status, 404, "Un snapshot inexistente debe responder 404");
+
+      await connection.query("START TRANSACTION");
+      await connection.query("INSERT INTO accounts (name) VALUES ('en curso')");
+      const busyResponse = await postJson(`/databases/${dbName}/restore`, { snapshot: snapshotName });
+      assert.equal(busyResponse.status, 409, "No se restaura una base con transacciones abiertas");
+      await connection.query("ROLLBACK");
+      return `db=${dbName}, snapshot=${snapshotName}`;
+    } finally {
+      await connection.end();
+      await fetch(`${apiUrl}/snapshots/${snapshotName}`, { method: "DELETE" }).catch(() => {});
+    }
+  });
+
+  await step("registra cada sentencia con su duración y la agrupa por huella", async () => {
+    const suffix = Date.now();
+    const dbName = `log_${suffix}`;
+    const user = `bff_${suffix}`;
+    const connection = await mysql.createConnection({
+      host: "127.0.0.1",
+      port: resolvedMysqlPort,
+      user,
+      password: "",
+    });
+
+    try {
+      await connection.query(`CREATE DATABASE \`${dbName}\``);
+      await connection.query(`USE \`${dbName}\``);
+      await connection.query("CREATE TABLE orders (id INT PRIMARY KEY, status VARCHAR(10))");
+      await connection.query("INSERT INTO orders VALUES (1, 'new'), (2, 'paid'), (3, 'paid')");
+      await connection.execute("SELECT id FROM orders WHERE status = ?", ["paid"]);
+      await connection.execute("SELECT id FROM orders WHERE status = ?", ["new"]);
+      await assert.rejects(connection.query("SELECT * FROM missing_table"));
+      await connection.query(`CREATE USER 'svc_${suffix}'@'%' IDENTIFIED BY 'S3cretPw'`);
+      await connection.query(`DROP USER 'svc_${suffix}'@'%'`);
+      const [[longQueryTime]] = await connection.query("SELECT @@long_query_time AS value");
+      assert.equal(longQueryTime.value, "0.100000", "long_query_time refleja el umbral de consultas lentas");
+
+      const logResponse = await fetch(`${serviceBaseUrl}/api/query-log?user=${user}`, { cache: "no-store" });
+      assert.equal(logResponse.status, 200, "El registro de consultas debe responder 200");
+      const log = await parseJson(logResponse);
+      assert.equal(log.slowQueryMs, 100);
+      assert.deepEqual(
+        log.entries.map((entry) => entry.sql).reverse(),
+        [
+          `CREATE DATABASE \`${dbName}\``,
+          `USE \`${dbName}\``,
+          "CREATE TABLE orders (id INT PRIMARY KEY, status VARCHAR(10))",
+          "INSERT INTO orders VALUES (1, 'new'), (2, 'paid'), (3, 'paid')",
+          "SELECT id FROM orders WHERE status = ?",
+          "SELECT id FROM orders WHERE status = ?",
+          "SELECT * FROM missing_table",
+          `CREATE USER 'svc_${suffix}'@'%' IDENTIFIED BY '<secret>'`,
+          `DROP USER 'svc_${suffix}'@'%'`,
+          "SELECT @@long_query_time AS value",
+        ],
+        "Cada sentencia del usuario debe quedar registrada en orden"
+      );
+      const [, , , failedEntry, secondExecute, firstExecute, insertEntry] = log.entries;
+      assert.deepEqual(firstExecute.params, ["paid"]);
+      assert.equal(firstExecute.rows, 2);
+      assert.equal(firstExecute.database, dbName);
+      assert.equal(secondExecute.rows, 1);
+      assert.equal(insertEntry.affectedRows, 3);
+      assert.ok(failedEntry.error && /missing_table/.test(failedEntry.error.message), "El error debe quedar registrado");
+      assert.ok(log.entries.every((entry) => typeof entry.durationMs === "number" && entry.connectionId > 0));
+
+      const consoleQuery = (sql, params) =>
+        fetch(`${serviceBaseUrl}/api/databases/${dbName}/query`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ sql, params }),
+        });
+      assert.equal((await consoleQuery("SELECT id FROM orders WHERE status = ?", ["paid"])).status, 200);
+      assert.equal((await consoleQuery("SELECT * FROM missing_table", [])).status, 400);
+      const browseResponse = await fetch(`${serviceBaseUrl}/api/databases/${dbName}/tables/orders/rows?pageSize=2`, {
+        cache: "no-store",
+      });
+      assert.equal(browseResponse.status, 200);
+      const consoleLogResponse = await fetch(`${serviceBaseUrl}/api/query-log?user=console&database=${dbName}`, {
+        cache: "no-store",
+      });
+      const consoleEntries = (await parseJson(consoleLogResponse)).entries.reverse();
+      assert.deepEqual(
+        consoleEntries.map((entry) => [entry.connectionId, entry.sql, entry.rows]),
+        [
+          [0, "SELECT id FROM orders WHERE status = ?", 2],
+          [0, "SELECT * FROM missing_table", null],
+          [0, "SELECT COUNT(*) FROM `orders`", 1],
+          [0, "SELECT * FROM `orders` ORDER BY `id` ASC LIMIT 2 OFFSET 0", 2],
+        ],
+        "La consola SQL y el navegador de tablas deben quedar registrados como la conexión 0"
+      );
+      assert.deepEqual(consoleEntries[0].params, ["paid"]);
+      assert.ok(consoleEntries[1].error && /missing_table/.test(consoleEntries[1].error.message), "El error de la consola debe quedar registrado");
+
+      const errorsResponse = await fetch(`${serviceBaseUrl}/api/query-log?user=${user}&errors=true`, { cache: "no-store" });
+      assert.equal((await parseJson(errorsResponse)).entries.length, 1, "El filtro errors solo devuelve sentencias fallidas");
+
+      const statementsResponse = await fetch(`${serviceBaseUrl}/api/query-log/statements?sort=count&limit=500`, {
+        cache: "no-store",
+      });
+      const { statements } = await parseJson(statementsResponse);
+      const grouped = statements.find((statement) => statement.fingerprint === "SELECT id FROM orders WHERE status = ?");
+      assert.ok(grouped, "Las sentencias deben agruparse por huella");
+      assert.ok(grouped.count >= 2);
+      const insert = statements.find((statement) => statement.fingerprint === "INSERT INTO orders VALUES (...)");
+      assert.ok(insert, "Las listas de valores se colapsan en la huella");
+      assert.ok(
+        !JSON.stringify({ log, statements }).includes("S3cretPw"),
+        "Las contraseñas no deben aparecer en el registro ni en los agregados"
+      );
+
+      const [status] = await connection.query("SHOW STATUS LIKE 'Slow_queries'");
+      assert.equal(status.length, 1, "SHOW STATUS debe incluir Slow_queries");
+      return `sentencias=${log.entries.length}, huellas=${statements.length}`;
+    } finally {
+      await connection.end();
+    }
+  });
+
   return {
     passed,
     failed,
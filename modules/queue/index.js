@@ -4,6 +4,31 @@ const http = require("http");
 const url = require("url");
 const fs = require("node:fs");
 const path = require("node:path");
+const crypto = require("node:crypto");
+
+const { createRandom, resolveSeed } = require("../../lib/random");
+
+const DEFAULT_VISIBILITY_TIMEOUT_SECONDS = 30;
+const DEFAULT_MAX_MESSAGES = 10;
+const DEFAULT_DEDUPLICATION_WINDOW_SECONDS = 300;
+const MAX_WAIT_TIME_SECONDS = 20;
+const MAX_DELAY_SECONDS = 900;
+const DEFAULT_HISTORY_MAX_ENTRIES = 1000;
+const DEFAULT_HISTORY_PAGE_SIZE = 50;
+const MAX_HISTORY_PAGE_SIZE = 500;
+const DEFAULT_LISTING_HISTORY_LIMIT = 20;
+const PERSISTENCE_FILENAME = "queues.json";
+const PERSISTENCE_DEBOUNCE_MS = 200;
+
+// Failure injection per level (README scale 0-3). Rates are probabilities per operation and latency is
+// a [min, max] range in milliseconds added before handling each message request.
+const FAILURE_PROFILES = {
+  0: { lossRate: 0, duplicateRate: 0, unavailableRate: 0, latencyMs: [0, 0] },
+  1: { lossRate: 0.01, duplicateRate: 0.02, unavailableRate: 0, latencyMs: [0, 50] },
+  2: { lossRate: 0.05, duplicateRate: 0.05, unavailableRate: 0.05, latencyMs: [50, 300] },
+  3: { lossRate: 0.15, duplicateRate: 0.1, unavailableRate: 0.2, latencyMs: [200, 1000] },
+};
+const FIFO_SUFFIX = ".fifo";
 
 const microfrontendPath = path.join(__dirname, "queue-monitor.microfrontend");
 
@@ -16,11 +41,6 @@ function getMicrofrontendScript() {
   return cachedMicrofrontendScript;
 }
 
-const queues = new Map();
-const state = {
-  processedCount: 0,
-};
-
 function readRequestBody(request) {
   return new Promise((resolve, reject) => {
     let body = "";
@@ -51,58 +71,297 @@ function sendJson(response, statusCode, payload) {
   response.end(JSON.stringify(payload));
 }
 
-function ensureQueue(name) {
-  if (!queues.has(name)) {
-    queues.set(name, { pending: [], history: [] });
+function notifyWaiters(queue) {
+  for (const waiter of queue.waiters) {
+    setImmediate(waiter.wake);
   }
-  return queues.get(name);
 }
 
-function handlePostMessage(request, response, queueName) {
-  readRequestBody(request)
-    .then((body) => {
-      if (!body || typeof body !== "object" || body.message === undefined) {
-        sendJson(response, 400, { error: "Payload must contain a 'message' field" });
-        return;
+function getAvailableAt(entry) {
+  return entry.delayedUntil ? Date.parse(entry.delayedUntil) : 0;
+}
+
+function exceedsMaxReceiveCount(queue, entry) {
+  const { deadLetterQueue, maxReceiveCount } = queue.config;
+  return Boolean(deadLetterQueue) && maxReceiveCount !== null && entry.receiveCount >= maxReceiveCount;
+}
+
+function resolveDeduplicationId(queue, body) {
+  if (body.deduplicationId !== undefined && body.deduplicationId !== null) {
+    return String(body.deduplicationId);
+  }
+  if (queue.config.contentBasedDeduplication) {
+    return crypto.createHash("sha256").update(JSON.stringify(body.message)).digest("hex");
+  }
+  return null;
+}
+
+// Removes up to `maxMessages` deliverable entries from `pending`, skipping delayed messages. In FIFO
+// queues a delayed message blocks the rest of its group and, when `lockGroups` is set, so does a message
+// already in flight or selected in this same batch.
+function takeAvailableEntries(queue, { maxMessages, lockGroups, now }) {
+  const lockedGroups = queue.config.fifo ? new Set() : null;
+  if (lockedGroups && lockGroups) {
+    for (const delivery of queue.inFlight.values()) {
+      lockedGroups.add(delivery.entry.messageGroupId);
+    }
+  }
+  const selected = [];
+  const remaining = [];
+  for (const entry of queue.pending) {
+    const available = getAvailableAt(entry) <= now;
+    const groupLocked = lockedGroups !== null && lockedGroups.has(entry.messageGroupId);
+    if (selected.length < maxMessages && available && !groupLocked) {
+      selected.push(entry);
+      if (lockedGroups && lockGroups) {
+        lockedGroups.add(entry.messageGroupId);
       }
-      const queue = ensureQueue(queueName);
-      const entry = {
-        message: body.message,
-        receivedAt: new Date().toISOString(),
-      };
-      queue.pending.push(entry);
-      queue.history.push(entry);
-      sendJson(response, 202, {
-        status: "queued",
-        queue: queueName,
-        size: queue.pending.length,
-        totalMessages: queue.history.length,
-      });
-    })
-    .catch((error) => {
-      sendJson(response, 400, { error: error.message });
+    } else {
+      remaining.push(entry);
+      if (lockedGroups && !available) {
+        lockedGroups.add(entry.messageGroupId);
+      }
+    }
+  }
+  queue.pending = remaining;
+  return selected;
+}
+
+function getNextWakeAt(queue, deadline, now) {
+  let wakeAt = deadline;
+  for (const entry of queue.pending) {
+    const availableAt = getAvailableAt(entry);
+    if (availableAt > now && availableAt < wakeAt) {
+      wakeAt = availableAt;
+    }
+  }
+  for (const delivery of queue.inFlight.values()) {
+    if (delivery.visibleAt < wakeAt) {
+      wakeAt = delivery.visibleAt;
+    }
+  }
+  return wakeAt;
+}
+
+// Resolves with the first non-empty result of `collect()` or an empty list once `deadline` passes.
+// Resolves with null when the client disconnects so no messages are consumed on its behalf.
+function waitForMessages(queue, collect, deadline, response) {
+  return new Promise((resolve) => {
+    let done = false;
+    let timer = null;
+
+    function finish(messages) {
+      done = true;
+      clearTimeout(timer);
+      queue.waiters.delete(waiter);
+      response.off("close", onClose);
+      resolve(messages);
+    }
+
+    function schedule() {
+      const now = Date.now();
+      clearTimeout(timer);
+      timer = setTimeout(waiter.wake, Math.max(0, getNextWakeAt(queue, deadline, now) - now));
+    }
+
+    const waiter = {
+      wake: () => {
+        if (done) {
+          return;
+        }
+        const messages = collect();
+        if (messages.length > 0 || Date.now() >= deadline) {
+          finish(messages);
+        } else {
+          schedule();
+        }
+      },
+      flush: () => {
+        if (!done) {
+          finish([]);
+        }
+      },
+    };
+
+    function onClose() {
+      if (!done) {
+        finish(null);
+      }
+    }
+
+    queue.waiters.add(waiter);
+    response.on("close", onClose);
+    schedule();
+  });
+}
+
+function parseNonNegativeNumber(value, fieldName) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    throw new Error(`'${fieldName}' must be a non-negative number`);
+  }
+  return parsed;
+}
+
+function parsePositiveInteger(value, fieldName) {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new Error(`'${fieldName}' must be a positive integer`);
+  }
+  return parsed;
+}
+
+function toDelivery(receiptHandle, delivery) {
+  const payload = {
+    messageId: delivery.entry.id,
+    message: delivery.entry.message,
+    receivedAt: delivery.entry.receivedAt,
+    receiveCount: delivery.entry.receiveCount,
+    receiptHandle,
+    visibleUntil: new Date(delivery.visibleAt).toISOString(),
+  };
+  if (delivery.entry.attributes !== undefined) {
+    payload.attributes = delivery.entry.attributes;
+  }
+  if (delivery.entry.topic !== undefined) {
+    payload.topic = delivery.entry.topic;
+  }
+  if (delivery.entry.messageGroupId !== undefined) {
+    payload.messageGroupId = delivery.entry.messageGroupId;
+    payload.sequenceNumber = delivery.entry.sequence;
+  }
+  return payload;
+}
+
+const FILTER_POLICY_SCOPES = ["MessageAttributes", "MessageBody"];
+const NUMERIC_OPERATORS = {
+  "=": (value, operand) => value === operand,
+  "<": (value, operand) => value < operand,
+  "<=": (value, operand) => value <= operand,
+  ">": (value, operand) => value > operand,
+  ">=": (value, operand) => value >= operand,
+};
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// Filter policies follow the SNS syntax: every key must match and each key lists alternative conditions
+// (exact values, { prefix }, { "anything-but" }, { exists }, { numeric: [op, n, ...] }). Nested objects
+// descend into nested attributes, which is mostly useful with the MessageBody scope.
+function validateFilterPolicy(policy, pathLabel = "filterPolicy") {
+  if (!isPlainObject(policy)) {
+    throw new Error(`'${pathLabel}' must be a JSON object`);
+  }
+  for (const [key, rule] of Object.entries(policy)) {
+    const rulePath = `${pathLabel}.${key}`;
+    if (isPlainObject(rule)) {
+      validateFilterPolicy(rule, rulePath);
+      continue;
+    }
+    if (!Array.isArray(rule) || rule.length === 0) {
+      throw new Error(`'${rulePath}' must be a non-empty array of conditions`);
+    }
+    for (const condition of rule) {
+      if (!isPlainObject(condition)) {
+        continue;
+      }
+      const [operator] = Object.keys(condition);
+      if (!["prefix", "anything-but", "exists", "numeric"].includes(operator)) {
+        throw new Error(`'${rulePath}' uses unsupported operator '${operator}'`);
+      }
+      if (operator === "numeric") {
+        const pairs = condition.numeric;
+        if (!Array.isArray(pairs) || pairs.length === 0 || pairs.length % 2 !== 0) {
+          throw new Error(`'${rulePath}' numeric condition must be [operator, value, ...]`);
+        }
+        for (let index = 0; index < pairs.length; index += 2) {
+          if (!NUMERIC_OPERATORS[pairs[index]] || typeof pairs[index + 1] !== "number") {
+            throw new Error(`'${rulePath}' numeric condition must be [operator, value, ...]`);
+          }
+        }
+      }
+    }
+  }
+}
+
+function matchesCondition(condition, present, value) {
+  const values = Array.isArray(value) ? value : [value];
+  if (!isPlainObject(condition)) {
+    return present && values.some((candidate) => candidate === condition);
+  }
+  if (condition.exists !== undefined) {
+    return Boolean(condition.exists) === present;
+  }
+  if (!present) {
+    return false;
+  }
+  if (condition.prefix !== undefined) {
+    return values.some((candidate) => typeof candidate === "string" && candidate.startsWith(condition.prefix));
+  }
+  if (condition["anything-but"] !== undefined) {
+    const excluded = [].concat(condition["anything-but"]);
+    return values.every((candidate) => !excluded.includes(candidate));
+  }
+  if (condition.numeric !== undefined) {
+    return values.some((candidate) => {
+      if (typeof candidate !== "number") {
+        return false;
+      }
+      for (let index = 0; index < condition.numeric.length; index += 2) {
+        if (!NUMERIC_OPERATORS[condition.numeric[index]](candidate, condition.numeric[index + 1])) {
+          return false;
+        }
+      }
+      return true;
     });
+  }
+  return false;
+}
+
+function matchesFilterPolicy(policy, data) {
+  const source = isPlainObject(data) ? data : {};
+  return Object.entries(policy).every(([key, rule]) => {
+    const present = Object.prototype.hasOwnProperty.call(source, key);
+    if (isPlainObject(rule)) {
+      return present && matchesFilterPolicy(rule, source[key]);
+    }
+    return rule.some((condition) => matchesCondition(condition, present, source[key]));
+  });
 }
 
-function handleGetMessages(response, queueName) {
-  const queue = ensureQueue(queueName);
-  const messages = queue.pending.splice(0, queue.pending.length);
-  state.processedCount += messages.length;
-  sendJson(response, 200, { queue: queueName, messages });
+// Subscriptions declared in start() are already there when the topics were restored from disk.
+function hasSubscription(topic, { queue, filterPolicy = null, filterPolicyScope = "MessageAttributes" } = {}) {
+  return Array.from(topic.subscriptions.values()).some(
+    (subscription) =>
+      subscription.queue === queue &&
+      subscription.filterPolicyScope === filterPolicyScope &&
+      JSON.stringify(subscription.filterPolicy) === JSON.stringify(filterPolicy),
+  );
 }
 
-function handleListQueues(response) {
-  const queuesPayload = Array.from(queues.entries()).map(([name, queue]) => ({
-    name,
-    pendingCount: queue.pending.length,
-    totalMessages: queue.history.length,
-    messages: queue.history.slice(),
-  }));
-  sendJson(response, 200, { queues: queuesPayload });
+function describeTopic(topic) {
+  return {
+    name: topic.name,
+    createdAt: topic.createdAt,
+    publishedCount: topic.publishedCount,
+    subscriptions: Array.from(topic.subscriptions.values()).map((subscription) => ({ ...subscription })),
+  };
 }
 
-function handleMetrics(response) {
-  sendJson(response, 200, { processedCount: state.processedCount });
+function isReceiveRequest(query) {
+  return query.visibilityTimeout !== undefined || query.maxMessages !== undefined;
+}
+
+function parseWaitTimeSeconds(query) {
+  if (query.waitTimeSeconds === undefined) {
+    return 0;
+  }
+  const waitTimeSeconds = parseNonNegativeNumber(query.waitTimeSeconds, "waitTimeSeconds");
+  if (waitTimeSeconds > MAX_WAIT_TIME_SECONDS) {
+    throw new Error(`'waitTimeSeconds' cannot exceed ${MAX_WAIT_TIME_SECONDS}`);
+  }
+  return waitTimeSeconds;
 }
 
 function handleMicrofrontend(response) {
@@ -114,59 +373,1098 @@ function handleMicrofrontend(response) {
   response.end(script);
 }
 
-function requestListener(request, response) {
-  const parsedUrl = url.parse(request.url, true);
-  const method = request.method || "GET";
+// Everything a running simulator holds. Each start() gets its own, so an instance started next to another one
+// in the same process (a test, for example) shares no queues, topics, failure settings or persistence with it.
+function createQueueService() {
+  const queues = new Map();
+  const topics = new Map();
+  const state = {
+    processedCount: 0,
+    nextMessageId: 0,
+    defaultVisibilityTimeoutSeconds: DEFAULT_VISIBILITY_TIMEOUT_SECONDS,
+    failure: null,
+    history: { maxEntries: DEFAULT_HISTORY_MAX_ENTRIES, maxAgeSeconds: null },
+    // { filePath, timer } when pending messages are persisted to disk, null otherwise.
+    persistence: null,
+  };
+
+  function configureFailures(failureLevel, failureSeed) {
+    const level = Number(failureLevel);
+    if (!Object.prototype.hasOwnProperty.call(FAILURE_PROFILES, level)) {
+      throw new Error("'failureLevel' must be an integer between 0 and 3");
+    }
+    const seed = resolveSeed(failureSeed);
+    state.failure = {
+      level,
+      seed,
+      profile: FAILURE_PROFILES[level],
+      random: createRandom(seed),
+      injected: { lost: 0, duplicated: 0, unavailable: 0, delayedRequests: 0 },
+    };
+  }
+
+  function shouldInject(rateName) {
+    const rate = state.failure.profile[rateName];
+    return rate > 0 && state.failure.random() < rate;
+  }
+
+  function pickLatencyMs() {
+    const [min, max] = state.failure.profile.latencyMs;
+    if (max <= 0) {
+      return 0;
+    }
+    return Math.round(min + state.failure.random() * (max - min));
+  }
+
+  configureFailures(0, 0);
+
+  function ensureQueue(name) {
+    if (!queues.has(name)) {
+      queues.set(name, {
+        name,
+        pending: [],
+        // receiptHandle -> { entry, visibleAt } for messages received but not yet acknowledged.
+        inFlight: new Map(),
+        history: [],
+        // Messages ever accepted by the queue; history is trimmed, this counter is not.
+        totalMessages: 0,
+        // deduplicationId -> { messageId, expiresAt } for FIFO queues.
+        deduplication: new Map(),
+        // Long-polling requests waiting for messages on this queue.
+        waiters: new Set(),
+        config: {
+          deadLetterQueue: null,
+          maxReceiveCount: null,
+          fifo: name.endsWith(FIFO_SUFFIX),
+          deduplicationWindowSeconds: DEFAULT_DEDUPLICATION_WINDOW_SECONDS,
+          contentBasedDeduplication: false,
+        },
+      });
+    }
+    return queues.get(name);
+  }
+
+  function createEntry(message, extra = {}) {
+    state.nextMessageId += 1;
+    return {
+      id: `msg_${Date.now()}_${state.nextMessageId}`,
+      sequence: state.nextMessageId,
+      message,
+      receivedAt: new Date().toISOString(),
+      receiveCount: 0,
+      ...extra,
+    };
+  }
+
+  function enqueueEntry(queue, entry) {
+    queue.pending.push(entry);
+    queue.history.push(entry);
+    queue.totalMessages += 1;
+    trimHistory(queue);
+    notifyWaiters(queue);
+    schedulePersist();
+  }
+
+  function configureHistory({ maxEntries, maxAgeSeconds } = {}) {
+    state.history = {
+      maxEntries:
+        maxEntries === undefined
+          ? DEFAULT_HISTORY_MAX_ENTRIES
+          : Math.floor(parseNonNegativeNumber(maxEntries, "history.maxEntries")),
+      maxAgeSeconds:
+        maxAgeSeconds === undefined || maxAgeSeconds === null
+          ? null
+          : parseNonNegativeNumber(maxAgeSeconds, "history.maxAgeSeconds"),
+    };
+  }
+
+  // History is append-only in arrival order, so retention only ever drops entries from the front.
+  function trimHistory(queue, now = Date.now()) {
+    const { maxEntries, maxAgeSeconds } = state.history;
+    let dropCount = Math.max(0, queue.history.length - maxEntries);
+    if (maxAgeSeconds !== null) {
+      const cutoff = now - maxAgeSeconds * 1000;
+      while (dropCount < queue.history.length && Date.parse(queue.history[dropCount].receivedAt) < cutoff) {
+        dropCount += 1;
+      }
+    }
+    if (dropCount > 0) {
+      queue.history.splice(0, dropCount);
+    }
+  }
+
+  // Cursor-based page over the retained history, oldest first. The cursor is the sequence of the last
+  // entry returned, so pages stay stable while new messages are appended or old ones are trimmed.
+  function readHistoryPage(queue, { limit, cursor }) {
+    trimHistory(queue);
+    const start = cursor === null ? 0 : queue.history.findIndex((entry) => entry.sequence > cursor);
+    const messages = start === -1 ? [] : queue.history.slice(start, start + limit);
+    const hasMore = start !== -1 && start + limit < queue.history.length;
+    return {
+      messages,
+      nextCursor: hasMore ? String(messages[messages.length - 1].sequence) : null,
+    };
+  }
+
+  function moveToDeadLetterQueue(queue, entry) {
+    const deadLetterQueue = ensureQueue(queue.config.deadLetterQueue);
+    const deadLetterEntry = createEntry(entry.message, {
+      id: entry.id,
+      messageGroupId: entry.messageGroupId,
+      receiveCount: entry.receiveCount,
+      sourceQueue: queue.name,
+      deadLetteredAt: new Date().toISOString(),
+    });
+    enqueueEntry(deadLetterQueue, deadLetterEntry);
+    console.info(
+      `[queueSimulator] Message ${entry.id} moved from '${queue.name}' to dead-letter queue '${deadLetterQueue.name}' after ${entry.receiveCount} receives`,
+    );
+  }
+
+  function releaseExpiredMessages(queue, now = Date.now()) {
+    let released = false;
+    for (const [receiptHandle, delivery] of queue.inFlight.entries()) {
+      if (delivery.visibleAt <= now) {
+        queue.inFlight.delete(receiptHandle);
+        if (exceedsMaxReceiveCount(queue, delivery.entry)) {
+          moveToDeadLetterQueue(queue, delivery.entry);
+        } else {
+          queue.pending.push(delivery.entry);
+          released = true;
+        }
+      }
+    }
+    if (released) {
+      queue.pending.sort((a, b) => a.sequence - b.sequence);
+    }
+  }
+
+  function configureQueue(
+    name,
+    { deadLetterQueue, maxReceiveCount, fifo, deduplicationWindowSeconds, contentBasedDeduplication } = {},
+  ) {
+    const queue = ensureQueue(name);
+    const nextConfig = { ...queue.config };
+    if (fifo !== undefined) {
+      nextConfig.fifo = Boolean(fifo);
+    }
+    if (deduplicationWindowSeconds !== undefined) {
+      nextConfig.deduplicationWindowSeconds = parseNonNegativeNumber(
+        deduplicationWindowSeconds,
+        "deduplicationWindowSeconds",
+      );
+    }
+    if (contentBasedDeduplication !== undefined) {
+      nextConfig.contentBasedDeduplication = Boolean(contentBasedDeduplication);
+    }
+    if (deadLetterQueue !== undefined) {
+      if (deadLetterQueue !== null && (typeof deadLetterQueue !== "string" || deadLetterQueue.length === 0)) {
+        throw new Error("'deadLetterQueue' must be a non-empty string or null");
+      }
+      if (deadLetterQueue === name) {
+        throw new Error("A queue cannot be its own dead-letter queue");
+      }
+      nextConfig.deadLetterQueue = deadLetterQueue;
+    }
+    if (maxReceiveCount !== undefined) {
+      nextConfig.maxReceiveCount =
+        maxReceiveCount === null ? null : parsePositiveInteger(maxReceiveCount, "maxReceiveCount");
+    }
+    if (nextConfig.deadLetterQueue && nextConfig.maxReceiveCount === null) {
+      throw new Error("'maxReceiveCount' is required when a dead-letter queue is configured");
+    }
+    queue.config = nextConfig;
+    if (nextConfig.deadLetterQueue) {
+      ensureQueue(nextConfig.deadLetterQueue);
+    }
+    schedulePersist();
+    return queue;
+  }
+
+  function redriveMessages(deadLetterQueue, { maxMessages, destination } = {}) {
+    releaseExpiredMessages(deadLetterQueue);
+    const count = maxMessages === undefined ? deadLetterQueue.pending.length : maxMessages;
+    const redriven = [];
+    const remaining = [];
+    for (const entry of deadLetterQueue.pending) {
+      const targetName = destination || entry.sourceQueue;
+      if (redriven.length >= count || !targetName) {
+        remaining.push(entry);
+        continue;
+      }
+      const redrivenEntry = createEntry(entry.message, { id: entry.id, messageGroupId: entry.messageGroupId });
+      enqueueEntry(ensureQueue(targetName), redrivenEntry);
+      redriven.push({ messageId: entry.id, queue: targetName });
+    }
+    deadLetterQueue.pending = remaining;
+    schedulePersist();
+    return redriven;
+  }
+
+  function getDeadLetterSources(name) {
+    return Array.from(queues.values())
+      .filter((queue) => queue.config.deadLetterQueue === name)
+      .map((queue) => queue.name);
+  }
+
+  function describeQueueConfig(queue) {
+    return {
+      name: queue.name,
+      deadLetterQueue: queue.config.deadLetterQueue,
+      maxReceiveCount: queue.config.maxReceiveCount,
+      deadLetterSourceQueues: getDeadLetterSources(queue.name),
+      fifo: queue.config.fifo,
+      deduplicationWindowSeconds: queue.config.deduplicationWindowSeconds,
+      contentBasedDeduplication: queue.config.contentBasedDeduplication,
+    };
+  }
+
+  function findDuplicate(queue, deduplicationId, now = Date.now()) {
+    for (const [id, record] of queue.deduplication.entries()) {
+      if (record.expiresAt <= now) {
+        queue.deduplication.delete(id);
+      }
+    }
+    return queue.deduplication.get(deduplicationId) || null;
+  }
+
+  function flushWaiters() {
+    for (const queue of queues.values()) {
+      for (const waiter of Array.from(queue.waiters)) {
+        waiter.flush();
+      }
+    }
+  }
+
+  function receiveMessages(queue, { maxMessages, visibilityTimeoutSeconds }) {
+    const now = Date.now();
+    releaseExpiredMessages(queue, now);
+    const entries = takeAvailableEntries(queue, { maxMessages, lockGroups: true, now });
+    const deliveries = entries.map((entry) => {
+      const receiptHandle = crypto.randomUUID();
+      const delivery = { entry, visibleAt: now + visibilityTimeoutSeconds * 1000 };
+      entry.receiveCount += 1;
+      queue.inFlight.set(receiptHandle, delivery);
+      return toDelivery(receiptHandle, delivery);
+    });
+    if (deliveries.length > 0) {
+      schedulePersist();
+    }
+    return deliveries;
+  }
+
+  function acknowledgeMessage(queue, receiptHandle) {
+    releaseExpiredMessages(queue);
+    if (!queue.inFlight.has(receiptHandle)) {
+      return false;
+    }
+    queue.inFlight.delete(receiptHandle);
+    state.processedCount += 1;
+    if (queue.config.fifo) {
+      notifyWaiters(queue);
+    }
+    schedulePersist();
+    return true;
+  }
+
+  function drainMessages(queue) {
+    const now = Date.now();
+    releaseExpiredMessages(queue, now);
+    const messages = takeAvailableEntries(queue, { maxMessages: Infinity, lockGroups: false, now });
+    state.processedCount += messages.length;
+    if (messages.length > 0) {
+      schedulePersist();
+    }
+    return messages;
+  }
+
+  // Validates and stores one message in `queueName`, applying FIFO rules, delays and failure injection.
+  // Throws on invalid input; returns { status: "queued" | "duplicate", ... } otherwise.
+  function publishMessage(queueName, body, { topic } = {}) {
+    const queue = ensureQueue(queueName);
+    const extra = {};
+    if (topic !== undefined) {
+      extra.topic = topic;
+    }
+    if (body.attributes !== undefined) {
+      if (!body.attributes || typeof body.attributes !== "object" || Array.isArray(body.attributes)) {
+        throw new Error("'attributes' must be a JSON object");
+      }
+      extra.attributes = body.attributes;
+    }
+    if (queue.config.fifo) {
+      if (body.messageGroupId === undefined || body.messageGroupId === null || body.messageGroupId === "") {
+        throw new Error("FIFO queues require a 'messageGroupId' field");
+      }
+      extra.messageGroupId = String(body.messageGroupId);
+      const deduplicationId = resolveDeduplicationId(queue, body);
+      if (deduplicationId !== null) {
+        const duplicate = findDuplicate(queue, deduplicationId);
+        if (duplicate) {
+          return { status: "duplicate", queue, messageId: duplicate.messageId, deduplicationId };
+        }
+        extra.deduplicationId = deduplicationId;
+      }
+    }
+    if (body.delaySeconds !== undefined) {
+      const delaySeconds = parseNonNegativeNumber(body.delaySeconds, "delaySeconds");
+      if (delaySeconds > MAX_DELAY_SECONDS) {
+        throw new Error(`'delaySeconds' cannot exceed ${MAX_DELAY_SECONDS}`);
+      }
+      if (delaySeconds > 0) {
+        extra.delayedUntil = new Date(Date.now() + delaySeconds * 1000).toISOString();
+      }
+    }
+    const entry = createEntry(body.message, extra);
+    if (shouldInject("lossRate")) {
+      state.failure.injected.lost += 1;
+      console.debug(`[queueSimulator] Simulated loss of message ${entry.id} on '${queueName}'`);
+      return { status: "queued", queue, messageId: entry.id };
+    }
+    if (entry.deduplicationId !== undefined) {
+      queue.deduplication.set(entry.deduplicationId, {
+        messageId: entry.id,
+        expiresAt: Date.now() + queue.config.deduplicationWindowSeconds * 1000,
+      });
+    }
+    enqueueEntry(queue, entry);
+    if (shouldInject("duplicateRate")) {
+      state.failure.injected.duplicated += 1;
+      console.debug(`[queueSimulator] Simulated duplicate delivery of message ${entry.id} on '${queueName}'`);
+      queue.pending.push(createEntry(entry.message, { ...extra, id: entry.id }));
+      notifyWaiters(queue);
+      schedulePersist();
+    }
+    return { status: "queued", queue, messageId: entry.id, delayedUntil: entry.delayedUntil };
+  }
+
+  // Persistence keeps what a consumer still has to process: pending and in-flight messages plus each
+  // queue's config, and the topics with their subscriptions. Receipt handles do not survive a restart, so
+  // in-flight messages come back as pending.
+  function buildSnapshot() {
+    return {
+      savedAt: new Date().toISOString(),
+      nextMessageId: state.nextMessageId,
+      queues: Array.from(queues.values()).map((queue) => ({
+        name: queue.name,
+        config: queue.config,
+        messages: [...queue.pending, ...Array.from(queue.inFlight.values(), (delivery) => delivery.entry)].sort(
+          (a, b) => a.sequence - b.sequence,
+        ),
+      })),
+      topics: Array.from(topics.values()).map((topic) => ({
+        ...topic,
+        subscriptions: Array.from(topic.subscriptions.values()),
+      })),
+    };
+  }
+
+  function writeSnapshot() {
+    const { persistence } = state;
+    if (!persistence) {
+      return;
+    }
+    if (persistence.timer) {
+      clearTimeout(persistence.timer);
+      persistence.timer = null;
+    }
+    const temporaryPath = `${persistence.filePath}.tmp`;
+    try {
+      fs.writeFileSync(temporaryPath, JSON.stringify(buildSnapshot()));
+      fs.renameSync(temporaryPath, persistence.filePath);
+    } catch (error) {
+      console.error(`[queueSimulator] Failed to persist queues to ${persistence.filePath}: ${error.message}`);
+    }
+  }
+
+  function schedulePersist() {
+    const { persistence } = state;
+    if (!persistence || persistence.timer) {
+      return;
+    }
+    persistence.timer = setTimeout(writeSnapshot, PERSISTENCE_DEBOUNCE_MS);
+    persistence.timer.unref();
+  }
+
+  function restoreSnapshot(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return;
+    }
+    let snapshot;
+    try {
+      snapshot = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      console.error(`[queueSimulator] Ignoring unreadable snapshot ${filePath}: ${error.message}`);
+      return;
+    }
+    let restoredCount = 0;
+    for (const saved of snapshot.queues || []) {
+      const queue = ensureQueue(saved.name);
+      queue.config = { ...queue.config, ...saved.config };
+      for (const entry of saved.messages || []) {
+        queue.pending.push(entry);
+        queue.history.push(entry);
+        queue.totalMessages += 1;
+        restoredCount += 1;
+      }
+      queue.pending.sort((a, b) => a.sequence - b.sequence);
+      trimHistory(queue);
+    }
+    for (const saved of snapshot.topics || []) {
+      const subscriptions = saved.subscriptions || [];
+      subscriptions.forEach((subscription) => ensureQueue(subscription.queue));
+      topics.set(saved.name, {
+        ...saved,
+        subscriptions: new Map(subscriptions.map((subscription) => [subscription.id, subscription])),
+      });
+    }
+    state.nextMessageId = Math.max(state.nextMessageId, Number(snapshot.nextMessageId) || 0);
+    console.info(
+      `[queueSimulator] Restored ${restoredCount} pending messages and ${topics.size} topics from ${filePath}`,
+    );
+  }
+
+  function ensureTopic(name) {
+    if (!topics.has(name)) {
+      topics.set(name, {
+        name,
+        createdAt: new Date().toISOString(),
+        publishedCount: 0,
+        // subscriptionId -> { id, queue, filterPolicy, filterPolicyScope, deliveredCount, createdAt }
+        subscriptions: new Map(),
+      });
+    }
+    return topics.get(name);
+  }
 
-  if (method === "OPTIONS") {
-    response.writeHead(204, {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type",
+  function subscribeQueue(topic, { queue, filterPolicy = null, filterPolicyScope = "MessageAttributes" } = {}) {
+    if (typeof queue !== "string" || queue.length === 0) {
+      throw new Error("'queue' must be a non-empty string");
+    }
+    if (filterPolicy !== null) {
+      validateFilterPolicy(filterPolicy);
+    }
+    if (!FILTER_POLICY_SCOPES.includes(filterPolicyScope)) {
+      throw new Error(`'filterPolicyScope' must be one of ${FILTER_POLICY_SCOPES.join(", ")}`);
+    }
+    ensureQueue(queue);
+    const subscription = {
+      id: `sub_${crypto.randomUUID()}`,
+      queue,
+      filterPolicy,
+      filterPolicyScope,
+      deliveredCount: 0,
+      createdAt: new Date().toISOString(),
+    };
+    topic.subscriptions.set(subscription.id, subscription);
+    schedulePersist();
+    return subscription;
+  }
+
+  function publishToTopic(topic, body) {
+    topic.publishedCount += 1;
+    schedulePersist();
+    const deliveries = [];
+    for (const subscription of topic.subscriptions.values()) {
+      const filterTarget = subscription.filterPolicyScope === "MessageBody" ? body.message : body.attributes;
+      if (subscription.filterPolicy && !matchesFilterPolicy(subscription.filterPolicy, filterTarget)) {
+        continue;
+      }
+      try {
+        const result = publishMessage(subscription.queue, body, { topic: topic.name });
+        subscription.deliveredCount += 1;
+        deliveries.push({
+          subscriptionId: subscription.id,
+          queue: subscription.queue,
+          status: result.status,
+          messageId: result.messageId,
+        });
+      } catch (error) {
+        deliveries.push({
+          subscriptionId: subscription.id,
+          queue: subscription.queue,
+          status: "failed",
+          error: error.message,
+        });
+      }
+    }
+    return deliveries;
+  }
+
+  function handleListTopics(response) {
+    sendJson(response, 200, { topics: Array.from(topics.values()).map(describeTopic) });
+  }
+
+  function handleGetTopic(response, topicName) {
+    if (!topics.has(topicName)) {
+      sendJson(response, 404, { error: `Topic '${topicName}' does not exist` });
+      return;
+    }
+    sendJson(response, 200, describeTopic(topics.get(topicName)));
+  }
+
+  function handlePutTopic(response, topicName) {
+    const created = !topics.has(topicName);
+    const topic = ensureTopic(topicName);
+    if (created) {
+      schedulePersist();
+    }
+    sendJson(response, created ? 201 : 200, describeTopic(topic));
+  }
+
+  function handleDeleteTopic(response, topicName) {
+    if (!topics.delete(topicName)) {
+      sendJson(response, 404, { error: `Topic '${topicName}' does not exist` });
+      return;
+    }
+    schedulePersist();
+    sendJson(response, 200, { status: "deleted", topic: topicName });
+  }
+
+  function handleSubscribe(request, response, topicName) {
+    readRequestBody(request)
+      .then((body) => {
+        if (!topics.has(topicName)) {
+          sendJson(response, 404, { error: `Topic '${topicName}' does not exist` });
+          return;
+        }
+        let subscription;
+        try {
+          subscription = subscribeQueue(topics.get(topicName), body);
+        } catch (error) {
+          sendJson(response, 400, { error: error.message });
+          return;
+        }
+        sendJson(response, 201, { topic: topicName, ...subscription });
+      })
+      .catch((error) => {
+        sendJson(response, 400, { error: error.message });
+      });
+  }
+
+  function handleUnsubscribe(response, topicName, subscriptionId) {
+    const topic = topics.get(topicName);
+    if (!topic || !topic.subscriptions.delete(subscriptionId)) {
+      sendJson(response, 404, { error: `Subscription '${subscriptionId}' does not exist` });
+      return;
+    }
+    schedulePersist();
+    sendJson(response, 200, { status: "deleted", topic: topicName, subscriptionId });
+  }
+
+  function handlePublishToTopic(request, response, topicName) {
+    readRequestBody(request)
+      .then((body) => {
+        if (!body || typeof body !== "object" || body.message === undefined) {
+          sendJson(response, 400, { error: "Payload must contain a 'message' field" });
+          return;
+        }
+        if (body.attributes !== undefined && !isPlainObject(body.attributes)) {
+          sendJson(response, 400, { error: "'attributes' must be a JSON object" });
+          return;
+        }
+        if (!topics.has(topicName)) {
+          sendJson(response, 404, { error: `Topic '${topicName}' does not exist` });
+          return;
+        }
+        const deliveries = publishToTopic(topics.get(topicName), body);
+        sendJson(response, 202, {
+          status: "published",
+          topic: topicName,
+          deliveredCount: deliveries.filter((delivery) => delivery.status !== "failed").length,
+          deliveries,
+        });
+      })
+      .catch((error) => {
+        sendJson(response, 400, { error: error.message });
+      });
+  }
+
+  function handlePostMessage(request, response, queueName) {
+    readRequestBody(request)
+      .then((body) => {
+        if (!body || typeof body !== "object" || body.message === undefined) {
+          sendJson(response, 400, { error: "Payload must contain a 'message' field" });
+          return;
+        }
+        let result;
+        try {
+          result = publishMessage(queueName, body);
+        } catch (error) {
+          sendJson(response, 400, { error: error.message });
+          return;
+        }
+        sendJson(response, result.status === "duplicate" ? 200 : 202, {
+          status: result.status,
+          queue: queueName,
+          messageId: result.messageId,
+          ...(result.deduplicationId ? { deduplicationId: result.deduplicationId } : {}),
+          ...(result.delayedUntil ? { delayedUntil: result.delayedUntil } : {}),
+          size: result.queue.pending.length,
+          totalMessages: result.queue.totalMessages,
+        });
+      })
+      .catch((error) => {
+        sendJson(response, 400, { error: error.message });
+      });
+  }
+
+  function handleGetMessages(response, queueName, query) {
+    const queue = ensureQueue(queueName);
+    let collect;
+    let waitTimeSeconds;
+    try {
+      waitTimeSeconds = parseWaitTimeSeconds(query);
+      if (isReceiveRequest(query)) {
+        const options = {
+          maxMessages:
+            query.maxMessages !== undefined
+              ? parsePositiveInteger(query.maxMessages, "maxMessages")
+              : DEFAULT_MAX_MESSAGES,
+          visibilityTimeoutSeconds:
+            query.visibilityTimeout !== undefined
+              ? parseNonNegativeNumber(query.visibilityTimeout, "visibilityTimeout")
+              : state.defaultVisibilityTimeoutSeconds,
+        };
+        collect = () => receiveMessages(queue, options);
+      } else {
+        collect = () => drainMessages(queue);
+      }
+    } catch (error) {
+      sendJson(response, 400, { error: error.message });
+      return;
+    }
+
+    const messages = collect();
+    if (messages.length > 0 || waitTimeSeconds === 0) {
+      sendJson(response, 200, { queue: queueName, messages });
+      return;
+    }
+
+    waitForMessages(queue, collect, Date.now() + waitTimeSeconds * 1000, response).then((received) => {
+      if (received !== null) {
+        sendJson(response, 200, { queue: queueName, messages: received });
+      }
     });
-    response.end();
-    return;
   }
 
-  if (parsedUrl.pathname === "/metrics") {
-    handleMetrics(response);
-    return;
+  function handleDeleteMessage(response, queueName, receiptHandle) {
+    const queue = ensureQueue(queueName);
+    if (!acknowledgeMessage(queue, receiptHandle)) {
+      sendJson(response, 404, { error: "Unknown or expired receipt handle" });
+      return;
+    }
+    sendJson(response, 200, { status: "deleted", queue: queueName, receiptHandle });
+  }
+
+  function handleAcknowledgeBatch(request, response, queueName) {
+    readRequestBody(request)
+      .then((body) => {
+        if (!body || !Array.isArray(body.receiptHandles)) {
+          sendJson(response, 400, { error: "Payload must contain a 'receiptHandles' array" });
+          return;
+        }
+        const queue = ensureQueue(queueName);
+        const acknowledged = [];
+        const failed = [];
+        for (const receiptHandle of body.receiptHandles) {
+          if (acknowledgeMessage(queue, String(receiptHandle))) {
+            acknowledged.push(receiptHandle);
+          } else {
+            failed.push(receiptHandle);
+          }
+        }
+        sendJson(response, 200, { queue: queueName, acknowledged, failed });
+      })
+      .catch((error) => {
+        sendJson(response, 400, { error: error.message });
+      });
+  }
+
+  function handleChangeVisibility(request, response, queueName, receiptHandle) {
+    readRequestBody(request)
+      .then((body) => {
+        let visibilityTimeoutSeconds;
+        try {
+          visibilityTimeoutSeconds = parseNonNegativeNumber(
+            body && body.visibilityTimeout,
+            "visibilityTimeout",
+          );
+        } catch (error) {
+          sendJson(response, 400, { error: error.message });
+          return;
+        }
+        const queue = ensureQueue(queueName);
+        releaseExpiredMessages(queue);
+        const delivery = queue.inFlight.get(receiptHandle);
+        if (!delivery) {
+          sendJson(response, 404, { error: "Unknown or expired receipt handle" });
+          return;
+        }
+        delivery.visibleAt = Date.now() + visibilityTimeoutSeconds * 1000;
+        releaseExpiredMessages(queue);
+        notifyWaiters(queue);
+        sendJson(response, 200, {
+          status: "updated",
+          queue: queueName,
+          receiptHandle,
+          visibleUntil: new Date(delivery.visibleAt).toISOString(),
+        });
+      })
+      .catch((error) => {
+        sendJson(response, 400, { error: error.message });
+      });
+  }
+
+  function handleGetQueueConfig(response, queueName) {
+    sendJson(response, 200, describeQueueConfig(ensureQueue(queueName)));
   }
 
-  if (parsedUrl.pathname === "/queues" && method === "GET") {
-    handleListQueues(response);
-    return;
+  function handlePutQueueConfig(request, response, queueName) {
+    readRequestBody(request)
+      .then((body) => {
+        if (!body || typeof body !== "object" || Array.isArray(body)) {
+          sendJson(response, 400, { error: "Payload must be a JSON object" });
+          return;
+        }
+        let queue;
+        try {
+          queue = configureQueue(queueName, body);
+        } catch (error) {
+          sendJson(response, 400, { error: error.message });
+          return;
+        }
+        sendJson(response, 200, describeQueueConfig(queue));
+      })
+      .catch((error) => {
+        sendJson(response, 400, { error: error.message });
+      });
   }
 
-  if (parsedUrl.pathname === "/microfrontends/queue-monitor.js") {
-    handleMicrofrontend(response);
-    return;
+  function handleRedrive(request, response, queueName) {
+    readRequestBody(request)
+      .then((body) => {
+        let options;
+        try {
+          options = {
+            maxMessages:
+              body.maxMessages !== undefined ? parsePositiveInteger(body.maxMessages, "maxMessages") : undefined,
+            destination: body.destination !== undefined ? String(body.destination) : undefined,
+          };
+        } catch (error) {
+          sendJson(response, 400, { error: error.message });
+          return;
+        }
+        if (!queues.has(queueName)) {
+          sendJson(response, 404, { error: `Queue '${queueName}' does not exist` });
+          return;
+        }
+        const redriven = redriveMessages(queues.get(queueName), options);
+        sendJson(response, 200, { queue: queueName, movedCount: redriven.length, messages: redriven });
+      })
+      .catch((error) => {
+        sendJson(response, 400, { error: error.message });
+      });
   }
 
-  const queueMatch = parsedUrl.pathname && parsedUrl.pathname.match(/^\/queues\/([^/]+)\/messages$/);
-  if (queueMatch) {
-    const queueName = decodeURIComponent(queueMatch[1]);
-    if (method === "POST") {
-      handlePostMessage(request, response, queueName);
+  function handleGetHistory(response, queueName, query) {
+    let options;
+    try {
+      const limit =
+        query.limit !== undefined ? parsePositiveInteger(query.limit, "limit") : DEFAULT_HISTORY_PAGE_SIZE;
+      options = {
+        limit: Math.min(limit, MAX_HISTORY_PAGE_SIZE),
+        cursor: query.cursor !== undefined ? parseNonNegativeNumber(query.cursor, "cursor") : null,
+      };
+    } catch (error) {
+      sendJson(response, 400, { error: error.message });
       return;
     }
-    if (method === "GET") {
-      handleGetMessages(response, queueName);
+    if (!queues.has(queueName)) {
+      sendJson(response, 404, { error: `Queue '${queueName}' does not exist` });
       return;
     }
+    const queue = queues.get(queueName);
+    const page = readHistoryPage(queue, options);
+    sendJson(response, 200, {
+      queue: queueName,
+      messages: page.messages,
+      nextCursor: page.nextCursor,
+      historyCount: queue.history.length,
+      totalMessages: queue.totalMessages,
+    });
   }
 
-  sendJson(response, 404, { error: "Not Found" });
+  function handleListQueues(response, query) {
+    let historyLimit = DEFAULT_LISTING_HISTORY_LIMIT;
+    if (query.historyLimit !== undefined) {
+      try {
+        historyLimit = Math.min(
+          Math.floor(parseNonNegativeNumber(query.historyLimit, "historyLimit")),
+          MAX_HISTORY_PAGE_SIZE,
+        );
+      } catch (error) {
+        sendJson(response, 400, { error: error.message });
+        return;
+      }
+    }
+    const queuesPayload = Array.from(queues.entries()).map(([name, queue]) => {
+      releaseExpiredMessages(queue);
+      trimHistory(queue);
+      const deadLetterSourceQueues = getDeadLetterSources(name);
+      const now = Date.now();
+      return {
+        name,
+        pendingCount: queue.pending.length,
+        delayedCount: queue.pending.filter((entry) => getAvailableAt(entry) > now).length,
+        inFlightCount: queue.inFlight.size,
+        totalMessages: queue.totalMessages,
+        historyCount: queue.history.length,
+        deadLetterQueue: queue.config.deadLetterQueue,
+        maxReceiveCount: queue.config.maxReceiveCount,
+        fifo: queue.config.fifo,
+        isDeadLetterQueue: deadLetterSourceQueues.length > 0,
+        deadLetterSourceQueues,
+        messages: historyLimit > 0 ? queue.history.slice(-historyLimit) : [],
+      };
+    });
+    sendJson(response, 200, { queues: queuesPayload });
+  }
+
+  function handleMetrics(response) {
+    sendJson(response, 200, {
+      processedCount: state.processedCount,
+      failureLevel: state.failure.level,
+      failureSeed: state.failure.seed,
+      injectedFailures: { ...state.failure.injected },
+    });
+  }
+
+  function requestListener(request, response) {
+    const parsedUrl = url.parse(request.url, true);
+    const method = request.method || "GET";
+
+    if (method === "OPTIONS") {
+      response.writeHead(204, {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET,POST,PUT,DELETE,OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+      });
+      response.end();
+      return;
+    }
+
+    if (parsedUrl.pathname === "/metrics") {
+      handleMetrics(response);
+      return;
+    }
+
+    if (parsedUrl.pathname === "/queues" && method === "GET") {
+      handleListQueues(response, parsedUrl.query);
+      return;
+    }
+
+    if (parsedUrl.pathname === "/microfrontends/queue-monitor.js") {
+      handleMicrofrontend(response);
+      return;
+    }
+
+    if (parsedUrl.pathname && parsedUrl.pathname.startsWith("/topics")) {
+      routeTopicRequest(request, response, parsedUrl, method);
+      return;
+    }
+
+    const isMessageRoute = Boolean(parsedUrl.pathname && /^\/queues\/[^/]+\/messages(\/|$)/.test(parsedUrl.pathname));
+    if (isMessageRoute && state.failure.level > 0) {
+      const latencyMs = pickLatencyMs();
+      if (latencyMs > 0) {
+        state.failure.injected.delayedRequests += 1;
+      }
+      setTimeout(() => {
+        if (shouldInject("unavailableRate")) {
+          state.failure.injected.unavailable += 1;
+          sendJson(response, 503, { error: "Queue temporarily unavailable (simulated failure)" });
+          return;
+        }
+        routeQueueRequest(request, response, parsedUrl, method);
+      }, latencyMs);
+      return;
+    }
+
+    routeQueueRequest(request, response, parsedUrl, method);
+  }
+
+  function routeTopicRequest(request, response, parsedUrl, method) {
+    if (parsedUrl.pathname === "/topics" && method === "GET") {
+      handleListTopics(response);
+      return;
+    }
+
+    const topicMatch = parsedUrl.pathname.match(/^\/topics\/([^/]+)$/);
+    if (topicMatch) {
+      const topicName = decodeURIComponent(topicMatch[1]);
+      if (method === "GET") {
+        handleGetTopic(response, topicName);
+        return;
+      }
+      if (method === "PUT") {
+        handlePutTopic(response, topicName);
+        return;
+      }
+      if (method === "DELETE") {
+        handleDeleteTopic(response, topicName);
+        return;
+      }
+    }
+
+    const subscriptionsMatch = parsedUrl.pathname.match(/^\/topics\/([^/]+)\/subscriptions$/);
+    if (subscriptionsMatch && method === "POST") {
+      handleSubscribe(request, response, decodeURIComponent(subscriptionsMatch[1]));
+      return;
+    }
+
+    const subscriptionMatch = parsedUrl.pathname.match(/^\/topics\/([^/]+)\/subscriptions\/([^/]+)$/);
+    if (subscriptionMatch && method === "DELETE") {
+      handleUnsubscribe(response, decodeURIComponent(subscriptionMatch[1]), decodeURIComponent(subscriptionMatch[2]));
+      return;
+    }
+
+    const publishMatch = parsedUrl.pathname.match(/^\/topics\/([^/]+)\/messages$/);
+    if (publishMatch && method === "POST") {
+      handlePublishToTopic(request, response, decodeURIComponent(publishMatch[1]));
+      return;
+    }
+
+    sendJson(response, 404, { error: "Not Found" });
+  }
+
+  function routeQueueRequest(request, response, parsedUrl, method) {
+    const queueMatch = parsedUrl.pathname && parsedUrl.pathname.match(/^\/queues\/([^/]+)\/messages$/);
+    if (queueMatch) {
+      const queueName = decodeURIComponent(queueMatch[1]);
+      if (method === "POST") {
+        handlePostMessage(request, response, queueName);
+        return;
+      }
+      if (method === "GET") {
+        handleGetMessages(response, queueName, parsedUrl.query);
+        return;
+      }
+    }
+
+    const configMatch = parsedUrl.pathname && parsedUrl.pathname.match(/^\/queues\/([^/]+)\/config$/);
+    if (configMatch) {
+      const queueName = decodeURIComponent(configMatch[1]);
+      if (method === "GET") {
+        handleGetQueueConfig(response, queueName);
+        return;
+      }
+      if (method === "PUT") {
+        handlePutQueueConfig(request, response, queueName);
+        return;
+      }
+    }
+
+    const redriveMatch = parsedUrl.pathname && parsedUrl.pathname.match(/^\/queues\/([^/]+)\/redrive$/);
+    if (redriveMatch && method === "POST") {
+      handleRedrive(request, response, decodeURIComponent(redriveMatch[1]));
+      return;
+    }
+
+    const historyMatch = parsedUrl.pathname && parsedUrl.pathname.match(/^\/queues\/([^/]+)\/history$/);
+    if (historyMatch && method === "GET") {
+      handleGetHistory(response, decodeURIComponent(historyMatch[1]), parsedUrl.query);
+      return;
+    }
+
+    const ackMatch = parsedUrl.pathname && parsedUrl.pathname.match(/^\/queues\/([^/]+)\/messages\/ack$/);
+    if (ackMatch && method === "POST") {
+      handleAcknowledgeBatch(request, response, decodeURIComponent(ackMatch[1]));
+      return;
+    }
+
+    const visibilityMatch =
+      parsedUrl.pathname && parsedUrl.pathname.match(/^\/queues\/([^/]+)\/messages\/([^/]+)\/visibility$/);
+    if (visibilityMatch && method === "POST") {
+      handleChangeVisibility(
+        request,
+        response,
+        decodeURIComponent(visibilityMatch[1]),
+        decodeURIComponent(visibilityMatch[2]),
+      );
+      return;
+    }
+
+    const receiptMatch = parsedUrl.pathname && parsedUrl.pathname.match(/^\/queues\/([^/]+)\/messages\/([^/]+)$/);
+    if (receiptMatch && method === "DELETE") {
+      handleDeleteMessage(response, decodeURIComponent(receiptMatch[1]), decodeURIComponent(receiptMatch[2]));
+      return;
+    }
+
+    sendJson(response, 404, { error: "Not Found" });
+  }
+
+  return {
+    state,
+    configureFailures,
+    configureHistory,
+    restoreSnapshot,
+    configureQueue,
+    ensureTopic,
+    subscribeQueue,
+    flushWaiters,
+    writeSnapshot,
+    requestListener,
+  };
 }
 
-function start({ port = 4200 } = {}) {
+function start({
+  port = 4200,
+  visibilityTimeoutSeconds = DEFAULT_VISIBILITY_TIMEOUT_SECONDS,
+  queues: queueConfigs = {},
+  topics: topicConfigs = {},
+  failureLevel = 0,
+  failureSeed,
+  history = {},
+  storageDir = null,
+} = {}) {
+  const service = createQueueService();
+  const { state } = service;
+  state.defaultVisibilityTimeoutSeconds = visibilityTimeoutSeconds;
+  service.configureFailures(failureLevel, failureSeed);
+  service.configureHistory(history);
+  if (storageDir) {
+    fs.mkdirSync(storageDir, { recursive: true });
+    const filePath = path.join(storageDir, PERSISTENCE_FILENAME);
+    service.restoreSnapshot(filePath);
+    state.persistence = { filePath, timer: null };
+  }
+  if (state.failure.level > 0) {
+    console.info(
+      `[queueSimulator] Failure level ${state.failure.level} enabled with seed ${state.failure.seed}`,
+    );
+  }
+  for (const [name, config] of Object.entries(queueConfigs)) {
+    service.configureQueue(name, config);
+  }
+  for (const [name, config] of Object.entries(topicConfigs)) {
+    const topic = service.ensureTopic(name);
+    for (const subscription of (config && config.subscriptions) || []) {
+      if (!hasSubscription(topic, subscription)) {
+        service.subscribeQueue(topic, subscription);
+      }
+    }
+  }
   return new Promise((resolve) => {
-    const server = http.createServer(requestListener);
+    const server = http.createServer(service.requestListener);
     server.listen(port, () => {
       console.info(`[queueSimulator] Listening on port ${port}`);
       resolve({
         server,
         stop: () => new Promise((stopResolve, stopReject) => {
+          service.flushWaiters();
+          service.writeSnapshot();
+          state.persistence = null;
           server.close((error) => {
             if (error) {
               stopReject(error);
@@ -1,6 +1,11 @@
 "use strict";
 
 const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { start } = require("./index");
 
 const DEFAULT_BASE_URL = "http://localhost:4200";
 
@@ -71,6 +76,69 @@ async function run({ baseUrl, port } = {}) {
     );
   });
 
+  await step("/metrics expone el nivel de fallos y las inyecciones realizadas", async () => {
+    const response = await fetch(metricsUrl);
+    assert.equal(response.status, 200);
+    const body = await parseJson(response);
+    assert.ok(
+      Number.isInteger(body.failureLevel) && body.failureLevel >= 0 && body.failureLevel <= 3,
+      "failureLevel debe estar en la escala 0-3",
+    );
+    assert.ok(typeof body.failureSeed === "number", "failureSeed debe ser numérico para reproducir la ejecución");
+    assert.ok(body.injectedFailures && typeof body.injectedFailures === "object");
+    for (const key of ["lost", "duplicated", "unavailable", "delayedRequests"]) {
+      assert.ok(typeof body.injectedFailures[key] === "number", `injectedFailures.${key} debe ser numérico`);
+    }
+    return `failureLevel=${body.failureLevel}, seed=${body.failureSeed}`;
+  });
+
+  // Publica mensajes en una instancia propia con fallos de nivel 2 y devuelve lo que ha observado el cliente
+  // y lo que ha quedado realmente en la cola. Cada instancia tiene su propio estado, así que no afecta al
+  // servicio bajo prueba aunque compartan proceso.
+  async function runFailureScenario(failureSeed) {
+    const instance = await start({ port: 0, failureLevel: 2, failureSeed });
+    try {
+      const instanceUrl = `http://localhost:${instance.server.address().port}`;
+      const scenarioQueue = `${queueName}-fallos`;
+      const statuses = [];
+      for (let index = 0; index < 40; index += 1) {
+        const response = await fetch(`${instanceUrl}/queues/${encodeURIComponent(scenarioQueue)}/messages`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ message: { indice: index } }),
+        });
+        await response.text();
+        statuses.push(response.status);
+      }
+      const listing = await parseJson(await fetch(`${instanceUrl}/queues`));
+      const metrics = await parseJson(await fetch(`${instanceUrl}/metrics`));
+      const entry = listing.queues.find((candidate) => candidate.name === scenarioQueue);
+      return { statuses, pendingCount: entry.pendingCount, injectedFailures: metrics.injectedFailures };
+    } finally {
+      await instance.stop();
+    }
+  }
+
+  await step("con failureLevel > 0 se pierden, duplican y rechazan mensajes de forma reproducible", async () => {
+    const first = await runFailureScenario(1234);
+    const accepted = first.statuses.filter((status) => status === 202).length;
+    const unavailable = first.statuses.filter((status) => status === 503).length;
+    assert.equal(accepted + unavailable, first.statuses.length, "Solo se responde 202 o 503");
+    assert.ok(unavailable > 0, "Algunas publicaciones reciben 503");
+    assert.equal(first.injectedFailures.unavailable, unavailable);
+    assert.ok(first.injectedFailures.lost > 0, "Algunos mensajes aceptados se pierden");
+    assert.ok(first.injectedFailures.duplicated > 0, "Algunos mensajes se encolan dos veces");
+    assert.equal(
+      first.pendingCount,
+      accepted - first.injectedFailures.lost + first.injectedFailures.duplicated,
+      "La cola contiene los mensajes aceptados, sin los perdidos y con los duplicados",
+    );
+
+    const second = await runFailureScenario(1234);
+    assert.deepEqual(second, first, "La misma failureSeed repite exactamente la misma secuencia de fallos");
+    return `${unavailable} rechazados, ${first.injectedFailures.lost} perdidos, ${first.injectedFailures.duplicated} duplicados`;
+  });
+
   await step("enqueue de mensajes en múltiples colas", async () => {
     const operations = [
       { url: queueUrl, queue: queueName, payload: expectedPrimaryMessages[0], expectedSize: 1 },
@@ -173,6 +241,502 @@ async function run({ baseUrl, port } = {}) {
     assert.deepEqual(spacedQueueEntry.messages[0].message, expectedSecondaryMessage);
   });
 
+  const receiveQueueName = `${queueName}-receive`;
+  const receiveQueueUrl = `${serviceBaseUrl}/queues/${encodeURIComponent(receiveQueueName)}/messages`;
+
+  async function enqueue(targetUrl, message) {
+    const response = await fetch(targetUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ message }),
+    });
+    assert.equal(response.status, 202, `POST ${targetUrl} debe devolver 202`);
+    return parseJson(response);
+  }
+
+  async function receive(targetUrl, query) {
+    const response = await fetch(`${targetUrl}?${new URLSearchParams(query)}`);
+    assert.equal(response.status, 200, "La recepción con visibilidad debe devolver 200");
+    const body = await parseJson(response);
+    assert.ok(Array.isArray(body.messages), "La respuesta debe incluir messages[]");
+    return body.messages;
+  }
+
+  await step("la recepción con visibilidad oculta mensajes y entrega receipt handles", async () => {
+    await enqueue(receiveQueueUrl, { paso: 1 });
+    await enqueue(receiveQueueUrl, { paso: 2 });
+    await enqueue(receiveQueueUrl, { paso: 3 });
+
+    const firstBatch = await receive(receiveQueueUrl, { maxMessages: 2, visibilityTimeout: 30 });
+    assert.equal(firstBatch.length, 2, "maxMessages debe limitar el lote");
+    assert.deepEqual(
+      firstBatch.map((entry) => entry.message),
+      [{ paso: 1 }, { paso: 2 }],
+      "Los mensajes recibidos deben respetar el orden de inserción",
+    );
+    for (const entry of firstBatch) {
+      assert.ok(typeof entry.receiptHandle === "string" && entry.receiptHandle.length > 0);
+      assert.ok(typeof entry.messageId === "string" && entry.messageId.length > 0);
+      assert.equal(entry.receiveCount, 1, "La primera entrega debe tener receiveCount 1");
+    }
+
+    const secondBatch = await receive(receiveQueueUrl, { maxMessages: 10, visibilityTimeout: 30 });
+    assert.deepEqual(
+      secondBatch.map((entry) => entry.message),
+      [{ paso: 3 }],
+      "Los mensajes en vuelo no deben entregarse de nuevo",
+    );
+
+    const ackResponse = await fetch(`${receiveQueueUrl}/ack`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        receiptHandles: [...firstBatch, ...secondBatch].map((entry) => entry.receiptHandle),
+      }),
+    });
+    assert.equal(ackResponse.status, 200, "POST /messages/ack debe devolver 200");
+    const ackBody = await parseJson(ackResponse);
+    assert.equal(ackBody.acknowledged.length, 3, "Deben confirmarse los tres mensajes");
+    assert.equal(ackBody.failed.length, 0);
+
+    const repeatedDelete = await fetch(
+      `${receiveQueueUrl}/${encodeURIComponent(firstBatch[0].receiptHandle)}`,
+      { method: "DELETE" },
+    );
+    assert.equal(repeatedDelete.status, 404, "Un receipt handle confirmado no puede reutilizarse");
+  });
+
+  await step("los mensajes sin confirmar reaparecen tras la visibilidad", async () => {
+    await enqueue(receiveQueueUrl, { paso: "reintento" });
+
+    const [firstDelivery] = await receive(receiveQueueUrl, { maxMessages: 1, visibilityTimeout: 0.3 });
+    assert.ok(firstDelivery, "Debe entregarse el mensaje");
+    assert.equal(firstDelivery.receiveCount, 1);
+
+    const hidden = await receive(receiveQueueUrl, { visibilityTimeout: 0.3 });
+    assert.equal(hidden.length, 0, "El mensaje debe permanecer oculto durante la visibilidad");
+
+    await new Promise((resolve) => setTimeout(resolve, 400));
+
+    const [redelivery] = await receive(receiveQueueUrl, { visibilityTimeout: 30 });
+    assert.ok(redelivery, "El mensaje debe volver a entregarse tras vencer la visibilidad");
+    assert.equal(redelivery.messageId, firstDelivery.messageId, "Debe tratarse del mismo mensaje");
+    assert.equal(redelivery.receiveCount, 2, "receiveCount debe incrementarse");
+    assert.notEqual(redelivery.receiptHandle, firstDelivery.receiptHandle, "Cada entrega usa un handle nuevo");
+
+    const staleDelete = await fetch(
+      `${receiveQueueUrl}/${encodeURIComponent(firstDelivery.receiptHandle)}`,
+      { method: "DELETE" },
+    );
+    assert.equal(staleDelete.status, 404, "El handle de la entrega vencida ya no es válido");
+
+    const deleteResponse = await fetch(
+      `${receiveQueueUrl}/${encodeURIComponent(redelivery.receiptHandle)}`,
+      { method: "DELETE" },
+    );
+    assert.equal(deleteResponse.status, 200, "DELETE con el handle vigente debe devolver 200");
+
+    const listing = await parseJson(await fetch(queuesListingUrl));
+    const entry = listing.queues.find((queue) => queue.name === receiveQueueName);
+    assert.ok(entry, "La cola de recepción debe aparecer en el listado");
+    assert.equal(entry.pendingCount, 0, "No deben quedar mensajes pendientes");
+    assert.equal(entry.inFlightCount, 0, "No deben quedar mensajes en vuelo");
+  });
+
+  await step("cambiar la visibilidad a 0 devuelve el mensaje a la cola", async () => {
+    await enqueue(receiveQueueUrl, { paso: "nack" });
+    const [delivery] = await receive(receiveQueueUrl, { visibilityTimeout: 30 });
+    assert.ok(delivery, "Debe entregarse el mensaje");
+
+    const response = await fetch(
+      `${receiveQueueUrl}/${encodeURIComponent(delivery.receiptHandle)}/visibility`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ visibilityTimeout: 0 }),
+      },
+    );
+    assert.equal(response.status, 200, "POST /visibility debe devolver 200");
+
+    const [redelivery] = await receive(receiveQueueUrl, { visibilityTimeout: 30 });
+    assert.ok(redelivery, "El mensaje debe estar disponible de inmediato");
+    assert.equal(redelivery.receiveCount, 2);
+
+    const invalid = await fetch(`${receiveQueueUrl}?visibilityTimeout=-1`);
+    assert.equal(invalid.status, 400, "Una visibilidad negativa debe rechazarse");
+
+    const deleteResponse = await fetch(
+      `${receiveQueueUrl}/${encodeURIComponent(redelivery.receiptHandle)}`,
+      { method: "DELETE" },
+    );
+    assert.equal(deleteResponse.status, 200);
+  });
+
+  await step("los mensajes que superan maxReceiveCount pasan a la dead-letter queue y se reenvían", async () => {
+    const sourceName = `${queueName}-dlq-source`;
+    const deadLetterName = `${queueName}-dlq`;
+    const sourceUrl = `${serviceBaseUrl}/queues/${encodeURIComponent(sourceName)}/messages`;
+    const configUrl = `${serviceBaseUrl}/queues/${encodeURIComponent(sourceName)}/config`;
+
+    const invalidConfig = await fetch(configUrl, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ deadLetterQueue: deadLetterName }),
+    });
+    assert.equal(invalidConfig.status, 400, "La política sin maxReceiveCount debe rechazarse");
+
+    const configResponse = await fetch(configUrl, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ deadLetterQueue: deadLetterName, maxReceiveCount: 2 }),
+    });
+    assert.equal(configResponse.status, 200, "PUT /queues/:name/config debe devolver 200");
+    const config = await parseJson(configResponse);
+    assert.equal(config.deadLetterQueue, deadLetterName);
+    assert.equal(config.maxReceiveCount, 2);
+
+    await enqueue(sourceUrl, { pedido: "envenenado" });
+    for (let attempt = 1; attempt <= 2; attempt += 1) {
+      const [delivery] = await receive(sourceUrl, { visibilityTimeout: 0.2 });
+      assert.ok(delivery, `La entrega ${attempt} debe producirse`);
+      assert.equal(delivery.receiveCount, attempt);
+      await new Promise((resolve) => setTimeout(resolve, 250));
+    }
+
+    const afterLimit = await receive(sourceUrl, { visibilityTimeout: 30 });
+    assert.equal(afterLimit.length, 0, "El mensaje no debe volver a la cola de origen");
+
+    const listing = await parseJson(await fetch(queuesListingUrl));
+    const deadLetterEntry = listing.queues.find((entry) => entry.name === deadLetterName);
+    assert.ok(deadLetterEntry, "La dead-letter queue debe aparecer en el listado");
+    assert.equal(deadLetterEntry.isDeadLetterQueue, true);
+    assert.deepEqual(deadLetterEntry.deadLetterSourceQueues, [sourceName]);
+    assert.equal(deadLetterEntry.pendingCount, 1, "La DLQ debe contener el mensaje");
+    assert.equal(deadLetterEntry.messages[0].sourceQueue, sourceName);
+    assert.equal(deadLetterEntry.messages[0].receiveCount, 2);
+    const sourceEntry = listing.queues.find((entry) => entry.name === sourceName);
+    assert.equal(sourceEntry.deadLetterQueue, deadLetterName);
+
+    const redriveResponse = await fetch(
+      `${serviceBaseUrl}/queues/${encodeURIComponent(deadLetterName)}/redrive`,
+      { method: "POST", headers: { "Content-Type": "application/json" }, body: "{}" },
+    );
+    assert.equal(redriveResponse.status, 200, "POST /queues/:name/redrive debe devolver 200");
+    const redriveBody = await parseJson(redriveResponse);
+    assert.equal(redriveBody.movedCount, 1);
+
+    const [redelivered] = await receive(sourceUrl, { visibilityTimeout: 30 });
+    assert.ok(redelivered, "El mensaje reenviado debe estar disponible en la cola de origen");
+    assert.deepEqual(redelivered.message, { pedido: "envenenado" });
+    assert.equal(redelivered.receiveCount, 1, "El reenvío reinicia el contador de recepciones");
+    await fetch(`${sourceUrl}/${encodeURIComponent(redelivered.receiptHandle)}`, { method: "DELETE" });
+  });
+
+  await step("las colas FIFO ordenan por grupo y deduplican mensajes", async () => {
+    const fifoName = `${queueName}-pedidos.fifo`;
+    const fifoUrl = `${serviceBaseUrl}/queues/${encodeURIComponent(fifoName)}/messages`;
+
+    const missingGroup = await fetch(fifoUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ message: { paso: 0 } }),
+    });
+    assert.equal(missingGroup.status, 400, "Las colas FIFO exigen messageGroupId");
+
+    const sent = [
+      { messageGroupId: "cliente-a", deduplicationId: "a-1", message: { cliente: "a", paso: 1 } },
+      { messageGroupId: "cliente-a", deduplicationId: "a-2", message: { cliente: "a", paso: 2 } },
+      { messageGroupId: "cliente-b", deduplicationId: "b-1", message: { cliente: "b", paso: 1 } },
+    ];
+    const messageIds = [];
+    for (const payload of sent) {
+      const response = await fetch(fifoUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+      assert.equal(response.status, 202);
+      messageIds.push((await parseJson(response)).messageId);
+    }
+
+    const duplicate = await fetch(fifoUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(sent[0]),
+    });
+    assert.equal(duplicate.status, 200, "Un deduplicationId repetido debe devolver 200");
+    const duplicateBody = await parseJson(duplicate);
+    assert.equal(duplicateBody.status, "duplicate");
+    assert.equal(duplicateBody.messageId, messageIds[0], "Debe devolver el messageId original");
+
+    const firstBatch = await receive(fifoUrl, { maxMessages: 10, visibilityTimeout: 30 });
+    assert.deepEqual(
+      firstBatch.map((entry) => entry.message),
+      [{ cliente: "a", paso: 1 }, { cliente: "b", paso: 1 }],
+      "Solo debe entregarse un mensaje en vuelo por grupo",
+    );
+    assert.equal(firstBatch[0].messageGroupId, "cliente-a");
+
+    const blocked = await receive(fifoUrl, { maxMessages: 10, visibilityTimeout: 30 });
+    assert.equal(blocked.length, 0, "El grupo permanece bloqueado hasta confirmar su mensaje");
+
+    const groupA = firstBatch.find((entry) => entry.messageGroupId === "cliente-a");
+    await fetch(`${fifoUrl}/${encodeURIComponent(groupA.receiptHandle)}`, { method: "DELETE" });
+
+    const secondBatch = await receive(fifoUrl, { maxMessages: 10, visibilityTimeout: 30 });
+    assert.deepEqual(
+      secondBatch.map((entry) => entry.message),
+      [{ cliente: "a", paso: 2 }],
+      "Tras confirmar se entrega el siguiente mensaje del grupo",
+    );
+
+    const listing = await parseJson(await fetch(queuesListingUrl));
+    const fifoEntry = listing.queues.find((entry) => entry.name === fifoName);
+    assert.equal(fifoEntry.fifo, true, "Las colas .fifo se detectan por nombre");
+    assert.equal(fifoEntry.totalMessages, sent.length, "Los duplicados no se añaden al historial");
+  });
+
+  await step("el long polling espera hasta que llega un mensaje", async () => {
+    const pollName = `${queueName}-long-poll`;
+    const pollUrl = `${serviceBaseUrl}/queues/${encodeURIComponent(pollName)}/messages`;
+
+    const startedAt = Date.now();
+    const pending = receive(pollUrl, { waitTimeSeconds: 5, visibilityTimeout: 30 });
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    await enqueue(pollUrl, { paso: "esperado" });
+    const messages = await pending;
+    const elapsedMs = Date.now() - startedAt;
+
+    assert.deepEqual(messages.map((entry) => entry.message), [{ paso: "esperado" }]);
+    assert.ok(elapsedMs >= 250, "La petición debe quedar retenida mientras la cola está vacía");
+    assert.ok(elapsedMs < 4000, "La petición debe responder en cuanto llega el mensaje");
+    await fetch(`${pollUrl}/${encodeURIComponent(messages[0].receiptHandle)}`, { method: "DELETE" });
+
+    const emptyStartedAt = Date.now();
+    const empty = await receive(pollUrl, { waitTimeSeconds: 0.3 });
+    assert.equal(empty.length, 0, "Sin mensajes el long polling devuelve una lista vacía");
+    assert.ok(Date.now() - emptyStartedAt >= 250, "Debe agotar waitTimeSeconds antes de responder");
+
+    const invalid = await fetch(`${pollUrl}?waitTimeSeconds=60`);
+    assert.equal(invalid.status, 400, "waitTimeSeconds superior a 20 debe rechazarse");
+    return `respuesta en ${elapsedMs} ms`;
+  });
+
+  await step("los mensajes con delaySeconds solo se entregan al vencer el retraso", async () => {
+    const delayedName = `${queueName}-delayed`;
+    const delayedUrl = `${serviceBaseUrl}/queues/${encodeURIComponent(delayedName)}/messages`;
+
+    const response = await fetch(delayedUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ message: { tarea: "programada" }, delaySeconds: 0.5 }),
+    });
+    assert.equal(response.status, 202);
+    const body = await parseJson(response);
+    assert.ok(body.delayedUntil, "La respuesta debe indicar delayedUntil");
+
+    const immediate = await receive(delayedUrl, { visibilityTimeout: 30 });
+    assert.equal(immediate.length, 0, "El mensaje retrasado no debe ser visible todavía");
+
+    const listing = await parseJson(await fetch(queuesListingUrl));
+    const delayedEntry = listing.queues.find((entry) => entry.name === delayedName);
+    assert.equal(delayedEntry.delayedCount, 1, "El listado debe contar los mensajes retrasados");
+
+    const startedAt = Date.now();
+    const messages = await receive(delayedUrl, { waitTimeSeconds: 5, visibilityTimeout: 30 });
+    assert.deepEqual(messages.map((entry) => entry.message), [{ tarea: "programada" }]);
+    assert.ok(Date.now() - startedAt < 4000, "El long polling debe despertar al vencer el retraso");
+    await fetch(`${delayedUrl}/${encodeURIComponent(messages[0].receiptHandle)}`, { method: "DELETE" });
+
+    const invalid = await fetch(delayedUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ message: "x", delaySeconds: 901 }),
+    });
+    assert.equal(invalid.status, 400, "delaySeconds superior a 900 debe rechazarse");
+  });
+
+  await step("el historial se lee paginado y el listado lo recorta", async () => {
+    const historyName = `${queueName}-historial`;
+    const historyQueueUrl = `${serviceBaseUrl}/queues/${encodeURIComponent(historyName)}`;
+    for (let index = 0; index < 5; index += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await enqueue(`${historyQueueUrl}/messages`, { indice: index });
+    }
+
+    const collected = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+      const query = new URLSearchParams({ limit: "2", ...(cursor ? { cursor } : {}) });
+      // eslint-disable-next-line no-await-in-loop
+      const response = await fetch(`${historyQueueUrl}/history?${query}`);
+      assert.equal(response.status, 200, "GET /queues/:name/history debe devolver 200");
+      // eslint-disable-next-line no-await-in-loop
+      const body = await parseJson(response);
+      assert.ok(body.messages.length <= 2, "Cada página respeta limit");
+      assert.equal(body.totalMessages, 5);
+      collected.push(...body.messages.map((entry) => entry.message.indice));
+      cursor = body.nextCursor;
+      pages += 1;
+    } while (cursor && pages < 10);
+    assert.equal(pages, 3, "Cinco mensajes con limit=2 ocupan tres páginas");
+    assert.deepEqual(collected, [0, 1, 2, 3, 4], "Las páginas recorren el historial en orden de llegada");
+
+    const listing = await parseJson(await fetch(`${queuesListingUrl}?historyLimit=1`));
+    const entry = listing.queues.find((candidate) => candidate.name === historyName);
+    assert.equal(entry.historyCount, 5);
+    assert.deepEqual(
+      entry.messages.map((message) => message.message),
+      [{ indice: 4 }],
+      "historyLimit limita los mensajes incluidos en /queues a los más recientes",
+    );
+
+    const missing = await fetch(`${serviceBaseUrl}/queues/${encodeURIComponent(`${historyName}-nada`)}/history`);
+    assert.equal(missing.status, 404, "El historial de una cola inexistente debe devolver 404");
+  });
+
+  await step("los topics replican mensajes en las colas suscritas según su filtro", async () => {
+    const topicName = `${queueName}-pedidos`;
+    const topicUrl = `${serviceBaseUrl}/topics/${encodeURIComponent(topicName)}`;
+    const allQueue = `${queueName}-todos`;
+    const premiumQueue = `${queueName}-premium`;
+
+    const missingTopic = await fetch(`${topicUrl}/messages`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ message: "x" }),
+    });
+    assert.equal(missingTopic.status, 404, "Publicar en un topic inexistente debe devolver 404");
+
+    const createResponse = await fetch(topicUrl, { method: "PUT" });
+    assert.equal(createResponse.status, 201, "PUT /topics/:name debe crear el topic");
+
+    const subscribe = (payload) =>
+      fetch(`${topicUrl}/subscriptions`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+
+    assert.equal((await subscribe({ queue: allQueue })).status, 201);
+    const filtered = await subscribe({
+      queue: premiumQueue,
+      filterPolicy: { plan: ["premium"], importe: [{ numeric: [">=", 100] }] },
+    });
+    assert.equal(filtered.status, 201, "La suscripción con filtro debe crearse");
+    const invalid = await subscribe({ queue: premiumQueue, filterPolicy: { plan: [{ regex: ".*" }] } });
+    assert.equal(invalid.status, 400, "Los operadores desconocidos deben rechazarse");
+
+    const publish = async (payload) => {
+      const response = await fetch(`${topicUrl}/messages`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+      assert.equal(response.status, 202, "POST /topics/:name/messages debe devolver 202");
+      return parseJson(response);
+    };
+
+    const basic = await publish({ message: { pedido: 1 }, attributes: { plan: "basic", importe: 500 } });
+    assert.equal(basic.deliveredCount, 1, "Solo la suscripción sin filtro recibe el pedido básico");
+    const premium = await publish({ message: { pedido: 2 }, attributes: { plan: "premium", importe: 150 } });
+    assert.equal(premium.deliveredCount, 2, "Ambas suscripciones reciben el pedido premium");
+
+    const allMessages = await receive(`${serviceBaseUrl}/queues/${encodeURIComponent(allQueue)}/messages`, {
+      visibilityTimeout: 30,
+    });
+    assert.deepEqual(allMessages.map((entry) => entry.message), [{ pedido: 1 }, { pedido: 2 }]);
+    assert.equal(allMessages[1].topic, topicName, "Las entregas indican el topic de origen");
+    assert.deepEqual(allMessages[1].attributes, { plan: "premium", importe: 150 });
+
+    const premiumMessages = await receive(
+      `${serviceBaseUrl}/queues/${encodeURIComponent(premiumQueue)}/messages`,
+      { visibilityTimeout: 30 },
+    );
+    assert.deepEqual(premiumMessages.map((entry) => entry.message), [{ pedido: 2 }]);
+
+    const listing = await parseJson(await fetch(`${serviceBaseUrl}/topics`));
+    const topicEntry = listing.topics.find((entry) => entry.name === topicName);
+    assert.ok(topicEntry, "GET /topics debe listar el topic");
+    assert.equal(topicEntry.publishedCount, 2);
+    assert.equal(topicEntry.subscriptions.length, 2);
+  });
+
+  await step("con storageDir los mensajes y los topics sobreviven a un reinicio", async () => {
+    const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "queue-persistencia-"));
+    const persistedQueue = `${queueName}-persistida`;
+    const persistedTopic = `${queueName}-persistido`;
+    let instance = null;
+    let instanceUrl = null;
+    const restart = async () => {
+      if (instance) {
+        await instance.stop();
+      }
+      instance = await start({ port: 0, storageDir });
+      instanceUrl = `http://localhost:${instance.server.address().port}`;
+    };
+    const persistedQueueUrl = () => `${instanceUrl}/queues/${encodeURIComponent(persistedQueue)}/messages`;
+    const topicUrl = () => `${instanceUrl}/topics/${encodeURIComponent(persistedTopic)}`;
+    const describeState = async () => {
+      const listing = await parseJson(await fetch(`${instanceUrl}/queues`));
+      const entry = listing.queues.find((candidate) => candidate.name === persistedQueue);
+      const topic = await parseJson(await fetch(topicUrl()));
+      return {
+        pendingCount: entry.pendingCount,
+        messages: entry.messages.map((message) => message.message),
+        subscriptions: topic.subscriptions,
+      };
+    };
+
+    try {
+      await restart();
+      await enqueue(persistedQueueUrl(), { orden: 1 });
+      await enqueue(persistedQueueUrl(), { orden: 2 });
+      const inFlight = await receive(persistedQueueUrl(), { maxMessages: 1, visibilityTimeout: 30 });
+      assert.equal(inFlight.length, 1);
+      assert.equal((await fetch(topicUrl(), { method: "PUT" })).status, 201);
+      const subscription = await fetch(`${topicUrl()}/subscriptions`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ queue: persistedQueue, filterPolicy: { plan: ["premium"] } }),
+      });
+      assert.equal(subscription.status, 201);
+      const before = await describeState();
+
+      await restart();
+      const restored = await describeState();
+      assert.equal(restored.pendingCount, 2, "El mensaje en vuelo vuelve a estar pendiente");
+      assert.deepEqual(restored.messages, before.messages, "Se restauran los mensajes sin confirmar");
+      assert.deepEqual(restored.subscriptions, before.subscriptions, "Se restauran el topic y sus suscripciones");
+
+      await restart();
+      assert.deepEqual(await describeState(), restored, "Un segundo reinicio no duplica lo restaurado");
+
+      const published = await fetch(`${topicUrl()}/messages`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ message: { orden: 3 }, attributes: { plan: "premium" } }),
+      });
+      assert.equal((await parseJson(published)).deliveredCount, 1, "La suscripción restaurada sigue entregando");
+      const delivered = await receive(persistedQueueUrl(), { maxMessages: 10, visibilityTimeout: 30 });
+      assert.deepEqual(
+        delivered.map((entry) => entry.message),
+        [{ orden: 1 }, { orden: 2 }, { orden: 3 }],
+      );
+
+      const serviceListing = await parseJson(await fetch(queuesListingUrl));
+      const serviceQueues = serviceListing.queues.map((entry) => entry.name);
+      assert.ok(serviceQueues.includes(queueName), "El servicio bajo prueba conserva sus colas");
+      assert.ok(!serviceQueues.includes(persistedQueue), "Las instancias reiniciadas no comparten estado con él");
+    } finally {
+      if (instance) {
+        await instance.stop();
+      }
+      fs.rmSync(storageDir, { recursive: true, force: true });
+    }
+  });
+
   await step("mini prueba de carga con 1000 mensajes distribuidos en 10 colas", async () => {
     const loadTestQueueCount = 10;
     const totalLoadTestMessages = 1000;
@@ -244,6 +808,7 @@ async function run({ baseUrl, port } = {}) {
       script.includes("queue__messages"),
       "El microfrontend debe mostrar la lista de mensajes por cola",
     );
+    assert.ok(script.includes("topics-url"), "El microfrontend debe permitir configurar la URL de topics");
   });
 
   return { passed, failed, details };